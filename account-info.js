@@ -7,21 +7,9 @@
  * such as balances and account status.
  */
 
-const crypto = require('crypto');
-const axios = require('axios');
-const config = require('./config');
-
-/**
- * Function to sign the request parameters
- * @param {string} queryString - Query string to sign
- * @returns {string} - Signature
- */
-function signRequest(queryString) {
-  return crypto
-    .createHmac('sha256', config.apiSecret)
-    .update(queryString)
-    .digest('hex');
-}
+const client = require('./binance-client');
+const output = require('./output');
+const logger = require('./logger');
 
 /**
  * Get account information including balances
@@ -29,21 +17,9 @@ function signRequest(queryString) {
  */
 async function getAccountInfo() {
   try {
-    const timestamp = Date.now();
-    const queryString = `timestamp=${timestamp}`;
-    const signature = signRequest(queryString);
-    
-    const url = `${config.baseUrl}/api/v3/account?${queryString}&signature=${signature}`;
-    
-    const response = await axios.get(url, {
-      headers: {
-        'X-MBX-APIKEY': config.apiKey
-      }
-    });
-    
-    return response.data;
+    return await client.getAccount();
   } catch (error) {
-    console.error('Error fetching account info:', error.response ? error.response.data : error.message);
+    console.error('Error fetching account info:', error.message);
     throw error;
   }
 }
@@ -54,26 +30,134 @@ async function getAccountInfo() {
  */
 async function getAllPrices() {
   try {
-    const response = await axios.get(`${config.baseUrl}/api/v3/ticker/price`);
+    const tickers = await client.getAllPrices();
     const prices = {};
     
-    response.data.forEach(item => {
+    tickers.forEach(item => {
       prices[item.symbol] = parseFloat(item.price);
     });
     
     return prices;
   } catch (error) {
-    console.error('Error fetching prices:', error.response ? error.response.data : error.message);
+    console.error('Error fetching prices:', error.message);
     throw error;
   }
 }
 
+/**
+ * Get the balances that are not zero
+ * @param {Object} account - Account information
+ * @returns {Array} - Balances with a free or locked amount
+ */
+function getNonZeroBalances(account) {
+  return account.balances.filter(b => parseFloat(b.free) > 0 || parseFloat(b.locked) > 0);
+}
+
+/**
+ * Calculate the total value of balances in EUR
+ * @param {Array} balances - Account balances
+ * @param {Object} prices - Prices keyed by symbol (from getAllPrices)
+ * @returns {Object} - { total, unconverted } where unconverted lists assets without a conversion path
+ */
+function calculateTotalEUR(balances, prices) {
+  let totalEUR = 0;
+  const unconverted = [];
+  
+  for (const balance of balances) {
+    const asset = balance.asset;
+    const totalBalance = parseFloat(balance.free) + parseFloat(balance.locked);
+    
+    if (totalBalance <= 0) continue;
+    
+    // If the asset is EUR, add directly
+    if (asset === 'EUR') {
+      totalEUR += totalBalance;
+      continue;
+    }
+    
+    // Try to find direct pair with EUR
+    const directEURPair = `${asset}EUR`;
+    if (prices[directEURPair]) {
+      totalEUR += totalBalance * prices[directEURPair];
+      continue;
+    }
+    
+    // Try to convert via USDT
+    const usdtPair = `${asset}USDT`;
+    const eurUsdtPair = 'EURUSDT';
+    
+    if (prices[usdtPair] && prices[eurUsdtPair]) {
+      // Convert to USDT first, then to EUR
+      const valueInUSDT = totalBalance * prices[usdtPair];
+      totalEUR += valueInUSDT / prices[eurUsdtPair];
+      continue;
+    }
+    
+    // Try to convert via BTC
+    const btcPair = `${asset}BTC`;
+    const eurBtcPair = 'BTCEUR';
+    
+    if (prices[btcPair] && prices[eurBtcPair]) {
+      // Convert to BTC first, then to EUR
+      const valueInBTC = totalBalance * prices[btcPair];
+      totalEUR += valueInBTC * prices[eurBtcPair];
+      continue;
+    }
+    
+    // If asset is BTC, convert directly using BTCEUR
+    if (asset === 'BTC' && prices['BTCEUR']) {
+      totalEUR += totalBalance * prices['BTCEUR'];
+      continue;
+    }
+    
+    // If asset is USDT, convert using EURUSDT (inverted)
+    if (asset === 'USDT' && prices['EURUSDT']) {
+      totalEUR += totalBalance / prices['EURUSDT'];
+      continue;
+    }
+    
+    unconverted.push(asset);
+  }
+  
+  return { total: totalEUR, unconverted };
+}
+
+/**
+ * Build the documented result object of account-info (--json)
+ * @param {Object} account - Account information
+ * @returns {Promise<Object>} - Account summary with balances and total in EUR
+ */
+async function buildAccountSummary(account) {
+  const balances = getNonZeroBalances(account);
+  let totalEUR = null;
+  let unconverted = [];
+  
+  try {
+    const valuation = calculateTotalEUR(balances, await getAllPrices());
+    totalEUR = valuation.total;
+    unconverted = valuation.unconverted;
+  } catch (error) {
+    console.error('Error calculating total in EUR:', error.message);
+  }
+  
+  return {
+    accountType: account.accountType,
+    canTrade: account.canTrade,
+    canWithdraw: account.canWithdraw,
+    canDeposit: account.canDeposit,
+    balances: balances.map(b => ({ asset: b.asset, free: b.free, locked: b.locked })),
+    totalEUR,
+    unconverted,
+    timestamp: Date.now()
+  };
+}
+
 /**
  * Display account balances in a formatted table and calculate total in EUR
  * @param {Object} account - Account information
  */
 async function displayBalances(account) {
-  const balances = account.balances.filter(b => parseFloat(b.free) > 0 || parseFloat(b.locked) > 0);
+  const balances = getNonZeroBalances(account);
   
   console.log(`\nAccount Balances:`);
   console.log(`${'Asset'.padEnd(10)} | ${'Free'.padEnd(15)} | ${'Locked'.padEnd(15)}`);
@@ -90,63 +174,11 @@ async function displayBalances(account) {
   // Calculate total value in EUR
   try {
     const prices = await getAllPrices();
-    let totalEUR = 0;
+    const { total: totalEUR, unconverted } = calculateTotalEUR(balances, prices);
     
-    for (const balance of balances) {
-      const asset = balance.asset;
-      const totalBalance = parseFloat(balance.free) + parseFloat(balance.locked);
-      
-      if (totalBalance <= 0) continue;
-      
-      // If the asset is EUR, add directly
-      if (asset === 'EUR') {
-        totalEUR += totalBalance;
-        continue;
-      }
-      
-      // Try to find direct pair with EUR
-      const directEURPair = `${asset}EUR`;
-      if (prices[directEURPair]) {
-        totalEUR += totalBalance * prices[directEURPair];
-        continue;
-      }
-      
-      // Try to convert via USDT
-      const usdtPair = `${asset}USDT`;
-      const eurUsdtPair = 'EURUSDT';
-      
-      if (prices[usdtPair] && prices[eurUsdtPair]) {
-        // Convert to USDT first, then to EUR
-        const valueInUSDT = totalBalance * prices[usdtPair];
-        totalEUR += valueInUSDT / prices[eurUsdtPair];
-        continue;
-      }
-      
-      // Try to convert via BTC
-      const btcPair = `${asset}BTC`;
-      const eurBtcPair = 'BTCEUR';
-      
-      if (prices[btcPair] && prices[eurBtcPair]) {
-        // Convert to BTC first, then to EUR
-        const valueInBTC = totalBalance * prices[btcPair];
-        totalEUR += valueInBTC * prices[eurBtcPair];
-        continue;
-      }
-      
-      // If asset is BTC, convert directly using BTCEUR
-      if (asset === 'BTC' && prices['BTCEUR']) {
-        totalEUR += totalBalance * prices['BTCEUR'];
-        continue;
-      }
-      
-      // If asset is USDT, convert using EURUSDT (inverted)
-      if (asset === 'USDT' && prices['EURUSDT']) {
-        totalEUR += totalBalance / prices['EURUSDT'];
-        continue;
-      }
-      
+    unconverted.forEach(asset => {
       console.log(`Could not convert ${asset} to EUR - no conversion path found`);
-    }
+    });
     
     console.log(`\n${'='.repeat(44)}`);
     console.log(`Total Balance: ${totalEUR.toFixed(2)} EUR`);
@@ -160,6 +192,9 @@ async function displayBalances(account) {
 
 // If this file is run directly (not imported as a module)
 if (require.main === module) {
+  output.init();
+  logger.init();
+
   // Run the main function
   (async () => {
     try {
@@ -174,6 +209,7 @@ if (require.main === module) {
         console.log('  node account_info.js --min-balance 10\n');
         console.log('Parameters:');
         console.log('  --min-balance     Minimum balance to display (default: 0)');
+        console.log('  --json            Print the result as JSON on stdout');
         console.log('\nAlternatively, you can use the app.js interface:');
         console.log('  node app.js account-info');
         return;
@@ -181,8 +217,8 @@ if (require.main === module) {
       
       console.log('Fetching Binance account information...');
       
-      if (config.apiKey === 'YOUR_API_KEY' || config.apiSecret === 'YOUR_API_SECRET') {
-        console.error('Please update the config.js file with your Binance API key and secret.');
+      if (!client.hasCredentials()) {
+        console.error(client.getCredentialsMessage());
         console.log('You can create API keys in your Binance account settings.');
         process.exit(1);
       }
@@ -190,15 +226,19 @@ if (require.main === module) {
       try {
         const account = await getAccountInfo();
         
-        // Display account information
-        console.log('\n=== Account Information ===');
-        console.log(`Account Type: ${account.accountType}`);
-        console.log(`Can Trade: ${account.canTrade}`);
-        console.log(`Can Withdraw: ${account.canWithdraw}`);
-        console.log(`Can Deposit: ${account.canDeposit}`);
-        
-        // Display balances
-        await displayBalances(account);
+        if (output.isEnabled()) {
+          output.result(await buildAccountSummary(account));
+        } else {
+          // Display account information
+          console.log('\n=== Account Information ===');
+          console.log(`Account Type: ${account.accountType}`);
+          console.log(`Can Trade: ${account.canTrade}`);
+          console.log(`Can Withdraw: ${account.canWithdraw}`);
+          console.log(`Can Deposit: ${account.canDeposit}`);
+          
+          // Display balances
+          await displayBalances(account);
+        }
         
         // Save to file if requested
         if (process.argv.includes('--save')) {
@@ -211,13 +251,15 @@ if (require.main === module) {
         
       } catch (error) {
         console.error('Error:', error.message);
+        output.fail(error);
         process.exit(1);
       }
     } catch (error) {
       console.error('Error:', error.message);
+      output.fail(error);
       process.exit(1);
     }
   })();
 }
 
-module.exports = { getAccountInfo, displayBalances };
+module.exports = { getAccountInfo, calculateTotalEUR, buildAccountSummary, displayBalances };
@@ -41,6 +41,46 @@ const commands = {
   'order-cancel': {
     script: 'order-cancel.js',
     description: 'Cancel an existing order'
+  },
+  'trading-loop': {
+    script: 'trading-loop.js',
+    description: 'Run buy and sell cycles for one symbol'
+  },
+  'trading-supervisor': {
+    script: 'trading-supervisor.js',
+    description: 'Run trading loops for several symbols with a shared quote budget'
+  },
+  'risk-manager': {
+    script: 'risk-manager.js',
+    description: 'Show or reset the risk limits state of a trading loop'
+  },
+  'panic': {
+    script: 'panic.js',
+    description: 'Cancel all open orders, stop the trading loops and optionally sell'
+  },
+  'grid-trading': {
+    script: 'grid-trading.js',
+    description: 'Run, inspect and stop a grid of buy and sell orders'
+  },
+  'backtest': {
+    script: 'backtest.js',
+    description: 'Replay historical klines through the trading loop logic'
+  },
+  'paper-exchange': {
+    script: 'paper-exchange.js',
+    description: 'Show, reset and sync the local paper trading account'
+  },
+  'keys': {
+    script: 'keys.js',
+    description: 'Manage API credentials in the encrypted keystore'
+  },
+  'diagnostics': {
+    script: 'diagnostics.js',
+    description: 'Check API connectivity, clock drift and signed requests'
+  },
+  'mock-exchange': {
+    script: 'mock-exchange.js',
+    description: 'Run a local mock Binance exchange for offline testing'
   }
 };
 
@@ -52,15 +92,25 @@ function showHelp() {
   console.log('Available commands:\n');
   
   Object.keys(commands).forEach(cmd => {
-    console.log(`  ${cmd.padEnd(15)} - ${commands[cmd].description}`);
+    console.log(`  ${cmd.padEnd(18)} - ${commands[cmd].description}`);
   });
   
+  console.log('\nGlobal options:');
+  console.log('  --profile <name>  - Binance environment: mainnet, testnet or mock (default: BINANCE_PROFILE or mainnet)');
+  console.log('  --json            - Print the result as JSON on stdout, messages go to stderr');
+  console.log('  --ndjson          - Print events as one JSON object per line (order-monitor, trading-loop, trading-supervisor)');
+  console.log('  --paper           - Trade on the local paper account at live prices (see paper-exchange)');
+  
   console.log('\nFor more information on a specific command, use:');
   console.log('  node app.js <command> --help');
   
   console.log('\nExamples:');
   console.log('  node app.js account-info');
   console.log('  node app.js exchange-info');
+  console.log('  node app.js account-info --profile testnet');
+  console.log('  node app.js --json account-info');
+  console.log('  node app.js account-info --paper');
+  console.log('  node app.js keys add --profile testnet');
   console.log('  node app.js order --symbol BTCUSDT --orderId 123456789');
   console.log('  node app.js order-cancel --symbol BTCUSDT --orderId 123456789');  console.log('  node app.js order-monitor --symbol BTCUSDT --orderId 123456789');
 }
@@ -119,11 +169,48 @@ function executeScript(scriptName, args) {
   });
 }
 
+/**
+ * Remove the global --profile option from the arguments
+ *
+ * The profile is passed to the script in BINANCE_PROFILE, so it can be given
+ * before or after the command name.
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Array<string>} - Arguments without --profile
+ */
+function extractProfile(args) {
+  const rest = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--profile' && args[i + 1] && !args[i + 1].startsWith('--')) {
+      process.env.BINANCE_PROFILE = args[++i];
+    } else if (args[i].startsWith('--profile=')) {
+      process.env.BINANCE_PROFILE = args[i].slice('--profile='.length);
+    } else {
+      rest.push(args[i]);
+    }
+  }
+
+  return rest;
+}
+
+/**
+ * Move the global --json, --ndjson and --paper options behind the command name
+ *
+ * The scripts read these flags themselves, so they are passed on to the
+ * script wherever they were given.
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Array<string>} - Arguments with the output flags at the end
+ */
+function moveOutputFlags(args) {
+  const flags = args.filter(arg => arg === '--json' || arg === '--ndjson' || arg === '--paper');
+  return [...args.filter(arg => !flags.includes(arg)), ...flags];
+}
+
 /**
  * Main function
  */
 function main() {
-  const args = process.argv.slice(2);
+  const args = moveOutputFlags(extractProfile(process.argv.slice(2)));
   const command = args[0];
   
   // Show help if no command or --help flag
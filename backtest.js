@@ -0,0 +1,561 @@
+#!/usr/bin/env node
+
+/**
+ * Backtest
+ *
+ * This script replays historical klines through the trading loop's logic to
+ * show what a set of parameters would have earned. A cycle buys at the market
+ * at the open of a bar and places the exit the strategy computes (with the
+ * default strategy calculateProfitPrice, calculateStopLossPrice and the
+ * trailing stop of trading-loop.js). The orders are filled by the exchange
+ * engine of the mock exchange while every bar moves through its prices, with
+ * its commission (0.1% of the received asset, as on Binance).
+ *
+ * Within a bar the price is assumed to go open, low, high, close when the bar
+ * closes higher and open, high, low, close when it closes lower, so a stop
+ * loss and a take profit touched in the same bar fill in that order. A limit
+ * sell is cancelled on a price drop like trading-loop.js cancels it (checked
+ * at the close of every bar) and placed again at the next bar for the same
+ * quantity, with the current price as its reference.
+ *
+ * Usage:
+ *   node backtest.js --symbol BTCUSDT --interval 1h --start 2026-09-01 --end 2026-10-01 --profitPercent 1.5
+ *   node backtest.js --symbol BTCUSDT --file klines.json --profitPercent 1.5 --priceDropThresholdPercentage 1.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const client = require('./binance-client');
+const output = require('./output');
+const logger = require('./logger');
+const { ExchangeEngine, ExchangeEngineError, parseInterval } = require('./exchange-engine');
+const { getSymbolRules, roundQuantity } = require('./symbol-rules');
+const { summarizeFills } = require('./market-buy');
+const { buildOcoParams } = require('./order-trade');
+const { getExitSettings, buildSellParams, getExitLeg } = require('./trading-loop');
+const strategies = require('./strategies');
+
+const log = logger.getLogger('backtest');
+
+// Binance returns at most 1000 klines per request
+const MAX_KLINES_PER_REQUEST = 1000;
+
+// Bars replayed when no --start is given
+const DEFAULT_BARS = 500;
+
+// Quote asset balance the backtest starts with
+const DEFAULT_BALANCE = '1000';
+
+// Commission rate of the exchange engine (0.1% per fill)
+const DEFAULT_FEE_RATE = '0.001';
+
+// Parse command line arguments
+function parseArgs() {
+  const args = {};
+  process.argv.slice(2).forEach((arg, i, argv) => {
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[i + 1] : true;
+      args[key] = value;
+    }
+  });
+  return args;
+}
+
+/**
+ * Convert a kline to a bar
+ * @param {Array|Object} kline - Kline in the Binance array format or an object with the same names
+ * @returns {Object} - { openTime, open, high, low, close, closeTime }
+ */
+function parseKline(kline) {
+  const [openTime, open, high, low, close, , closeTime] = Array.isArray(kline)
+    ? kline
+    : [kline.openTime, kline.open, kline.high, kline.low, kline.close, null, kline.closeTime];
+
+  // Binance data dumps since 2025 have times in microseconds
+  const toMs = time => (Number(time) > 1e14 ? Math.floor(Number(time) / 1000) : Number(time));
+
+  return {
+    openTime: toMs(openTime),
+    open: parseFloat(open),
+    high: parseFloat(high),
+    low: parseFloat(low),
+    close: parseFloat(close),
+    closeTime: toMs(closeTime)
+  };
+}
+
+/**
+ * Load klines from a file
+ * @param {string} filePath - JSON file with an array of klines, or a CSV file in the
+ *   format of the Binance data dumps (openTime,open,high,low,close,volume,closeTime,...)
+ * @returns {Array} - Klines
+ */
+function loadKlines(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  if (filePath.endsWith('.csv')) {
+    return content.split(/\r?\n/)
+      .map(line => line.split(','))
+      // Skips the header line and empty lines
+      .filter(fields => fields.length >= 7 && /^\d+$/.test(fields[0].trim()));
+  }
+
+  return JSON.parse(content);
+}
+
+/**
+ * Download klines of a time range, in pages of 1000
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} interval - Kline interval (e.g. 1m, 1h, 1d)
+ * @param {number} startTime - Start of the range in milliseconds
+ * @param {number} endTime - End of the range in milliseconds
+ * @returns {Promise<Array>} - Klines in the Binance array format
+ */
+async function downloadKlines(symbol, interval, startTime, endTime) {
+  const intervalMs = parseInterval(interval);
+  const klines = [];
+  let from = startTime;
+
+  while (from <= endTime) {
+    const batch = await client.getKlines(symbol, interval, MAX_KLINES_PER_REQUEST, { startTime: from, endTime });
+    if (batch.length === 0) {
+      break;
+    }
+
+    klines.push(...batch);
+    console.log(`Downloaded ${klines.length} klines...`);
+
+    if (batch.length < MAX_KLINES_PER_REQUEST) {
+      break;
+    }
+    from = batch[batch.length - 1][0] + intervalMs;
+  }
+
+  // Keep only the requested range, without duplicates
+  const seen = new Set();
+  return klines.filter(kline => {
+    if (kline[0] < startTime || kline[0] > endTime || seen.has(kline[0])) {
+      return false;
+    }
+    seen.add(kline[0]);
+    return true;
+  });
+}
+
+/**
+ * Get the price ranges a bar trades through, in order
+ * @param {Object} bar - Bar from parseKline
+ * @returns {Array<Array<number>>} - [low, high] ranges: to the first extreme, between the extremes, to the close
+ */
+function getBarSegments(bar) {
+  if (bar.close >= bar.open) {
+    return [[bar.low, bar.open], [bar.low, bar.high], [bar.close, bar.high]];
+  }
+  return [[bar.open, bar.high], [bar.low, bar.high], [bar.low, bar.close]];
+}
+
+/**
+ * Replay bars through a strategy
+ * @param {Object} params - Backtest parameters
+ * @param {string} params.symbol - Trading pair symbol
+ * @param {Object} params.rules - Symbol rules
+ * @param {Array<Object>} params.bars - Bars from parseKline, oldest first
+ * @param {Object} params.strategy - Strategy from strategies.loadStrategy
+ * @param {Object} params.settings - { buyAmount, profit, stopLoss, trailingStop, priceDrop } (see getExitSettings)
+ * @param {Object} params.options - All options, passed to the strategy
+ * @param {number} params.balance - Quote asset balance at the start
+ * @param {number} params.feeRate - Commission rate
+ * @param {number} params.maxCycles - Maximum number of cycles (default: no limit)
+ * @returns {Promise<Object>} - Backtest result (see summarizeBacktest)
+ */
+async function runBacktest(params) {
+  const { symbol, rules, bars, strategy, settings, balance, feeRate } = params;
+  const { baseAsset, quoteAsset } = rules;
+  const maxCycles = params.maxCycles || Infinity;
+
+  if (bars.length === 0) {
+    throw new Error('No klines to replay');
+  }
+
+  const engine = new ExchangeEngine({
+    prices: { [symbol]: bars[0].open },
+    balances: { [quoteAsset]: balance },
+    commissionRate: feeRate
+  });
+  const context = strategies.createContext(strategy, {
+    symbol,
+    rules,
+    dryRun: true,
+    settings: { buyAmount: settings.buyAmount, profit: settings.profit, stopLoss: settings.stopLoss, trailingStop: settings.trailingStop, fees: { buy: feeRate, sell: feeRate } },
+    options: params.options
+  });
+
+  if (strategy.init) {
+    await strategy.init(context);
+  }
+
+  const trades = [];
+  let cycle = 1;
+  let position = null;
+  let balanceExhausted = false;
+  let timeInMarket = 0;
+  let peakEquity = balance;
+  let maxDrawdown = { amount: 0, percent: 0 };
+
+  // Place the exit of the position, computed from a reference price (the buy price, or the current price after a price drop)
+  async function placeExit(referencePrice, time) {
+    const exit = await strategies.getExit(strategy, { symbol, cycle: position.cycle, buyPrice: referencePrice, quantity: position.quantity }, context);
+    const quantity = roundQuantity(rules, position.quantity);
+
+    if (parseFloat(quantity) * parseFloat(exit.price) < rules.minNotional) {
+      throw new Error(`Sell of ${quantity} ${baseAsset} at ${exit.price} is below the minimum order value of ${rules.minNotional} ${quoteAsset}, increase --buyAmount`);
+    }
+
+    const sellParams = buildSellParams(symbol, quantity, exit);
+
+    if (sellParams.type === 'OCO') {
+      const list = engine.placeOrderList(buildOcoParams(sellParams));
+      position.sellOrderIds = list.orders.map(order => order.orderId);
+    } else {
+      position.sellOrderIds = [engine.placeOrder({ ...sellParams, timeInForce: 'GTC' }).orderId];
+    }
+
+    position.oco = sellParams.type === 'OCO';
+    position.sellPrice = exit.price;
+    position.highestPrice = referencePrice;
+    log.debug('Exit placed', { cycle: position.cycle, time, exit });
+  }
+
+  // Close the position if one of its sell orders has been filled
+  async function checkExit() {
+    const filled = position.sellOrderIds
+      .map(orderId => engine.findOrder(symbol, orderId))
+      .find(order => order.status === 'FILLED');
+
+    if (!filled) {
+      return;
+    }
+
+    const fill = summarizeFills(engine.formatOrderResponse(filled));
+    const proceeds = fill.cost - fill.commission;
+    const trade = {
+      cycle: position.cycle,
+      buyTime: new Date(position.buyTime).toISOString(),
+      buyPrice: position.buyPrice,
+      buyCost: position.buyCost,
+      quantity: parseFloat(filled.executedQty),
+      sellTime: new Date(filled.updateTime).toISOString(),
+      sellPrice: fill.price,
+      exitLeg: position.oco ? getExitLeg(filled) : 'LIMIT',
+      proceeds,
+      fees: position.buyFee + fill.commission,
+      profit: proceeds - position.buyCost,
+      priceDropCancels: position.priceDropCancels
+    };
+
+    trades.push(trade);
+    timeInMarket += filled.updateTime - position.buyTime;
+    position = null;
+    cycle++;
+
+    log.debug('Trade closed', { trade });
+    await strategies.notifyFill(strategy, { side: 'SELL', symbol, cycle: trade.cycle, orderId: filled.orderId, price: trade.sellPrice, quantity: trade.quantity, trade }, context);
+  }
+
+  for (const bar of bars) {
+    engine.setPrice(symbol, bar.open, bar.openTime);
+    if (position && position.sellOrderIds) {
+      await checkExit();
+    }
+
+    // A limit sell cancelled on a price drop is placed again for the same quantity
+    if (position && !position.sellOrderIds) {
+      await placeExit(bar.open, bar.openTime);
+    }
+
+    if (!position && !balanceExhausted && cycle <= maxCycles) {
+      const market = { symbol, cycle, price: bar.open, time: bar.openTime };
+
+      if (await strategy.shouldEnter(market, context)) {
+        // A limit entry of a strategy is bought at the bar open like a market entry
+        const entry = await strategies.getEntry(strategy, market, context);
+        let buyOrder;
+
+        try {
+          buyOrder = engine.placeOrder({ symbol, side: 'BUY', type: 'MARKET', quoteOrderQty: entry.quoteOrderQty });
+        } catch (error) {
+          if (!(error instanceof ExchangeEngineError)) {
+            throw error;
+          }
+          console.warn(`No more buys from ${new Date(bar.openTime).toISOString()}: ${error.message}`);
+          balanceExhausted = true;
+        }
+
+        if (buyOrder) {
+          const fill = summarizeFills(buyOrder, baseAsset);
+          position = {
+            cycle,
+            buyTime: bar.openTime,
+            buyPrice: fill.price,
+            buyCost: fill.cost,
+            buyFee: fill.commission * fill.price,
+            quantity: parseFloat(fill.netQuantity.toFixed(8)),
+            priceDropCancels: 0
+          };
+
+          await strategies.notifyFill(strategy, { side: 'BUY', symbol, cycle, orderId: buyOrder.orderId, price: fill.price, quantity: fill.netQuantity, trade: null }, context);
+          await placeExit(fill.price, bar.openTime);
+        }
+      }
+    }
+
+    for (const [low, high] of getBarSegments(bar)) {
+      engine.matchOrders(symbol, low, high, bar.openTime);
+      if (position && position.sellOrderIds) {
+        await checkExit();
+      }
+    }
+    engine.setPrice(symbol, bar.close, bar.closeTime);
+
+    // The price drop rule of trading-loop.js with --priceDropAction reprice, for limit sells only (OCO exits have their stop loss leg)
+    if (position && position.sellOrderIds && !position.oco && settings.priceDrop.enabled) {
+      position.highestPrice = Math.max(position.highestPrice, bar.high);
+      const drop = position.highestPrice - bar.close;
+      const dropPercent = (drop / position.highestPrice) * 100;
+      const absolute = parseFloat(settings.priceDrop.absolute);
+      const percentage = parseFloat(settings.priceDrop.percentage);
+
+      if ((absolute > 0 && drop >= absolute) || (percentage > 0 && dropPercent >= percentage)) {
+        engine.cancelOrder(symbol, position.sellOrderIds[0]);
+        position.sellOrderIds = null;
+        position.sellPrice = null;
+        position.priceDropCancels++;
+        log.debug('Sell cancelled on a price drop', { cycle: position.cycle, highestPrice: position.highestPrice, close: bar.close });
+      }
+    }
+
+    // Mark the account to the close of the bar
+    const equity = getEquity(engine, rules, bar.close);
+    peakEquity = Math.max(peakEquity, equity);
+    if (peakEquity - equity > maxDrawdown.amount) {
+      maxDrawdown = { amount: peakEquity - equity, percent: ((peakEquity - equity) / peakEquity) * 100 };
+    }
+  }
+
+  const lastBar = bars[bars.length - 1];
+  if (position) {
+    timeInMarket += lastBar.closeTime - position.buyTime;
+  }
+
+  return summarizeBacktest({
+    symbol,
+    bars,
+    strategy,
+    balance,
+    feeRate,
+    trades,
+    openPosition: position ? { cycle: position.cycle, buyTime: new Date(position.buyTime).toISOString(), buyPrice: position.buyPrice, quantity: position.quantity, sellPrice: position.sellPrice } : null,
+    endEquity: getEquity(engine, rules, lastBar.close),
+    maxDrawdown,
+    timeInMarket
+  });
+}
+
+/**
+ * Get the value of the simulated account in the quote asset
+ * @param {ExchangeEngine} engine - Exchange engine
+ * @param {Object} rules - Symbol rules
+ * @param {number} price - Price of the base asset
+ * @returns {number} - Free and locked balances, the base asset valued at the price
+ */
+function getEquity(engine, rules, price) {
+  const balances = engine.toJSON().balances;
+  const total = asset => (balances[asset] ? balances[asset].free + balances[asset].locked : 0);
+  return total(rules.quoteAsset) + total(rules.baseAsset) * price;
+}
+
+/**
+ * Build the result of a backtest
+ * @param {Object} data - Trades and account figures collected by runBacktest
+ * @returns {Object} - { symbol, strategy, from, to, bars, startBalance, endEquity, trades, tradeCount,
+ *   wins, losses, winRate, netProfit, fees, returnPercent, maxDrawdown, timeInMarket, openPosition }
+ */
+function summarizeBacktest(data) {
+  const { bars, trades } = data;
+  const from = bars[0].openTime;
+  const to = bars[bars.length - 1].closeTime;
+  const wins = trades.filter(trade => trade.profit > 0).length;
+  const netProfit = trades.reduce((total, trade) => total + trade.profit, 0);
+
+  return {
+    symbol: data.symbol,
+    strategy: data.strategy.name,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    bars: bars.length,
+    feeRate: data.feeRate,
+    startBalance: data.balance,
+    endEquity: data.endEquity,
+    returnPercent: ((data.endEquity - data.balance) / data.balance) * 100,
+    trades,
+    tradeCount: trades.length,
+    wins,
+    losses: trades.length - wins,
+    winRate: trades.length > 0 ? (wins / trades.length) * 100 : 0,
+    netProfit,
+    fees: trades.reduce((total, trade) => total + trade.fees, 0),
+    maxDrawdown: data.maxDrawdown,
+    timeInMarket: {
+      ms: data.timeInMarket,
+      percent: to > from ? (data.timeInMarket / (to - from + 1)) * 100 : 0
+    },
+    openPosition: data.openPosition
+  };
+}
+
+/**
+ * Display the result of a backtest
+ * @param {Object} result - Result from runBacktest
+ * @param {string} quoteAsset - Quote asset (e.g. USDT)
+ */
+function displayBacktest(result, quoteAsset) {
+  console.log(`\nBacktest ${result.symbol} (${result.strategy}), ${result.from} - ${result.to}, ${result.bars} bars`);
+  console.log('-'.repeat(100));
+
+  if (result.trades.length > 0) {
+    console.log(`${'#'.padStart(4)}  ${'Buy time'.padEnd(20)} ${'Buy price'.padStart(14)}  ${'Sell time'.padEnd(20)} ${'Sell price'.padStart(14)}  ${'Exit'.padEnd(13)} ${'Profit'.padStart(12)}`);
+    result.trades.forEach(trade => {
+      console.log(`${String(trade.cycle).padStart(4)}  ${trade.buyTime.slice(0, 19).padEnd(20)} ${trade.buyPrice.toFixed(2).padStart(14)}  ${trade.sellTime.slice(0, 19).padEnd(20)} ${trade.sellPrice.toFixed(2).padStart(14)}  ${trade.exitLeg.padEnd(13)} ${trade.profit.toFixed(4).padStart(12)}${trade.priceDropCancels ? ` (${trade.priceDropCancels}x cancelled on a price drop)` : ''}`);
+    });
+    console.log('-'.repeat(100));
+  } else {
+    console.log('No completed trades');
+  }
+
+  if (result.openPosition) {
+    const open = result.openPosition;
+    const exit = open.sellPrice ? `selling at ${open.sellPrice}` : 'sell cancelled on a price drop';
+    console.log(`Open position:   ${open.quantity} bought at ${open.buyPrice.toFixed(2)} on ${open.buyTime}, ${exit}`);
+  }
+
+  console.log(`Trades:          ${result.tradeCount} (${result.wins} won, ${result.losses} lost)`);
+  console.log(`Win rate:        ${result.winRate.toFixed(2)}%`);
+  console.log(`Net profit:      ${result.netProfit.toFixed(8)} ${quoteAsset} (fees ${result.fees.toFixed(8)} ${quoteAsset} at ${result.feeRate * 100}%)`);
+  console.log(`Account value:   ${result.startBalance} -> ${result.endEquity.toFixed(8)} ${quoteAsset} (${result.returnPercent.toFixed(2)}%)`);
+  console.log(`Max drawdown:    ${result.maxDrawdown.amount.toFixed(8)} ${quoteAsset} (${result.maxDrawdown.percent.toFixed(2)}%)`);
+  console.log(`Time in market:  ${result.timeInMarket.percent.toFixed(2)}% (${(result.timeInMarket.ms / 3600000).toFixed(1)} hours)`);
+}
+
+// Main function
+async function main() {
+  try {
+    const args = parseArgs();
+
+    // Show help if --help flag is provided
+    if (args.help || args.h) {
+      console.log('\nBacktest\n');
+      console.log('Description: Replay historical klines through the trading loop logic and report the result\n');
+      console.log('Usage:');
+      console.log('  node backtest.js --symbol BTCUSDT --interval 1h --start 2026-09-01 --end 2026-10-01 --profitPercent 1.5');
+      console.log('  node backtest.js --symbol BTCUSDT --file klines.json --profitPercent 1.5 --priceDropThresholdPercentage 1.0\n');
+      console.log('Parameters:');
+      console.log('  --symbol          Trading pair symbol (default: BTCUSDT)');
+      console.log('  --interval        Kline interval to download (default: 1h)');
+      console.log(`  --start           Start of the downloaded range, a date or time (default: ${DEFAULT_BARS} intervals before --end)`);
+      console.log('  --end             End of the downloaded range (default: now)');
+      console.log('  --file            Load klines from a JSON or CSV file instead of downloading them');
+      console.log('  --save            Save the downloaded klines to a JSON file for later runs');
+      console.log(`  --balance         Quote currency balance at the start (default: ${DEFAULT_BALANCE})`);
+      console.log(`  --fee             Commission rate per fill (default: ${DEFAULT_FEE_RATE})`);
+      console.log('  --buyAmount       Amount to spend in quote currency for buying (default: 10)');
+      console.log('  --profit, --profitPercent, --stopLoss, --stopLossPercent, --stopLimitOffset,');
+      console.log('  --trailingStop, --trailingPercent, --priceDropThreshold, --priceDropThresholdPercentage,');
+      console.log('  --strategy, --cycles, --config');
+      console.log('                    As in trading-loop.js');
+      console.log('  --json            Print the result as JSON on stdout');
+      return;
+    }
+
+    // Load configuration from file if specified (command line takes precedence)
+    let options = args;
+    if (args.config) {
+      options = { ...JSON.parse(fs.readFileSync(args.config, 'utf8')), ...args };
+      console.log(`Loaded configuration from: ${args.config}`);
+    }
+
+    const symbol = options.symbol || 'BTCUSDT';
+    const interval = options.interval || '1h';
+    const rules = await getSymbolRules(symbol);
+    const settings = { buyAmount: String(options.buyAmount || '10'), ...getExitSettings(options, rules) };
+    const strategy = strategies.loadStrategy(options.strategy || strategies.DEFAULT_STRATEGY);
+
+    let klines;
+    if (options.file) {
+      klines = loadKlines(options.file);
+      console.log(`Loaded ${klines.length} klines from ${options.file}`);
+    } else {
+      const endTime = options.end ? new Date(options.end).getTime() : Date.now();
+      const startTime = options.start ? new Date(options.start).getTime() : endTime - DEFAULT_BARS * parseInterval(interval);
+
+      if (isNaN(startTime) || isNaN(endTime) || startTime >= endTime) {
+        throw new Error('--start and --end must be dates with --start before --end');
+      }
+
+      console.log(`Downloading ${symbol} ${interval} klines from ${new Date(startTime).toISOString()} to ${new Date(endTime).toISOString()}...`);
+      klines = await downloadKlines(symbol, interval, startTime, endTime);
+
+      if (options.save) {
+        fs.writeFileSync(options.save, JSON.stringify(klines));
+        console.log(`Klines saved to: ${path.resolve(options.save)}`);
+      }
+    }
+
+    const bars = klines.map(parseKline).sort((a, b) => a.openTime - b.openTime);
+    log.info('Backtest started', { symbol, bars: bars.length, strategy: strategy.name, settings });
+
+    const result = await runBacktest({
+      symbol,
+      rules,
+      bars,
+      strategy,
+      settings,
+      options,
+      balance: parseFloat(options.balance || DEFAULT_BALANCE),
+      feeRate: parseFloat(options.fee || DEFAULT_FEE_RATE),
+      maxCycles: options.cycles ? parseInt(options.cycles) : Infinity
+    });
+
+    log.info('Backtest completed', { tradeCount: result.tradeCount, netProfit: result.netProfit, winRate: result.winRate, maxDrawdown: result.maxDrawdown });
+
+    if (output.isEnabled()) {
+      output.result(result);
+    } else {
+      displayBacktest(result, rules.quoteAsset);
+    }
+  } catch (error) {
+    log.error('Backtest failed', { error });
+    console.error('An error occurred:', error.message);
+    output.fail(error);
+    process.exit(1);
+  }
+}
+
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  parseKline,
+  loadKlines,
+  downloadKlines,
+  getBarSegments,
+  runBacktest,
+  summarizeBacktest,
+  displayBacktest
+};
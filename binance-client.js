@@ -0,0 +1,572 @@
+/**
+ * Binance REST Client
+ *
+ * This module is the single place where the scripts talk to the Binance
+ * REST API. It takes care of request signing, recvWindow, base URL selection
+ * and error normalization, so every script gets the same behaviour.
+ * With --paper, account and order requests are served by the local paper
+ * account instead (see paper-exchange.js).
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('./config');
+const timeSync = require('./time-sync');
+const rateLimiter = require('./rate-limiter');
+const log = require('./logger').getLogger('binance-client');
+
+// Defaults used when config.js does not override them
+const DEFAULT_BASE_URL = 'https://api.binance.com';
+const DEFAULT_WS_BASE_URL = 'wss://stream.binance.com:9443';
+const DEFAULT_RECV_WINDOW = 5000;
+
+/**
+ * Error thrown for every failed Binance request
+ *
+ * `status` is the HTTP status (undefined for network errors), `code` and
+ * `data` come from the Binance error body when one was returned.
+ */
+class BinanceApiError extends Error {
+  constructor(message, { status, code, endpoint, data } = {}) {
+    super(message);
+    this.name = 'BinanceApiError';
+    this.status = status;
+    this.code = code;
+    this.endpoint = endpoint;
+    this.data = data;
+  }
+}
+
+/**
+ * Get the REST base URL from the configuration
+ * @returns {string} - Base URL without a trailing slash
+ */
+function getBaseUrl() {
+  return (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Get the WebSocket stream base URL
+ *
+ * Uses config.wsBaseUrl when set. Otherwise the public stream host is used for
+ * api.binance.com, and any other REST host (testnet, mock exchange) is assumed
+ * to serve its streams on the same host and port.
+ * @returns {string} - WebSocket base URL without a trailing slash
+ */
+function getWsBaseUrl() {
+  if (config.wsBaseUrl) {
+    return config.wsBaseUrl.replace(/\/+$/, '');
+  }
+
+  const baseUrl = getBaseUrl();
+
+  if (baseUrl === DEFAULT_BASE_URL) {
+    return DEFAULT_WS_BASE_URL;
+  }
+
+  return baseUrl.replace(/^http/, 'ws');
+}
+
+/**
+ * Get the recvWindow sent with signed requests
+ * @returns {number} - recvWindow in milliseconds
+ */
+function getRecvWindow() {
+  return parseInt(config.recvWindow) || DEFAULT_RECV_WINDOW;
+}
+
+/**
+ * Check whether API credentials have been configured
+ * @returns {boolean} - True if both key and secret are set
+ */
+function hasCredentials() {
+  return !!(config.apiKey && config.apiSecret);
+}
+
+/**
+ * Explain why credentials are missing and how to provide them
+ * @returns {string} - Message for the user
+ */
+function getCredentialsMessage() {
+  const reason = config.credentialsError ? ` (${config.credentialsError})` : '';
+
+  return `API credentials are not configured for profile "${config.profile}"${reason}. ` +
+    'Set BINANCE_API_KEY and BINANCE_API_SECRET in the environment or .env, or run "node app.js keys add".';
+}
+
+/**
+ * Check whether account and order requests go to the paper account
+ * @returns {boolean} - True with --paper or BINANCE_PAPER
+ */
+function isPaperTrading() {
+  return !!config.paper;
+}
+
+/**
+ * Sign the request parameters
+ * @param {string} queryString - Query string to sign
+ * @returns {string} - Signature
+ */
+function signRequest(queryString) {
+  return crypto
+    .createHmac('sha256', config.apiSecret)
+    .update(queryString)
+    .digest('hex');
+}
+
+/**
+ * Build a query string, skipping empty parameters
+ * @param {Object} params - Request parameters
+ * @returns {string} - Encoded query string
+ */
+function buildQuery(params) {
+  const query = new URLSearchParams();
+
+  Object.keys(params).forEach(key => {
+    const value = params[key];
+    if (value !== undefined && value !== null && value !== '') {
+      query.append(key, value);
+    }
+  });
+
+  return query.toString();
+}
+
+/**
+ * Convert an axios error into a BinanceApiError
+ * @param {Error} error - Original error
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint
+ * @returns {BinanceApiError} - Normalized error
+ */
+function normalizeError(error, method, endpoint) {
+  const target = `${method.toUpperCase()} ${endpoint}`;
+
+  if (error.response) {
+    const data = error.response.data;
+    const code = data && typeof data.code === 'number' ? data.code : undefined;
+    const msg = data && data.msg ? data.msg : error.message;
+    const prefix = code !== undefined ? `Binance API error ${code}` : `HTTP ${error.response.status}`;
+
+    return new BinanceApiError(`${prefix}: ${msg} (${target})`, {
+      status: error.response.status,
+      code,
+      endpoint,
+      data
+    });
+  }
+
+  return new BinanceApiError(`Network error: ${error.message} (${target})`, { endpoint });
+}
+
+/**
+ * Measure the clock offset against the Binance server
+ * @returns {Promise<Object>} - Time sync state (see time-sync.js)
+ */
+async function syncTime() {
+  return timeSync.sync(getServerTime);
+}
+
+/**
+ * Sync the clock offset if it was never measured or is too old
+ *
+ * A failed sync is not fatal: the previous offset (or none) is kept and the
+ * request is sent anyway.
+ */
+async function ensureTimeSync() {
+  if (config.timeSync === false) {
+    return;
+  }
+
+  const interval = parseInt(config.timeSyncInterval) || timeSync.DEFAULT_SYNC_INTERVAL;
+
+  if (timeSync.needsSync(interval)) {
+    try {
+      await syncTime();
+    } catch (error) {
+      // Keep the old offset, the request itself will report a network problem
+      log.warn('Time sync failed', { error });
+    }
+  }
+}
+
+/**
+ * Send a request to the Binance REST API
+ * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
+ * @param {string} endpoint - API endpoint (e.g. /api/v3/order)
+ * @param {Object} params - Request parameters
+ * @param {Object} options - Request options
+ * @param {boolean} options.signed - Sign the request (adds timestamp and recvWindow)
+ * @param {boolean} options.apiKey - Send the API key header without signing
+ * @param {boolean} options.retried - Set internally when retrying after a -1021 or 429 error
+ * @returns {Promise<Object>} - Response data
+ */
+async function request(method, endpoint, params = {}, options = {}) {
+  const { signed = false, apiKey = false, retried = false } = options;
+  const requestParams = { ...params };
+
+  if (isPaperTrading()) {
+    // Required here because paper-exchange.js uses this module for market data
+    const paperExchange = require('./paper-exchange');
+
+    if (paperExchange.handles(endpoint)) {
+      return paperExchange.request(method, endpoint, params);
+    }
+  }
+
+  if ((signed || apiKey) && !hasCredentials()) {
+    throw new BinanceApiError(getCredentialsMessage(), { endpoint });
+  }
+
+  // Wait for request weight before the timestamp is taken
+  await rateLimiter.schedule(method, endpoint, params);
+
+  if (signed) {
+    await ensureTimeSync();
+    requestParams.recvWindow = requestParams.recvWindow || getRecvWindow();
+    requestParams.timestamp = timeSync.getTimestamp();
+  }
+
+  let queryString = buildQuery(requestParams);
+
+  if (signed) {
+    queryString += `${queryString ? '&' : ''}signature=${signRequest(queryString)}`;
+  }
+
+  const headers = {};
+  if (signed || apiKey) {
+    headers['X-MBX-APIKEY'] = config.apiKey;
+  }
+
+  const url = `${getBaseUrl()}${endpoint}${queryString ? `?${queryString}` : ''}`;
+  const startedAt = Date.now();
+
+  log.debug('Request', { method, endpoint, params, retried });
+
+  try {
+    const response = await axios({ method, url, headers });
+    rateLimiter.update(response.headers);
+    log.debug('Response', { method, endpoint, status: response.status, duration: Date.now() - startedAt });
+    return response.data;
+  } catch (error) {
+    const apiError = normalizeError(error, method, endpoint);
+    log.warn('Request failed', { method, endpoint, params, duration: Date.now() - startedAt, error: apiError });
+
+    if (error.response) {
+      rateLimiter.update(error.response.headers);
+
+      // 429: back off for Retry-After and try once more; 418: IP ban, stop
+      if (error.response.status === 429 || error.response.status === 418) {
+        const limitError = rateLimiter.handleLimitResponse(error.response.status, error.response.headers);
+
+        if (limitError) {
+          log.error('Trading halted', { error: limitError });
+          throw limitError;
+        }
+
+        if (!retried) {
+          log.warn('Rate limited, retrying after backoff', { method, endpoint });
+          return request(method, endpoint, params, { ...options, retried: true });
+        }
+      }
+    }
+
+    // Timestamp outside of recvWindow: the clock drifted, resync and retry once
+    if (signed && apiError.code === -1021 && !retried) {
+      log.warn('Timestamp outside of recvWindow, resyncing clock', { method, endpoint });
+      try {
+        await syncTime();
+      } catch (syncError) {
+        throw apiError;
+      }
+      return request(method, endpoint, params, { ...options, retried: true });
+    }
+
+    throw apiError;
+  }
+}
+
+/**
+ * Get the Binance server time
+ * @returns {Promise<number>} - Server time in milliseconds
+ */
+async function getServerTime() {
+  const data = await request('GET', '/api/v3/time');
+  return data.serverTime;
+}
+
+/**
+ * Get exchange information
+ * @param {string} symbol - Trading pair symbol (optional, all symbols if omitted)
+ * @returns {Promise<Object>} - Exchange information
+ */
+async function getExchangeInfo(symbol) {
+  return request('GET', '/api/v3/exchangeInfo', { symbol });
+}
+
+/**
+ * Get the current price for a symbol
+ * @param {string} symbol - Trading pair symbol
+ * @returns {Promise<number>} - Current price
+ */
+async function getPrice(symbol) {
+  const data = await request('GET', '/api/v3/ticker/price', { symbol });
+
+  if (!data || data.price === undefined) {
+    throw new BinanceApiError(`No price returned for ${symbol}`, { endpoint: '/api/v3/ticker/price' });
+  }
+
+  return parseFloat(data.price);
+}
+
+/**
+ * Get the weighted average price of a symbol (used by the PERCENT_PRICE filters)
+ * @param {string} symbol - Trading pair symbol
+ * @returns {Promise<number>} - Average price over the last minutes
+ */
+async function getAvgPrice(symbol) {
+  const data = await request('GET', '/api/v3/avgPrice', { symbol });
+  return parseFloat(data.price);
+}
+
+/**
+ * Get current prices for all trading pairs
+ * @returns {Promise<Array>} - List of { symbol, price } entries
+ */
+async function getAllPrices() {
+  return request('GET', '/api/v3/ticker/price');
+}
+
+/**
+ * Get historical klines (candlestick data)
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} interval - Kline interval (e.g., 1h, 4h, 1d)
+ * @param {number} limit - Number of klines to fetch
+ * @param {Object} range - Optional { startTime, endTime } in milliseconds
+ * @returns {Promise<Array>} - Kline data
+ */
+async function getKlines(symbol, interval = '1h', limit = 24, range = {}) {
+  return request('GET', '/api/v3/klines', {
+    symbol,
+    interval,
+    limit,
+    startTime: range.startTime,
+    endTime: range.endTime
+  });
+}
+
+/**
+ * Get market depth for a symbol
+ * @param {string} symbol - Trading pair symbol
+ * @param {number} limit - Depth limit
+ * @returns {Promise<Object>} - Order book with bids and asks
+ */
+async function getDepth(symbol, limit = 20) {
+  return request('GET', '/api/v3/depth', { symbol, limit });
+}
+
+/**
+ * Get account information including balances
+ * @returns {Promise<Object>} - Account information
+ */
+async function getAccount() {
+  return request('GET', '/api/v3/account', {}, { signed: true });
+}
+
+/**
+ * Get information about a specific order
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} orderId - Order ID (optional if clientOrderId is provided)
+ * @param {string} clientOrderId - Client order ID (optional if orderId is provided)
+ * @returns {Promise<Object>} - Order information
+ */
+async function getOrder(symbol, orderId, clientOrderId) {
+  if (!symbol) {
+    throw new Error('Symbol is required');
+  }
+
+  if (!orderId && !clientOrderId) {
+    throw new Error('Either orderId or clientOrderId is required');
+  }
+
+  return request('GET', '/api/v3/order', {
+    symbol,
+    orderId,
+    origClientOrderId: clientOrderId
+  }, { signed: true });
+}
+
+/**
+ * Create a new order
+ * @param {Object} params - Order parameters as expected by POST /api/v3/order
+ * @returns {Promise<Object>} - Order information
+ */
+async function createOrder(params) {
+  if (!params.symbol || !params.side || !params.type) {
+    throw new Error('Symbol, side and type are required');
+  }
+
+  return request('POST', '/api/v3/order', {
+    newOrderRespType: 'FULL',
+    ...params
+  }, { signed: true });
+}
+
+/**
+ * Cancel an order
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} orderId - Order ID (optional if clientOrderId is provided)
+ * @param {string} clientOrderId - Client order ID (optional if orderId is provided)
+ * @returns {Promise<Object>} - Cancellation response
+ */
+async function cancelOrder(symbol, orderId, clientOrderId) {
+  if (!symbol) {
+    throw new Error('Symbol is required');
+  }
+
+  if (!orderId && !clientOrderId) {
+    throw new Error('Either orderId or clientOrderId is required');
+  }
+
+  return request('DELETE', '/api/v3/order', {
+    symbol,
+    orderId,
+    origClientOrderId: clientOrderId
+  }, { signed: true });
+}
+
+/**
+ * Create a one-cancels-the-other order list
+ * @param {Object} params - Parameters as expected by POST /api/v3/orderList/oco
+ *   (symbol, side, quantity, aboveType, abovePrice, aboveStopPrice, belowType, ...)
+ * @returns {Promise<Object>} - Order list with the reports of both orders
+ */
+async function createOcoOrder(params) {
+  if (!params.symbol || !params.side || !params.aboveType || !params.belowType) {
+    throw new Error('Symbol, side, aboveType and belowType are required');
+  }
+
+  return request('POST', '/api/v3/orderList/oco', {
+    newOrderRespType: 'FULL',
+    ...params
+  }, { signed: true });
+}
+
+/**
+ * Get information about an order list
+ * @param {string} orderListId - Order list ID (optional if listClientOrderId is provided)
+ * @param {string} listClientOrderId - List client order ID (optional if orderListId is provided)
+ * @returns {Promise<Object>} - Order list with the IDs of its orders
+ */
+async function getOrderList(orderListId, listClientOrderId) {
+  if (!orderListId && !listClientOrderId) {
+    throw new Error('Either orderListId or listClientOrderId is required');
+  }
+
+  return request('GET', '/api/v3/orderList', {
+    orderListId,
+    origClientOrderId: listClientOrderId
+  }, { signed: true });
+}
+
+/**
+ * Cancel all orders of an order list
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} orderListId - Order list ID (optional if listClientOrderId is provided)
+ * @param {string} listClientOrderId - List client order ID (optional if orderListId is provided)
+ * @returns {Promise<Object>} - Order list with the reports of the canceled orders
+ */
+async function cancelOrderList(symbol, orderListId, listClientOrderId) {
+  if (!symbol) {
+    throw new Error('Symbol is required');
+  }
+
+  if (!orderListId && !listClientOrderId) {
+    throw new Error('Either orderListId or listClientOrderId is required');
+  }
+
+  return request('DELETE', '/api/v3/orderList', {
+    symbol,
+    orderListId,
+    listClientOrderId
+  }, { signed: true });
+}
+
+/**
+ * Get all open orders
+ * @param {string} symbol - Trading pair symbol (optional)
+ * @returns {Promise<Array>} - List of open orders
+ */
+async function getOpenOrders(symbol) {
+  return request('GET', '/api/v3/openOrders', { symbol }, { signed: true });
+}
+
+/**
+ * Get all orders (open, canceled and filled) for a symbol
+ * @param {Object} params - { symbol, startTime, endTime, limit }
+ * @returns {Promise<Array>} - List of orders
+ */
+async function getAllOrders(params) {
+  return request('GET', '/api/v3/allOrders', params, { signed: true });
+}
+
+/**
+ * Get the trades (fills) of an account for a symbol
+ * @param {string} symbol - Trading pair symbol
+ * @param {Object} params - { orderId, startTime, endTime, fromId, limit } (optional)
+ * @returns {Promise<Array>} - Trades with price, qty, quoteQty, commission and commissionAsset
+ */
+async function getMyTrades(symbol, params = {}) {
+  return request('GET', '/api/v3/myTrades', { symbol, ...params }, { signed: true });
+}
+
+/**
+ * Get a listen key for the user data stream
+ * @returns {Promise<string>} - Listen key
+ */
+async function createListenKey() {
+  const data = await request('POST', '/api/v3/userDataStream', {}, { apiKey: true });
+  return data.listenKey;
+}
+
+/**
+ * Keep a listen key alive
+ * @param {string} listenKey - Listen key to keep alive
+ * @returns {Promise<Object>} - Empty response
+ */
+async function keepAliveListenKey(listenKey) {
+  return request('PUT', '/api/v3/userDataStream', { listenKey }, { apiKey: true });
+}
+
+module.exports = {
+  BinanceApiError,
+  RateLimitError: rateLimiter.RateLimitError,
+  getBaseUrl,
+  getRecvWindow,
+  getWsBaseUrl,
+  hasCredentials,
+  getCredentialsMessage,
+  isPaperTrading,
+  signRequest,
+  request,
+  syncTime,
+  getServerTime,
+  getExchangeInfo,
+  getPrice,
+  getAvgPrice,
+  getAllPrices,
+  getKlines,
+  getDepth,
+  getAccount,
+  getOrder,
+  createOrder,
+  cancelOrder,
+  createOcoOrder,
+  getOrderList,
+  cancelOrderList,
+  getOpenOrders,
+  getAllOrders,
+  getMyTrades,
+  createListenKey,
+  keepAliveListenKey
+};
@@ -2,13 +2,18 @@
  * Shared Binance API Configuration
  * This file contains configuration settings for Binance API access
  * to be shared across multiple scripts.
+ *
+ * API keys are not stored here. They are read from environment variables,
+ * a .env file or the encrypted keystore (node app.js keys add), and the
+ * REST and WebSocket URLs come from the selected profile
+ * (--profile mainnet|testnet|mock or BINANCE_PROFILE), see credentials.js.
  */
 
-// Configuration - replace with your API keys
-const config = {
-  apiKey: 'u90jMXq1a4OCalodkZD2py1Yl0NRqzNsSGKSShC5ig6gUWJ4LHyyXQtghkTeMTFp',
-  apiSecret: '46RvOdUGVJG87bJJpli5eajWWW3Pr75w7nQi2MGFkVsVN2uO6u5YFz6Rmr3XsGBp',
-  baseUrl: 'https://api.binance.com'
-};
+const { resolveConfig } = require('./credentials');
+
+// Settings shared by all profiles
+const config = resolveConfig({
+  recvWindow: 5000
+});
 
 module.exports = config;
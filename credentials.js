@@ -0,0 +1,290 @@
+/**
+ * Credentials
+ *
+ * This module selects the Binance environment (profile) and finds the API
+ * key for it, so no key has to be written into config.js. Credentials are
+ * taken from the first source that has them:
+ *
+ *   1. BINANCE_<PROFILE>_API_KEY / BINANCE_<PROFILE>_API_SECRET
+ *   2. The keys built into the profile (the mock exchange's)
+ *   3. The encrypted keystore (see keystore.js), unlocked with
+ *      BINANCE_KEYSTORE_PASSPHRASE
+ *   4. BINANCE_API_KEY / BINANCE_API_SECRET, for mainnet only, so real keys
+ *      are never sent to the testnet or a local mock
+ *
+ * Variables can be set in the environment or in a git-ignored .env file;
+ * the environment wins over .env. For any profile but mainnet the chosen
+ * source is printed on stderr.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const keystore = require('./keystore');
+const logger = require('./logger');
+
+// Path of the .env file next to the scripts
+const ENV_FILE = path.join(__dirname, '.env');
+
+// Profile used when neither --profile nor BINANCE_PROFILE is given
+const DEFAULT_PROFILE = 'mainnet';
+
+// Built-in profiles with consistent REST and WebSocket base URLs
+const PROFILES = {
+  mainnet: {
+    baseUrl: 'https://api.binance.com',
+    wsBaseUrl: 'wss://stream.binance.com:9443'
+  },
+  testnet: {
+    baseUrl: 'https://testnet.binance.vision',
+    wsBaseUrl: 'wss://stream.testnet.binance.vision'
+  },
+  mock: {
+    baseUrl: 'http://localhost:8765',
+    wsBaseUrl: 'ws://localhost:8765',
+    // The mock exchange accepts any key and signature
+    apiKey: 'mock',
+    apiSecret: 'mock'
+  }
+};
+
+// Variables loaded from the .env file (not set in the environment)
+const fromEnvFile = new Set();
+
+/**
+ * Parse the contents of a .env file
+ * @param {string} content - File contents
+ * @returns {Object} - Variables (KEY=value, # comments, optional quotes and "export ")
+ */
+function parseEnv(content) {
+  const variables = {};
+
+  content.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) {
+      return;
+    }
+
+    const quoted = match[2].match(/^(['"])(.*)\1(?:\s+#.*)?$/);
+    variables[match[1]] = quoted ? quoted[2] : match[2].replace(/\s+#.*$/, '');
+  });
+
+  return variables;
+}
+
+/**
+ * Load a .env file into process.env without overriding existing variables
+ * @param {string} filePath - Path of the .env file
+ * @returns {Array<string>} - Names of the variables that were loaded
+ */
+function loadEnvFile(filePath = ENV_FILE) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const variables = parseEnv(fs.readFileSync(filePath, 'utf8'));
+  const loaded = [];
+
+  Object.keys(variables).forEach(name => {
+    if (process.env[name] === undefined) {
+      process.env[name] = variables[name];
+      fromEnvFile.add(name);
+      loaded.push(name);
+    }
+  });
+
+  return loaded;
+}
+
+/**
+ * Get the selected profile name
+ *
+ * The global --profile flag (or --profile=name) wins over BINANCE_PROFILE.
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {string} - Profile name
+ */
+function getProfileName(argv = process.argv) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--profile' && argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith('--profile=')) {
+      return argv[i].slice('--profile='.length);
+    }
+  }
+
+  return process.env.BINANCE_PROFILE || DEFAULT_PROFILE;
+}
+
+/**
+ * Check whether the paper trading account is selected
+ *
+ * The global --paper flag or BINANCE_PAPER=1 sends account and order requests
+ * to the local paper account (see paper-exchange.js) instead of the exchange.
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {boolean} - True for paper trading
+ */
+function isPaperMode(argv = process.argv) {
+  if (argv.includes('--paper')) {
+    return true;
+  }
+
+  return ['1', 'true', 'yes'].includes(String(process.env.BINANCE_PAPER || '').toLowerCase());
+}
+
+/**
+ * Get a profile by name
+ * @param {string} name - Profile name
+ * @param {Object} customProfiles - Additional profiles from config.js
+ * @returns {Object} - Profile { name, baseUrl, wsBaseUrl, ... }
+ */
+function getProfile(name, customProfiles = {}) {
+  const profiles = { ...PROFILES, ...customProfiles };
+
+  if (!profiles[name]) {
+    throw new Error(`Unknown profile "${name}". Available profiles: ${Object.keys(profiles).join(', ')}`);
+  }
+
+  return { name, ...profiles[name] };
+}
+
+/**
+ * Describe where an environment variable came from
+ * @param {string} name - Variable name
+ * @returns {string} - '.env' or 'environment'
+ */
+function describeSource(name) {
+  return fromEnvFile.has(name) ? '.env' : 'environment';
+}
+
+/**
+ * Read a key pair from environment variables
+ * @param {string} namePrefix - Variable prefix, e.g. BINANCE_TESTNET_
+ * @returns {Object|null} - { apiKey, apiSecret, source, variable }, null when either is not set
+ */
+function getEnvCredentials(namePrefix) {
+  const apiKey = process.env[`${namePrefix}API_KEY`];
+  const apiSecret = process.env[`${namePrefix}API_SECRET`];
+
+  if (!apiKey || !apiSecret) {
+    return null;
+  }
+
+  return { apiKey, apiSecret, source: describeSource(`${namePrefix}API_KEY`), variable: `${namePrefix}API_KEY` };
+}
+
+/**
+ * Find the API credentials for a profile
+ * @param {Object} profile - Profile from getProfile
+ * @returns {Object} - { apiKey, apiSecret, source, variable, error }
+ */
+function resolveCredentials(profile) {
+  const profileCredentials = getEnvCredentials(`BINANCE_${profile.name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`);
+
+  if (profileCredentials) {
+    return profileCredentials;
+  }
+
+  if (profile.apiKey && profile.apiSecret) {
+    return { apiKey: profile.apiKey, apiSecret: profile.apiSecret, source: 'profile' };
+  }
+
+  if (keystore.hasEntry(profile.name)) {
+    const passphrase = process.env.BINANCE_KEYSTORE_PASSPHRASE;
+
+    if (!passphrase) {
+      return { source: 'keystore', error: `keystore entry "${profile.name}" is locked, set BINANCE_KEYSTORE_PASSPHRASE` };
+    }
+
+    try {
+      return { ...keystore.getCredentials(profile.name, passphrase), source: 'keystore' };
+    } catch (error) {
+      return { source: 'keystore', error: error.message };
+    }
+  }
+
+  // The generic names usually hold the real keys, they must not reach another environment
+  if (profile.name === DEFAULT_PROFILE) {
+    const credentials = getEnvCredentials('BINANCE_');
+
+    if (credentials) {
+      return credentials;
+    }
+  }
+
+  return { source: null };
+}
+
+/**
+ * Describe the credentials chosen for a profile
+ * @param {Object} profile - Profile from getProfile
+ * @param {Object} credentials - Result of resolveCredentials
+ * @returns {string} - e.g. 'Profile testnet: API credentials from BINANCE_TESTNET_API_KEY (.env)'
+ */
+function describeCredentials(profile, credentials) {
+  if (credentials.variable) {
+    return `Profile ${profile.name}: API credentials from ${credentials.variable} (${credentials.source})`;
+  }
+
+  if (credentials.source === 'profile') {
+    return `Profile ${profile.name}: built-in API credentials of the profile`;
+  }
+
+  if (credentials.source === 'keystore') {
+    return `Profile ${profile.name}: API credentials from the keystore${credentials.error ? ` (${credentials.error})` : ''}`;
+  }
+
+  const genericKey = process.env.BINANCE_API_KEY ? ', BINANCE_API_KEY is only used for mainnet' : '';
+  return `Profile ${profile.name}: no API credentials${genericKey}`;
+}
+
+/**
+ * Build the configuration for the selected profile
+ * @param {Object} settings - Settings from config.js (recvWindow, rateLimits, profiles, ...)
+ * @returns {Object} - Settings with profile, baseUrl, wsBaseUrl, apiKey and apiSecret
+ */
+function resolveConfig(settings = {}) {
+  loadEnvFile();
+
+  const { profiles, ...rest } = settings;
+  const profile = getProfile(getProfileName(), profiles);
+  const paper = isPaperMode();
+  const credentials = resolveCredentials(profile);
+
+  // stderr, so the --json output stays clean
+  if (profile.name !== DEFAULT_PROFILE) {
+    console.error(describeCredentials(profile, credentials));
+  }
+
+  // Keep the secrets out of the log files
+  logger.addSecret(credentials.apiKey);
+  logger.addSecret(credentials.apiSecret);
+  logger.addSecret(process.env.BINANCE_KEYSTORE_PASSPHRASE);
+
+  return {
+    ...rest,
+    // Bot state of the paper account is kept apart from the real account
+    profile: paper ? `${profile.name}-paper` : profile.name,
+    marketProfile: profile.name,
+    paper,
+    baseUrl: profile.baseUrl,
+    wsBaseUrl: profile.wsBaseUrl,
+    apiKey: credentials.apiKey,
+    apiSecret: credentials.apiSecret,
+    credentialsSource: credentials.source,
+    credentialsError: credentials.error
+  };
+}
+
+module.exports = {
+  PROFILES,
+  DEFAULT_PROFILE,
+  ENV_FILE,
+  parseEnv,
+  loadEnvFile,
+  getProfileName,
+  isPaperMode,
+  getProfile,
+  resolveCredentials,
+  describeCredentials,
+  resolveConfig
+};
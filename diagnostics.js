@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * Diagnostics
+ *
+ * This script checks the connection to the Binance API: configuration,
+ * latency, the drift between the local clock and the server clock, and
+ * whether signed requests are accepted.
+ *
+ * Usage:
+ *   node diagnostics.js
+ *   node diagnostics.js --samples 10
+ */
+
+const config = require('./config');
+const client = require('./binance-client');
+const timeSync = require('./time-sync');
+const rateLimiter = require('./rate-limiter');
+const output = require('./output');
+const logger = require('./logger');
+
+// Parse command line arguments
+function parseArgs() {
+  const args = {};
+  process.argv.slice(2).forEach((arg, i, argv) => {
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[i + 1] : true;
+      args[key] = value;
+    }
+  });
+  return args;
+}
+
+/**
+ * Measure the clock offset several times
+ * @param {number} samples - Number of measurements
+ * @returns {Promise<Array>} - List of { offset, roundTrip } measurements
+ */
+async function measureClockDrift(samples) {
+  const measurements = [];
+
+  for (let i = 0; i < samples; i++) {
+    const result = await client.syncTime();
+    measurements.push({ offset: result.offset, roundTrip: result.roundTrip });
+  }
+
+  // Keep the offset of the fastest round trip, it is the most accurate one
+  const best = measurements.reduce((a, b) => (b.roundTrip < a.roundTrip ? b : a));
+  await client.syncTime();
+
+  return { measurements, best };
+}
+
+/**
+ * Run all diagnostic checks
+ * @param {Object} options - { samples }
+ * @returns {Promise<Object>} - Results of the checks
+ */
+async function runDiagnostics(options = {}) {
+  const samples = Math.max(1, parseInt(options.samples) || 5);
+  const recvWindow = client.getRecvWindow();
+  const results = {
+    profile: config.profile,
+    baseUrl: client.getBaseUrl(),
+    wsBaseUrl: client.getWsBaseUrl(),
+    recvWindow,
+    credentials: client.hasCredentials(),
+    credentialsSource: config.credentialsSource,
+    credentialsError: config.credentialsError,
+    ok: true
+  };
+
+  if (results.credentialsError) {
+    results.ok = false;
+  }
+
+  // Connectivity
+  try {
+    const start = Date.now();
+    await client.request('GET', '/api/v3/ping');
+    results.latency = Date.now() - start;
+  } catch (error) {
+    results.ok = false;
+    results.connectivityError = error.message;
+    return results;
+  }
+
+  // Clock drift
+  try {
+    const { measurements, best } = await measureClockDrift(samples);
+    const offsets = measurements.map(m => m.offset);
+
+    results.clock = {
+      samples: measurements.length,
+      offset: timeSync.getOffset(),
+      minOffset: Math.min(...offsets),
+      maxOffset: Math.max(...offsets),
+      bestRoundTrip: best.roundTrip
+    };
+
+    // Without the offset correction a drift of more than the recvWindow
+    // (or a clock more than 1 second ahead) would be rejected with -1021
+    results.clock.withinRecvWindow = results.clock.offset > -1000 && results.clock.offset < recvWindow;
+  } catch (error) {
+    results.ok = false;
+    results.clockError = error.message;
+  }
+
+  // Signed request
+  if (results.credentials) {
+    try {
+      await client.getAccount();
+      results.signedRequest = 'OK';
+    } catch (error) {
+      results.ok = false;
+      results.signedRequest = error.message;
+    }
+  }
+
+  results.rateLimit = rateLimiter.getState();
+
+  return results;
+}
+
+/**
+ * Display diagnostic results
+ * @param {Object} results - Results from runDiagnostics
+ */
+function displayDiagnostics(results) {
+  console.log('\nBinance API Diagnostics');
+  console.log('--------------------------------------------------');
+  console.log(`Profile:            ${results.profile}`);
+  console.log(`REST base URL:      ${results.baseUrl}`);
+  console.log(`WebSocket base URL: ${results.wsBaseUrl}`);
+  console.log(`recvWindow:         ${results.recvWindow} ms`);
+  if (results.credentialsError) {
+    console.log(`API credentials:    FAILED: ${results.credentialsError}`);
+  } else {
+    console.log(`API credentials:    ${results.credentials ? `configured (${results.credentialsSource})` : 'not configured'}`);
+  }
+
+  console.log('\nConnectivity:');
+  if (results.connectivityError) {
+    console.log(`  FAILED: ${results.connectivityError}`);
+    return;
+  }
+  console.log(`  Ping latency:     ${results.latency} ms`);
+
+  console.log('\nClock:');
+  if (results.clockError) {
+    console.log(`  FAILED: ${results.clockError}`);
+  } else {
+    const clock = results.clock;
+    const direction = clock.offset >= 0 ? 'behind' : 'ahead of';
+
+    console.log(`  Offset:           ${clock.offset} ms (local clock is ${Math.abs(clock.offset)} ms ${direction} the server)`);
+    console.log(`  Offset range:     ${clock.minOffset} .. ${clock.maxOffset} ms over ${clock.samples} samples`);
+    console.log(`  Best round trip:  ${clock.bestRoundTrip} ms`);
+
+    if (clock.withinRecvWindow) {
+      console.log('  Drift is within the recvWindow.');
+    } else {
+      console.log('  WARNING: drift exceeds the recvWindow. Signed requests work only because');
+      console.log('  the offset is applied; consider synchronizing the system clock (NTP).');
+    }
+  }
+
+  if (results.credentials) {
+    console.log('\nSigned request:');
+    console.log(`  ${results.signedRequest === 'OK' ? 'OK (GET /api/v3/account)' : `FAILED: ${results.signedRequest}`}`);
+  }
+
+  if (results.rateLimit) {
+    const rateLimit = results.rateLimit;
+
+    console.log('\nRate limits:');
+    console.log(`  Request weight:   ${rateLimit.usedWeight} / ${rateLimit.limits.weightPerMinute} per minute`);
+    console.log(`  Orders:           ${rateLimit.orders10s} / ${rateLimit.limits.ordersPer10s} per 10 seconds`);
+
+    if (rateLimit.bannedUntil) {
+      console.log(`  IP BANNED until ${new Date(rateLimit.bannedUntil).toISOString()}, trading is halted`);
+    }
+  }
+
+  console.log(`\nOverall: ${results.ok ? 'OK' : 'PROBLEMS FOUND'}`);
+}
+
+// Main function
+async function main() {
+  try {
+    const args = parseArgs();
+
+    // Show help if --help flag is provided
+    if (args.help || args.h) {
+      console.log('\nDiagnostics\n');
+      console.log('Description: Check connectivity, clock drift and signed requests against the Binance API\n');
+      console.log('Usage:');
+      console.log('  node diagnostics.js');
+      console.log('  node diagnostics.js --samples 10\n');
+      console.log('Parameters:');
+      console.log('  --samples         Number of server time measurements (default: 5)');
+      console.log('  --json            Print the results as JSON on stdout');
+      return;
+    }
+
+    const results = await runDiagnostics({ samples: args.samples });
+    
+    if (output.isEnabled()) {
+      output.result(results);
+    } else {
+      displayDiagnostics(results);
+    }
+
+    if (!results.ok) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('An error occurred:', error.message);
+    output.fail(error);
+    process.exit(1);
+  }
+}
+
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  measureClockDrift,
+  runDiagnostics,
+  displayDiagnostics
+};
@@ -0,0 +1,516 @@
+/**
+ * Entry Conditions
+ *
+ * A rule expression that has to be true before trading-loop.js buys, set
+ * with --entryConditions or "entryConditions" in the config file, e.g.
+ *
+ *   rsi(14) < 30 and price < ema(50)
+ *   price <= bb_lower(20, 2) or volume24h > 5000000
+ *
+ * The expression is parsed by a small recursive descent parser (it is never
+ * run as JavaScript) and evaluated against the closed klines of the symbol
+ * in the --conditionsInterval (default: 1h).
+ *
+ *   Variables:  price (current price), open, high, low, close and volume (quote
+ *               volume) of the last closed kline, volume24h (quote volume of the
+ *               last 24 hourly klines)
+ *   Functions:  rsi(period = 14), sma(period), ema(period), bb_upper(period = 20, deviations = 2),
+ *               bb_middle(period = 20), bb_lower(period = 20, deviations = 2)
+ *   Operators:  + - * /, < <= > >= == !=, and (&&), or (||), not (!), parentheses
+ *
+ * A config file may also give a list of expressions, all of which have to be true.
+ */
+
+const client = require('./binance-client');
+const indicators = require('./indicators');
+
+// Intervals Binance serves klines for
+const KLINE_INTERVALS = ['1s', '1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w', '1M'];
+
+// Interval used when --conditionsInterval is not given
+const DEFAULT_INTERVAL = '1h';
+
+// Binance returns at most 1000 klines per request
+const MAX_KLINES = 1000;
+
+// Longest indicator period
+const MAX_PERIOD = 500;
+
+// Smoothed indicators (EMA, RSI) get this many periods of klines before the last one to settle
+const WARMUP_PERIODS = 3;
+
+// Variables: how to read them from the evaluation data
+const VARIABLES = {
+  price: data => data.price,
+  open: data => data.last && data.last.open,
+  high: data => data.last && data.last.high,
+  low: data => data.last && data.last.low,
+  close: data => data.last && data.last.close,
+  volume: data => data.last && data.last.volume,
+  volume24h: data => data.volume24h
+};
+
+// Functions: default arguments, klines needed and the calculation from the closing prices
+const FUNCTIONS = {
+  rsi: {
+    defaults: [14],
+    klines: ([period]) => period * (WARMUP_PERIODS + 1) + 1,
+    calculate: (closes, [period]) => indicators.rsi(closes, period)
+  },
+  sma: {
+    defaults: [null],
+    klines: ([period]) => period,
+    calculate: (closes, [period]) => indicators.sma(closes, period)
+  },
+  ema: {
+    defaults: [null],
+    klines: ([period]) => period * (WARMUP_PERIODS + 1),
+    calculate: (closes, [period]) => indicators.ema(closes, period)
+  },
+  bb_upper: {
+    defaults: [20, 2],
+    klines: ([period]) => period,
+    calculate: (closes, [period, deviations]) => band(indicators.bollinger(closes, period, deviations), 'upper')
+  },
+  bb_middle: {
+    defaults: [20],
+    klines: ([period]) => period,
+    calculate: (closes, [period]) => indicators.sma(closes, period)
+  },
+  bb_lower: {
+    defaults: [20, 2],
+    klines: ([period]) => period,
+    calculate: (closes, [period, deviations]) => band(indicators.bollinger(closes, period, deviations), 'lower')
+  }
+};
+
+const COMPARISONS = ['<', '<=', '>', '>=', '==', '!='];
+
+/**
+ * Error thrown for an expression that cannot be parsed
+ */
+class EntryConditionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EntryConditionError';
+  }
+}
+
+/**
+ * Read one band of bollinger bands
+ * @param {Object|null} bands - Result of indicators.bollinger
+ * @param {string} name - 'upper' or 'lower'
+ * @returns {number|null} - Band value
+ */
+function band(bands, name) {
+  return bands ? bands[name] : null;
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} expression - Rule expression
+ * @returns {Array<Object>} - Tokens { type: 'number', 'name' or 'operator', value, position }
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|==|!=|&&|\|\||[<>!+\-*/(),]))/y;
+  let position = 0;
+
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.slice(position))) {
+      break;
+    }
+
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+
+    if (!match) {
+      const start = position + expression.slice(position).search(/\S/);
+      throw new EntryConditionError(`Unexpected "${expression[start]}" at position ${start + 1} of "${expression}"`);
+    }
+
+    const start = match.index + match[0].search(/\S/);
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(match[1]), position: start });
+    } else if (match[2] !== undefined) {
+      const word = match[2].toLowerCase();
+      const keywords = { and: '&&', or: '||', not: '!' };
+      tokens.push(keywords[word] ? { type: 'operator', value: keywords[word], position: start } : { type: 'name', value: word, position: start });
+    } else {
+      tokens.push({ type: 'operator', value: match[3], position: start });
+    }
+
+    position = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse tokens into a syntax tree
+ *
+ * Every node is typed as 'number' or 'boolean', so "rsi(14) and 30" or a
+ * comparison of two comparisons fail while parsing instead of at the entry.
+ * @param {Array<Object>} tokens - Tokens from tokenize
+ * @param {string} expression - Expression, for error messages
+ * @returns {Object} - Root node
+ */
+function parseTokens(tokens, expression) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (...values) => peek() && peek().type === 'operator' && values.includes(peek().value);
+  const fail = (message, token = peek()) => {
+    const where = token ? `at position ${token.position + 1}` : 'at the end';
+    throw new EntryConditionError(`${message} ${where} of "${expression}"`);
+  };
+  const expect = (node, type, token) => {
+    if (node.type !== type) {
+      fail(type === 'number' ? 'Expected a number, indicator or variable' : 'Expected a condition', token);
+    }
+    return node;
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isOperator('||')) {
+      const token = tokens[index++];
+      node = { kind: 'logical', op: 'or', type: 'boolean', left: expect(node, 'boolean', token), right: expect(parseAnd(), 'boolean', token) };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseNot();
+    while (isOperator('&&')) {
+      const token = tokens[index++];
+      node = { kind: 'logical', op: 'and', type: 'boolean', left: expect(node, 'boolean', token), right: expect(parseNot(), 'boolean', token) };
+    }
+    return node;
+  }
+
+  function parseNot() {
+    if (isOperator('!')) {
+      const token = tokens[index++];
+      return { kind: 'not', type: 'boolean', operand: expect(parseNot(), 'boolean', token) };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const node = parseSum();
+    if (isOperator(...COMPARISONS)) {
+      const token = tokens[index++];
+      return { kind: 'compare', op: token.value, type: 'boolean', left: expect(node, 'number', token), right: expect(parseSum(), 'number', token) };
+    }
+    return node;
+  }
+
+  function parseSum() {
+    let node = parseProduct();
+    while (isOperator('+', '-')) {
+      const token = tokens[index++];
+      node = { kind: 'arithmetic', op: token.value, type: 'number', left: expect(node, 'number', token), right: expect(parseProduct(), 'number', token) };
+    }
+    return node;
+  }
+
+  function parseProduct() {
+    let node = parseUnary();
+    while (isOperator('*', '/')) {
+      const token = tokens[index++];
+      node = { kind: 'arithmetic', op: token.value, type: 'number', left: expect(node, 'number', token), right: expect(parseUnary(), 'number', token) };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOperator('-')) {
+      const token = tokens[index++];
+      return { kind: 'negate', type: 'number', operand: expect(parseUnary(), 'number', token) };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+
+    if (!token) {
+      fail('Incomplete expression');
+    }
+
+    if (token.type === 'number') {
+      index++;
+      return { kind: 'number', type: 'number', value: token.value };
+    }
+
+    if (isOperator('(')) {
+      index++;
+      const node = parseOr();
+      if (!isOperator(')')) {
+        fail('Expected ")"');
+      }
+      index++;
+      return node;
+    }
+
+    if (token.type === 'name') {
+      index++;
+      return isOperator('(') ? parseCall(token) : parseVariable(token);
+    }
+
+    fail(`Unexpected "${token.value}"`);
+  }
+
+  function parseVariable(token) {
+    if (!VARIABLES[token.value]) {
+      fail(`Unknown variable "${token.value}" (use ${Object.keys(VARIABLES).join(', ')})`, token);
+    }
+    return { kind: 'variable', type: 'number', name: token.value };
+  }
+
+  function parseCall(token) {
+    const fn = FUNCTIONS[token.value];
+
+    if (!fn) {
+      fail(`Unknown function "${token.value}" (use ${Object.keys(FUNCTIONS).join(', ')})`, token);
+    }
+
+    // Arguments are plain numbers, so the klines needed are known before the first check
+    const args = [];
+    index++;
+    while (!isOperator(')')) {
+      if (args.length > 0) {
+        if (!isOperator(',')) {
+          fail('Expected "," or ")"');
+        }
+        index++;
+      }
+      if (!peek() || peek().type !== 'number') {
+        fail(`${token.value}() takes numbers as arguments`);
+      }
+      args.push(tokens[index++].value);
+    }
+    index++;
+
+    if (args.length > fn.defaults.length) {
+      fail(`${token.value}() takes at most ${fn.defaults.length} argument(s)`, token);
+    }
+
+    const values = fn.defaults.map((value, i) => (args[i] !== undefined ? args[i] : value));
+
+    if (values[0] === null) {
+      fail(`${token.value}() needs a period`, token);
+    }
+
+    if (!Number.isInteger(values[0]) || values[0] < 1 || values[0] > MAX_PERIOD) {
+      fail(`The period of ${token.value}() must be a whole number from 1 to ${MAX_PERIOD}`, token);
+    }
+
+    return { kind: 'call', type: 'number', name: token.value, args: values, label: `${token.value}(${values.join(', ')})` };
+  }
+
+  if (tokens.length === 0) {
+    throw new EntryConditionError('Empty entry condition');
+  }
+
+  const root = parseOr();
+
+  if (index < tokens.length) {
+    fail(`Unexpected "${peek().value}"`);
+  }
+
+  return expect(root, 'boolean', tokens[0]);
+}
+
+/**
+ * Visit every node of a syntax tree
+ * @param {Object} node - Node
+ * @param {Function} visit - Called with every node
+ */
+function walk(node, visit) {
+  visit(node);
+  ['left', 'right', 'operand'].forEach(key => {
+    if (node[key]) {
+      walk(node[key], visit);
+    }
+  });
+}
+
+/**
+ * Parse a rule expression
+ * @param {string|Array<string>} expression - Expression, or a list of expressions that all have to be true
+ * @returns {Object} - { expression, root, klines: closed klines needed, volume24h: whether volume24h is used }
+ */
+function parseConditions(expression) {
+  const text = Array.isArray(expression)
+    ? expression.map(part => `(${part})`).join(' and ')
+    : String(expression);
+  const root = parseTokens(tokenize(text), text);
+  let klines = 1;
+  let volume24h = false;
+
+  walk(root, node => {
+    if (node.kind === 'call') {
+      klines = Math.max(klines, FUNCTIONS[node.name].klines(node.args));
+    } else if (node.kind === 'variable' && node.name === 'volume24h') {
+      volume24h = true;
+    }
+  });
+
+  return { expression: text, root, klines: Math.min(klines, MAX_KLINES - 1), volume24h };
+}
+
+/**
+ * Build the entry condition settings from the options of trading-loop.js
+ * @param {Object} options - Options (entryConditions, conditionsInterval)
+ * @returns {Object|null} - { expression, root, klines, volume24h, interval }, null without conditions
+ */
+function getConditionSettings(options) {
+  if (!options.entryConditions || (Array.isArray(options.entryConditions) && options.entryConditions.length === 0)) {
+    return null;
+  }
+
+  const interval = options.conditionsInterval || DEFAULT_INTERVAL;
+
+  if (!KLINE_INTERVALS.includes(interval)) {
+    throw new EntryConditionError(`Invalid --conditionsInterval ${interval}, use one of ${KLINE_INTERVALS.join(', ')}`);
+  }
+
+  return { ...parseConditions(options.entryConditions), interval };
+}
+
+/**
+ * Evaluate a parsed expression
+ *
+ * An indicator without enough klines has no value and every comparison
+ * with it is false, so the entry waits rather than buying on missing data.
+ * @param {Object} conditions - Result of parseConditions
+ * @param {Object} data - { price, klines: closed klines oldest first, volume24h }
+ * @returns {Object} - { met, values: indicator and variable values by name }
+ */
+function evaluateConditions(conditions, data) {
+  const klines = data.klines || [];
+  const closes = klines.map(kline => parseFloat(kline[4]));
+  const lastKline = klines[klines.length - 1];
+  const source = {
+    price: parseFloat(data.price),
+    volume24h: data.volume24h,
+    last: lastKline ? {
+      open: parseFloat(lastKline[1]),
+      high: parseFloat(lastKline[2]),
+      low: parseFloat(lastKline[3]),
+      close: parseFloat(lastKline[4]),
+      volume: parseFloat(lastKline[7])
+    } : null
+  };
+  const values = {};
+
+  const evaluate = node => {
+    switch (node.kind) {
+      case 'number':
+        return node.value;
+      case 'variable': {
+        const value = VARIABLES[node.name](source);
+        values[node.name] = value === undefined ? null : value;
+        return values[node.name];
+      }
+      case 'call':
+        if (!(node.label in values)) {
+          values[node.label] = FUNCTIONS[node.name].calculate(closes, node.args);
+        }
+        return values[node.label];
+      case 'negate': {
+        const value = evaluate(node.operand);
+        return value === null ? null : -value;
+      }
+      case 'arithmetic': {
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        if (left === null || right === null) {
+          return null;
+        }
+        return { '+': left + right, '-': left - right, '*': left * right, '/': left / right }[node.op];
+      }
+      case 'compare': {
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        if (left === null || right === null || Number.isNaN(left) || Number.isNaN(right)) {
+          return false;
+        }
+        return { '<': left < right, '<=': left <= right, '>': left > right, '>=': left >= right, '==': left === right, '!=': left !== right }[node.op];
+      }
+      case 'logical':
+        // Both sides are evaluated so every value shows up in the log
+        return node.op === 'and'
+          ? [evaluate(node.left), evaluate(node.right)].every(Boolean)
+          : [evaluate(node.left), evaluate(node.right)].some(Boolean);
+      case 'not':
+        return !evaluate(node.operand);
+      default:
+        throw new EntryConditionError(`Unknown node ${node.kind}`);
+    }
+  };
+
+  return { met: evaluate(conditions.root), values };
+}
+
+/**
+ * Get the closed klines of a symbol
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} interval - Kline interval
+ * @param {number} count - Number of closed klines
+ * @returns {Promise<Array>} - Closed klines, oldest first
+ */
+async function getClosedKlines(symbol, interval, count) {
+  // One more kline than needed, the last one is usually still open
+  const klines = await client.getKlines(symbol, interval, Math.min(count + 1, MAX_KLINES));
+  const now = Date.now();
+  return klines.filter(kline => kline[6] < now).slice(-count);
+}
+
+/**
+ * Check the entry conditions against the current market
+ * @param {Object} conditions - Result of getConditionSettings
+ * @param {string} symbol - Trading pair symbol
+ * @param {number|string} price - Current price
+ * @returns {Promise<Object>} - { met, values }
+ */
+async function checkConditions(conditions, symbol, price) {
+  const klines = await getClosedKlines(symbol, conditions.interval, conditions.klines);
+  let volume24h = null;
+
+  if (conditions.volume24h) {
+    const hourly = await client.getKlines(symbol, '1h', 24);
+    volume24h = hourly.reduce((sum, kline) => sum + parseFloat(kline[7]), 0);
+  }
+
+  return evaluateConditions(conditions, { price, klines, volume24h });
+}
+
+/**
+ * Describe the values of a check for the console
+ * @param {Object} values - Values from evaluateConditions
+ * @returns {string} - e.g. "price 49500, rsi(14) 28.41, ema(50) 50120.3"
+ */
+function describeValues(values) {
+  return Object.entries(values)
+    .map(([name, value]) => `${name} ${value === null ? 'n/a' : parseFloat(value.toPrecision(6))}`)
+    .join(', ');
+}
+
+module.exports = {
+  KLINE_INTERVALS,
+  DEFAULT_INTERVAL,
+  MAX_KLINES,
+  WARMUP_PERIODS,
+  EntryConditionError,
+  tokenize,
+  parseConditions,
+  getConditionSettings,
+  evaluateConditions,
+  getClosedKlines,
+  checkConditions,
+  describeValues
+};
@@ -0,0 +1,1183 @@
+/**
+ * Exchange Engine
+ *
+ * This module provides an in-memory imitation of a Binance spot account:
+ * balances, resting orders and a simple matching engine that fills orders
+ * when the price of a symbol crosses them. It has no network code; the mock
+ * exchange server wraps it with the Binance REST and WebSocket interfaces.
+ */
+
+const EventEmitter = require('events');
+
+// Quote assets used to split a symbol into base and quote asset
+const QUOTE_ASSETS = ['USDT', 'FDUSD', 'USDC', 'BUSD', 'EUR', 'BTC', 'ETH', 'BNB'];
+
+// Default commission rate (0.1%) for both maker and taker
+const DEFAULT_COMMISSION_RATE = 0.001;
+
+// Statuses of orders that are still working on the book
+const OPEN_STATUSES = ['NEW', 'PARTIALLY_FILLED'];
+
+/**
+ * Error returned by the engine in the Binance error format
+ */
+class ExchangeEngineError extends Error {
+  constructor(code, msg, status = 400) {
+    super(msg);
+    this.name = 'ExchangeEngineError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Format a number the way Binance returns decimal values
+ * @param {number} value - Number to format
+ * @returns {string} - Value with 8 decimals
+ */
+function formatDecimal(value) {
+  return (Number(value) || 0).toFixed(8);
+}
+
+/**
+ * Round a number to 8 decimals to avoid floating point noise
+ * @param {number} value - Number to round
+ * @returns {number} - Rounded number
+ */
+function round8(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+/**
+ * Split a symbol into base and quote asset
+ * @param {string} symbol - Trading pair symbol (e.g. BTCUSDT)
+ * @returns {Object} - { baseAsset, quoteAsset }
+ */
+function splitSymbol(symbol) {
+  const quoteAsset = QUOTE_ASSETS.find(quote => symbol.endsWith(quote) && symbol.length > quote.length);
+
+  if (!quoteAsset) {
+    throw new Error(`Cannot determine quote asset of ${symbol}`);
+  }
+
+  return { baseAsset: symbol.slice(0, -quoteAsset.length), quoteAsset };
+}
+
+/**
+ * In-memory spot exchange with a single account
+ *
+ * Emits 'executionReport' with the Binance user data event for every order
+ * update, and 'price' whenever a symbol price changes.
+ */
+class ExchangeEngine extends EventEmitter {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Object} options.prices - Initial prices keyed by symbol (e.g. { BTCUSDT: 50000 })
+   * @param {Object} options.balances - Initial free balances keyed by asset
+   * @param {number} options.commissionRate - Commission rate for fills (default: 0.001)
+   * @param {Object} options.state - Previously saved state (see toJSON)
+   * @param {string} options.clientOrderIdPrefix - Prefix of generated client order IDs (default: mock)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.commissionRate = options.commissionRate !== undefined ? options.commissionRate : DEFAULT_COMMISSION_RATE;
+    this.clientOrderIdPrefix = options.clientOrderIdPrefix || 'mock';
+    this.state = options.state || {
+      balances: {},
+      orders: [],
+      prices: {},
+      priceHistory: {},
+      nextOrderId: 1000,
+      nextTradeId: 1
+    };
+
+    // States saved before order lists existed have no list fields
+    if (!this.state.orderLists) {
+      this.state.orderLists = [];
+      this.state.nextOrderListId = 1;
+    }
+
+    Object.keys(options.balances || {}).forEach(asset => {
+      this.state.balances[asset] = { free: parseFloat(options.balances[asset]), locked: 0 };
+    });
+
+    Object.keys(options.prices || {}).forEach(symbol => {
+      this.addSymbol(symbol, options.prices[symbol]);
+    });
+  }
+
+  /**
+   * Serialize the engine state so it can be persisted and restored later
+   * @returns {Object} - Engine state
+   */
+  toJSON() {
+    return this.state;
+  }
+
+  /**
+   * Register a tradable symbol with its starting price
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} price - Starting price
+   */
+  addSymbol(symbol, price) {
+    const { baseAsset, quoteAsset } = splitSymbol(symbol);
+
+    this.ensureAsset(baseAsset);
+    this.ensureAsset(quoteAsset);
+
+    if (this.state.prices[symbol] === undefined) {
+      this.state.prices[symbol] = parseFloat(price);
+      this.state.priceHistory[symbol] = [[Date.now(), parseFloat(price)]];
+    }
+  }
+
+  /**
+   * Get all registered symbols
+   * @returns {string[]} - Symbol names
+   */
+  getSymbols() {
+    return Object.keys(this.state.prices);
+  }
+
+  /**
+   * Make sure a balance entry exists for an asset
+   * @param {string} asset - Asset name
+   * @returns {Object} - Balance entry
+   */
+  ensureAsset(asset) {
+    if (!this.state.balances[asset]) {
+      this.state.balances[asset] = { free: 0, locked: 0 };
+    }
+    return this.state.balances[asset];
+  }
+
+  /**
+   * Throw if the symbol is not known to the engine
+   * @param {string} symbol - Trading pair symbol
+   */
+  assertSymbol(symbol) {
+    if (!symbol || this.state.prices[symbol] === undefined) {
+      throw new ExchangeEngineError(-1121, 'Invalid symbol.');
+    }
+  }
+
+  /**
+   * Get the current price of a symbol
+   * @param {string} symbol - Trading pair symbol
+   * @returns {number} - Current price
+   */
+  getPrice(symbol) {
+    this.assertSymbol(symbol);
+    return this.state.prices[symbol];
+  }
+
+  /**
+   * Get the average price of a symbol over the last minutes
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} mins - Length of the window in minutes
+   * @returns {number} - Average of the recorded prices (current price if none)
+   */
+  getAvgPrice(symbol, mins = 5) {
+    this.assertSymbol(symbol);
+
+    const since = Date.now() - mins * 60 * 1000;
+    const prices = this.state.priceHistory[symbol]
+      .filter(([time]) => time >= since)
+      .map(([, price]) => price);
+
+    if (prices.length === 0) {
+      return this.state.prices[symbol];
+    }
+
+    return prices.reduce((sum, price) => sum + price, 0) / prices.length;
+  }
+
+  /**
+   * Set the price of a symbol and fill every order the new price crosses
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} price - New price
+   * @param {number} time - Time of the price change (default: now)
+   */
+  setPrice(symbol, price, time = Date.now()) {
+    this.assertSymbol(symbol);
+
+    const newPrice = parseFloat(price);
+    this.state.prices[symbol] = newPrice;
+
+    const history = this.state.priceHistory[symbol];
+    history.push([time, newPrice]);
+
+    // Keep roughly a day of 1s ticks, which is plenty for klines
+    if (history.length > 100000) {
+      history.splice(0, history.length - 100000);
+    }
+
+    this.emit('price', { symbol, price: newPrice, time });
+    this.matchOrders(symbol, newPrice, newPrice, time);
+  }
+
+  /**
+   * Fill resting orders whose conditions are met within a price range
+   *
+   * For live ticks low and high are the same price; replaying a kline passes
+   * the bar's low and high so orders touched inside the bar are filled too.
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} low - Lowest traded price
+   * @param {number} high - Highest traded price
+   * @param {number} time - Time of the match
+   */
+  matchOrders(symbol, low, high, time = Date.now()) {
+    const orders = this.state.orders.filter(order =>
+      order.symbol === symbol && OPEN_STATUSES.includes(order.status));
+
+    for (const order of orders) {
+      // The other leg of an order list may have expired earlier in this loop
+      if (!OPEN_STATUSES.includes(order.status)) {
+        continue;
+      }
+
+      // Stop orders first turn into market or limit orders when triggered
+      if ((order.stopPrice || order.trailingDelta) && !order.triggered) {
+        const triggered = order.trailingDelta ? this.trailStop(order, low, high, time) : this.isTriggered(order, low, high);
+        if (!triggered) {
+          continue;
+        }
+        this.expireOtherLegs(order, time);
+        order.triggered = true;
+        order.resting = false;
+        order.workingTime = time;
+      }
+
+      // Orders that cross the book when they start working take liquidity,
+      // orders that were already resting fill at their own price
+      const taker = !order.resting;
+      const fillPrice = this.getFillPrice(order, low, high, taker);
+
+      if (fillPrice !== null) {
+        this.expireOtherLegs(order, time);
+        this.fillOrder(order, fillPrice, time, taker ? 'TAKER' : 'MAKER');
+      } else {
+        order.resting = true;
+      }
+    }
+  }
+
+  /**
+   * Check whether the stop price of a stop order has been reached
+   * @param {Object} order - Stop order
+   * @param {number} low - Lowest traded price
+   * @param {number} high - Highest traded price
+   * @returns {boolean} - True if the order should be triggered
+   */
+  isTriggered(order, low, high) {
+    const stopPrice = parseFloat(order.stopPrice);
+    const isStopLoss = order.type.startsWith('STOP_LOSS');
+
+    // A stop loss sell and a take profit buy trigger when the price falls,
+    // a stop loss buy and a take profit sell when the price rises
+    if ((isStopLoss && order.side === 'SELL') || (!isStopLoss && order.side === 'BUY')) {
+      return low <= stopPrice;
+    }
+    return high >= stopPrice;
+  }
+
+  /**
+   * Follow the price with a trailing stop order and check whether it triggers
+   *
+   * An order without a stop price trails from the price it was placed at; an
+   * order with one starts trailing once the stop (activation) price is
+   * reached. From then on a sell follows the highest price and triggers when
+   * the price falls trailingDelta BIPS below it, a buy follows the lowest
+   * price and triggers when the price rises as much above it.
+   * @param {Object} order - Trailing stop order
+   * @param {number} low - Lowest traded price
+   * @param {number} high - Highest traded price
+   * @param {number} time - Time of the match
+   * @returns {boolean} - True if the order should be triggered
+   */
+  trailStop(order, low, high, time) {
+    if (order.trailingTime === -1) {
+      if (!this.isTriggered(order, low, high)) {
+        return false;
+      }
+      order.trailingTime = time;
+      order.trailingPrice = order.stopPrice;
+    }
+
+    const delta = order.trailingDelta / 10000;
+
+    if (order.side === 'SELL') {
+      order.trailingPrice = Math.max(order.trailingPrice, high);
+      order.triggerPrice = round8(order.trailingPrice * (1 - delta));
+      return low <= order.triggerPrice;
+    }
+
+    order.trailingPrice = Math.min(order.trailingPrice, low);
+    order.triggerPrice = round8(order.trailingPrice * (1 + delta));
+    return high >= order.triggerPrice;
+  }
+
+  /**
+   * Get the price at which an order fills, or null if it does not fill
+   * @param {Object} order - Order to check
+   * @param {number} low - Lowest traded price
+   * @param {number} high - Highest traded price
+   * @param {boolean} taker - True if the order takes liquidity
+   * @returns {number|null} - Fill price
+   */
+  getFillPrice(order, low, high, taker) {
+    const isMarket = order.type === 'MARKET' || order.type === 'STOP_LOSS' || order.type === 'TAKE_PROFIT';
+
+    if (isMarket) {
+      // Triggered stop market orders fill at the trigger price
+      if (order.triggerPrice || order.stopPrice) {
+        return order.triggerPrice || order.stopPrice;
+      }
+      return order.side === 'BUY' ? high : low;
+    }
+
+    const price = order.price;
+
+    if (order.side === 'BUY' && low <= price) {
+      return taker ? Math.min(price, high) : price;
+    }
+
+    if (order.side === 'SELL' && high >= price) {
+      return taker ? Math.max(price, low) : price;
+    }
+
+    return null;
+  }
+
+  /**
+   * Place a new order
+   * @param {Object} params - Order parameters as sent to POST /api/v3/order
+   * @returns {Object} - Order response in the FULL format
+   */
+  placeOrder(params) {
+    const order = this.buildOrder(params);
+
+    this.lockFunds(order);
+    this.state.orders.push(order);
+    this.emitExecutionReport(order, 'NEW');
+
+    // Market orders and marketable limit orders execute right away
+    this.matchOrders(order.symbol, this.state.prices[order.symbol], this.state.prices[order.symbol], order.time);
+
+    return this.formatOrderResponse(order);
+  }
+
+  /**
+   * Validate order parameters and build a new internal order
+   * @param {Object} params - Order parameters as sent to POST /api/v3/order
+   * @returns {Object} - Internal order (not yet placed)
+   */
+  buildOrder(params) {
+    const symbol = params.symbol;
+    this.assertSymbol(symbol);
+
+    const side = (params.side || '').toUpperCase();
+    const type = (params.type || '').toUpperCase();
+
+    if (side !== 'BUY' && side !== 'SELL') {
+      throw new ExchangeEngineError(-1102, 'Mandatory parameter \'side\' was not sent, was empty/null, or malformed.');
+    }
+
+    const knownTypes = ['MARKET', 'LIMIT', 'LIMIT_MAKER', 'STOP_LOSS', 'STOP_LOSS_LIMIT', 'TAKE_PROFIT', 'TAKE_PROFIT_LIMIT'];
+    if (!knownTypes.includes(type)) {
+      throw new ExchangeEngineError(-1116, 'Invalid orderType.');
+    }
+
+    if (params.newClientOrderId && this.state.orders.some(order =>
+      order.clientOrderId === params.newClientOrderId && OPEN_STATUSES.includes(order.status))) {
+      throw new ExchangeEngineError(-2010, 'Duplicate order sent.');
+    }
+
+    const currentPrice = this.state.prices[symbol];
+    const needsPrice = type.includes('LIMIT');
+    const needsStop = type.startsWith('STOP_LOSS') || type.startsWith('TAKE_PROFIT');
+
+    if (needsPrice && !(parseFloat(params.price) > 0)) {
+      throw new ExchangeEngineError(-1102, 'Mandatory parameter \'price\' was not sent, was empty/null, or malformed.');
+    }
+
+    // Trailing stop orders may leave out the stop price and trail from the current price
+    const hasDelta = params.trailingDelta !== undefined && params.trailingDelta !== null && params.trailingDelta !== '';
+    const trailingDelta = hasDelta ? Number(params.trailingDelta) : 0;
+
+    if (hasDelta && !needsStop) {
+      throw new ExchangeEngineError(-1106, 'Parameter \'trailingDelta\' sent when not required.');
+    }
+
+    if (hasDelta && !(Number.isInteger(trailingDelta) && trailingDelta > 0)) {
+      throw new ExchangeEngineError(-1100, 'Illegal characters found in parameter \'trailingDelta\'; legal range is \'^[0-9]{1,20}$\'.');
+    }
+
+    if (needsStop && !trailingDelta && !(parseFloat(params.stopPrice) > 0)) {
+      throw new ExchangeEngineError(-1102, 'Mandatory parameter \'stopPrice\' was not sent, was empty/null, or malformed.');
+    }
+
+    let quantity = parseFloat(params.quantity);
+    const quoteOrderQty = parseFloat(params.quoteOrderQty);
+
+    if (type === 'MARKET' && !(quantity > 0) && quoteOrderQty > 0) {
+      quantity = round8(quoteOrderQty / currentPrice);
+    }
+
+    if (!(quantity > 0)) {
+      throw new ExchangeEngineError(-1102, 'Mandatory parameter \'quantity\' was not sent, was empty/null, or malformed.');
+    }
+
+    const price = needsPrice ? parseFloat(params.price) : 0;
+
+    // LIMIT_MAKER orders are rejected if they would trade immediately
+    if (type === 'LIMIT_MAKER' &&
+        ((side === 'BUY' && price >= currentPrice) || (side === 'SELL' && price <= currentPrice))) {
+      throw new ExchangeEngineError(-2010, 'Order would immediately match and take.');
+    }
+
+    const now = Date.now();
+    const orderId = this.state.nextOrderId++;
+    const stopPrice = needsStop && parseFloat(params.stopPrice) > 0 ? parseFloat(params.stopPrice) : 0;
+
+    return {
+      symbol,
+      orderId,
+      orderListId: params.orderListId !== undefined ? params.orderListId : -1,
+      clientOrderId: params.newClientOrderId || `${this.clientOrderIdPrefix}_${now}_${orderId + 1}`,
+      price,
+      origQty: quantity,
+      executedQty: 0,
+      cummulativeQuoteQty: 0,
+      status: 'NEW',
+      timeInForce: needsPrice ? (params.timeInForce || 'GTC') : 'GTC',
+      type,
+      side,
+      stopPrice,
+      trailingDelta,
+      // A trailing order without a stop price starts trailing right away
+      trailingTime: trailingDelta && !stopPrice ? now : -1,
+      trailingPrice: trailingDelta && !stopPrice ? currentPrice : null,
+      triggerPrice: null,
+      time: now,
+      updateTime: now,
+      workingTime: needsStop ? -1 : now,
+      origQuoteOrderQty: quoteOrderQty > 0 ? quoteOrderQty : 0,
+      triggered: false,
+      resting: false,
+      fills: []
+    };
+  }
+
+  /**
+   * Place a one-cancels-the-other order list
+   *
+   * Both legs share the funds of the list: they are locked once, and when
+   * one leg triggers or fills the other leg expires.
+   * @param {Object} params - Parameters as sent to POST /api/v3/orderList/oco
+   *   (symbol, side, quantity, above*, below*, listClientOrderId)
+   * @returns {Object} - Order list response
+   */
+  placeOrderList(params) {
+    const symbol = params.symbol;
+    this.assertSymbol(symbol);
+
+    if (params.listClientOrderId && this.state.orderLists.some(list =>
+      list.listClientOrderId === params.listClientOrderId && this.isListOpen(list))) {
+      throw new ExchangeEngineError(-2010, 'Duplicate order sent.');
+    }
+
+    const orderListId = this.state.nextOrderListId++;
+    const legs = ['above', 'below'].map(position => {
+      const type = (params[`${position}Type`] || '').toUpperCase();
+
+      if (!['LIMIT_MAKER', 'STOP_LOSS', 'STOP_LOSS_LIMIT', 'TAKE_PROFIT', 'TAKE_PROFIT_LIMIT'].includes(type)) {
+        throw new ExchangeEngineError(-1116, 'Invalid orderType.');
+      }
+
+      return this.buildOrder({
+        symbol,
+        side: params.side,
+        type,
+        quantity: params.quantity,
+        price: params[`${position}Price`],
+        stopPrice: params[`${position}StopPrice`],
+        trailingDelta: params[`${position}TrailingDelta`],
+        timeInForce: params[`${position}TimeInForce`],
+        newClientOrderId: params[`${position}ClientOrderId`],
+        orderListId
+      });
+    });
+
+    // The above leg must work above the current price and the below leg under it
+    // (a leg that trails from the current price has no price to check)
+    const currentPrice = this.state.prices[symbol];
+    const [above, below] = legs;
+    const abovePrice = above.stopPrice || above.price;
+    const belowPrice = below.stopPrice || below.price;
+    if ((abovePrice && abovePrice <= currentPrice) || (belowPrice && belowPrice >= currentPrice)) {
+      throw new ExchangeEngineError(-2010, 'The relationship of the prices for the orders is not correct.');
+    }
+
+    // The funds are locked once, for the leg that needs more of them (the higher
+    // priced leg of a buy); the lock moves to whichever leg executes
+    const lockingLeg = above.side === 'BUY' && (below.price || currentPrice) > (above.price || currentPrice) ? below : above;
+    this.lockFunds(lockingLeg);
+
+    const now = Date.now();
+    const list = {
+      orderListId,
+      contingencyType: 'OCO',
+      listClientOrderId: params.listClientOrderId || `${this.clientOrderIdPrefix}list_${now}_${orderListId}`,
+      symbol,
+      transactionTime: now,
+      orderIds: legs.map(order => order.orderId)
+    };
+
+    this.state.orderLists.push(list);
+    legs.forEach(order => {
+      this.state.orders.push(order);
+      this.emitExecutionReport(order, 'NEW');
+    });
+
+    this.matchOrders(symbol, currentPrice, currentPrice, now);
+
+    return this.formatOrderList(list, true);
+  }
+
+  /**
+   * Check whether an order list still has working legs
+   * @param {Object} list - Internal order list
+   * @returns {boolean} - True if a leg is open
+   */
+  isListOpen(list) {
+    return this.getListOrders(list).some(order => OPEN_STATUSES.includes(order.status));
+  }
+
+  /**
+   * Get the internal orders of an order list
+   * @param {Object} list - Internal order list
+   * @returns {Array} - Orders of the list
+   */
+  getListOrders(list) {
+    return list.orderIds.map(orderId => this.state.orders.find(order => order.orderId === orderId));
+  }
+
+  /**
+   * Expire the other legs of an order list when one leg starts executing
+   *
+   * The funds locked for the list are moved to the executing leg first, so
+   * expiring the other legs does not release them.
+   * @param {Object} order - Leg that is triggered or filled
+   * @param {number} time - Time of the event
+   */
+  expireOtherLegs(order, time) {
+    if (order.orderListId === -1) {
+      return;
+    }
+
+    const list = this.state.orderLists.find(item => item.orderListId === order.orderListId);
+    if (!list) {
+      return;
+    }
+
+    this.getListOrders(list)
+      .filter(other => other !== order && OPEN_STATUSES.includes(other.status))
+      .forEach(other => {
+        if (other.lockedAmount > 0) {
+          order.lockedAsset = other.lockedAsset;
+          order.lockedAmount = round8((order.lockedAmount || 0) + other.lockedAmount);
+          other.lockedAmount = 0;
+        }
+
+        other.status = 'EXPIRED';
+        other.updateTime = time;
+        this.emitExecutionReport(other, 'EXPIRED');
+      });
+  }
+
+  /**
+   * Find an order list by orderListId or listClientOrderId
+   * @param {number} orderListId - Order list ID
+   * @param {string} listClientOrderId - List client order ID
+   * @returns {Object|undefined} - Internal order list
+   */
+  findOrderList(orderListId, listClientOrderId) {
+    return this.state.orderLists.find(list =>
+      (orderListId && list.orderListId === parseInt(orderListId)) ||
+      (!orderListId && listClientOrderId && list.listClientOrderId === listClientOrderId));
+  }
+
+  /**
+   * Get an order list
+   * @param {number} orderListId - Order list ID (optional if listClientOrderId is provided)
+   * @param {string} listClientOrderId - List client order ID (optional if orderListId is provided)
+   * @returns {Object} - Order list information
+   */
+  getOrderList(orderListId, listClientOrderId) {
+    const list = this.findOrderList(orderListId, listClientOrderId);
+
+    if (!list) {
+      throw new ExchangeEngineError(-2011, 'Order list does not exist.');
+    }
+
+    return this.formatOrderList(list);
+  }
+
+  /**
+   * Cancel all open legs of an order list
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} orderListId - Order list ID (optional if listClientOrderId is provided)
+   * @param {string} listClientOrderId - List client order ID (optional if orderListId is provided)
+   * @returns {Object} - Order list with the canceled orders
+   */
+  cancelOrderList(symbol, orderListId, listClientOrderId) {
+    this.assertSymbol(symbol);
+
+    const list = this.findOrderList(orderListId, listClientOrderId);
+
+    if (!list || list.symbol !== symbol || !this.isListOpen(list)) {
+      throw new ExchangeEngineError(-2011, 'Unknown order list sent.');
+    }
+
+    this.cancelListOrders(list);
+
+    return this.formatOrderList(list, true);
+  }
+
+  /**
+   * Cancel the open legs of an order list and release their funds
+   * @param {Object} list - Internal order list
+   */
+  cancelListOrders(list) {
+    const now = Date.now();
+
+    this.getListOrders(list)
+      .filter(order => OPEN_STATUSES.includes(order.status))
+      .forEach(order => {
+        order.status = 'CANCELED';
+        order.updateTime = now;
+        this.releaseFunds(order);
+        this.emitExecutionReport(order, 'CANCELED');
+      });
+  }
+
+  /**
+   * Move the funds needed by an order from free to locked
+   * @param {Object} order - New order
+   */
+  lockFunds(order) {
+    const { baseAsset, quoteAsset } = splitSymbol(order.symbol);
+    let asset;
+    let amount;
+
+    if (order.side === 'BUY') {
+      asset = quoteAsset;
+      const price = order.price || this.state.prices[order.symbol];
+      amount = order.origQuoteOrderQty || round8(order.origQty * price);
+    } else {
+      asset = baseAsset;
+      amount = order.origQty;
+    }
+
+    const balance = this.ensureAsset(asset);
+    if (balance.free + 1e-12 < amount) {
+      throw new ExchangeEngineError(-2010, 'Account has insufficient balance for requested action.');
+    }
+
+    balance.free = round8(balance.free - amount);
+    balance.locked = round8(balance.locked + amount);
+    order.lockedAsset = asset;
+    order.lockedAmount = amount;
+  }
+
+  /**
+   * Return the remaining locked funds of an order to the free balance
+   * @param {Object} order - Order whose funds are released
+   */
+  releaseFunds(order) {
+    if (!order.lockedAsset || order.lockedAmount <= 0) {
+      return;
+    }
+
+    const balance = this.ensureAsset(order.lockedAsset);
+    balance.locked = round8(Math.max(0, balance.locked - order.lockedAmount));
+    balance.free = round8(balance.free + order.lockedAmount);
+    order.lockedAmount = 0;
+  }
+
+  /**
+   * Fill the remaining quantity of an order
+   * @param {Object} order - Order to fill
+   * @param {number} price - Fill price
+   * @param {number} time - Fill time
+   * @param {string} liquidity - MAKER or TAKER
+   */
+  fillOrder(order, price, time, liquidity) {
+    const { baseAsset, quoteAsset } = splitSymbol(order.symbol);
+    const qty = round8(order.origQty - order.executedQty);
+    const quoteQty = round8(qty * price);
+    const base = this.ensureAsset(baseAsset);
+    const quote = this.ensureAsset(quoteAsset);
+    let commission;
+    let commissionAsset;
+
+    // Spend the locked funds and credit the received asset minus commission
+    if (order.side === 'BUY') {
+      const spent = Math.min(order.lockedAmount, quoteQty);
+      quote.locked = round8(Math.max(0, quote.locked - spent));
+      order.lockedAmount = round8(order.lockedAmount - spent);
+
+      commission = round8(qty * this.commissionRate);
+      commissionAsset = baseAsset;
+      base.free = round8(base.free + qty - commission);
+    } else {
+      base.locked = round8(Math.max(0, base.locked - qty));
+      order.lockedAmount = round8(order.lockedAmount - qty);
+
+      commission = round8(quoteQty * this.commissionRate);
+      commissionAsset = quoteAsset;
+      quote.free = round8(quote.free + quoteQty - commission);
+    }
+
+    // Whatever is still locked (e.g. a limit buy filled below its price) goes back
+    this.releaseFunds(order);
+
+    const fill = {
+      price: formatDecimal(price),
+      qty: formatDecimal(qty),
+      commission: formatDecimal(commission),
+      commissionAsset,
+      tradeId: this.state.nextTradeId++,
+      isMaker: liquidity === 'MAKER',
+      time
+    };
+
+    order.fills.push(fill);
+    order.executedQty = round8(order.executedQty + qty);
+    order.cummulativeQuoteQty = round8(order.cummulativeQuoteQty + quoteQty);
+    order.status = 'FILLED';
+    order.updateTime = time;
+
+    this.emitExecutionReport(order, 'TRADE', fill);
+    this.emit('fill', { order: this.formatOrder(order), fill });
+  }
+
+  /**
+   * Cancel an order
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} orderId - Order ID (optional if clientOrderId is provided)
+   * @param {string} clientOrderId - Client order ID (optional if orderId is provided)
+   * @returns {Object} - Canceled order
+   */
+  cancelOrder(symbol, orderId, clientOrderId) {
+    const order = this.findOrder(symbol, orderId, clientOrderId);
+
+    if (!order || !OPEN_STATUSES.includes(order.status)) {
+      throw new ExchangeEngineError(-2011, 'Unknown order sent.');
+    }
+
+    // Canceling one leg of an order list cancels the whole list
+    const list = order.orderListId !== -1 ? this.findOrderList(order.orderListId) : null;
+
+    if (list) {
+      this.cancelListOrders(list);
+    } else {
+      order.status = 'CANCELED';
+      order.updateTime = Date.now();
+      this.releaseFunds(order);
+      this.emitExecutionReport(order, 'CANCELED');
+    }
+
+    return {
+      origClientOrderId: order.clientOrderId,
+      ...this.formatOrder(order)
+    };
+  }
+
+  /**
+   * Find an order by orderId or clientOrderId
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} orderId - Order ID
+   * @param {string} clientOrderId - Client order ID
+   * @returns {Object|undefined} - Internal order object
+   */
+  findOrder(symbol, orderId, clientOrderId) {
+    this.assertSymbol(symbol);
+
+    return this.state.orders.find(order => order.symbol === symbol &&
+      ((orderId && order.orderId === parseInt(orderId)) ||
+       (!orderId && clientOrderId && order.clientOrderId === clientOrderId)));
+  }
+
+  /**
+   * Get an order
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} orderId - Order ID (optional if clientOrderId is provided)
+   * @param {string} clientOrderId - Client order ID (optional if orderId is provided)
+   * @returns {Object} - Order information
+   */
+  getOrder(symbol, orderId, clientOrderId) {
+    const order = this.findOrder(symbol, orderId, clientOrderId);
+
+    if (!order) {
+      throw new ExchangeEngineError(-2013, 'Order does not exist.');
+    }
+
+    return this.formatOrder(order);
+  }
+
+  /**
+   * Get open orders
+   * @param {string} symbol - Trading pair symbol (optional)
+   * @returns {Array} - Open orders
+   */
+  getOpenOrders(symbol) {
+    if (symbol) {
+      this.assertSymbol(symbol);
+    }
+
+    return this.state.orders
+      .filter(order => (!symbol || order.symbol === symbol) && OPEN_STATUSES.includes(order.status))
+      .map(order => this.formatOrder(order));
+  }
+
+  /**
+   * Get all orders of a symbol
+   * @param {Object} params - { symbol, startTime, endTime, limit }
+   * @returns {Array} - Orders
+   */
+  getAllOrders(params) {
+    this.assertSymbol(params.symbol);
+
+    const limit = parseInt(params.limit) || 500;
+
+    return this.state.orders
+      .filter(order => order.symbol === params.symbol &&
+        (!params.startTime || order.time >= parseInt(params.startTime)) &&
+        (!params.endTime || order.time <= parseInt(params.endTime)))
+      .slice(-limit)
+      .map(order => this.formatOrder(order));
+  }
+
+  /**
+   * Get the trades (fills) of a symbol
+   * @param {Object} params - { symbol, orderId, limit }
+   * @returns {Array} - Trades in the GET /api/v3/myTrades format
+   */
+  getMyTrades(params) {
+    this.assertSymbol(params.symbol);
+
+    const limit = parseInt(params.limit) || 500;
+    const trades = [];
+
+    this.state.orders
+      .filter(order => order.symbol === params.symbol && (!params.orderId || order.orderId === parseInt(params.orderId)))
+      .forEach(order => {
+        order.fills.forEach(fill => {
+          trades.push({
+            symbol: order.symbol,
+            id: fill.tradeId,
+            orderId: order.orderId,
+            orderListId: order.orderListId,
+            price: fill.price,
+            qty: fill.qty,
+            quoteQty: formatDecimal(parseFloat(fill.price) * parseFloat(fill.qty)),
+            commission: fill.commission,
+            commissionAsset: fill.commissionAsset,
+            time: fill.time || order.updateTime,
+            isBuyer: order.side === 'BUY',
+            isMaker: fill.isMaker,
+            isBestMatch: true
+          });
+        });
+      });
+
+    return trades.sort((a, b) => a.id - b.id).slice(-limit);
+  }
+
+  /**
+   * Get account information
+   * @returns {Object} - Account information in the Binance format
+   */
+  getAccount() {
+    const rate = formatDecimal(this.commissionRate);
+
+    return {
+      makerCommission: Math.round(this.commissionRate * 10000),
+      takerCommission: Math.round(this.commissionRate * 10000),
+      buyerCommission: 0,
+      sellerCommission: 0,
+      commissionRates: { maker: rate, taker: rate, buyer: formatDecimal(0), seller: formatDecimal(0) },
+      canTrade: true,
+      canWithdraw: false,
+      canDeposit: false,
+      brokered: false,
+      requireSelfTradePrevention: false,
+      updateTime: Date.now(),
+      accountType: 'SPOT',
+      balances: Object.keys(this.state.balances).map(asset => ({
+        asset,
+        free: formatDecimal(this.state.balances[asset].free),
+        locked: formatDecimal(this.state.balances[asset].locked)
+      })),
+      permissions: ['SPOT']
+    };
+  }
+
+  /**
+   * Build klines for a symbol from the recorded price history
+   *
+   * When the history is shorter than requested, older bars are synthesized
+   * with a small deterministic swing so volatility based tools still work.
+   * @param {string} symbol - Trading pair symbol
+   * @param {string} interval - Kline interval (e.g. 1m, 1h, 1d)
+   * @param {number} limit - Number of klines
+   * @returns {Array} - Klines in the Binance array format
+   */
+  getKlines(symbol, interval = '1h', limit = 500) {
+    this.assertSymbol(symbol);
+
+    const intervalMs = parseInterval(interval);
+    const count = Math.min(parseInt(limit) || 500, 1000);
+    const history = this.state.priceHistory[symbol];
+    const firstPrice = history[0][1];
+    const currentOpen = Math.floor(Date.now() / intervalMs) * intervalMs;
+    const klines = [];
+
+    for (let i = count - 1; i >= 0; i--) {
+      const openTime = currentOpen - i * intervalMs;
+      const closeTime = openTime + intervalMs - 1;
+      const ticks = history.filter(([time]) => time >= openTime && time <= closeTime);
+      let open;
+      let high;
+      let low;
+      let close;
+
+      if (ticks.length > 0) {
+        const prices = ticks.map(([, price]) => price);
+        open = prices[0];
+        close = prices[prices.length - 1];
+        high = Math.max(...prices);
+        low = Math.min(...prices);
+      } else {
+        // Carry the last known price forward, or synthesize bars before the history
+        const before = history.filter(([time]) => time < openTime);
+        const base = before.length > 0 ? before[before.length - 1][1] : firstPrice;
+        const swing = before.length > 0 ? 0 : 0.005 * Math.abs(Math.sin(openTime / intervalMs));
+        open = base;
+        close = base;
+        high = base * (1 + swing);
+        low = base * (1 - swing);
+      }
+
+      klines.push([
+        openTime,
+        formatDecimal(open),
+        formatDecimal(high),
+        formatDecimal(low),
+        formatDecimal(close),
+        formatDecimal(10),
+        closeTime,
+        formatDecimal(10 * close),
+        ticks.length,
+        formatDecimal(5),
+        formatDecimal(5 * close),
+        '0'
+      ]);
+    }
+
+    return klines;
+  }
+
+  /**
+   * Build a synthetic order book around the current price
+   * @param {string} symbol - Trading pair symbol
+   * @param {number} limit - Number of levels per side
+   * @returns {Object} - Order book with bids and asks
+   */
+  getDepth(symbol, limit = 20) {
+    const price = this.getPrice(symbol);
+    const levels = Math.min(parseInt(limit) || 20, 100);
+    const bids = [];
+    const asks = [];
+
+    for (let i = 0; i < levels; i++) {
+      bids.push([formatDecimal(price * (1 - 0.0001 * (i + 1))), formatDecimal(1)]);
+      asks.push([formatDecimal(price * (1 + 0.0001 * (i + 1))), formatDecimal(1)]);
+    }
+
+    return { lastUpdateId: Date.now(), bids, asks };
+  }
+
+  /**
+   * Format an internal order the way GET /api/v3/order returns it
+   * @param {Object} order - Internal order
+   * @returns {Object} - Order information
+   */
+  formatOrder(order) {
+    return {
+      symbol: order.symbol,
+      orderId: order.orderId,
+      orderListId: order.orderListId,
+      clientOrderId: order.clientOrderId,
+      price: formatDecimal(order.price),
+      origQty: formatDecimal(order.origQty),
+      executedQty: formatDecimal(order.executedQty),
+      cummulativeQuoteQty: formatDecimal(order.cummulativeQuoteQty),
+      status: order.status,
+      timeInForce: order.timeInForce,
+      type: order.type,
+      side: order.side,
+      stopPrice: formatDecimal(order.stopPrice),
+      icebergQty: formatDecimal(0),
+      time: order.time,
+      updateTime: order.updateTime,
+      isWorking: order.workingTime !== -1,
+      workingTime: order.workingTime,
+      origQuoteOrderQty: formatDecimal(order.origQuoteOrderQty),
+      selfTradePreventionMode: 'NONE',
+      // Only trailing stop orders report these, as on Binance
+      ...(order.trailingDelta ? { trailingDelta: order.trailingDelta, trailingTime: order.trailingTime } : {})
+    };
+  }
+
+  /**
+   * Format an internal order the way POST /api/v3/order returns it (FULL)
+   * @param {Object} order - Internal order
+   * @returns {Object} - Order response with fills
+   */
+  formatOrderResponse(order) {
+    const formatted = this.formatOrder(order);
+
+    return {
+      symbol: formatted.symbol,
+      orderId: formatted.orderId,
+      orderListId: formatted.orderListId,
+      clientOrderId: formatted.clientOrderId,
+      transactTime: order.time,
+      price: formatted.price,
+      origQty: formatted.origQty,
+      executedQty: formatted.executedQty,
+      cummulativeQuoteQty: formatted.cummulativeQuoteQty,
+      status: formatted.status,
+      timeInForce: formatted.timeInForce,
+      type: formatted.type,
+      side: formatted.side,
+      stopPrice: formatted.stopPrice,
+      ...(order.trailingDelta ? { trailingDelta: order.trailingDelta, trailingTime: order.trailingTime } : {}),
+      workingTime: formatted.workingTime,
+      fills: order.fills.map(fill => ({
+        price: fill.price,
+        qty: fill.qty,
+        commission: fill.commission,
+        commissionAsset: fill.commissionAsset,
+        tradeId: fill.tradeId
+      })),
+      selfTradePreventionMode: 'NONE'
+    };
+  }
+
+  /**
+   * Format an internal order list the way the order list endpoints return it
+   * @param {Object} list - Internal order list
+   * @param {boolean} withReports - Include the order reports (responses of POST and DELETE)
+   * @returns {Object} - Order list information
+   */
+  formatOrderList(list, withReports = false) {
+    const orders = this.getListOrders(list);
+    const open = orders.some(order => OPEN_STATUSES.includes(order.status));
+    const formatted = {
+      orderListId: list.orderListId,
+      contingencyType: list.contingencyType,
+      listStatusType: open ? 'EXEC_STARTED' : 'ALL_DONE',
+      listOrderStatus: open ? 'EXECUTING' : 'ALL_DONE',
+      listClientOrderId: list.listClientOrderId,
+      transactionTime: list.transactionTime,
+      symbol: list.symbol,
+      orders: orders.map(order => ({ symbol: order.symbol, orderId: order.orderId, clientOrderId: order.clientOrderId }))
+    };
+
+    if (withReports) {
+      formatted.orderReports = orders.map(order => this.formatOrder(order));
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Emit a user data stream execution report for an order
+   * @param {Object} order - Internal order
+   * @param {string} executionType - NEW, TRADE, CANCELED or EXPIRED
+   * @param {Object} fill - Fill for TRADE events
+   */
+  emitExecutionReport(order, executionType, fill) {
+    const now = Date.now();
+
+    this.emit('executionReport', {
+      e: 'executionReport',
+      E: now,
+      s: order.symbol,
+      c: order.clientOrderId,
+      S: order.side,
+      o: order.type,
+      f: order.timeInForce,
+      q: formatDecimal(order.origQty),
+      p: formatDecimal(order.price),
+      P: formatDecimal(order.stopPrice),
+      g: order.orderListId,
+      C: executionType === 'CANCELED' ? order.clientOrderId : '',
+      x: executionType,
+      X: order.status,
+      r: 'NONE',
+      i: order.orderId,
+      l: fill ? fill.qty : formatDecimal(0),
+      z: formatDecimal(order.executedQty),
+      L: fill ? fill.price : formatDecimal(0),
+      n: fill ? fill.commission : '0',
+      N: fill ? fill.commissionAsset : null,
+      T: order.updateTime,
+      t: fill ? fill.tradeId : -1,
+      w: OPEN_STATUSES.includes(order.status),
+      m: fill ? fill.isMaker : false,
+      O: order.time,
+      Z: formatDecimal(order.cummulativeQuoteQty),
+      Y: fill ? fill.qty * parseFloat(fill.price) : 0,
+      Q: formatDecimal(order.origQuoteOrderQty),
+      ...(order.trailingDelta ? { d: order.trailingDelta, D: order.trailingTime } : {})
+    });
+  }
+}
+
+/**
+ * Convert a kline interval to milliseconds
+ * @param {string} interval - Kline interval (e.g. 1m, 15m, 1h, 1d, 1w)
+ * @returns {number} - Interval length in milliseconds
+ */
+function parseInterval(interval) {
+  const match = /^(\d+)([smhdwM])$/.exec(interval);
+
+  if (!match) {
+    throw new ExchangeEngineError(-1120, 'Invalid interval.');
+  }
+
+  const units = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+    M: 30 * 24 * 60 * 60 * 1000
+  };
+
+  return parseInt(match[1]) * units[match[2]];
+}
+
+module.exports = {
+  ExchangeEngine,
+  ExchangeEngineError,
+  splitSymbol,
+  parseInterval,
+  formatDecimal
+};
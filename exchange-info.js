@@ -5,8 +5,9 @@
  * such as available trading pairs.
  */
 
-const axios = require('axios');
-const config = require('./config');
+const client = require('./binance-client');
+const output = require('./output');
+const logger = require('./logger');
 
 /**
  * Get all trading pairs from Binance
@@ -14,16 +15,19 @@ const config = require('./config');
  */
 async function getExchangeInfo() {
   try {
-    const response = await axios.get(`${config.baseUrl}/api/v3/exchangeInfo`);
-    return response.data.symbols.map(symbol => symbol.symbol);
+    const exchangeInfo = await client.getExchangeInfo();
+    return exchangeInfo.symbols.map(symbol => symbol.symbol);
   } catch (error) {
-    console.error('Error fetching exchange info:', error.response ? error.response.data : error.message);
+    console.error('Error fetching exchange info:', error.message);
     return [];
   }
 }
 
 // If this file is run directly (not imported as a module)
 if (require.main === module) {
+  output.init();
+  logger.init();
+
   // Run the main function
   (async () => {
     try {
@@ -38,6 +42,7 @@ if (require.main === module) {
         console.log('  node exchange-info.js --symbols BTCUSDT,ETHUSDT\n');
         console.log('Parameters:');
         console.log('  --symbols         Comma-separated list of symbols to filter (optional)');
+        console.log('  --json            Print the result as JSON on stdout');
         console.log('\nAlternatively, you can use the app.js interface:');
         console.log('  node app.js exchange-info');
         return;
@@ -45,12 +50,23 @@ if (require.main === module) {
       
       console.log('Fetching all trading pairs from Binance...');
       
-      if (config.apiKey === 'YOUR_API_KEY' || config.apiSecret === 'YOUR_API_SECRET') {
+      if (!client.hasCredentials()) {
         console.error('Warning: Using default API keys. Some functionality may be limited.');
       }
       
       try {
         const symbols = await getExchangeInfo();
+        
+        // Display some statistics
+        const btcPairs = symbols.filter(s => s.endsWith('BTC')).length;
+        const usdtPairs = symbols.filter(s => s.endsWith('USDT')).length;
+        const busdPairs = symbols.filter(s => s.endsWith('BUSD')).length;
+        
+        if (output.isEnabled()) {
+          output.result({ count: symbols.length, symbols, statistics: { btcPairs, usdtPairs, busdPairs } });
+          return;
+        }
+        
         console.log(`\nFound ${symbols.length} trading pairs:`);
         
         // // Display symbols in a formatted way (5 per line)
@@ -60,11 +76,6 @@ if (require.main === module) {
         //   console.log(row.map(s => s.padEnd(12)).join(' '));
         // }
         
-        // Display some statistics
-        const btcPairs = symbols.filter(s => s.endsWith('BTC')).length;
-        const usdtPairs = symbols.filter(s => s.endsWith('USDT')).length;
-        const busdPairs = symbols.filter(s => s.endsWith('BUSD')).length;
-        
         console.log(`\nStatistics:`);
         console.log(`- BTC pairs: ${btcPairs}`);
         console.log(`- USDT pairs: ${usdtPairs}`);
@@ -72,9 +83,11 @@ if (require.main === module) {
         
       } catch (error) {
         console.error('Error:', error.message);
+        output.fail(error);
       }
     } catch (error) {
       console.error('Error:', error.message);
+      output.fail(error);
     }
   })();
 }
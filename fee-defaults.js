@@ -0,0 +1,14 @@
+/**
+ * Fee Defaults
+ *
+ * The commission rate assumed when the account's rates are not known. It is
+ * kept apart from fees.js, which talks to the exchange, so that pure
+ * calculations can use it without loading the REST client and credentials.
+ */
+
+// Commission rate used when the account's rates cannot be read (0.1%, the base tier of Binance)
+const DEFAULT_FEE_RATE = 0.001;
+
+module.exports = {
+  DEFAULT_FEE_RATE
+};
@@ -0,0 +1,225 @@
+/**
+ * Fees
+ *
+ * Trading fees as the exchange charges them. The commission rates are read
+ * from the account endpoint, so they follow the account's VIP tier, and the
+ * commission actually paid is taken from the fills of each order: commission
+ * paid in the quote asset counts as it is, commission paid in the base asset
+ * at the fill price and commission paid in another asset (BNB) at that
+ * asset's price in the quote currency. The profit in the trade history and
+ * the statistics is calculated from these values, so it matches the exchange.
+ *
+ * Where no fill is known (dry runs, estimates before an order is placed) the
+ * account's rates are used, or 0.1% when the account cannot be read.
+ */
+
+const client = require('./binance-client');
+const logger = require('./logger');
+const { DEFAULT_FEE_RATE } = require('./fee-defaults');
+
+const log = logger.getLogger('fees');
+
+// Rates of the account, read once per process
+let cachedRates = null;
+
+/**
+ * Get the commission rates of the account
+ *
+ * An order resting on the book pays the maker rate, an order that trades
+ * immediately the taker rate, plus the buyer or seller rate of its side.
+ * The BNB discount is not part of the rates, it shows in the fills.
+ * @returns {Promise<Object>} - { maker, taker, buyer, seller, source: 'account' or 'default' }
+ */
+async function getFeeRates() {
+  if (cachedRates) {
+    return cachedRates;
+  }
+
+  try {
+    const account = await client.getAccount();
+    const rates = account.commissionRates;
+
+    // commissionRates holds decimal rates, the older makerCommission and takerCommission are in bips
+    const maker = rates ? parseFloat(rates.maker) : account.makerCommission / 10000;
+    const taker = rates ? parseFloat(rates.taker) : account.takerCommission / 10000;
+
+    if (!(maker >= 0) || !(taker >= 0)) {
+      throw new Error('the account has no commission rates');
+    }
+
+    cachedRates = {
+      maker,
+      taker,
+      buyer: rates ? parseFloat(rates.buyer) || 0 : 0,
+      seller: rates ? parseFloat(rates.seller) || 0 : 0,
+      source: 'account'
+    };
+    log.info('Commission rates', cachedRates);
+  } catch (error) {
+    if (error.halted) {
+      throw error;
+    }
+    console.warn(`Could not read the commission rates of the account, using ${DEFAULT_FEE_RATE * 100}%: ${error.message}`);
+    log.warn('Commission rates not available', { error: error.message });
+    return { maker: DEFAULT_FEE_RATE, taker: DEFAULT_FEE_RATE, buyer: 0, seller: 0, source: 'default' };
+  }
+
+  return cachedRates;
+}
+
+/**
+ * Get the commission rate of an order
+ * @param {Object} rates - Result of getFeeRates
+ * @param {string} side - BUY or SELL
+ * @param {boolean} maker - Whether the order rests on the book (a limit order) rather than trading immediately
+ * @returns {number} - Rate, e.g. 0.001 for 0.1%
+ */
+function getOrderRate(rates, side, maker) {
+  return (maker ? rates.maker : rates.taker) + (side === 'BUY' ? rates.buyer : rates.seller);
+}
+
+/**
+ * Format a commission rate as a percentage
+ * @param {number} rate - Rate, e.g. 0.00075
+ * @returns {string} - e.g. "0.075%"
+ */
+function formatRate(rate) {
+  return `${parseFloat((rate * 100).toPrecision(8))}%`;
+}
+
+/**
+ * Value the commission of fills in the quote currency
+ * @param {Array<Object>} fills - Fills of an order or trades of getMyTrades (price, commission, commissionAsset)
+ * @param {Object} rules - { baseAsset, quoteAsset } of the symbol
+ * @returns {Promise<Object>} - { commission: amount by asset, e.g. { BNB: 0.00002 },
+ *   fee: value in the quote currency, null when an asset has no price in it }
+ */
+async function getFillsFee(fills, rules) {
+  const commission = {};
+  const prices = {};
+  let fee = 0;
+  let valued = true;
+
+  for (const fill of fills) {
+    const amount = parseFloat(fill.commission) || 0;
+    const asset = fill.commissionAsset;
+
+    if (!amount || !asset) {
+      continue;
+    }
+
+    commission[asset] = (commission[asset] || 0) + amount;
+
+    if (asset === rules.quoteAsset) {
+      fee += amount;
+    } else if (asset === rules.baseAsset) {
+      fee += amount * parseFloat(fill.price);
+    } else {
+      if (prices[asset] === undefined) {
+        prices[asset] = await getAssetPrice(asset, rules.quoteAsset);
+      }
+      if (prices[asset] === null) {
+        valued = false;
+      } else {
+        fee += amount * prices[asset];
+      }
+    }
+  }
+
+  return { commission, fee: valued ? fee : null };
+}
+
+/**
+ * Get the price of an asset in the quote currency, from the asset's pair in either direction
+ * @param {string} asset - Asset the commission was paid in
+ * @param {string} quoteAsset - Quote currency
+ * @returns {Promise<number|null>} - Price, null when neither pair exists
+ */
+async function getAssetPrice(asset, quoteAsset) {
+  for (const [symbol, inverse] of [[`${asset}${quoteAsset}`, false], [`${quoteAsset}${asset}`, true]]) {
+    try {
+      const price = await client.getPrice(symbol);
+      return inverse ? 1 / price : price;
+    } catch (error) {
+      if (error.halted) {
+        throw error;
+      }
+    }
+  }
+
+  console.warn(`Cannot value commission paid in ${asset}: there is no ${asset}/${quoteAsset} price`);
+  log.warn('Commission asset without a price', { asset, quoteAsset });
+  return null;
+}
+
+/**
+ * Get the commission paid by orders, from their trades
+ * @param {string} symbol - Trading pair symbol
+ * @param {Array<number>} orderIds - Order IDs
+ * @param {Object} rules - { baseAsset, quoteAsset } of the symbol
+ * @returns {Promise<Object>} - Result of getFillsFee
+ */
+async function getOrdersFee(symbol, orderIds, rules) {
+  let trades = [];
+
+  for (const orderId of orderIds) {
+    trades = trades.concat(await client.getMyTrades(symbol, { orderId }));
+  }
+
+  return getFillsFee(trades, rules);
+}
+
+/**
+ * Get the commission rate of the buy of a trade of trading-loop.js
+ * @param {Object} tradeData - Trade (buyCost, buyFee, feeRates)
+ * @returns {number} - Rate of the fee paid when it is known, the trade's estimated rate otherwise
+ */
+function getBuyFeeRate(tradeData) {
+  if (typeof tradeData.buyFee === 'number' && tradeData.buyCost > 0) {
+    return tradeData.buyFee / tradeData.buyCost;
+  }
+
+  return tradeData.feeRates ? tradeData.feeRates.buy : DEFAULT_FEE_RATE;
+}
+
+/**
+ * Calculate the net profit of a trade of trading-loop.js
+ *
+ * The fees paid (buyFee, sellFee) are used when they are known, otherwise
+ * they are estimated with the trade's feeRates, or 0.1%. The buy fee is
+ * counted for the quantity sold only.
+ * @param {Object} tradeData - Trade (buyPrice, buyCost, buyFee, sellPrice, sellValue, sellFee, quantity, feeRates)
+ * @returns {Object|null} - { profit, buyFee, sellFee, estimated }, null without a buy and a sell price
+ */
+function calculateTradeProfit(tradeData) {
+  if (!tradeData.sellPrice || !tradeData.buyPrice || !tradeData.quantity) {
+    return null;
+  }
+
+  const buyPrice = parseFloat(tradeData.buyPrice);
+  const sellValue = tradeData.sellValue || parseFloat(tradeData.sellPrice) * parseFloat(tradeData.quantity);
+  const soldQuantity = sellValue / parseFloat(tradeData.sellPrice);
+  const knownBuyFee = typeof tradeData.buyFee === 'number' && tradeData.buyCost > 0;
+  const knownSellFee = typeof tradeData.sellFee === 'number';
+
+  const buyFee = soldQuantity * buyPrice * getBuyFeeRate(tradeData);
+  const sellFee = knownSellFee ? tradeData.sellFee : sellValue * (tradeData.feeRates ? tradeData.feeRates.sell : DEFAULT_FEE_RATE);
+
+  return {
+    profit: sellValue - sellFee - soldQuantity * buyPrice - buyFee,
+    buyFee,
+    sellFee,
+    estimated: !knownBuyFee || !knownSellFee
+  };
+}
+
+module.exports = {
+  DEFAULT_FEE_RATE,
+  getFeeRates,
+  getOrderRate,
+  formatRate,
+  getFillsFee,
+  getOrdersFee,
+  getBuyFeeRate,
+  calculateTradeProfit
+};
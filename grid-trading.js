@@ -0,0 +1,775 @@
+#!/usr/bin/env node
+
+/**
+ * Grid Trading
+ *
+ * This script runs a grid strategy for one symbol: the price range between
+ * --lower and --upper is split into --levels price levels, a resting limit
+ * buy is kept on every level below the market and a limit sell on every
+ * level above it. The level closest to the price is left empty. When a buy
+ * fills, a sell for the same quantity is placed one level higher; when a
+ * sell fills, a buy is placed one level lower. Every buy and sell pair earns
+ * one grid step.
+ *
+ * The levels, their orders and the grid profit are kept in
+ * state/grid-<profile>-<botId>.json, so a stopped or crashed grid continues
+ * where it was when it is run again. The stop action cancels all grid
+ * orders, saves a summary to history/ and removes the state file.
+ *
+ * Usage:
+ *   node grid-trading.js run --symbol BTCUSDT --lower 45000 --upper 55000 --levels 11 --quantity 0.0002
+ *   node grid-trading.js status --symbol BTCUSDT
+ *   node grid-trading.js stop --symbol BTCUSDT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const client = require('./binance-client');
+const output = require('./output');
+const logger = require('./logger');
+const symbolRules = require('./symbol-rules');
+const stateJournal = require('./state-journal');
+const { createOrder } = require('./order-trade');
+const { createMarketBuyOrder, summarizeFills } = require('./market-buy');
+const panic = require('./panic');
+const fees = require('./fees');
+const { profile } = require('./config');
+
+const log = logger.getLogger('grid-trading');
+
+const GRID_VERSION = 1;
+
+// Default seconds between two checks of the grid orders
+const DEFAULT_INTERVAL = 10;
+
+// Binance allows 200 open orders per symbol (MAX_NUM_ORDERS)
+const MAX_LEVELS = 200;
+
+// Extra base asset bought at the start, so commission paid in the base asset does not shrink the sells
+const INVENTORY_BUFFER = 0.002;
+
+// Level states
+const LEVEL_STATUS = {
+  EMPTY: 'empty',     // No order on this level
+  PENDING: 'pending', // An order should be placed
+  PLACING: 'placing', // Order sent, response not recorded yet
+  OPEN: 'open',       // Order resting on the exchange
+  CANCELLED: 'cancelled' // Order cancelled when the grid was stopped
+};
+
+const OPEN_STATUSES = ['NEW', 'PARTIALLY_FILLED'];
+
+/**
+ * Error thrown for invalid grid settings or a grid that cannot be run
+ */
+class GridError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GridError';
+  }
+}
+
+// Parse command line arguments
+function parseArgs() {
+  const args = {};
+  process.argv.slice(2).forEach((arg, i, argv) => {
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[i + 1] : true;
+      args[key] = value;
+    }
+  });
+  return args;
+}
+
+/**
+ * Build the grid settings from command line or config file options
+ * @param {Object} options - { symbol, lower, upper, levels, quantity, interval, botId }
+ * @returns {Object} - Grid settings
+ */
+function getGridSettings(options) {
+  const settings = {
+    symbol: options.symbol || 'BTCUSDT',
+    lower: parseFloat(options.lower),
+    upper: parseFloat(options.upper),
+    levels: parseInt(options.levels),
+    quantity: options.quantity !== undefined ? String(options.quantity) : null,
+    interval: options.interval ? parseInt(options.interval) : DEFAULT_INTERVAL
+  };
+  settings.botId = options.botId || `grid${settings.symbol}`;
+
+  if (!(settings.lower > 0) || !(settings.upper > settings.lower)) {
+    throw new GridError('--lower and --upper must be positive prices with --lower below --upper');
+  }
+
+  if (!(settings.levels >= 2) || settings.levels > MAX_LEVELS) {
+    throw new GridError(`--levels must be between 2 and ${MAX_LEVELS}`);
+  }
+
+  if (!(parseFloat(settings.quantity) > 0)) {
+    throw new GridError('--quantity (base asset per level) must be a positive number');
+  }
+
+  if (!(settings.interval > 0)) {
+    throw new GridError('--interval must be a positive number of seconds');
+  }
+
+  return settings;
+}
+
+/**
+ * Get the settings for running a grid: the saved settings of a grid that is
+ * already running, otherwise the given options
+ * @param {Object} options - Options for getGridSettings
+ * @returns {Object} - Grid settings
+ */
+function getRunSettings(options) {
+  const botId = options.botId || `grid${options.symbol || 'BTCUSDT'}`;
+  const grid = loadGrid(botId, profile);
+  return grid ? grid.settings : getGridSettings(options);
+}
+
+/**
+ * Calculate the prices of the grid levels
+ * @param {Object} settings - Grid settings
+ * @param {Object} rules - Symbol rules
+ * @returns {Array<string>} - Level prices from the lowest to the highest, rounded to the tickSize
+ */
+function calculateLevelPrices(settings, rules) {
+  const step = (settings.upper - settings.lower) / (settings.levels - 1);
+  const prices = [];
+
+  for (let i = 0; i < settings.levels; i++) {
+    prices.push(symbolRules.roundPrice(rules, settings.lower + step * i));
+  }
+
+  // A range too narrow for the tickSize would put two levels on one price
+  if (new Set(prices).size !== prices.length) {
+    throw new GridError(`The range ${settings.lower}-${settings.upper} is too narrow for ${settings.levels} levels with tickSize ${rules.tickSize}`);
+  }
+
+  return prices;
+}
+
+/**
+ * Get the path of a grid's state file
+ * @param {string} botId - Bot ID
+ * @param {string} profile - Profile name
+ * @returns {string} - State file path
+ */
+function getGridStatePath(botId, profile) {
+  return path.join(__dirname, 'state', `grid-${profile}-${stateJournal.sanitizeBotId(botId)}.json`);
+}
+
+/**
+ * Read a grid's state
+ * @param {string} botId - Bot ID
+ * @param {string} profile - Profile name
+ * @returns {Object|null} - Grid state, null if no grid is running
+ */
+function loadGrid(botId, profile) {
+  const filePath = getGridStatePath(botId, profile);
+
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new GridError(`Cannot read grid state ${filePath}: ${error.message}. Check the open orders and remove the file`);
+  }
+}
+
+/**
+ * Write a grid's state (the file is replaced atomically)
+ * @param {Object} grid - Grid state
+ * @returns {Object} - The same grid state
+ */
+function saveGrid(grid) {
+  const filePath = getGridStatePath(grid.botId, grid.profile);
+  const tempPath = `${filePath}.tmp`;
+
+  grid.updatedAt = new Date().toISOString();
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(grid, null, 2));
+  fs.renameSync(tempPath, filePath);
+
+  return grid;
+}
+
+/**
+ * Remove a grid's state file
+ * @param {Object} grid - Grid state
+ */
+function clearGrid(grid) {
+  const filePath = getGridStatePath(grid.botId, grid.profile);
+
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+/**
+ * Get the free balance of an asset
+ * @param {string} asset - Asset (e.g. BTC)
+ * @returns {Promise<number>} - Free balance
+ */
+async function getFreeBalance(asset) {
+  const account = await client.getAccount();
+  const balance = account.balances.find(item => item.asset === asset);
+  return balance ? parseFloat(balance.free) : 0;
+}
+
+/**
+ * Create the state of a new grid
+ *
+ * Levels below the current price get a buy, levels above it a sell and the
+ * level closest to the price stays empty. A sell placed at the start has no
+ * buy behind it, so its entry price is the level below it.
+ * @param {Object} settings - Grid settings
+ * @param {Object} rules - Symbol rules
+ * @param {number} currentPrice - Current price
+ * @returns {Object} - Grid state (not saved yet)
+ */
+function createGrid(settings, rules, currentPrice) {
+  const prices = calculateLevelPrices(settings, rules);
+  const quantity = symbolRules.roundQuantity(rules, settings.quantity);
+
+  // Every level has to be a valid order on its own
+  prices.forEach(price => {
+    const side = parseFloat(price) < currentPrice ? 'BUY' : 'SELL';
+    symbolRules.validateOrder(rules, { symbol: rules.symbol, side, type: 'LIMIT', price, quantity });
+  });
+
+  let emptyIndex = 0;
+  prices.forEach((price, index) => {
+    if (Math.abs(parseFloat(price) - currentPrice) < Math.abs(parseFloat(prices[emptyIndex]) - currentPrice)) {
+      emptyIndex = index;
+    }
+  });
+
+  const levels = prices.map((price, index) => {
+    const side = index < emptyIndex ? 'BUY' : (index > emptyIndex ? 'SELL' : null);
+    return {
+      index,
+      price,
+      side,
+      quantity: side ? quantity : null,
+      status: side ? LEVEL_STATUS.PENDING : LEVEL_STATUS.EMPTY,
+      orderId: null,
+      clientOrderId: null,
+      entryPrice: side === 'SELL' ? prices[index - 1] : null
+    };
+  });
+
+  return {
+    version: GRID_VERSION,
+    botId: settings.botId,
+    profile,
+    symbol: rules.symbol,
+    baseAsset: rules.baseAsset,
+    quoteAsset: rules.quoteAsset,
+    settings,
+    startPrice: currentPrice,
+    startedAt: new Date().toISOString(),
+    levels,
+    stats: {
+      buys: 0,
+      sells: 0,
+      rounds: 0,
+      grossProfit: 0,
+      fees: 0,
+      netProfit: 0
+    }
+  };
+}
+
+/**
+ * Buy the base asset the sell levels of a new grid need, and check the quote asset for the buy levels
+ * @param {Object} grid - New grid state
+ * @param {number} currentPrice - Current price
+ * @returns {Promise<Object|null>} - Market buy order, null if the balance was enough
+ */
+async function prepareInventory(grid, currentPrice) {
+  const rules = await symbolRules.getSymbolRules(grid.symbol);
+  const sells = grid.levels.filter(level => level.side === 'SELL');
+  const buys = grid.levels.filter(level => level.side === 'BUY');
+
+  const baseNeeded = sells.reduce((total, level) => total + parseFloat(level.quantity), 0) * (1 + INVENTORY_BUFFER);
+  const quoteNeeded = buys.reduce((total, level) => total + parseFloat(level.price) * parseFloat(level.quantity), 0);
+  const baseFree = await getFreeBalance(grid.baseAsset);
+  const quoteFree = await getFreeBalance(grid.quoteAsset);
+
+  const missingBase = Math.max(0, baseNeeded - baseFree);
+  const buyFeeRate = fees.getOrderRate(await fees.getFeeRates(), 'BUY', false);
+  // The market buy has to reach the minimum order value even for a small shortfall
+  const buyAmount = missingBase > 0 ? Math.max(missingBase * currentPrice * (1 + buyFeeRate), rules.minNotional * 1.01) : 0;
+
+  console.log(`Sell levels need ${baseNeeded.toFixed(8)} ${grid.baseAsset} (free: ${baseFree})`);
+  console.log(`Buy levels need ${quoteNeeded.toFixed(8)} ${grid.quoteAsset} (free: ${quoteFree})`);
+
+  if (quoteFree < quoteNeeded + buyAmount) {
+    throw new GridError(`Insufficient ${grid.quoteAsset} balance for the grid. Required: ${(quoteNeeded + buyAmount).toFixed(8)}, Available: ${quoteFree}`);
+  }
+
+  if (buyAmount === 0) {
+    return null;
+  }
+
+  console.log(`Buying ${grid.baseAsset} for the sell levels with ${symbolRules.roundQuoteAmount(rules, buyAmount)} ${grid.quoteAsset}...`);
+  const order = await createMarketBuyOrder({
+    symbol: grid.symbol,
+    quoteOrderQty: symbolRules.roundQuoteAmount(rules, buyAmount),
+    newClientOrderId: stateJournal.createClientOrderId(grid.botId, 'init', 'b')
+  });
+  const fill = summarizeFills(order, grid.baseAsset);
+
+  console.log(`Bought ${fill.netQuantity.toFixed(8)} ${grid.baseAsset} at an average price of ${fill.price.toFixed(8)} ${grid.quoteAsset}`);
+  log.info('Grid inventory bought', { orderId: order.orderId, quantity: fill.netQuantity, cost: fill.cost });
+
+  return order;
+}
+
+/**
+ * Place the order of a grid level
+ *
+ * The client order ID is recorded before the order is sent, so an order
+ * whose response was lost is found again when the grid is resumed.
+ * @param {Object} grid - Grid state
+ * @param {Object} level - Level with status PENDING
+ * @param {Object} rules - Symbol rules
+ * @returns {Promise<Object>} - Order response
+ */
+async function placeLevelOrder(grid, level, rules) {
+  let quantity = level.quantity;
+
+  // Commission paid in the base asset can leave slightly less to sell than was bought
+  if (level.side === 'SELL') {
+    const free = await getFreeBalance(grid.baseAsset);
+    if (free < parseFloat(quantity)) {
+      quantity = symbolRules.roundQuantity(rules, free);
+      console.warn(`Only ${free} ${grid.baseAsset} free, selling ${quantity} on level ${level.index}`);
+    }
+  }
+
+  level.clientOrderId = stateJournal.createClientOrderId(grid.botId, `g${level.index}`, level.side === 'BUY' ? 'b' : 's');
+  level.status = LEVEL_STATUS.PLACING;
+  saveGrid(grid);
+
+  const order = await createOrder({
+    symbol: grid.symbol,
+    side: level.side,
+    type: 'LIMIT',
+    quantity,
+    price: level.price,
+    newClientOrderId: level.clientOrderId
+  });
+
+  level.orderId = order.orderId;
+  level.quantity = quantity;
+  level.status = LEVEL_STATUS.OPEN;
+  saveGrid(grid);
+
+  console.log(`Level ${level.index}: ${level.side} ${quantity} ${grid.baseAsset} at ${level.price} (order ${order.orderId})`);
+  log.info('Grid order placed', { level: level.index, side: level.side, price: level.price, quantity, orderId: order.orderId });
+  output.event('order', { level: level.index, side: level.side, price: level.price, quantity, orderId: order.orderId });
+
+  return order;
+}
+
+/**
+ * Record a filled level order and queue the opposite order one level away
+ * @param {Object} grid - Grid state
+ * @param {Object} level - Level whose order was filled
+ * @param {Object} order - Filled order
+ * @param {Object} rules - Symbol rules
+ * @param {number|null} paidFee - Commission of the order's trades in the quote currency, null when it cannot be valued
+ */
+function handleFill(grid, level, order, rules, paidFee = null) {
+  const quantity = parseFloat(order.executedQty);
+  const value = parseFloat(order.cummulativeQuoteQty);
+  const fee = paidFee !== null ? paidFee : value * fees.DEFAULT_FEE_RATE;
+  const stats = grid.stats;
+  let profit = null;
+
+  stats.fees += fee;
+
+  if (level.side === 'BUY') {
+    stats.buys++;
+  } else {
+    // One round: bought on the level below, sold here
+    profit = value - parseFloat(level.entryPrice) * quantity;
+    stats.sells++;
+    stats.rounds++;
+    stats.grossProfit += profit;
+  }
+  stats.netProfit = stats.grossProfit - stats.fees;
+
+  const fillPrice = value / quantity;
+  console.log(`\nLevel ${level.index}: ${level.side} ${quantity} ${grid.baseAsset} filled at ${fillPrice.toFixed(8)}${profit !== null ? `, round profit ${profit.toFixed(8)} ${grid.quoteAsset}` : ''}`);
+  log.info('Grid order filled', { level: level.index, side: level.side, orderId: order.orderId, price: fillPrice, quantity, profit, stats });
+  output.event('fill', { level: level.index, side: level.side, orderId: order.orderId, price: fillPrice, quantity, profit, stats: { ...stats } });
+
+  const targetIndex = level.side === 'BUY' ? level.index + 1 : level.index - 1;
+  const target = grid.levels[targetIndex];
+
+  if (target && target.status === LEVEL_STATUS.EMPTY) {
+    target.side = level.side === 'BUY' ? 'SELL' : 'BUY';
+    target.quantity = symbolRules.roundQuantity(rules, level.side === 'BUY' ? order.executedQty : grid.settings.quantity);
+    target.entryPrice = level.side === 'BUY' ? level.price : null;
+    target.status = LEVEL_STATUS.PENDING;
+    target.orderId = null;
+    target.clientOrderId = null;
+  } else if (target) {
+    console.warn(`Level ${targetIndex} still has an order, no ${level.side === 'BUY' ? 'sell' : 'buy'} was added for level ${level.index}`);
+    log.warn('Grid target level not empty', { level: level.index, target: targetIndex, status: target.status });
+  }
+
+  Object.assign(level, { side: null, quantity: null, status: LEVEL_STATUS.EMPTY, orderId: null, clientOrderId: null, entryPrice: null });
+}
+
+/**
+ * Compare the grid with the exchange: record fills and place missing orders
+ *
+ * Buys are processed from the highest level down and sells from the lowest
+ * level up, so when the price jumps over several levels each fill finds the
+ * level next to it already empty.
+ * @param {Object} grid - Grid state
+ * @param {Object} rules - Symbol rules
+ * @param {Object} options - { placeOrders: place the pending orders (default: true) }
+ * @returns {Promise<number>} - Number of fills recorded
+ */
+async function syncGrid(grid, rules, options = {}) {
+  // Orders sent before a crash whose response was not recorded
+  for (const level of grid.levels.filter(item => item.status === LEVEL_STATUS.PLACING)) {
+    const order = await stateJournal.findOrder(grid.symbol, null, level.clientOrderId);
+    if (order) {
+      level.orderId = order.orderId;
+      level.status = LEVEL_STATUS.OPEN;
+    } else {
+      level.status = LEVEL_STATUS.PENDING;
+    }
+    saveGrid(grid);
+  }
+
+  const openOrders = await client.getOpenOrders(grid.symbol);
+  const openIds = new Set(openOrders.map(order => order.orderId));
+  const closed = grid.levels.filter(level => level.status === LEVEL_STATUS.OPEN && !openIds.has(level.orderId));
+  const filled = [];
+
+  for (const level of closed) {
+    const order = await client.getOrder(grid.symbol, level.orderId);
+
+    if (order.status === 'FILLED') {
+      filled.push({ level, order });
+    } else if (!OPEN_STATUSES.includes(order.status)) {
+      // Cancelled or expired outside the grid: put the order back
+      console.warn(`Level ${level.index}: order ${order.orderId} is ${order.status}, placing it again`);
+      log.warn('Grid order closed without a fill', { level: level.index, orderId: order.orderId, status: order.status });
+      level.status = LEVEL_STATUS.PENDING;
+    }
+  }
+
+  filled.sort((a, b) => {
+    if (a.level.side !== b.level.side) {
+      return a.level.side === 'BUY' ? -1 : 1;
+    }
+    return a.level.side === 'BUY' ? b.level.index - a.level.index : a.level.index - b.level.index;
+  });
+
+  for (const { level, order } of filled) {
+    const { fee } = await fees.getOrdersFee(grid.symbol, [order.orderId], rules);
+    handleFill(grid, level, order, rules, fee);
+  }
+
+  saveGrid(grid);
+
+  if (options.placeOrders === false) {
+    return filled.length;
+  }
+
+  for (const level of grid.levels.filter(item => item.status === LEVEL_STATUS.PENDING)) {
+    await placeLevelOrder(grid, level, rules);
+  }
+
+  return filled.length;
+}
+
+/**
+ * Summarize a grid for display and JSON output
+ * @param {Object} grid - Grid state
+ * @returns {Object} - { symbol, botId, settings, startedAt, updatedAt, levels, stats }
+ */
+function summarizeGrid(grid) {
+  return {
+    symbol: grid.symbol,
+    botId: grid.botId,
+    settings: grid.settings,
+    startPrice: grid.startPrice,
+    startedAt: grid.startedAt,
+    updatedAt: grid.updatedAt,
+    levels: grid.levels.map(level => ({
+      index: level.index,
+      price: level.price,
+      side: level.side,
+      quantity: level.quantity,
+      status: level.status,
+      orderId: level.orderId
+    })),
+    stats: { ...grid.stats }
+  };
+}
+
+/**
+ * Display the levels and the profit of a grid
+ * @param {Object} grid - Grid state
+ * @param {number} currentPrice - Current price (optional)
+ */
+function displayGrid(grid, currentPrice = null) {
+  const { stats } = grid;
+
+  console.log(`\nGrid ${grid.botId} (${grid.symbol}, ${grid.settings.lower}-${grid.settings.upper}, ${grid.settings.levels} levels)`);
+  console.log('-'.repeat(50));
+
+  [...grid.levels].reverse().forEach(level => {
+    const marker = currentPrice !== null && level.index < grid.levels.length - 1 &&
+      parseFloat(level.price) <= currentPrice && currentPrice < parseFloat(grid.levels[level.index + 1].price) ? ' <- price' : '';
+    const order = level.side ? `${level.side.padEnd(4)} ${level.quantity} (${level.status}${level.orderId ? `, order ${level.orderId}` : ''})` : '-';
+    console.log(`${String(level.index).padStart(3)}  ${level.price.padEnd(14)} ${order}${marker}`);
+  });
+
+  console.log('-'.repeat(50));
+  if (currentPrice !== null) {
+    console.log(`Current price:  ${currentPrice}`);
+  }
+  console.log(`Fills:          ${stats.buys} buys, ${stats.sells} sells (${stats.rounds} completed rounds)`);
+  console.log(`Grid profit:    ${stats.grossProfit.toFixed(8)} ${grid.quoteAsset}`);
+  console.log(`Fees:           ${stats.fees.toFixed(8)} ${grid.quoteAsset}`);
+  console.log(`Net profit:     ${stats.netProfit.toFixed(8)} ${grid.quoteAsset}`);
+}
+
+/**
+ * Run a grid until the process is stopped
+ *
+ * A saved grid of the same bot is resumed with its saved settings; the
+ * orders stay on the exchange while the process is not running.
+ * @param {Object} settings - Grid settings (see getGridSettings)
+ * @param {Object} options - { maxChecks: stop after this many checks (default: run forever) }
+ * @returns {Promise<Object>} - Grid state when the run ends
+ */
+async function runGrid(settings, options = {}) {
+  panic.assertNoPanic(settings.symbol, settings.botId);
+
+  const rules = await symbolRules.getSymbolRules(settings.symbol);
+  let grid = loadGrid(settings.botId, profile);
+
+  if (grid) {
+    console.log(`Resuming grid ${grid.botId} started at ${grid.startedAt} (${getGridStatePath(grid.botId, profile)})`);
+    console.log('The saved grid settings are used; stop the grid first to change them.');
+    log.info('Grid resumed', { botId: grid.botId, settings: grid.settings });
+  } else {
+    const currentPrice = await client.getPrice(settings.symbol);
+
+    grid = createGrid(settings, rules, currentPrice);
+    console.log(`Starting grid ${grid.botId} at ${currentPrice} ${grid.quoteAsset}`);
+    await prepareInventory(grid, currentPrice);
+    saveGrid(grid);
+    log.info('Grid started', { botId: grid.botId, settings, startPrice: currentPrice, levels: grid.levels.map(level => level.price) });
+  }
+
+  output.event('grid', { grid: summarizeGrid(grid) });
+
+  let checks = 0;
+  while (!options.maxChecks || checks < options.maxChecks) {
+    // After a panic the cancelled orders must not be placed again
+    panic.assertNoPanic(grid.symbol, grid.botId);
+
+    const fills = await syncGrid(grid, rules);
+    checks++;
+
+    if (checks === 1 || fills > 0) {
+      displayGrid(grid, await client.getPrice(grid.symbol));
+    }
+
+    if (!options.maxChecks || checks < options.maxChecks) {
+      await new Promise(resolve => setTimeout(resolve, grid.settings.interval * 1000));
+    }
+  }
+
+  return grid;
+}
+
+/**
+ * Tear down a grid: cancel its orders, save a summary to history and remove its state
+ * @param {string} botId - Bot ID
+ * @param {string} symbol - Trading pair symbol (for bot orders without a grid state)
+ * @returns {Promise<Object|null>} - { grid, cancelled, historyFile }, null if nothing was running
+ */
+async function stopGrid(botId, symbol) {
+  const grid = loadGrid(botId, profile);
+  const cancelled = [];
+
+  if (grid) {
+    // Record fills that happened since the last check, without placing new orders
+    const rules = await symbolRules.getSymbolRules(grid.symbol);
+    await syncGrid(grid, rules, { placeOrders: false });
+  }
+
+  // Every open order with the bot's client order ID prefix, including ones the state missed
+  const orders = await stateJournal.findBotOrders(grid ? grid.symbol : symbol, botId);
+
+  for (const order of orders) {
+    try {
+      await client.cancelOrder(order.symbol, order.orderId);
+      cancelled.push(order.orderId);
+      console.log(`Cancelled ${order.side} ${order.origQty} at ${order.price} (order ${order.orderId})`);
+    } catch (error) {
+      // -2011: the order was filled or cancelled in the meantime
+      if (error.code !== -2011) {
+        throw error;
+      }
+    }
+  }
+
+  if (!grid) {
+    return orders.length > 0 ? { grid: null, cancelled, historyFile: null } : null;
+  }
+
+  grid.levels.forEach(level => {
+    if (cancelled.includes(level.orderId)) {
+      level.status = LEVEL_STATUS.CANCELLED;
+    }
+  });
+
+  grid.stoppedAt = new Date().toISOString();
+  const historyDir = path.join(process.cwd(), 'history');
+  if (!fs.existsSync(historyDir)) {
+    fs.mkdirSync(historyDir);
+  }
+  const historyFile = path.join(historyDir, `grid_${grid.stoppedAt.replace(/:/g, '-')}.json`);
+  fs.writeFileSync(historyFile, JSON.stringify({ ...summarizeGrid(grid), stoppedAt: grid.stoppedAt, cancelledOrders: cancelled }, null, 2));
+
+  clearGrid(grid);
+  log.info('Grid stopped', { botId, cancelled, stats: grid.stats, historyFile });
+
+  return { grid, cancelled, historyFile };
+}
+
+// Main function
+async function main() {
+  try {
+    const args = parseArgs();
+    const action = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : null;
+
+    // Show help if --help flag is provided
+    if (args.help || args.h || !action) {
+      console.log('\nGrid Trading\n');
+      console.log('Description: Keep buy orders below and sell orders above the market on a grid of price levels\n');
+      console.log('Usage:');
+      console.log('  node grid-trading.js run --symbol BTCUSDT --lower 45000 --upper 55000 --levels 11 --quantity 0.0002');
+      console.log('  node grid-trading.js status --symbol BTCUSDT');
+      console.log('  node grid-trading.js stop --symbol BTCUSDT\n');
+      console.log('Actions:');
+      console.log('  run               Start a grid, or resume the saved grid of this bot');
+      console.log('  status            Show the levels, their orders and the grid profit');
+      console.log('  stop              Cancel all grid orders, save a summary to history/ and remove the grid state\n');
+      console.log('Parameters:');
+      console.log('  --symbol          Trading pair symbol (default: BTCUSDT)');
+      console.log('  --lower           Lowest price level (required for run)');
+      console.log('  --upper           Highest price level (required for run)');
+      console.log('  --levels          Number of price levels, including --lower and --upper (required for run)');
+      console.log('  --quantity        Amount in base currency bought or sold on each level (required for run)');
+      console.log(`  --interval        Seconds between checks of the grid orders (default: ${DEFAULT_INTERVAL})`);
+      console.log('  --botId           Name of the grid for its state file and client order IDs (default: grid<symbol>)');
+      console.log('  --json            Print the grid (status, stop) as JSON on stdout');
+      console.log('  --ndjson          With run: print every order and fill as one JSON object per line');
+      console.log('\nThe grid is also available as a mode of the trading loop:');
+      console.log('  node trading-loop.js --grid --symbol BTCUSDT --lower 45000 --upper 55000 --levels 11 --quantity 0.0002');
+      return;
+    }
+
+    if (!client.hasCredentials()) {
+      console.error(client.getCredentialsMessage());
+      process.exit(1);
+    }
+
+    const symbol = args.symbol || 'BTCUSDT';
+    const botId = args.botId || `grid${symbol}`;
+
+    switch (action) {
+      case 'run':
+        await runGrid(getRunSettings(args));
+        break;
+
+      case 'status': {
+        const grid = loadGrid(botId, profile);
+        if (!grid) {
+          throw new GridError(`No grid is running for bot ${botId} (${getGridStatePath(botId, profile)})`);
+        }
+
+        const currentPrice = await client.getPrice(grid.symbol);
+        if (output.isEnabled()) {
+          output.result({ grid: summarizeGrid(grid), currentPrice });
+        } else {
+          displayGrid(grid, currentPrice);
+        }
+        break;
+      }
+
+      case 'stop': {
+        const result = await stopGrid(botId, symbol);
+        if (!result) {
+          throw new GridError(`No grid is running for bot ${botId} and it has no open orders`);
+        }
+
+        if (output.isEnabled()) {
+          output.result({ grid: result.grid ? summarizeGrid(result.grid) : null, cancelled: result.cancelled, historyFile: result.historyFile });
+          break;
+        }
+
+        console.log(`\nGrid ${botId} stopped, ${result.cancelled.length} order(s) cancelled`);
+        if (result.grid) {
+          displayGrid(result.grid);
+          console.log(`\nGrid summary saved to: ${result.historyFile}`);
+        }
+        break;
+      }
+
+      default:
+        throw new GridError(`Unknown action: ${action} (use run, status or stop)`);
+    }
+  } catch (error) {
+    log.error('Grid trading failed', { error });
+    console.error('An error occurred:', error.message);
+    output.fail(error);
+    process.exit(1);
+  }
+}
+
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  GridError,
+  LEVEL_STATUS,
+  getGridSettings,
+  getRunSettings,
+  calculateLevelPrices,
+  getGridStatePath,
+  loadGrid,
+  saveGrid,
+  createGrid,
+  syncGrid,
+  summarizeGrid,
+  displayGrid,
+  runGrid,
+  stopGrid
+};
@@ -0,0 +1,142 @@
+/**
+ * Indicators
+ *
+ * Technical indicators calculated from the closing prices of klines, used by
+ * the entry conditions of trading-loop.js (see entry-conditions.js) and the
+ * volatility position sizing (see position-sizing.js). Every
+ * function takes the values oldest first and returns the value for the last
+ * one, or null when there are fewer values than the period needs.
+ */
+
+/**
+ * Simple moving average
+ * @param {Array<number>} values - Values, oldest first
+ * @param {number} period - Number of values averaged
+ * @returns {number|null} - Average of the last period values
+ */
+function sma(values, period) {
+  if (values.length < period) {
+    return null;
+  }
+
+  return values.slice(-period).reduce((sum, value) => sum + value, 0) / period;
+}
+
+/**
+ * Exponential moving average
+ *
+ * Starts from the simple average of the first period values, so the result
+ * settles the more values there are before the last one.
+ * @param {Array<number>} values - Values, oldest first
+ * @param {number} period - Period
+ * @returns {number|null} - Average at the last value
+ */
+function ema(values, period) {
+  if (values.length < period) {
+    return null;
+  }
+
+  const k = 2 / (period + 1);
+  let average = sma(values.slice(0, period), period);
+
+  for (let i = period; i < values.length; i++) {
+    average = values[i] * k + average * (1 - k);
+  }
+
+  return average;
+}
+
+/**
+ * Relative strength index with Wilder's smoothing
+ * @param {Array<number>} values - Closing prices, oldest first
+ * @param {number} period - Period (14 is common)
+ * @returns {number|null} - RSI from 0 to 100
+ */
+function rsi(values, period) {
+  if (values.length < period + 1) {
+    return null;
+  }
+
+  let gain = 0;
+  let loss = 0;
+
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    gain += Math.max(change, 0);
+    loss += Math.max(-change, 0);
+  }
+
+  gain /= period;
+  loss /= period;
+
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+
+  if (loss === 0) {
+    return gain === 0 ? 50 : 100;
+  }
+
+  return 100 - 100 / (1 + gain / loss);
+}
+
+/**
+ * Bollinger bands
+ * @param {Array<number>} values - Closing prices, oldest first
+ * @param {number} period - Period of the middle band (a simple moving average)
+ * @param {number} multiplier - Distance of the outer bands in standard deviations
+ * @returns {Object|null} - { upper, middle, lower }
+ */
+function bollinger(values, period, multiplier) {
+  const middle = sma(values, period);
+
+  if (middle === null) {
+    return null;
+  }
+
+  const variance = values.slice(-period).reduce((sum, value) => sum + (value - middle) ** 2, 0) / period;
+  const deviation = Math.sqrt(variance) * multiplier;
+
+  return { upper: middle + deviation, middle, lower: middle - deviation };
+}
+
+/**
+ * Average true range with Wilder's smoothing
+ *
+ * The true range of a kline is the largest of its high-low range and the
+ * distance of its high and low from the previous close.
+ * @param {Array<number>} highs - Highs, oldest first
+ * @param {Array<number>} lows - Lows, oldest first
+ * @param {Array<number>} closes - Closing prices, oldest first
+ * @param {number} period - Period (14 is common)
+ * @returns {number|null} - Average true range in price units
+ */
+function atr(highs, lows, closes, period) {
+  if (closes.length < period + 1) {
+    return null;
+  }
+
+  const ranges = [];
+
+  for (let i = 1; i < closes.length; i++) {
+    ranges.push(Math.max(highs[i] - lows[i], Math.abs(highs[i] - closes[i - 1]), Math.abs(lows[i] - closes[i - 1])));
+  }
+
+  let average = sma(ranges.slice(0, period), period);
+
+  for (let i = period; i < ranges.length; i++) {
+    average = (average * (period - 1) + ranges[i]) / period;
+  }
+
+  return average;
+}
+
+module.exports = {
+  sma,
+  ema,
+  rsi,
+  bollinger,
+  atr
+};
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+/**
+ * Keys
+ *
+ * This script manages the API credentials stored in the encrypted keystore
+ * (see keystore.js). The API key, secret and passphrase are prompted for so
+ * they never end up in the shell history; BINANCE_API_KEY,
+ * BINANCE_API_SECRET and BINANCE_KEYSTORE_PASSPHRASE are used instead of
+ * the prompts when they are set.
+ *
+ * Usage:
+ *   node keys.js add --profile testnet
+ *   node keys.js list
+ *   node keys.js remove --profile testnet
+ *   node keys.js rotate --profile mainnet
+ */
+
+const readline = require('readline');
+const credentials = require('./credentials');
+const keystore = require('./keystore');
+const output = require('./output');
+const logger = require('./logger');
+
+// Parse command line arguments
+function parseArgs() {
+  const args = {};
+  process.argv.slice(2).forEach((arg, i, argv) => {
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[i + 1] : true;
+      args[key] = value;
+    }
+  });
+  return args;
+}
+
+/**
+ * Ask a question on the terminal
+ * @param {string} question - Prompt text
+ * @param {boolean} hidden - Do not echo the answer (secrets, passphrases)
+ * @returns {Promise<string>} - Answer
+ */
+function prompt(question, hidden = false) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+
+    if (hidden && process.stdin.isTTY) {
+      rl._writeToOutput = text => {
+        if (text.startsWith(question)) {
+          rl.output.write(question);
+        }
+      };
+    }
+
+    rl.question(question, answer => {
+      if (hidden && process.stdin.isTTY) {
+        rl.output.write('\n');
+      }
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Get the API key and secret from the environment or the terminal
+ * @returns {Promise<Object>} - { apiKey, apiSecret }
+ */
+async function readCredentials() {
+  const apiKey = process.env.BINANCE_API_KEY || await prompt('API key: ');
+  const apiSecret = process.env.BINANCE_API_SECRET || await prompt('API secret: ', true);
+
+  if (!apiKey || !apiSecret) {
+    throw new Error('API key and secret are required');
+  }
+
+  return { apiKey, apiSecret };
+}
+
+/**
+ * Get a passphrase from the environment or the terminal
+ * @param {string} label - Prompt label
+ * @param {boolean} confirm - Ask twice (for a new passphrase)
+ * @param {boolean} fromEnv - Use BINANCE_KEYSTORE_PASSPHRASE when it is set
+ * @returns {Promise<string>} - Passphrase
+ */
+async function readPassphrase(label = 'Keystore passphrase', confirm = false, fromEnv = true) {
+  if (fromEnv && process.env.BINANCE_KEYSTORE_PASSPHRASE) {
+    return process.env.BINANCE_KEYSTORE_PASSPHRASE;
+  }
+
+  const passphrase = await prompt(`${label}: `, true);
+
+  if (!passphrase) {
+    throw new Error('Passphrase is required');
+  }
+
+  if (confirm && await prompt(`Repeat ${label.toLowerCase()}: `, true) !== passphrase) {
+    throw new Error('Passphrases do not match');
+  }
+
+  return passphrase;
+}
+
+/**
+ * Display the keystore entries
+ * @param {Array} entries - Entries from keystore.listEntries
+ */
+function displayEntries(entries) {
+  console.log(`\nKeystore: ${keystore.getKeystorePath()}`);
+
+  if (entries.length === 0) {
+    console.log('No credentials stored.');
+    return;
+  }
+
+  console.log('--------------------------------------------------');
+  console.log(`${'Profile'.padEnd(12)} ${'API key'.padEnd(14)} ${'Created'.padEnd(25)} Rotated`);
+  entries.forEach(entry => {
+    console.log(`${entry.profile.padEnd(12)} ${entry.apiKey.padEnd(14)} ${entry.createdAt.padEnd(25)} ${entry.rotatedAt || '-'}`);
+  });
+}
+
+// Main function
+async function main() {
+  try {
+    const args = parseArgs();
+    const action = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : null;
+
+    // Show help if --help flag is provided
+    if (args.help || args.h || !action) {
+      console.log('\nKeys\n');
+      console.log('Description: Manage API credentials in the encrypted keystore\n');
+      console.log('Usage:');
+      console.log('  node keys.js add --profile testnet');
+      console.log('  node keys.js list');
+      console.log('  node keys.js remove --profile testnet');
+      console.log('  node keys.js rotate --profile mainnet');
+      console.log('  node keys.js rotate --profile mainnet --newPassphrase\n');
+      console.log('Actions:');
+      console.log('  add               Store the API key and secret of a profile');
+      console.log('  list              List stored profiles (API keys are masked)');
+      console.log('  remove            Delete the credentials of a profile');
+      console.log('  rotate            Replace the credentials of a profile with a new key pair\n');
+      console.log('Parameters:');
+      console.log(`  --profile         Profile name (default: BINANCE_PROFILE or ${credentials.DEFAULT_PROFILE})`);
+      console.log('  --newPassphrase   With rotate: encrypt the new credentials with a new passphrase');
+      console.log('  --json            With list: print the entries as JSON on stdout');
+      return;
+    }
+
+    const profile = credentials.getProfileName();
+
+    switch (action) {
+      case 'add': {
+        const keyPair = await readCredentials();
+        const passphrase = await readPassphrase('Keystore passphrase', true);
+        keystore.addEntry(profile, keyPair, passphrase);
+        console.log(`Credentials for profile "${profile}" saved to ${keystore.getKeystorePath()}`);
+        console.log('Set BINANCE_KEYSTORE_PASSPHRASE (environment or .env) to unlock them.');
+        break;
+      }
+
+      case 'list':
+        if (output.isEnabled()) {
+          output.result({ keystore: keystore.getKeystorePath(), entries: keystore.listEntries() });
+        } else {
+          displayEntries(keystore.listEntries());
+        }
+        break;
+
+      case 'remove':
+        keystore.removeEntry(profile);
+        console.log(`Credentials for profile "${profile}" removed`);
+        break;
+
+      case 'rotate': {
+        const passphrase = await readPassphrase('Current passphrase');
+        keystore.getCredentials(profile, passphrase);
+
+        const keyPair = await readCredentials();
+        const newPassphrase = args.newPassphrase ? await readPassphrase('New passphrase', true, false) : null;
+        keystore.rotateEntry(profile, keyPair, passphrase, newPassphrase);
+        console.log(`Credentials for profile "${profile}" rotated`);
+        console.log('Revoke the old API key in your Binance account settings.');
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown action: ${action} (use add, list, remove or rotate)`);
+    }
+  } catch (error) {
+    console.error('An error occurred:', error.message);
+    output.fail(error);
+    process.exit(1);
+  }
+}
+
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  prompt,
+  readCredentials,
+  readPassphrase,
+  displayEntries
+};
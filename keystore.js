@@ -0,0 +1,249 @@
+/**
+ * Keystore
+ *
+ * This module stores API credentials in a local file encrypted with a
+ * passphrase, one entry per profile. Each entry is encrypted with
+ * AES-256-GCM using a key derived from the passphrase with scrypt and its
+ * own random salt. Only the profile name, a masked API key and timestamps
+ * are readable without the passphrase.
+ *
+ * The file is keystore.json next to the scripts (git-ignored) unless
+ * BINANCE_KEYSTORE points elsewhere.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEYSTORE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Error thrown for a missing entry, a wrong passphrase or a damaged file
+ */
+class KeystoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeystoreError';
+  }
+}
+
+/**
+ * Get the path of the keystore file
+ * @returns {string} - Keystore path
+ */
+function getKeystorePath() {
+  return process.env.BINANCE_KEYSTORE || path.join(__dirname, 'keystore.json');
+}
+
+/**
+ * Read the keystore file
+ * @returns {Object} - Keystore { version, entries } (empty if the file does not exist)
+ */
+function readKeystore() {
+  const filePath = getKeystorePath();
+
+  if (!fs.existsSync(filePath)) {
+    return { version: KEYSTORE_VERSION, entries: {} };
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return { version: data.version || KEYSTORE_VERSION, entries: data.entries || {} };
+  } catch (error) {
+    throw new KeystoreError(`Cannot read keystore ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Write the keystore file, readable only by the owner
+ * @param {Object} store - Keystore { version, entries }
+ */
+function writeKeystore(store) {
+  const filePath = getKeystorePath();
+  const tempPath = `${filePath}.tmp`;
+
+  fs.writeFileSync(tempPath, JSON.stringify(store, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Mask an API key for display
+ * @param {string} apiKey - API key
+ * @returns {string} - First and last 4 characters
+ */
+function maskKey(apiKey) {
+  return apiKey.length > 8 ? `${apiKey.slice(0, 4)}...${apiKey.slice(-4)}` : '****';
+}
+
+/**
+ * Encrypt credentials with a passphrase
+ * @param {Object} credentials - { apiKey, apiSecret }
+ * @param {string} passphrase - Passphrase
+ * @returns {Object} - { salt, iv, tag, data } as base64 strings
+ */
+function encrypt(credentials, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(passphrase, salt, 32, SCRYPT_PARAMS);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const plaintext = JSON.stringify({ apiKey: credentials.apiKey, apiSecret: credentials.apiSecret });
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt credentials with a passphrase
+ * @param {Object} encrypted - { salt, iv, tag, data } from encrypt
+ * @param {string} passphrase - Passphrase
+ * @returns {Object} - { apiKey, apiSecret }
+ */
+function decrypt(encrypted, passphrase) {
+  try {
+    const key = crypto.scryptSync(passphrase, Buffer.from(encrypted.salt, 'base64'), 32, SCRYPT_PARAMS);
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(encrypted.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+
+    return JSON.parse(plaintext);
+  } catch (error) {
+    throw new KeystoreError('Wrong passphrase or damaged keystore entry');
+  }
+}
+
+/**
+ * Check whether the keystore has an entry for a profile
+ * @param {string} profile - Profile name
+ * @returns {boolean} - True if an entry exists
+ */
+function hasEntry(profile) {
+  try {
+    return !!readKeystore().entries[profile];
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * List the keystore entries without decrypting them
+ * @returns {Array} - List of { profile, apiKey (masked), createdAt, rotatedAt }
+ */
+function listEntries() {
+  const { entries } = readKeystore();
+
+  return Object.keys(entries).sort().map(profile => ({
+    profile,
+    apiKey: entries[profile].apiKeyHint,
+    createdAt: entries[profile].createdAt,
+    rotatedAt: entries[profile].rotatedAt || null
+  }));
+}
+
+/**
+ * Add credentials for a profile
+ * @param {string} profile - Profile name
+ * @param {Object} credentials - { apiKey, apiSecret }
+ * @param {string} passphrase - Passphrase used to encrypt the entry
+ * @param {Object} options - { overwrite: replace an existing entry }
+ */
+function addEntry(profile, credentials, passphrase, options = {}) {
+  const store = readKeystore();
+
+  if (store.entries[profile] && !options.overwrite) {
+    throw new KeystoreError(`Keystore already has an entry for profile "${profile}", use rotate to replace it`);
+  }
+
+  store.entries[profile] = {
+    apiKeyHint: maskKey(credentials.apiKey),
+    createdAt: new Date().toISOString(),
+    ...encrypt(credentials, passphrase)
+  };
+
+  writeKeystore(store);
+}
+
+/**
+ * Remove the entry of a profile
+ * @param {string} profile - Profile name
+ */
+function removeEntry(profile) {
+  const store = readKeystore();
+
+  if (!store.entries[profile]) {
+    throw new KeystoreError(`Keystore has no entry for profile "${profile}"`);
+  }
+
+  delete store.entries[profile];
+  writeKeystore(store);
+}
+
+/**
+ * Decrypt the credentials of a profile
+ * @param {string} profile - Profile name
+ * @param {string} passphrase - Passphrase
+ * @returns {Object} - { apiKey, apiSecret }
+ */
+function getCredentials(profile, passphrase) {
+  const entry = readKeystore().entries[profile];
+
+  if (!entry) {
+    throw new KeystoreError(`Keystore has no entry for profile "${profile}"`);
+  }
+
+  return decrypt(entry, passphrase);
+}
+
+/**
+ * Replace the credentials of a profile (after the exchange key was rotated)
+ *
+ * The current passphrase has to unlock the existing entry; the new
+ * credentials are encrypted with the new passphrase (or the current one).
+ * @param {string} profile - Profile name
+ * @param {Object} credentials - New { apiKey, apiSecret }
+ * @param {string} passphrase - Current passphrase
+ * @param {string} newPassphrase - Optional new passphrase
+ */
+function rotateEntry(profile, credentials, passphrase, newPassphrase = null) {
+  const store = readKeystore();
+  const entry = store.entries[profile];
+
+  if (!entry) {
+    throw new KeystoreError(`Keystore has no entry for profile "${profile}"`);
+  }
+
+  decrypt(entry, passphrase);
+
+  store.entries[profile] = {
+    apiKeyHint: maskKey(credentials.apiKey),
+    createdAt: entry.createdAt,
+    rotatedAt: new Date().toISOString(),
+    ...encrypt(credentials, newPassphrase || passphrase)
+  };
+
+  writeKeystore(store);
+}
+
+module.exports = {
+  KeystoreError,
+  getKeystorePath,
+  maskKey,
+  encrypt,
+  decrypt,
+  hasEntry,
+  listEntries,
+  addEntry,
+  removeEntry,
+  getCredentials,
+  rotateEntry
+};
@@ -0,0 +1,334 @@
+/**
+ * Logger
+ *
+ * Shared logger for all scripts. Every record is one JSON line with a
+ * timestamp, level, module tag and the id of the run, written to
+ * logs/<script>.log. Files are rotated by size, so a trading loop can run
+ * for hours and still be reconstructed afterwards from its log.
+ *
+ * Scripts call init() once when they are run from the command line. From
+ * then on console output is also copied into the log file (the terminal
+ * output does not change), and modules add structured records through
+ * getLogger('module-name'). API keys, secrets and request signatures are
+ * redacted before anything is written.
+ *
+ * Settings (environment variables):
+ *   LOG_LEVEL          Lowest level written to the file: debug, info, warn, error (default: info)
+ *   LOG_CONSOLE_LEVEL  Lowest level of getLogger() records also printed to stderr (default: silent)
+ *   LOG_DIR            Directory of the log files (default: logs/ next to the scripts)
+ *   LOG_MAX_SIZE       Size in bytes at which a log file is rotated (default: 5 MB)
+ *   LOG_MAX_FILES      Number of rotated files kept per script (default: 5)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const crypto = require('crypto');
+
+// Level order; 'silent' turns a sink off
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Names used by trading-loop's --logLevel before levels existed
+const LEVEL_ALIASES = { verbose: 'debug', normal: 'info', minimal: 'warn' };
+
+const DEFAULT_MAX_SIZE = 5 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are never written
+const SENSITIVE_KEYS = /^(api[-_]?key|api[-_]?secret|secret|signature|passphrase|x-mbx-apikey|listenkey)$/i;
+
+// Binance API keys, secrets and HMAC signatures are 64 characters long
+const KEY_PATTERN = /\b[A-Za-z0-9]{64}\b/g;
+const SIGNATURE_PATTERN = /(signature=)[^&\s"']+/gi;
+
+// Console methods copied into the log file and their levels
+const CONSOLE_LEVELS = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+// Identifies the records of one run when several runs share a file
+const runId = crypto.randomBytes(4).toString('hex');
+
+const settings = {
+  level: 'info',
+  consoleLevel: 'silent',
+  file: null,
+  maxSize: DEFAULT_MAX_SIZE,
+  maxFiles: DEFAULT_MAX_FILES
+};
+
+// Known secret values (API key, secret, keystore passphrase)
+const secrets = new Set();
+
+// Size of the current log file, kept to avoid a stat per record
+let fileSize = 0;
+
+// Loggers by module name
+const loggers = {};
+
+/**
+ * Convert a level name to a known level
+ * @param {string} level - Level name or alias (verbose, normal, minimal)
+ * @returns {string|null} - Level name or null if unknown
+ */
+function normalizeLevel(level) {
+  if (!level) {
+    return null;
+  }
+
+  const name = String(level).toLowerCase();
+  const resolved = LEVEL_ALIASES[name] || name;
+
+  return LEVELS[resolved] !== undefined ? resolved : null;
+}
+
+/**
+ * Get the value of a command line option
+ * @param {Array<string>} argv - Command line arguments
+ * @param {string} name - Option name with dashes (e.g. --logLevel)
+ * @returns {string|null} - Option value
+ */
+function getArgValue(argv, name) {
+  const index = argv.indexOf(name);
+  return index !== -1 && argv[index + 1] && !argv[index + 1].startsWith('--') ? argv[index + 1] : null;
+}
+
+/**
+ * Register a secret value that is replaced in every log record
+ * @param {string} value - API key, secret or passphrase
+ */
+function addSecret(value) {
+  // Short values such as the mock profile's 'mock' key are not worth hiding
+  if (typeof value === 'string' && value.length >= 8) {
+    secrets.add(value);
+  }
+}
+
+/**
+ * Remove secrets and signatures from a text
+ * @param {string} text - Text to redact
+ * @returns {string} - Redacted text
+ */
+function redactText(text) {
+  let result = String(text);
+
+  secrets.forEach(secret => {
+    result = result.split(secret).join(REDACTED);
+  });
+
+  return result.replace(SIGNATURE_PATTERN, `$1${REDACTED}`).replace(KEY_PATTERN, REDACTED);
+}
+
+/**
+ * Copy a value for logging with sensitive fields removed
+ * @param {*} value - Value to redact
+ * @param {WeakSet} seen - Objects already visited (circular references)
+ * @returns {*} - Redacted copy
+ */
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redactText(value.message) };
+    ['code', 'status', 'endpoint'].forEach(key => {
+      if (value[key] !== undefined) {
+        error[key] = value[key];
+      }
+    });
+    return error;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+
+  const copy = {};
+  Object.keys(value).forEach(key => {
+    copy[key] = SENSITIVE_KEYS.test(key) ? REDACTED : redact(value[key], seen);
+  });
+  return copy;
+}
+
+/**
+ * Rotate the log file: app.log -> app.1.log -> app.2.log ... (oldest removed)
+ */
+function rotate() {
+  const { file, maxFiles } = settings;
+  const base = file.replace(/\.log$/, '');
+
+  for (let i = maxFiles - 1; i >= 1; i--) {
+    if (fs.existsSync(`${base}.${i}.log`)) {
+      fs.renameSync(`${base}.${i}.log`, `${base}.${i + 1}.log`);
+    }
+  }
+
+  if (maxFiles > 0 && fs.existsSync(file)) {
+    fs.renameSync(file, `${base}.1.log`);
+  } else if (fs.existsSync(file)) {
+    fs.unlinkSync(file);
+  }
+
+  fileSize = 0;
+}
+
+/**
+ * Append a record to the log file
+ *
+ * Logging never stops a script: if the file cannot be written the file sink
+ * is switched off after one warning on stderr.
+ * @param {string} level - Record level
+ * @param {string} module - Module tag
+ * @param {string} message - Message
+ * @param {Object} fields - Additional fields
+ */
+function writeRecord(level, module, message, fields) {
+  if (!settings.file || LEVELS[level] < LEVELS[settings.level]) {
+    return;
+  }
+
+  try {
+    const record = {
+      time: new Date().toISOString(),
+      level,
+      module,
+      run: runId,
+      msg: message,
+      ...(fields ? redact(fields) : {})
+    };
+    const line = `${redactText(JSON.stringify(record))}\n`;
+    const size = Buffer.byteLength(line);
+
+    if (fileSize > 0 && fileSize + size > settings.maxSize) {
+      rotate();
+    }
+
+    fs.appendFileSync(settings.file, line);
+    fileSize += size;
+  } catch (error) {
+    const file = settings.file;
+    settings.file = null;
+    process.stderr.write(`Logging to ${file} disabled: ${error.message}\n`);
+  }
+}
+
+/**
+ * Get the logger of a module
+ * @param {string} module - Module tag written with every record
+ * @returns {Object} - Logger with debug, info, warn and error methods (message, fields)
+ */
+function getLogger(module) {
+  if (loggers[module]) {
+    return loggers[module];
+  }
+
+  const logger = {};
+
+  ['debug', 'info', 'warn', 'error'].forEach(level => {
+    logger[level] = (message, fields) => {
+      writeRecord(level, module, message, fields);
+
+      if (LEVELS[level] >= LEVELS[settings.consoleLevel]) {
+        const details = fields ? ` ${JSON.stringify(redact(fields))}` : '';
+        process.stderr.write(`${new Date().toISOString()} ${level.toUpperCase()} [${module}] ${redactText(message)}${details}\n`);
+      }
+    };
+  });
+
+  loggers[module] = logger;
+  return logger;
+}
+
+/**
+ * Copy console output into the log file
+ * @param {string} module - Module tag for console records (the script name)
+ */
+function captureConsole(module) {
+  Object.keys(CONSOLE_LEVELS).forEach(method => {
+    const original = console[method];
+
+    console[method] = (...args) => {
+      original(...args);
+
+      const message = util.format(...args).trim();
+      if (message) {
+        writeRecord(CONSOLE_LEVELS[method], module, message);
+      }
+    };
+  });
+}
+
+/**
+ * Start logging to a file for the script being run
+ *
+ * Called once by the script run from the command line, after output.init().
+ * The file level comes from --logLevel or LOG_LEVEL.
+ * @param {Object} options - { name, level, dir, captureConsole }
+ * @returns {string} - Path of the log file
+ */
+function init(options = {}) {
+  const argv = process.argv;
+  const name = options.name || path.basename(argv[1] || 'app', '.js');
+  const dir = options.dir || process.env.LOG_DIR || path.join(__dirname, 'logs');
+
+  settings.level = normalizeLevel(options.level || getArgValue(argv, '--logLevel') || process.env.LOG_LEVEL) || 'info';
+  settings.consoleLevel = normalizeLevel(process.env.LOG_CONSOLE_LEVEL) || 'silent';
+  settings.maxSize = parseInt(process.env.LOG_MAX_SIZE) || DEFAULT_MAX_SIZE;
+  settings.maxFiles = process.env.LOG_MAX_FILES !== undefined ? parseInt(process.env.LOG_MAX_FILES) || 0 : DEFAULT_MAX_FILES;
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    settings.file = path.join(dir, `${name}.log`);
+    fileSize = fs.existsSync(settings.file) ? fs.statSync(settings.file).size : 0;
+  } catch (error) {
+    settings.file = null;
+    process.stderr.write(`Logging to ${dir} disabled: ${error.message}\n`);
+  }
+
+  if (options.captureConsole !== false) {
+    captureConsole(name);
+  }
+
+  writeRecord('info', name, 'Started', { argv: argv.slice(2), pid: process.pid });
+  process.on('exit', code => writeRecord(code ? 'error' : 'info', name, 'Exited', { code }));
+
+  return settings.file;
+}
+
+/**
+ * Get the path of the current log file
+ * @returns {string|null} - Log file path, null before init()
+ */
+function getLogFile() {
+  return settings.file;
+}
+
+/**
+ * Get the id written with every record of this run
+ * @returns {string} - Run id
+ */
+function getRunId() {
+  return runId;
+}
+
+module.exports = {
+  LEVELS,
+  normalizeLevel,
+  addSecret,
+  redactText,
+  redact,
+  getLogger,
+  init,
+  getLogFile,
+  getRunId
+};
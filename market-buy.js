@@ -10,11 +10,16 @@
  *   node market-buy.js --symbol BTCUSDT --amount 10 --confirm
  *   node market-buy.js --symbol ETHUSDT --amount 50 --confirm
  *   node market-buy.js --symbol SOLUSDT --amount 25 --base SOL --quote USDT --confirm
+ *
+ * The buy is checked by the pre-trade checks (see pre-trade-checks.js);
+ * --override lets a refused buy through.
  */
 
-const crypto = require('crypto');
-const axios = require('axios');
-const config = require('./config');
+const client = require('./binance-client');
+const output = require('./output');
+const logger = require('./logger');
+const symbolRules = require('./symbol-rules');
+const preTradeChecks = require('./pre-trade-checks');
 
 // Parse command line arguments
 function parseArgs() {
@@ -29,14 +34,6 @@ function parseArgs() {
   return args;
 }
 
-// Function to sign the request parameters
-function signRequest(queryString) {
-  return crypto
-    .createHmac('sha256', config.apiSecret)
-    .update(queryString)
-    .digest('hex');
-}
-
 /**
  * Get current price for a symbol
  * @param {string} symbol - Trading pair symbol
@@ -44,15 +41,7 @@ function signRequest(queryString) {
  */
 async function getCurrentPrice(symbol) {
   try {
-    const url = `${config.baseUrl}/api/v3/ticker/price?symbol=${symbol}`;
-    
-    const response = await axios.get(url);
-    
-    if (response.data && response.data.price) {
-      return parseFloat(response.data.price);
-    } else {
-      throw new Error('Could not get current price');
-    }
+    return await client.getPrice(symbol);
   } catch (error) {
     console.error('Error getting current price:', error.message);
     throw error;
@@ -66,12 +55,10 @@ async function getCurrentPrice(symbol) {
  */
 async function getSymbolInfo(symbol) {
   try {
-    const url = `${config.baseUrl}/api/v3/exchangeInfo?symbol=${symbol}`;
+    const exchangeInfo = await client.getExchangeInfo(symbol);
     
-    const response = await axios.get(url);
-    
-    if (response.data && response.data.symbols && response.data.symbols.length > 0) {
-      return response.data.symbols[0];
+    if (exchangeInfo && exchangeInfo.symbols && exchangeInfo.symbols.length > 0) {
+      return exchangeInfo.symbols[0];
     } else {
       throw new Error(`Symbol ${symbol} not found`);
     }
@@ -88,34 +75,62 @@ async function getSymbolInfo(symbol) {
  */
 async function createMarketBuyOrder(params) {
   try {
-    const timestamp = Date.now();
-    const queryParams = new URLSearchParams({
+    // Round quoteOrderQty to the quote asset precision and check the minimum notional
+    const orderParams = await symbolRules.prepareOrder({
       symbol: params.symbol,
       side: 'BUY',
       type: 'MARKET',
       quoteOrderQty: params.quoteOrderQty,
-      timestamp: timestamp
-    }).toString();
-    
-    const signature = signRequest(queryParams);
-    
-    const url = `${config.baseUrl}/api/v3/order?${queryParams}&signature=${signature}`;
-    
-    const response = await axios.post(url, null, {
-      headers: {
-        'X-MBX-APIKEY': config.apiKey
-      }
+      newClientOrderId: params.newClientOrderId
     });
     
-    return response.data;
+    return await client.createOrder(orderParams);
   } catch (error) {
-    if (error.response && error.response.data) {
-      console.error('API Error:', error.response.data);
+    if (error.data) {
+      console.error('API Error:', error.data);
     }
     throw new Error(`An error occurred: ${error.message}`);
   }
 }
 
+/**
+ * Summarize the fills of an executed order
+ * @param {Object} order - Order response with fills
+ * @param {string} baseAsset - Base asset of the symbol (optional, for netQuantity)
+ * @returns {Object} - Total quantity, average price, cost and commission
+ */
+function summarizeFills(order, baseAsset) {
+  let quantity = 0;
+  let cost = 0;
+  let commission = 0;
+  let baseCommission = 0;
+  
+  (order.fills || []).forEach(fill => {
+    quantity += parseFloat(fill.qty);
+    cost += parseFloat(fill.price) * parseFloat(fill.qty);
+    commission += parseFloat(fill.commission);
+    
+    if (baseAsset && fill.commissionAsset === baseAsset) {
+      baseCommission += parseFloat(fill.commission);
+    }
+  });
+  
+  // Orders without fills (e.g. queried later) still report executed totals
+  if (quantity === 0 && parseFloat(order.executedQty) > 0) {
+    quantity = parseFloat(order.executedQty);
+    cost = parseFloat(order.cummulativeQuoteQty);
+  }
+  
+  return {
+    quantity,
+    price: quantity > 0 ? cost / quantity : 0,
+    cost,
+    commission,
+    // Quantity actually received after commission paid in the base asset
+    netQuantity: quantity - baseCommission
+  };
+}
+
 /**
  * Format and display order information
  * @param {Object} order - Order information
@@ -141,26 +156,20 @@ function displayOrder(order) {
     console.log('\nFill Information:');
     console.log('--------------------------------------------------');
     
-    let totalQty = 0;
-    let totalQuoteQty = 0;
-    let totalCommission = 0;
-    
     order.fills.forEach((fill, index) => {
       console.log(`Fill #${index + 1}:`);
       console.log(`  Price:       ${fill.price}`);
       console.log(`  Quantity:    ${fill.qty}`);
       console.log(`  Commission:  ${fill.commission} ${fill.commissionAsset}`);
-      
-      totalQty += parseFloat(fill.qty);
-      totalQuoteQty += parseFloat(fill.price) * parseFloat(fill.qty);
-      totalCommission += parseFloat(fill.commission);
     });
     
+    const summary = summarizeFills(order);
+    
     console.log('\nSummary:');
-    console.log(`  Total Quantity:    ${totalQty}`);
-    console.log(`  Average Price:     ${(totalQuoteQty / totalQty).toFixed(8)}`);
-    console.log(`  Total Cost:        ${totalQuoteQty.toFixed(8)}`);
-    console.log(`  Total Commission:  ${totalCommission.toFixed(8)}`);
+    console.log(`  Total Quantity:    ${summary.quantity}`);
+    console.log(`  Average Price:     ${summary.price.toFixed(8)}`);
+    console.log(`  Total Cost:        ${summary.cost.toFixed(8)}`);
+    console.log(`  Total Commission:  ${summary.commission.toFixed(8)}`);
   }
   
   console.log('\nTo monitor this order, use:');
@@ -210,6 +219,12 @@ async function main() {
       console.log('  --base            Base currency (optional, for display only)');
       console.log('  --quote           Quote currency (optional, for display only)');
       console.log('  --confirm         Add this flag to execute the order (otherwise just preview)');
+      console.log('  --override        Buy even though the pre-trade checks refuse it: the rules it may break,');
+      console.log('                    comma separated (maxNotional, maxBalanceShare) or all');
+      console.log('  --maxNotional     Pre-trade check: largest amount in quote currency (default: off, or pre-trade-checks.json)');
+      console.log('  --maxBalanceShare Pre-trade check: largest share of the free quote balance in percent (default: 50)');
+      console.log('  --checksConfig    Rules file of the pre-trade checks (default: ./pre-trade-checks.json)');
+      console.log('  --json            Print the preview or the executed order as JSON on stdout');
       return;
     }
     
@@ -240,8 +255,21 @@ async function main() {
     console.log(`Amount to Spend:  ${amount} ${quoteCurrency}`);
     console.log(`Estimated Qty:    ${estimate.quantity.toFixed(8)} ${baseCurrency}`);
     
+    const preview = {
+      symbol,
+      baseAsset: baseCurrency,
+      quoteAsset: quoteCurrency,
+      price: estimate.price,
+      amount,
+      estimatedQuantity: estimate.quantity
+    };
+    
+    // Refuse a buy that is probably a typo (also in the preview), unless the broken rules are overridden
+    await preTradeChecks.enforce({ symbol, side: 'BUY', type: 'MARKET', quoteOrderQty: amount }, args, symbolInfo);
+    
     // Confirm the purchase
     if (!args.confirm) {
+      output.result({ ...preview, executed: false });
       console.log('\nTo execute this order, add --confirm to your command');
       return;
     }
@@ -256,16 +284,35 @@ async function main() {
     
     const order = await createMarketBuyOrder(orderParams);
     
+    if (output.isEnabled()) {
+      output.result({ ...preview, executed: true, order: output.formatOrder(order), fill: summarizeFills(order, baseCurrency) });
+      return;
+    }
+    
     // Display order information
     displayOrder(order);
     
   } catch (error) {
     console.error(error.message);
+    output.fail(error);
     process.exit(1);
   }
 }
 
-// Run the main function
-main().catch(error => {
-  console.error('An unexpected error occurred:', error);
-});
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  getCurrentPrice,
+  getSymbolInfo,
+  createMarketBuyOrder,
+  summarizeFills,
+  displayOrder,
+  calculateEstimate
+};
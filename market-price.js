@@ -9,8 +9,9 @@
  *   node market-price.js --symbol BTCUSDT
  */
 
-const axios = require('axios');
-const config = require('./config');
+const client = require('./binance-client');
+const output = require('./output');
+const logger = require('./logger');
 
 // Parse command line arguments
 function parseArgs() {
@@ -28,11 +29,9 @@ function parseArgs() {
 // Get current price for a symbol
 async function getCurrentPrice(symbol) {
   try {
-    const url = `${config.baseUrl}/api/v3/ticker/price?symbol=${symbol}`;
-    const response = await axios.get(url);
-    return response.data.price;
+    return await client.getPrice(symbol);
   } catch (error) {
-    console.error('Error fetching price:', error.response ? error.response.data : error.message);
+    console.error('Error fetching price:', error.message);
     throw error;
   }
 }
@@ -50,6 +49,7 @@ async function main() {
       console.log('  node market-price.js --symbol BTCUSDT\n');
       console.log('Parameters:');
       console.log('  --symbol          Trading pair symbol (required)');
+      console.log('  --json            Print the price as JSON on stdout');
       return;
     }
     
@@ -62,17 +62,31 @@ async function main() {
     // Get current price
     const price = await getCurrentPrice(args.symbol);
     
+    if (output.isEnabled()) {
+      output.result({ symbol: args.symbol, price, time: Date.now() });
+      return;
+    }
+    
     // Display the price
     console.log(`\nCurrent price for ${args.symbol}:`);
     console.log(`Current price: ${price}`);
     
   } catch (error) {
     console.error('An error occurred:', error.message);
+    output.fail(error);
     process.exit(1);
   }
 }
 
-// Run the main function
-main().catch(error => {
-  console.error('An unexpected error occurred:', error);
-});
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  getCurrentPrice
+};
@@ -0,0 +1,611 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Binance Exchange
+ *
+ * This script starts a local stand-in for the Binance spot API so the other
+ * scripts (including trading-loop.js) can be run end to end without network
+ * access or real money. It serves the REST endpoints used by the project and
+ * a user data WebSocket that emits executionReport events. Prices follow a
+ * scriptable path and resting limit orders are matched against it.
+ *
+ * Point config.baseUrl at the server (e.g. http://localhost:8765) to use it.
+ *
+ * Usage:
+ *   node mock-exchange.js
+ *   node mock-exchange.js --port 8765 --symbols BTCUSDT=50000,ETHUSDT=3000
+ *   node mock-exchange.js --prices 50000,50200,50500,49800 --tick 2000 --loop
+ *   node mock-exchange.js --pricePath prices.json --balances USDT=1000,BTC=0.01
+ */
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { ExchangeEngine, ExchangeEngineError, splitSymbol, formatDecimal } = require('./exchange-engine');
+const rateLimiter = require('./rate-limiter');
+const symbolRules = require('./symbol-rules');
+const logger = require('./logger');
+
+// Parse command line arguments
+function parseArgs() {
+  const args = {};
+  process.argv.slice(2).forEach((arg, i, argv) => {
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[i + 1] : true;
+      args[key] = value;
+    }
+  });
+  return args;
+}
+
+// Display help information
+function showHelp() {
+  console.log(`
+Mock Binance Exchange
+
+Usage:
+  node mock-exchange.js [options]
+
+Options:
+  --port <port>            Port to listen on (default: 8765)
+  --symbols <list>         Symbols and starting prices (default: BTCUSDT=50000)
+                           e.g. BTCUSDT=50000,ETHUSDT=3000
+  --balances <list>        Starting free balances (default: USDT=10000,BTC=0.1,BNB=1)
+                           e.g. USDT=1000,BTC=0.01
+  --prices <list>          Price path for the first symbol, comma separated
+  --pricePath <file>       JSON file with the price path: an array of prices for
+                           the first symbol, or an object { "BTCUSDT": [...] }
+  --tick <ms>              Milliseconds between price path steps (default: 1000)
+  --loop                   Restart the price path when it ends (default: hold last price)
+  --commission <rate>      Commission rate for fills (default: 0.001)
+  --weightLimit <weight>   Request weight allowed per minute before HTTP 429 (default: 6000)
+  --clockSkew <ms>         Run the server clock ahead (or behind, if negative) of
+                           the local clock, to test time synchronization
+  --help                   Show this help message
+
+Control endpoints:
+  POST /mock/price?symbol=BTCUSDT&price=51000   Set a price immediately
+  GET  /mock/state                              Dump balances and orders
+
+Point config.baseUrl at http://localhost:<port> to use the mock exchange.
+  `);
+}
+
+/**
+ * Parse a "KEY=value,KEY=value" list into an object of numbers
+ * @param {string} list - List to parse
+ * @returns {Object} - Parsed values
+ */
+function parseKeyValueList(list) {
+  const result = {};
+
+  String(list).split(',').filter(Boolean).forEach(entry => {
+    const [key, value] = entry.split('=');
+    const number = parseFloat(value);
+
+    if (!key || isNaN(number)) {
+      throw new Error(`Invalid entry "${entry}", expected KEY=value`);
+    }
+
+    result[key.trim().toUpperCase()] = number;
+  });
+
+  return result;
+}
+
+/**
+ * Load the scripted price paths
+ * @param {Object} args - Command line arguments
+ * @param {string} firstSymbol - Symbol used for plain price lists
+ * @returns {Object} - Price paths keyed by symbol
+ */
+function loadPricePaths(args, firstSymbol) {
+  if (args.pricePath) {
+    const data = JSON.parse(fs.readFileSync(args.pricePath, 'utf8'));
+    return Array.isArray(data) ? { [firstSymbol]: data.map(parseFloat) } : Object.keys(data).reduce((paths, symbol) => {
+      paths[symbol] = data[symbol].map(parseFloat);
+      return paths;
+    }, {});
+  }
+
+  if (args.prices) {
+    return { [firstSymbol]: String(args.prices).split(',').map(parseFloat) };
+  }
+
+  return {};
+}
+
+/**
+ * Build the exchangeInfo entry for a symbol
+ * @param {string} symbol - Trading pair symbol
+ * @param {number} price - Current price, used to scale the filters
+ * @returns {Object} - Symbol information
+ */
+function buildSymbolInfo(symbol, price) {
+  const { baseAsset, quoteAsset } = splitSymbol(symbol);
+  const tickSize = price >= 1000 ? '0.01000000' : price >= 1 ? '0.00100000' : '0.00000100';
+  const stepSize = price >= 1000 ? '0.00001000' : price >= 1 ? '0.00100000' : '1.00000000';
+
+  return {
+    symbol,
+    status: 'TRADING',
+    baseAsset,
+    baseAssetPrecision: 8,
+    quoteAsset,
+    quotePrecision: 8,
+    quoteAssetPrecision: 8,
+    baseCommissionPrecision: 8,
+    quoteCommissionPrecision: 8,
+    orderTypes: ['LIMIT', 'LIMIT_MAKER', 'MARKET', 'STOP_LOSS', 'STOP_LOSS_LIMIT', 'TAKE_PROFIT', 'TAKE_PROFIT_LIMIT'],
+    icebergAllowed: true,
+    ocoAllowed: true,
+    otoAllowed: false,
+    quoteOrderQtyMarketAllowed: true,
+    allowTrailingStop: true,
+    cancelReplaceAllowed: true,
+    isSpotTradingAllowed: true,
+    isMarginTradingAllowed: false,
+    filters: [
+      { filterType: 'PRICE_FILTER', minPrice: tickSize, maxPrice: '1000000.00000000', tickSize },
+      { filterType: 'LOT_SIZE', minQty: stepSize, maxQty: '9000.00000000', stepSize },
+      { filterType: 'ICEBERG_PARTS', limit: 10 },
+      { filterType: 'MARKET_LOT_SIZE', minQty: '0.00000000', maxQty: '100.00000000', stepSize: '0.00000000' },
+      { filterType: 'TRAILING_DELTA', minTrailingAboveDelta: 10, maxTrailingAboveDelta: 2000, minTrailingBelowDelta: 10, maxTrailingBelowDelta: 2000 },
+      { filterType: 'PERCENT_PRICE_BY_SIDE', bidMultiplierUp: '5', bidMultiplierDown: '0.2', askMultiplierUp: '5', askMultiplierDown: '0.2', avgPriceMins: 5 },
+      { filterType: 'NOTIONAL', minNotional: '5.00000000', applyMinToMarket: true, maxNotional: '9000000.00000000', applyMaxToMarket: false, avgPriceMins: 5 },
+      { filterType: 'MAX_NUM_ORDERS', maxNumOrders: 200 },
+      { filterType: 'MAX_NUM_ALGO_ORDERS', maxNumAlgoOrders: 5 }
+    ],
+    permissions: [],
+    permissionSets: [['SPOT']],
+    defaultSelfTradePreventionMode: 'EXPIRE_MAKER',
+    allowedSelfTradePreventionModes: ['NONE', 'EXPIRE_TAKER', 'EXPIRE_MAKER', 'EXPIRE_BOTH']
+  };
+}
+
+/**
+ * Read the parameters of a request from the query string and the body
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<Object>} - Request parameters
+ */
+function readParams(req, url) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = Object.fromEntries(url.searchParams.entries());
+      Object.assign(params, Object.fromEntries(new URLSearchParams(body).entries()));
+      resolve(params);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Server response
+ * @param {number} status - HTTP status
+ * @param {Object} data - Response body
+ */
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Create the mock exchange server
+ * @param {Object} options - Server options
+ * @param {ExchangeEngine} options.engine - Exchange engine holding the account
+ * @param {number} options.clockSkew - Milliseconds the server clock is ahead of the local clock
+ * @param {number} options.weightLimit - Request weight allowed per minute
+ * @returns {Object} - { server, engine, listenKeys }
+ */
+function createMockServer({ engine, clockSkew = 0, weightLimit = 6000 }) {
+  const listenKeys = new Set();
+  const serverTime = () => Date.now() + clockSkew;
+  const usage = { minute: 0, weight: 0, orders10s: 0, tenSeconds: 0, limitedUntil: 0, bannedUntil: 0 };
+
+  /**
+   * Count the weight of a request the way Binance does
+   *
+   * Going over the weight limit returns 429; sending more requests before
+   * Retry-After has passed returns 418 (IP ban), like the real API.
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Request path
+   * @param {Object} params - Request parameters
+   * @returns {Object} - { status, headers } of the limit response, or { headers } if allowed
+   */
+  function countWeight(method, pathname, params) {
+    const now = serverTime();
+    const minute = Math.floor(now / 60000);
+    const tenSeconds = Math.floor(now / 10000);
+
+    if (minute !== usage.minute) {
+      usage.minute = minute;
+      usage.weight = 0;
+    }
+
+    if (tenSeconds !== usage.tenSeconds) {
+      usage.tenSeconds = tenSeconds;
+      usage.orders10s = 0;
+    }
+
+    if (usage.bannedUntil > now || usage.limitedUntil > now) {
+      usage.bannedUntil = Math.max(usage.bannedUntil, now + 120000);
+      return { status: 418, headers: { 'Retry-After': String(Math.ceil((usage.bannedUntil - now) / 1000)) } };
+    }
+
+    usage.weight += rateLimiter.getEndpointWeight(method, pathname, params);
+    if (rateLimiter.isOrderEndpoint(method, pathname)) {
+      usage.orders10s++;
+    }
+
+    const headers = {
+      'X-MBX-USED-WEIGHT-1M': String(usage.weight),
+      'X-MBX-ORDER-COUNT-10S': String(usage.orders10s)
+    };
+
+    if (usage.weight > weightLimit) {
+      usage.limitedUntil = (minute + 1) * 60000;
+      return { status: 429, headers: { ...headers, 'Retry-After': String(Math.ceil((usage.limitedUntil - now) / 1000)) } };
+    }
+
+    return { headers };
+  }
+
+  /**
+   * Check the timestamp and recvWindow of a signed request
+   * @param {Object} params - Request parameters
+   */
+  function checkSigned(params) {
+    const timestamp = parseInt(params.timestamp);
+    const recvWindow = parseInt(params.recvWindow) || 5000;
+
+    if (!timestamp) {
+      throw new ExchangeEngineError(-1102, 'Mandatory parameter \'timestamp\' was not sent, was empty/null, or malformed.');
+    }
+
+    if (!params.signature) {
+      throw new ExchangeEngineError(-1102, 'Mandatory parameter \'signature\' was not sent, was empty/null, or malformed.');
+    }
+
+    const now = serverTime();
+    if (timestamp > now + 1000 || now - timestamp > recvWindow) {
+      throw new ExchangeEngineError(-1021, 'Timestamp for this request is outside of the recvWindow.');
+    }
+  }
+
+  /**
+   * Reject an order that breaks the symbol filters, like Binance does
+   * @param {Object} params - Order parameters
+   */
+  function checkFilters(params) {
+    engine.assertSymbol(params.symbol);
+
+    const rules = symbolRules.parseRules(buildSymbolInfo(params.symbol, engine.getPrice(params.symbol)));
+    const violations = symbolRules.checkOrder(rules, params, engine.getAvgPrice(params.symbol));
+
+    if (violations.length > 0) {
+      throw new ExchangeEngineError(-1013, `Filter failure: ${violations[0].filter}`);
+    }
+  }
+
+  /**
+   * Reject an order list whose legs break the symbol filters
+   * @param {Object} params - Order list parameters (POST /api/v3/orderList/oco)
+   */
+  function checkListFilters(params) {
+    ['above', 'below'].forEach(position => {
+      checkFilters({
+        symbol: params.symbol,
+        side: params.side,
+        type: params[`${position}Type`],
+        quantity: params.quantity,
+        price: params[`${position}Price`],
+        stopPrice: params[`${position}StopPrice`],
+        trailingDelta: params[`${position}TrailingDelta`]
+      });
+    });
+  }
+
+  /**
+   * Route a REST request to the engine
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Request path
+   * @param {Object} params - Request parameters
+   * @returns {Object} - Response body
+   */
+  function route(method, pathname, params) {
+    const key = `${method} ${pathname}`;
+
+    switch (key) {
+      case 'GET /api/v3/ping':
+        return {};
+
+      case 'GET /api/v3/time':
+        return { serverTime: serverTime() };
+
+      case 'GET /api/v3/exchangeInfo': {
+        const symbols = params.symbol ? [params.symbol] : engine.getSymbols();
+        symbols.forEach(symbol => engine.assertSymbol(symbol));
+
+        return {
+          timezone: 'UTC',
+          serverTime: serverTime(),
+          rateLimits: [
+            { rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 6000 },
+            { rateLimitType: 'ORDERS', interval: 'SECOND', intervalNum: 10, limit: 100 },
+            { rateLimitType: 'ORDERS', interval: 'DAY', intervalNum: 1, limit: 200000 }
+          ],
+          exchangeFilters: [],
+          symbols: symbols.map(symbol => buildSymbolInfo(symbol, engine.getPrice(symbol)))
+        };
+      }
+
+      case 'GET /api/v3/ticker/price':
+        if (params.symbol) {
+          return { symbol: params.symbol, price: formatDecimal(engine.getPrice(params.symbol)) };
+        }
+        return engine.getSymbols().map(symbol => ({ symbol, price: formatDecimal(engine.getPrice(symbol)) }));
+
+      case 'GET /api/v3/avgPrice':
+        return { mins: 5, price: formatDecimal(engine.getAvgPrice(params.symbol, 5)), closeTime: serverTime() };
+
+      case 'GET /api/v3/klines':
+        return engine.getKlines(params.symbol, params.interval, params.limit);
+
+      case 'GET /api/v3/depth':
+        return engine.getDepth(params.symbol, params.limit);
+
+      case 'GET /api/v3/account':
+        checkSigned(params);
+        return engine.getAccount();
+
+      case 'GET /api/v3/order':
+        checkSigned(params);
+        return engine.getOrder(params.symbol, params.orderId, params.origClientOrderId);
+
+      case 'POST /api/v3/order':
+        checkSigned(params);
+        checkFilters(params);
+        return engine.placeOrder(params);
+
+      case 'DELETE /api/v3/order':
+        checkSigned(params);
+        return engine.cancelOrder(params.symbol, params.orderId, params.origClientOrderId);
+
+      case 'POST /api/v3/orderList/oco':
+        checkSigned(params);
+        checkListFilters(params);
+        return engine.placeOrderList(params);
+
+      case 'GET /api/v3/orderList':
+        checkSigned(params);
+        return engine.getOrderList(params.orderListId, params.origClientOrderId);
+
+      case 'DELETE /api/v3/orderList':
+        checkSigned(params);
+        return engine.cancelOrderList(params.symbol, params.orderListId, params.listClientOrderId);
+
+      case 'GET /api/v3/openOrders':
+        checkSigned(params);
+        return engine.getOpenOrders(params.symbol);
+
+      case 'GET /api/v3/allOrders':
+        checkSigned(params);
+        return engine.getAllOrders(params);
+
+      case 'GET /api/v3/myTrades':
+        checkSigned(params);
+        return engine.getMyTrades(params);
+
+      case 'POST /api/v3/userDataStream': {
+        const listenKey = crypto.randomBytes(32).toString('hex');
+        listenKeys.add(listenKey);
+        return { listenKey };
+      }
+
+      case 'PUT /api/v3/userDataStream':
+        if (!listenKeys.has(params.listenKey)) {
+          throw new ExchangeEngineError(-1125, 'This listenKey does not exist.');
+        }
+        return {};
+
+      case 'DELETE /api/v3/userDataStream':
+        listenKeys.delete(params.listenKey);
+        return {};
+
+      case 'POST /mock/price':
+        engine.setPrice(params.symbol, params.price);
+        return { symbol: params.symbol, price: formatDecimal(engine.getPrice(params.symbol)) };
+
+      case 'GET /mock/state':
+        return engine.toJSON();
+
+      default:
+        return undefined;
+    }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let headers = {};
+
+    try {
+      const params = await readParams(req, url);
+      const limit = url.pathname.startsWith('/api/') ? countWeight(req.method, url.pathname, params) : { headers: {} };
+      headers = limit.headers;
+
+      if (limit.status === 429) {
+        sendJson(res, 429, { code: -1003, msg: 'Too many requests; current limit of IP is exceeded.' }, headers);
+        return;
+      }
+
+      if (limit.status === 418) {
+        sendJson(res, 418, { code: -1003, msg: 'Way too many requests; IP banned.' }, headers);
+        return;
+      }
+
+      const data = route(req.method, url.pathname, params);
+
+      if (data === undefined) {
+        sendJson(res, 404, { code: -1000, msg: `Unknown endpoint ${req.method} ${url.pathname}` }, headers);
+        return;
+      }
+
+      sendJson(res, 200, data, headers);
+    } catch (error) {
+      if (error instanceof ExchangeEngineError) {
+        sendJson(res, error.status, { code: error.code, msg: error.message }, headers);
+      } else {
+        sendJson(res, 500, { code: -1000, msg: error.message });
+      }
+    }
+  });
+
+  // User data stream: /ws/<listenKey>
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const match = /^\/ws\/([^/?]+)/.exec(req.url);
+
+    if (!match || !listenKeys.has(match[1])) {
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+  });
+
+  engine.on('executionReport', event => {
+    const message = JSON.stringify(event);
+    wss.clients.forEach(ws => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(message);
+      }
+    });
+  });
+
+  server.on('close', () => wss.close());
+
+  return { server, engine, listenKeys };
+}
+
+/**
+ * Step through the scripted price paths
+ * @param {ExchangeEngine} engine - Exchange engine
+ * @param {Object} paths - Price paths keyed by symbol
+ * @param {number} tick - Milliseconds between steps
+ * @param {boolean} loop - Restart the paths when they end
+ * @returns {NodeJS.Timeout|null} - Interval handle, or null if there is no path
+ */
+function startPricePath(engine, paths, tick, loop) {
+  const symbols = Object.keys(paths).filter(symbol => paths[symbol].length > 0);
+
+  if (symbols.length === 0) {
+    return null;
+  }
+
+  let step = 0;
+
+  const timer = setInterval(() => {
+    step++;
+
+    symbols.forEach(symbol => {
+      const path = paths[symbol];
+      const index = loop ? step % path.length : Math.min(step, path.length - 1);
+      const price = path[index];
+
+      if (price !== engine.getPrice(symbol)) {
+        engine.setPrice(symbol, price);
+        console.log(`${symbol} price: ${price}`);
+      }
+    });
+  }, tick);
+
+  return timer;
+}
+
+// Main function
+async function main() {
+  const args = parseArgs();
+
+  if (args.help) {
+    showHelp();
+    return;
+  }
+
+  const port = parseInt(args.port) || 8765;
+  const prices = parseKeyValueList(args.symbols || 'BTCUSDT=50000');
+  const balances = parseKeyValueList(args.balances || 'USDT=10000,BTC=0.1,BNB=1');
+  const firstSymbol = Object.keys(prices)[0];
+  const paths = loadPricePaths(args, firstSymbol);
+
+  // A price path starts at its first entry
+  Object.keys(paths).forEach(symbol => {
+    if (paths[symbol].length > 0) {
+      prices[symbol] = paths[symbol][0];
+    }
+  });
+
+  const engine = new ExchangeEngine({
+    prices,
+    balances,
+    commissionRate: args.commission !== undefined ? parseFloat(args.commission) : undefined
+  });
+
+  const { server } = createMockServer({
+    engine,
+    clockSkew: parseInt(args.clockSkew) || 0,
+    weightLimit: parseInt(args.weightLimit) || 6000
+  });
+
+  engine.on('fill', ({ order, fill }) => {
+    console.log(`Filled ${order.side} ${order.type} ${order.symbol} #${order.orderId}: ${fill.qty} @ ${fill.price}`);
+  });
+
+  server.on('error', error => {
+    console.error(error.code === 'EADDRINUSE' ? `Port ${port} is already in use` : `Server error: ${error.message}`);
+    process.exit(1);
+  });
+
+  server.listen(port, () => {
+    console.log(`Mock Binance exchange listening on http://localhost:${port}`);
+    console.log(`Symbols: ${Object.keys(prices).map(symbol => `${symbol}=${prices[symbol]}`).join(', ')}`);
+    console.log(`Balances: ${Object.keys(balances).map(asset => `${asset}=${balances[asset]}`).join(', ')}`);
+    console.log(`Set config.baseUrl to 'http://localhost:${port}' to use it.`);
+  });
+
+  const timer = startPricePath(engine, paths, parseInt(args.tick) || 1000, !!args.loop);
+
+  const shutdown = () => {
+    if (timer) {
+      clearInterval(timer);
+    }
+    server.close();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createMockServer,
+  startPricePath,
+  buildSymbolInfo,
+  parseKeyValueList
+};
@@ -10,9 +10,9 @@
  *   node order-cancel.js --symbol ETHUSDT --clientOrderId myOrder123
  */
 
-const crypto = require('crypto');
-const axios = require('axios');
-const config = require('./config');
+const client = require('./binance-client');
+const output = require('./output');
+const logger = require('./logger');
 
 // Parse command line arguments
 function parseArgs() {
@@ -27,14 +27,6 @@ function parseArgs() {
   return args;
 }
 
-// Function to sign the request parameters
-function signRequest(queryString) {
-  return crypto
-    .createHmac('sha256', config.apiSecret)
-    .update(queryString)
-    .digest('hex');
-}
-
 /**
  * Cancel an order
  * @param {string} symbol - Trading pair symbol
@@ -44,41 +36,12 @@ function signRequest(queryString) {
  */
 async function cancelOrder(symbol, orderId, clientOrderId) {
   try {
-    if (!symbol) {
-      throw new Error('Symbol is required');
-    }
-    
-    if (!orderId && !clientOrderId) {
-      throw new Error('Either orderId or clientOrderId is required');
-    }
-    
-    const timestamp = Date.now();
-    let queryString = `symbol=${symbol}&timestamp=${timestamp}`;
-    
-    if (orderId) {
-      queryString += `&orderId=${orderId}`;
-    }
-    
-    if (clientOrderId) {
-      queryString += `&origClientOrderId=${clientOrderId}`;
-    }
-    
-    const signature = signRequest(queryString);
-    
     console.log(`Canceling order for ${symbol}...`);
     
-    const url = `${config.baseUrl}/api/v3/order`;
-    
-    const response = await axios.delete(`${url}?${queryString}&signature=${signature}`, {
-      headers: {
-        'X-MBX-APIKEY': config.apiKey
-      }
-    });
-    
-    return response.data;
+    return await client.cancelOrder(symbol, orderId, clientOrderId);
   } catch (error) {
-    if (error.response && error.response.data) {
-      console.error('API Error:', error.response.data);
+    if (error.data) {
+      console.error('API Error:', error.data);
     } else {
       console.error('Error:', error.message);
     }
@@ -128,13 +91,14 @@ async function main() {
       console.log('  --symbol          Trading pair symbol (required)');
       console.log('  --orderId         Order ID to cancel (required if clientOrderId not provided)');
       console.log('  --clientOrderId   Client order ID to cancel (required if orderId not provided)');
+      console.log('  --json            Print the canceled order as JSON on stdout');
       console.log('\nAlternatively, you can use the app.js interface:');
       console.log('  node app.js order-cancel --symbol BTCUSDT --orderId 123456789');
       return;
     }
     
-    if (config.apiKey === 'YOUR_API_KEY' || config.apiSecret === 'YOUR_API_SECRET') {
-      console.error('Please update the config.js file with your Binance API key and secret.');
+    if (!client.hasCredentials()) {
+      console.error(client.getCredentialsMessage());
       console.log('You can create API keys in your Binance account settings.');
       process.exit(1);
     }
@@ -155,6 +119,11 @@ async function main() {
     // Cancel the order
     const canceledOrder = await cancelOrder(args.symbol, args.orderId, args.clientOrderId);
     
+    if (output.isEnabled()) {
+      output.result(output.formatOrder(canceledOrder));
+      return;
+    }
+    
     // Display canceled order information
     displayCanceledOrder(canceledOrder);
     
@@ -162,11 +131,21 @@ async function main() {
     
   } catch (error) {
     console.error('An error occurred:', error.message);
+    output.fail(error);
     process.exit(1);
   }
 }
 
-// Run the main function
-main().catch(error => {
-  console.error('An unexpected error occurred:', error);
-});
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  cancelOrder,
+  displayCanceledOrder
+};
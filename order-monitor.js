@@ -4,18 +4,21 @@
  * Binance Order Monitor
  * 
  * This script monitors the status of a specific order using Binance WebSocket API
- * and notifies when the order is filled.
+ * and notifies when the order is filled. On the paper account (--paper) the
+ * order is polled instead.
  * 
  * Usage:
  *   node order-monitor.js --orderId 123456789 --symbol BTCUSDT
  *   node order-monitor.js --clientOrderId myOrder123 --symbol BTCUSDT
+ *   node order-monitor.js --orderListId 42 --symbol BTCUSDT
  */
 
-const crypto = require('crypto');
-const axios = require('axios');
 const WebSocket = require('ws');
 const fs = require('fs');
-const config = require('./config');
+const client = require('./binance-client');
+const paperExchange = require('./paper-exchange');
+const output = require('./output');
+const logger = require('./logger');
 
 // Parse command line arguments
 function parseArgs() {
@@ -30,31 +33,15 @@ function parseArgs() {
   return args;
 }
 
-// Function to sign the request parameters
-function signRequest(queryString) {
-  return crypto
-    .createHmac('sha256', config.apiSecret)
-    .update(queryString)
-    .digest('hex');
-}
-
 /**
  * Get a listen key for user data stream
  * @returns {Promise<string>} - Listen key
  */
 async function getListenKey() {
   try {
-    const url = `${config.baseUrl}/api/v3/userDataStream`;
-    
-    const response = await axios.post(url, null, {
-      headers: {
-        'X-MBX-APIKEY': config.apiKey
-      }
-    });
-    
-    return response.data.listenKey;
+    return await client.createListenKey();
   } catch (error) {
-    console.error('Error getting listen key:', error.response ? error.response.data : error.message);
+    console.error('Error getting listen key:', error.message);
     throw error;
   }
 }
@@ -66,18 +53,12 @@ async function getListenKey() {
  */
 async function keepAliveListenKey(listenKey) {
   try {
-    const url = `${config.baseUrl}/api/v3/userDataStream`;
-    
-    await axios.put(`${url}?listenKey=${listenKey}`, null, {
-      headers: {
-        'X-MBX-APIKEY': config.apiKey
-      }
-    });
+    await client.keepAliveListenKey(listenKey);
     
     console.log('Listen key kept alive');
     return true;
   } catch (error) {
-    console.error('Error keeping listen key alive:', error.response ? error.response.data : error.message);
+    console.error('Error keeping listen key alive:', error.message);
     return false;
   }
 }
@@ -91,39 +72,10 @@ async function keepAliveListenKey(listenKey) {
  */
 async function getOrder(symbol, orderId, clientOrderId) {
   try {
-    if (!symbol) {
-      throw new Error('Symbol is required');
-    }
-    
-    if (!orderId && !clientOrderId) {
-      throw new Error('Either orderId or clientOrderId is required');
-    }
-    
-    const timestamp = Date.now();
-    let queryString = `symbol=${symbol}&timestamp=${timestamp}`;
-    
-    if (orderId) {
-      queryString += `&orderId=${orderId}`;
-    }
-    
-    if (clientOrderId) {
-      queryString += `&origClientOrderId=${clientOrderId}`;
-    }
-    
-    const signature = signRequest(queryString);
-    
-    const url = `${config.baseUrl}/api/v3/order?${queryString}&signature=${signature}`;
-    
-    const response = await axios.get(url, {
-      headers: {
-        'X-MBX-APIKEY': config.apiKey
-      }
-    });
-    
-    return response.data;
+    return await client.getOrder(symbol, orderId, clientOrderId);
   } catch (error) {
-    if (error.response && error.response.data) {
-      console.error('API Error:', error.response.data);
+    if (error.data) {
+      console.error('API Error:', error.data);
     } else {
       console.error('Error:', error.message);
     }
@@ -151,28 +103,89 @@ function displayOrder(order) {
   console.log(`Update Time:  ${new Date(order.updateTime).toLocaleString()}`);
 }
 
+// Order statuses after which the order will not change anymore
+const FINAL_STATUSES = ['FILLED', 'CANCELED', 'EXPIRED', 'EXPIRED_IN_MATCH', 'REJECTED'];
+
+// Milliseconds between checks of an order on the paper account
+const PAPER_POLL_INTERVAL = 5000;
+
 /**
- * Monitor order status using WebSocket
+ * Convert an execution report into the documented order update object
+ * @param {Object} event - Execution report event from the user data stream
+ * @returns {Object} - Order update
+ */
+function formatExecutionReport(event) {
+  return {
+    symbol: event.s,
+    orderId: event.i,
+    clientOrderId: event.c,
+    side: event.S,
+    type: event.o,
+    status: event.X,
+    executionType: event.x,
+    price: event.p,
+    origQty: event.q,
+    executedQty: event.z,
+    cummulativeQuoteQty: event.Z,
+    lastFillPrice: event.L,
+    lastFillQty: event.l,
+    eventTime: event.E,
+    transactTime: event.T
+  };
+}
+
+/**
+ * Save a filled order event to a JSON file
  * @param {string} symbol - Trading pair symbol
- * @param {string} orderId - Order ID
- * @param {string} clientOrderId - Client order ID
+ * @param {Object} event - Execution report event
+ * @param {string|boolean} saveArg - Directory to save to, or true for ./orders
  */
-async function monitorOrderStatus(symbol, orderId, clientOrderId) {
-  try {
-    // First, get current order information
-    const order = await getOrder(symbol, orderId, clientOrderId);
-    displayOrder(order);
-    
-    // If order is already filled, no need to monitor
-    if (order.status === 'FILLED') {
-      console.log('\nOrder is already filled. No need to monitor.');
-      return;
-    }
+function saveOrderEvent(symbol, event, saveArg) {
+  // Get the save path - either the path provided or default to './orders'
+  let savePath = './orders';
+  if (typeof saveArg === 'string') {
+    savePath = saveArg;
+  }
+  
+  // Create directory if it doesn't exist
+  if (!fs.existsSync(savePath)) {
+    fs.mkdirSync(savePath, { recursive: true });
+    console.log(`Created directory: ${savePath}`);
+  }
+  
+  const filename = `${savePath}/${symbol}-${event.i}.json`;
+  fs.writeFileSync(filename, JSON.stringify(event, null, 2));
+  console.log(`\nOrder details saved to: ${filename}`);
+}
+
+/**
+ * Follow the execution reports of the user data stream until a handler is done
+ *
+ * Keeps the listen key alive and reconnects with a new one when the
+ * connection is lost; before reconnecting isDone() is asked whether the
+ * orders finished while the stream was down.
+ * @param {string} label - Description of the monitored order(s) for messages
+ * @param {Function} onReport - Called with every execution report, returns true when monitoring is done
+ * @param {Function} isDone - Async check used before reconnecting, returns true when monitoring is done
+ * @returns {Promise<void>} - Resolves when monitoring is done
+ */
+async function watchExecutionReports(label, onReport, isDone) {
+  if (client.isPaperTrading()) {
+    return watchPaperExecutionReports(label, onReport, isDone);
+  }
+  
+  // Get a listen key for user data stream
+  console.log('\nGetting listen key for WebSocket connection...');
+  let listenKey = await getListenKey();
+  console.log(`Listen key obtained: ${listenKey.substring(0, 10)}...`);
+  
+  return new Promise((resolve, reject) => {
+    let finished = false;
+    let ws = null;
     
-    // Get a listen key for user data stream
-    console.log('\nGetting listen key for WebSocket connection...');
-    let listenKey = await getListenKey();
-    console.log(`Listen key obtained: ${listenKey.substring(0, 10)}...`);
+    // Setup reconnection logic
+    let reconnectAttempts = 0;
+    const maxReconnectAttempts = 5;
     
     // Setup keep-alive interval (every 10 minutes)
     // Binance recommends refreshing the listen key every 30 minutes
@@ -181,128 +194,73 @@ async function monitorOrderStatus(symbol, orderId, clientOrderId) {
     const keepAliveInterval = setInterval(async () => {
       const success = await keepAliveListenKey(listenKey);
       if (!success) {
-        console.log('Failed to keep listen key alive. Getting a new one...');
-        try {
-          // Try to get a new listen key
-          const newListenKey = await getListenKey();
-          console.log(`New listen key obtained: ${newListenKey.substring(0, 10)}...`);
-          
-          // Close existing WebSocket connection
-          if (ws && ws.readyState === WebSocket.OPEN) {
-            ws.close();
-          }
-          
-          // Update the listen key
-          listenKey = newListenKey;
-          
-          // Reconnect WebSocket with new listen key
-          ws = new WebSocket(`wss://stream.binance.com:9443/ws/${listenKey}`);
-          setupWebSocketHandlers(ws);
-        } catch (error) {
-          console.error('Failed to get a new listen key:', error.message);
-          clearInterval(keepAliveInterval);
+        console.log('Failed to keep listen key alive. Reconnecting with a new one...');
+        
+        // Closing the socket triggers a reconnect with a fresh listen key
+        if (ws && ws.readyState === WebSocket.OPEN) {
+          ws.close();
         }
       }
     }, 10 * 60 * 1000); // 10 minutes
     
     /**
-     * Setup WebSocket event handlers
-     * @param {WebSocket} webSocket - WebSocket instance
+     * Stop monitoring
+     */
+    function finish() {
+      finished = true;
+      clearInterval(keepAliveInterval);
+      
+      if (ws) {
+        ws.close();
+      }
+      
+      resolve();
+    }
+    
+    /**
+     * Open a WebSocket connection and setup its event handlers
      */
-    function setupWebSocketHandlers(webSocket) {
-      webSocket.on('open', () => {
+    function connect() {
+      ws = new WebSocket(`${client.getWsBaseUrl()}/ws/${listenKey}`);
+      
+      ws.on('open', () => {
+        reconnectAttempts = 0;
         console.log('WebSocket connection established');
-        console.log(`\nMonitoring order ${orderId || clientOrderId} for symbol ${symbol}...`);
+        console.log(`\nMonitoring ${label}...`);
         console.log('Waiting for updates... (Press Ctrl+C to exit)');
       });
       
-      webSocket.on('message', (data) => {
+      ws.on('message', (data) => {
         const event = JSON.parse(data);
         
-        // Check if this is an execution report for our order
-        if (event.e === 'executionReport' && 
-            (event.i === parseInt(orderId) || event.c === clientOrderId) && 
-            event.s === symbol) {
-          
-          const currentStatus = event.X; // Current execution type
-          const currentExecutedQty = parseFloat(event.z); // Cumulative filled quantity
-          
-          // Only log if there's a change in status or executed quantity
-          if (currentStatus !== lastStatus || currentExecutedQty !== lastExecutedQty) {
-            console.log(`\n[${new Date().toLocaleString()}] Order update:`);
-            console.log(`Status: ${currentStatus}`);
-            console.log(`Executed: ${currentExecutedQty}/${parseFloat(event.q)} (${(currentExecutedQty / parseFloat(event.q) * 100).toFixed(2)}%)`);
-            
-            if (currentExecutedQty > lastExecutedQty) {
-              console.log(`New fill: ${(currentExecutedQty - lastExecutedQty).toFixed(8)} at price ${event.L}`);
-            }
-            
-            lastStatus = currentStatus;
-            lastExecutedQty = currentExecutedQty;
-            
-            // If order is filled, close the connection
-            if (currentStatus === 'FILLED') {
-              console.log('\n🎉 Order has been completely filled! 🎉');
-              console.log(`Time: ${new Date(event.T).toLocaleString()}`);
-              
-              // Save order details to file if requested
-              if (parseArgs().save) {
-                const saveArg = parseArgs().save;
-                // Get the save path - either the path provided or default to './orders'
-                let savePath = './orders';
-                if (typeof saveArg === 'string') {
-                  savePath = saveArg;
-                }
-                
-                // Create directory if it doesn't exist
-                if (!fs.existsSync(savePath)) {
-                  fs.mkdirSync(savePath, { recursive: true });
-                  console.log(`Created directory: ${savePath}`);
-                }
-                
-                const filename = `${savePath}/${symbol}-${event.i}.json`;
-                fs.writeFileSync(filename, JSON.stringify(event, null, 2));
-                console.log(`\nOrder details saved to: ${filename}`);
-              }
-              
-              // Close WebSocket and clear interval
-              webSocket.close();
-              clearInterval(keepAliveInterval);
-            }
-          }
+        if (!finished && event.e === 'executionReport' && onReport(event)) {
+          finish();
         }
       });
       
-      webSocket.on('error', (error) => {
+      ws.on('error', (error) => {
         console.error('WebSocket error:', error.message);
       });
       
-      webSocket.on('close', () => {
-        console.log('WebSocket connection closed');
+      // Handle WebSocket disconnection
+      ws.on('close', (code, reason) => {
+        console.log(`WebSocket disconnected with code ${code}${reason && reason.length ? ': ' + reason : ''}`);
+        
+        if (!finished) {
+          reconnect();
+        }
       });
     }
     
-    // Track order updates
-    let lastStatus = order.status;
-    let lastExecutedQty = parseFloat(order.executedQty);
-    
-    // Connect to WebSocket
-    console.log('\nConnecting to Binance WebSocket...');
-    let ws = new WebSocket(`wss://stream.binance.com:9443/ws/${listenKey}`);
-    setupWebSocketHandlers(ws);
-    
-    // Setup reconnection logic
-    let reconnectAttempts = 0;
-    const maxReconnectAttempts = 5;
-    
-    // Handle WebSocket disconnection
-    ws.on('close', async (code, reason) => {
-      console.log(`WebSocket disconnected with code ${code}${reason ? ': ' + reason : ''}`);
-      
-      // Don't attempt to reconnect if we've reached max attempts or if the order is filled
-      if (reconnectAttempts >= maxReconnectAttempts || lastStatus === 'FILLED') {
-        console.log('Not attempting to reconnect due to max attempts reached or order is filled');
+    /**
+     * Reconnect with a new listen key after the connection was lost
+     */
+    async function reconnect() {
+      // Don't attempt to reconnect if we've reached max attempts
+      if (reconnectAttempts >= maxReconnectAttempts) {
+        console.log('Not attempting to reconnect due to max attempts reached');
         clearInterval(keepAliveInterval);
+        reject(new Error(`Lost WebSocket connection while monitoring ${label}`));
         return;
       }
       
@@ -310,26 +268,258 @@ async function monitorOrderStatus(symbol, orderId, clientOrderId) {
       console.log(`Attempting to reconnect (${reconnectAttempts}/${maxReconnectAttempts})...`);
       
       try {
+        // The order may have finished while we were disconnected
+        if (await isDone()) {
+          finish();
+          return;
+        }
+        
         // Try to get a new listen key
         listenKey = await getListenKey();
         console.log(`New listen key obtained: ${listenKey.substring(0, 10)}...`);
         
         // Reconnect WebSocket with new listen key
-        ws = new WebSocket(`wss://stream.binance.com:9443/ws/${listenKey}`);
-        setupWebSocketHandlers(ws);
-        
-        // Reset reconnect attempts on successful connection
-        ws.on('open', () => {
-          reconnectAttempts = 0;
-        });
+        connect();
       } catch (error) {
         console.error('Failed to reconnect:', error.message);
+        setTimeout(reconnect, 5000);
       }
-    });
+    }
     
-  } catch (error) {
-    console.error('Error monitoring order:', error.message);
+    // Connect to WebSocket
+    console.log('\nConnecting to Binance WebSocket...');
+    connect();
+  });
+}
+
+/**
+ * Follow the execution reports of the paper account until a handler is done
+ *
+ * The paper account has no user data stream: it is polled with isDone(),
+ * and every poll fills the orders the market has crossed in the meantime,
+ * which emits their execution reports in this process.
+ * @param {string} label - Description of the monitored order(s) for messages
+ * @param {Function} onReport - Called with every execution report, returns true when monitoring is done
+ * @param {Function} isDone - Async check, returns true when monitoring is done
+ * @returns {Promise<void>} - Resolves when monitoring is done
+ */
+async function watchPaperExecutionReports(label, onReport, isDone) {
+  console.log(`\nMonitoring ${label} on the paper account...`);
+  console.log(`Checking every ${PAPER_POLL_INTERVAL / 1000} seconds... (Press Ctrl+C to exit)`);
+  
+  return new Promise((resolve, reject) => {
+    let finished = false;
+    
+    const listener = event => {
+      if (!finished && event.e === 'executionReport' && onReport(event)) {
+        finish();
+      }
+    };
+    
+    /**
+     * Stop monitoring
+     */
+    function finish() {
+      finished = true;
+      paperExchange.events.removeListener('executionReport', listener);
+      resolve();
+    }
+    
+    /**
+     * Check the orders and schedule the next check
+     */
+    async function poll() {
+      try {
+        if (!finished && await isDone()) {
+          finish();
+        }
+      } catch (error) {
+        if (error.halted) {
+          paperExchange.events.removeListener('executionReport', listener);
+          reject(error);
+          return;
+        }
+        console.error('Error checking the paper account:', error.message);
+      }
+      
+      if (!finished) {
+        setTimeout(poll, PAPER_POLL_INTERVAL);
+      }
+    }
+    
+    paperExchange.events.on('executionReport', listener);
+    poll();
+  });
+}
+
+/**
+ * Log an order update from an execution report
+ * @param {Object} event - Execution report event
+ * @param {number} lastExecutedQty - Executed quantity before this update
+ */
+function logOrderUpdate(event, lastExecutedQty) {
+  const executedQty = parseFloat(event.z); // Cumulative filled quantity
+  
+  console.log(`\n[${new Date().toLocaleString()}] Order update:`);
+  console.log(`Status: ${event.X}`);
+  console.log(`Executed: ${executedQty}/${parseFloat(event.q)} (${(executedQty / parseFloat(event.q) * 100).toFixed(2)}%)`);
+  
+  if (executedQty > lastExecutedQty) {
+    console.log(`New fill: ${(executedQty - lastExecutedQty).toFixed(8)} at price ${event.L}`);
+  }
+}
+
+/**
+ * Monitor order status using WebSocket
+ *
+ * With --ndjson the initial order ("snapshot") and every change ("update")
+ * are also printed as events.
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} orderId - Order ID
+ * @param {string} clientOrderId - Client order ID
+ * @param {Object} options - Monitor options
+ * @param {string|boolean} options.save - Save the filled order event (optionally to a path)
+ * @returns {Promise<Object>} - Final order information once the order is filled, canceled or expired
+ */
+async function monitorOrderStatus(symbol, orderId, clientOrderId, options = {}) {
+  // First, get current order information
+  const order = await getOrder(symbol, orderId, clientOrderId);
+  displayOrder(order);
+  output.event('snapshot', { order: output.formatOrder(order) });
+  
+  // If order is already finished, no need to monitor
+  if (FINAL_STATUSES.includes(order.status)) {
+    console.log(`\nOrder is already ${order.status.toLowerCase()}. No need to monitor.`);
+    return order;
+  }
+  
+  // Track order updates
+  let lastStatus = order.status;
+  let lastExecutedQty = parseFloat(order.executedQty);
+  
+  await watchExecutionReports(`order ${orderId || clientOrderId} for symbol ${symbol}`, event => {
+    // Check if this is an execution report for our order
+    if ((event.i !== parseInt(orderId) && event.c !== clientOrderId) || event.s !== symbol) {
+      return false;
+    }
+    
+    const currentStatus = event.X;
+    const currentExecutedQty = parseFloat(event.z);
+    
+    // Only log if there's a change in status or executed quantity
+    if (currentStatus === lastStatus && currentExecutedQty === lastExecutedQty) {
+      return false;
+    }
+    
+    logOrderUpdate(event, lastExecutedQty);
+    lastStatus = currentStatus;
+    lastExecutedQty = currentExecutedQty;
+    output.event('update', { order: formatExecutionReport(event) });
+    
+    if (currentStatus === 'FILLED') {
+      console.log('\n🎉 Order has been completely filled! 🎉');
+      console.log(`Time: ${new Date(event.T).toLocaleString()}`);
+      
+      // Save order details to file if requested
+      if (options.save) {
+        saveOrderEvent(symbol, event, options.save);
+      }
+    }
+    
+    // If order is finished, close the connection
+    return FINAL_STATUSES.includes(currentStatus);
+  }, async () => FINAL_STATUSES.includes((await getOrder(symbol, orderId, clientOrderId)).status));
+  
+  return getOrder(symbol, orderId, clientOrderId);
+}
+
+/**
+ * Get an order list together with the current state of its orders
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} orderListId - Order list ID (optional if listClientOrderId is provided)
+ * @param {string} listClientOrderId - List client order ID (optional if orderListId is provided)
+ * @returns {Promise<Object>} - { orderList, orders }
+ */
+async function getOrderListOrders(symbol, orderListId, listClientOrderId) {
+  const orderList = await client.getOrderList(orderListId, listClientOrderId);
+  const orders = [];
+  
+  for (const { orderId } of orderList.orders) {
+    orders.push(await getOrder(symbol, orderId));
   }
+  
+  return { orderList, orders };
+}
+
+/**
+ * Monitor all orders of an order list (e.g. the two legs of an OCO) as one unit
+ *
+ * Monitoring ends when no order of the list is working anymore. In an OCO
+ * the list ends when one leg fills and the other one expires, or when the
+ * list is canceled.
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} orderListId - Order list ID
+ * @param {string} listClientOrderId - List client order ID (optional if orderListId is provided)
+ * @param {Object} options - Monitor options
+ * @param {string|boolean} options.save - Save the filled order event (optionally to a path)
+ * @returns {Promise<Object>} - { orderList, orders, filledOrder } once the list is done
+ */
+async function monitorOrderList(symbol, orderListId, listClientOrderId, options = {}) {
+  const current = await getOrderListOrders(symbol, orderListId, listClientOrderId);
+  const listId = current.orderList.orderListId;
+  const findFilled = orders => orders.find(order => order.status === 'FILLED') || null;
+  const isListDone = orders => orders.every(order => FINAL_STATUSES.includes(order.status));
+  
+  console.log(`\nOrder list ${listId} (${current.orderList.contingencyType}, ${current.orderList.listOrderStatus})`);
+  current.orders.forEach(order => {
+    displayOrder(order);
+    output.event('snapshot', { orderListId: listId, order: output.formatOrder(order) });
+  });
+  
+  if (isListDone(current.orders)) {
+    console.log('\nOrder list is already done. No need to monitor.');
+    return { ...current, filledOrder: findFilled(current.orders) };
+  }
+  
+  // Last known status and executed quantity of every order of the list
+  const legs = {};
+  current.orders.forEach(order => {
+    legs[order.orderId] = { status: order.status, executedQty: parseFloat(order.executedQty) };
+  });
+  
+  await watchExecutionReports(`order list ${listId} for symbol ${symbol}`, event => {
+    const leg = legs[event.i];
+    
+    if (!leg || event.s !== symbol) {
+      return false;
+    }
+    
+    const currentExecutedQty = parseFloat(event.z);
+    
+    if (event.X === leg.status && currentExecutedQty === leg.executedQty) {
+      return false;
+    }
+    
+    console.log(`\nOrder list ${listId}: ${event.o} order ${event.i}`);
+    logOrderUpdate(event, leg.executedQty);
+    leg.status = event.X;
+    leg.executedQty = currentExecutedQty;
+    output.event('update', { orderListId: listId, order: formatExecutionReport(event) });
+    
+    if (event.X === 'FILLED') {
+      console.log(`\n🎉 ${event.o} order ${event.i} of the list has been completely filled! 🎉`);
+      console.log(`Time: ${new Date(event.T).toLocaleString()}`);
+      
+      if (options.save) {
+        saveOrderEvent(symbol, event, options.save);
+      }
+    }
+    
+    return Object.values(legs).every(item => FINAL_STATUSES.includes(item.status));
+  }, async () => isListDone((await getOrderListOrders(symbol, listId)).orders));
+  
+  const final = await getOrderListOrders(symbol, listId);
+  return { ...final, filledOrder: findFilled(final.orders) };
 }
 
 // Main function
@@ -343,19 +533,23 @@ async function main() {
       console.log('Description: Monitor an order until it\'s filled\n');
       console.log('Usage:');
       console.log('  node order-monitor.js --symbol BTCUSDT --orderId 123456789');
-      console.log('  node order-monitor.js --symbol ETHUSDT --clientOrderId myOrder123 --save\n');
+      console.log('  node order-monitor.js --symbol ETHUSDT --clientOrderId myOrder123 --save');
+      console.log('  node order-monitor.js --symbol BTCUSDT --orderListId 42\n');
       console.log('Parameters:');
       console.log('  --symbol          Trading pair symbol (required)');
       console.log('  --orderId         Order ID to monitor (required if clientOrderId not provided)');
       console.log('  --clientOrderId   Client order ID to monitor (required if orderId not provided)');
+      console.log('  --orderListId     Order list ID (e.g. an OCO) to monitor with all of its orders');
       console.log('  --save            Save order details to file when filled. Can specify path: --save "./data/orders"');
+      console.log('  --json            Print the final order as JSON on stdout');
+      console.log('  --ndjson          Print the order and every update as one JSON object per line');
       console.log('\nAlternatively, you can use the app.js interface:');
       console.log('  node app.js order-monitor --symbol BTCUSDT --orderId 123456789');
       return;
     }
     
-    if (config.apiKey === 'YOUR_API_KEY' || config.apiSecret === 'YOUR_API_SECRET') {
-      console.error('Please update the config.js file with your Binance API key and secret.');
+    if (!client.hasCredentials()) {
+      console.error(client.getCredentialsMessage());
       console.log('You can create API keys in your Binance account settings.');
       process.exit(1);
     }
@@ -366,6 +560,18 @@ async function main() {
       process.exit(1);
     }
     
+    if (args.orderListId) {
+      const { orderList, orders } = await monitorOrderList(args.symbol, args.orderListId, null, { save: args.save });
+      const formatted = output.formatOrderList(orderList, orders);
+      
+      if (output.getMode() === 'ndjson') {
+        output.event('final', { orderList: formatted });
+      } else {
+        output.result(formatted);
+      }
+      return;
+    }
+    
     if (!args.orderId && !args.clientOrderId) {
       console.error('Either orderId or clientOrderId is required.');
       console.log('Example: node order-monitor.js --symbol BTCUSDT --orderId 123456789');
@@ -373,15 +579,35 @@ async function main() {
       process.exit(1);
     }
     
-    await monitorOrderStatus(args.symbol, args.orderId, args.clientOrderId);
+    const finalOrder = await monitorOrderStatus(args.symbol, args.orderId, args.clientOrderId, { save: args.save });
+    
+    if (output.getMode() === 'ndjson') {
+      output.event('final', { order: output.formatOrder(finalOrder) });
+    } else {
+      output.result(output.formatOrder(finalOrder));
+    }
     
   } catch (error) {
     console.error('An error occurred:', error.message);
+    output.fail(error);
     process.exit(1);
   }
 }
 
-// Run the main function
-main().catch(error => {
-  console.error('An unexpected error occurred:', error);
-});
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  getOrder,
+  displayOrder,
+  formatExecutionReport,
+  monitorOrderStatus,
+  getOrderListOrders,
+  monitorOrderList
+};
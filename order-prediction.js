@@ -10,9 +10,10 @@
  *   node order-prediction.js --symbol BTCUSDT --orderId 39277145512
  */
 
-const axios = require('axios');
-const crypto = require('crypto');
-const config = require('./config');
+const client = require('./binance-client');
+const output = require('./output');
+const logger = require('./logger');
+const fees = require('./fees');
 const { calculateOrderProfit, formatProfitInfo } = require('./profit-calculator');
 
 // Parse command line arguments
@@ -28,14 +29,6 @@ function parseArgs() {
   return args;
 }
 
-// Function to sign the request parameters
-function signRequest(queryString) {
-  return crypto
-    .createHmac('sha256', config.apiSecret)
-    .update(queryString)
-    .digest('hex');
-}
-
 /**
  * Get current price for a symbol
  * @param {string} symbol - Trading pair symbol
@@ -43,13 +36,9 @@ function signRequest(queryString) {
  */
 async function getCurrentPrice(symbol) {
   try {
-    const url = `${config.baseUrl}/api/v3/ticker/price?symbol=${symbol}`;
-    
-    const response = await axios.get(url);
-    
-    return parseFloat(response.data.price);
+    return await client.getPrice(symbol);
   } catch (error) {
-    console.error('Error getting current price:', error.response ? error.response.data : error.message);
+    console.error('Error getting current price:', error.message);
     throw error;
   }
 }
@@ -62,21 +51,9 @@ async function getCurrentPrice(symbol) {
  */
 async function getOrder(symbol, orderId) {
   try {
-    const timestamp = Date.now();
-    const queryString = `symbol=${symbol}&orderId=${orderId}&timestamp=${timestamp}`;
-    const signature = signRequest(queryString);
-    
-    const url = `${config.baseUrl}/api/v3/order?${queryString}&signature=${signature}`;
-    
-    const response = await axios.get(url, {
-      headers: {
-        'X-MBX-APIKEY': config.apiKey
-      }
-    });
-    
-    return response.data;
+    return await client.getOrder(symbol, orderId);
   } catch (error) {
-    console.error('Error getting order:', error.response ? error.response.data : error.message);
+    console.error('Error getting order:', error.message);
     throw error;
   }
 }
@@ -90,13 +67,9 @@ async function getOrder(symbol, orderId) {
  */
 async function getKlines(symbol, interval = '1h', limit = 24) {
   try {
-    const url = `${config.baseUrl}/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`;
-    
-    const response = await axios.get(url);
-    
-    return response.data;
+    return await client.getKlines(symbol, interval, limit);
   } catch (error) {
-    console.error('Error getting klines:', error.response ? error.response.data : error.message);
+    console.error('Error getting klines:', error.message);
     throw error;
   }
 }
@@ -219,8 +192,9 @@ function predictOrderFill(order, currentPrice, volatility) {
  * @param {number} currentPrice - Current price
  * @param {Object} prediction - Prediction information
  * @param {Object} volatility - Volatility information
+ * @param {Object} feeRates - { buy, sell } commission rates for the expected profit (optional, default: 0.1% each)
  */
-function displayPrediction(order, currentPrice, prediction, volatility) {
+function displayPrediction(order, currentPrice, prediction, volatility, feeRates = {}) {
   console.log('\nOrder Prediction:');
   console.log('-'.repeat(50));
   console.log(`Symbol:       ${order.symbol}`);
@@ -247,7 +221,7 @@ function displayPrediction(order, currentPrice, prediction, volatility) {
   // If we have a profit calculator, show profit info
   if (typeof calculateOrderProfit === 'function') {
     try {
-      const profitInfo = calculateOrderProfit(order, currentPrice);
+      const profitInfo = calculateOrderProfit(order, currentPrice, feeRates.buy, feeRates.sell);
       console.log('\nExpected Profit:');
       console.log(`Gross Profit: ${profitInfo.grossProfit.toFixed(4)} USDT`);
       console.log(`Net Profit:   ${profitInfo.netProfit.toFixed(4)} USDT`);
@@ -258,6 +232,49 @@ function displayPrediction(order, currentPrice, prediction, volatility) {
   }
 }
 
+/**
+ * Build the documented result object of order-prediction (--json)
+ * @param {Object} order - Order information
+ * @param {number} currentPrice - Current price
+ * @param {Object} prediction - Prediction information
+ * @param {Object} volatility - Volatility information
+ * @param {Object} analysis - { interval, periods } used for the volatility
+ * @param {Object} feeRates - { buy, sell } commission rates for the expected profit (optional, default: 0.1% each)
+ * @returns {Object} - Prediction with numeric fields
+ */
+function buildPredictionResult(order, currentPrice, prediction, volatility, analysis, feeRates = {}) {
+  const toNumber = value => (value === undefined ? null : parseFloat(value));
+  let expectedProfit = null;
+  
+  try {
+    const profitInfo = calculateOrderProfit(order, currentPrice, feeRates.buy, feeRates.sell);
+    expectedProfit = {
+      grossProfit: profitInfo.grossProfit,
+      netProfit: profitInfo.netProfit,
+      profitPercentage: profitInfo.profitPercentage
+    };
+  } catch (error) {
+    console.error('Could not calculate profit information:', error.message);
+  }
+  
+  return {
+    order: output.formatOrder(order),
+    currentPrice,
+    interval: analysis.interval,
+    periods: analysis.periods,
+    volatility: { average: volatility.average, max: volatility.max, min: volatility.min },
+    prediction: {
+      status: prediction.status,
+      message: prediction.message,
+      probability: toNumber(prediction.probability),
+      periodsAvg: toNumber(prediction.periodsAvg),
+      periodsMax: toNumber(prediction.periodsMax),
+      priceDiffPercentage: toNumber(prediction.priceDiffPercentage)
+    },
+    expectedProfit
+  };
+}
+
 // Main function
 async function main() {
   try {
@@ -274,6 +291,7 @@ async function main() {
       console.log('  --orderId         Order ID (required)');
       console.log('  --interval        Kline interval for volatility calculation (default: 1h)');
       console.log('  --periods         Number of periods to analyze (default: 24)');
+      console.log('  --json            Print the prediction as JSON on stdout');
       return;
     }
     
@@ -303,16 +321,36 @@ async function main() {
     // Predict order fill
     const prediction = predictOrderFill(order, currentPrice, volatility);
     
+    // Commission of the account: the buy is taken as a market order, the order rests on the book
+    const rates = await fees.getFeeRates();
+    const feeRates = { buy: fees.getOrderRate(rates, 'BUY', false), sell: fees.getOrderRate(rates, 'SELL', true) };
+    
     // Display prediction
-    displayPrediction(order, currentPrice, prediction, volatility);
+    if (output.isEnabled()) {
+      output.result(buildPredictionResult(order, currentPrice, prediction, volatility, { interval, periods }, feeRates));
+    } else {
+      displayPrediction(order, currentPrice, prediction, volatility, feeRates);
+    }
     
   } catch (error) {
     console.error('An error occurred:', error.message);
+    output.fail(error);
     process.exit(1);
   }
 }
 
-// Run the main function
-main().catch(error => {
-  console.error('An unexpected error occurred:', error);
-});
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  calculateVolatility,
+  predictOrderFill,
+  buildPredictionResult,
+  displayPrediction
+};
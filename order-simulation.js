@@ -10,9 +10,9 @@
  *   node order-simulation.js --symbol BTCUSDT --side SELL --price 20004.55 --quantity 0.00021
  */
 
-const axios = require('axios');
-const crypto = require('crypto');
-const config = require('./config');
+const client = require('./binance-client');
+const output = require('./output');
+const logger = require('./logger');
 
 // Parse command line arguments
 function parseArgs() {
@@ -34,11 +34,7 @@ function parseArgs() {
  */
 async function getCurrentPrice(symbol) {
   try {
-    const url = `${config.baseUrl}/api/v3/ticker/price?symbol=${symbol}`;
-    
-    const response = await axios.get(url);
-    
-    return parseFloat(response.data.price);
+    return await client.getPrice(symbol);
   } catch (error) {
     console.error('Error fetching current price:', error.message);
     throw error;
@@ -53,11 +49,7 @@ async function getCurrentPrice(symbol) {
  */
 async function getOrderBook(symbol, limit = 20) {
   try {
-    const url = `${config.baseUrl}/api/v3/depth?symbol=${symbol}&limit=${limit}`;
-    
-    const response = await axios.get(url);
-    
-    return response.data;
+    return await client.getDepth(symbol, limit);
   } catch (error) {
     console.error('Error fetching order book:', error.message);
     throw error;
@@ -73,11 +65,7 @@ async function getOrderBook(symbol, limit = 20) {
  */
 async function getKlines(symbol, interval = '1h', limit = 24) {
   try {
-    const url = `${config.baseUrl}/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`;
-    
-    const response = await axios.get(url);
-    
-    return response.data;
+    return await client.getKlines(symbol, interval, limit);
   } catch (error) {
     console.error('Error fetching klines:', error.message);
     throw error;
@@ -221,6 +209,31 @@ function displaySimulation(simulation, volatility) {
   }
 }
 
+/**
+ * Fetch market data and simulate an order
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} side - Order side (BUY or SELL)
+ * @param {number} price - Order price
+ * @param {number} quantity - Order quantity
+ * @param {string} interval - Kline interval for volatility calculation
+ * @param {number} periods - Number of periods to analyze
+ * @returns {Promise<Object>} - Simulation results and volatility information
+ */
+async function runSimulation(symbol, side, price, quantity, interval = '1h', periods = 24) {
+  // Get order book
+  const orderBook = await getOrderBook(symbol);
+  
+  // Get historical klines for volatility calculation
+  const klines = await getKlines(symbol, interval, periods);
+  
+  // Calculate volatility
+  const volatility = calculateVolatility(klines);
+  
+  const simulation = simulateOrder(symbol, side, price, quantity, orderBook, volatility);
+  
+  return { simulation, volatility };
+}
+
 // Main function
 async function main() {
   try {
@@ -239,6 +252,7 @@ async function main() {
       console.log('  --quantity        Order quantity (required)');
       console.log('  --interval        Kline interval for volatility calculation (default: 1h)');
       console.log('  --periods         Number of periods to analyze (default: 24)');
+      console.log('  --json            Print the simulation as JSON on stdout');
       return;
     }
     
@@ -255,41 +269,49 @@ async function main() {
       process.exit(1);
     }
     
-    // Get current price
-    const currentPrice = await getCurrentPrice(args.symbol);
-    
-    // Get order book
-    const orderBook = await getOrderBook(args.symbol);
-    
-    // Get historical klines for volatility calculation
-    const interval = args.interval || '1h';
-    const periods = parseInt(args.periods) || 24;
-    const klines = await getKlines(args.symbol, interval, periods);
-    
-    // Calculate volatility
-    const volatility = calculateVolatility(klines);
-    
     // Simulate order
-    const simulation = simulateOrder(
+    const { simulation, volatility } = await runSimulation(
       args.symbol,
       side,
       parseFloat(args.price),
       parseFloat(args.quantity),
-      orderBook,
-      volatility
+      args.interval || '1h',
+      parseInt(args.periods) || 24
     );
     
     // Display simulation
-    displaySimulation(simulation, volatility);
+    if (output.isEnabled()) {
+      output.result({
+        ...simulation,
+        totalValue: simulation.price * simulation.quantity,
+        interval: args.interval || '1h',
+        periods: parseInt(args.periods) || 24,
+        volatility
+      });
+    } else {
+      displaySimulation(simulation, volatility);
+    }
     
   } catch (error) {
     console.error('An error occurred:', error.message);
+    output.fail(error);
     process.exit(1);
   }
 }
 
-// Run the main function
-main().catch(error => {
-  console.error('An unexpected error occurred:', error);
-  process.exit(1);
-});
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  calculateVolatility,
+  simulateOrder,
+  displaySimulation,
+  runSimulation
+};
@@ -11,11 +11,20 @@
  *   node order-trade.js --symbol BTCUSDT --side BUY --quoteOrderQty 50 --market
  *   node order-trade.js --symbol BTCUSDT --side SELL --quantity 0.001 --takeProfitPercentage 5
  *   node order-trade.js --symbol BTCUSDT --side SELL --quantity 0.001 --takeProfitExplicit 50 --takeProfitSymbol USDT
+ *   node order-trade.js --symbol BTCUSDT --side SELL --quantity 0.001 --oco --price 52000 --stopPrice 48000 --stopLimitPrice 47900
+ *   node order-trade.js --symbol BTCUSDT --side SELL --quantity 0.001 --trailingDelta 1
+ *   node order-trade.js --symbol BTCUSDT --side SELL --quantity 0.001 --type TAKE_PROFIT --stopPrice 52000 --trailingDelta 0.5
+ *
+ * Orders are checked by the pre-trade checks before they are placed or
+ * simulated (see pre-trade-checks.js); --override lets a refused order through.
  */
 
-const crypto = require('crypto');
-const axios = require('axios');
-const config = require('./config');
+const client = require('./binance-client');
+const output = require('./output');
+const logger = require('./logger');
+const symbolRules = require('./symbol-rules');
+const preTradeChecks = require('./pre-trade-checks');
+const fees = require('./fees');
 
 // Parse command line arguments
 function parseArgs() {
@@ -30,14 +39,6 @@ function parseArgs() {
   return args;
 }
 
-// Function to sign the request parameters
-function signRequest(queryString) {
-  return crypto
-    .createHmac('sha256', config.apiSecret)
-    .update(queryString)
-    .digest('hex');
-}
-
 /**
  * Get current price for a symbol
  * @param {string} symbol - Trading pair symbol
@@ -45,84 +46,177 @@ function signRequest(queryString) {
  */
 async function getCurrentPrice(symbol) {
   try {
-    const url = `${config.baseUrl}/api/v3/ticker/price?symbol=${symbol}`;
-    
-    const response = await axios.get(url);
-    
-    return parseFloat(response.data.price);
+    return await client.getPrice(symbol);
   } catch (error) {
-    console.error('Error getting current price:', error.response ? error.response.data : error.message);
+    console.error('Error getting current price:', error.message);
     throw error;
   }
 }
 
+/**
+ * Get the type of an order from its parameters when no type is given
+ * @param {Object} params - Order parameters (type, price, stopPrice, trailingDelta)
+ * @returns {string} - Order type
+ */
+function getOrderType(params) {
+  const { type, price, stopPrice, trailingDelta } = params;
+  
+  if (type) {
+    return type;
+  }
+  
+  // A trailing delta without a stop price is still a stop order
+  const stop = stopPrice || trailingDelta;
+  
+  if (stop && price) {
+    return 'STOP_LOSS_LIMIT';
+  } else if (stop) {
+    return 'STOP_LOSS';
+  } else if (price) {
+    return 'LIMIT';
+  }
+  return 'MARKET';
+}
+
 /**
  * Create a new order
- * @param {Object} params - Order parameters
+ * @param {Object} params - Order parameters (trailingDelta in BIPS for trailing stop orders)
  * @returns {Promise<Object>} - Order information
  */
 async function createOrder(params) {
   try {
-    const { symbol, side, type, quantity, price, quoteOrderQty, stopPrice, stopLimitPrice } = params;
+    const { symbol, side, quantity, price, quoteOrderQty, stopPrice, trailingDelta } = params;
     
     if (!symbol || !side) {
       throw new Error('Symbol and side are required');
     }
     
-    const timestamp = Date.now();
-    let queryString = `symbol=${symbol}&side=${side}&timestamp=${timestamp}`;
-    
     // Set order type
-    let orderType = type;
-    if (!orderType) {
-      if (stopPrice && price) {
-        orderType = 'STOP_LOSS_LIMIT';
-      } else if (stopPrice) {
-        orderType = 'STOP_LOSS';
-      } else if (price) {
-        orderType = 'LIMIT';
-      } else {
-        orderType = 'MARKET';
-      }
-    }
-    queryString += `&type=${orderType}`;
+    const orderType = getOrderType(params);
+    
+    const orderParams = {
+      symbol,
+      side,
+      type: orderType
+    };
     
-    // Add time in force for LIMIT orders
+    // Add time in force for LIMIT orders (LIMIT_MAKER orders take none)
     if (orderType.includes('LIMIT') && price) {
-      queryString += `&timeInForce=GTC`;
-      queryString += `&price=${price}`;
+      if (orderType !== 'LIMIT_MAKER') {
+        orderParams.timeInForce = 'GTC';
+      }
+      orderParams.price = price;
     }
     
     // Add stop price for STOP orders
     if (stopPrice && (orderType.includes('STOP') || orderType.includes('TAKE_PROFIT'))) {
-      queryString += `&stopPrice=${stopPrice}`;
+      orderParams.stopPrice = stopPrice;
+    }
+    
+    // Trailing stop distance in BIPS; the stop price, if any, becomes the activation price
+    if (trailingDelta) {
+      orderParams.trailingDelta = trailingDelta;
     }
     
     // Add quantity or quoteOrderQty
     if (quoteOrderQty && orderType === 'MARKET') {
       // For MARKET orders, we can specify the amount in quote currency (e.g., USDT)
-      queryString += `&quoteOrderQty=${quoteOrderQty}`;
+      orderParams.quoteOrderQty = quoteOrderQty;
     } else if (quantity) {
       // For all other orders, we specify the amount in base currency (e.g., BTC)
-      queryString += `&quantity=${quantity}`;
+      orderParams.quantity = quantity;
     } else {
       throw new Error('Either quantity or quoteOrderQty is required');
     }
     
-    const signature = signRequest(queryString);
+    // Client order ID chosen by the caller (e.g. the trading loop's bgbot_ IDs)
+    if (params.newClientOrderId) {
+      orderParams.newClientOrderId = params.newClientOrderId;
+    }
     
-    const url = `${config.baseUrl}/api/v3/order`;
+    // Round to tickSize/stepSize and reject orders that break the symbol filters
+    const preparedParams = await symbolRules.prepareOrder(orderParams);
     
-    const response = await axios.post(`${url}?${queryString}&signature=${signature}`, null, {
-      headers: {
-        'X-MBX-APIKEY': config.apiKey
-      }
-    });
+    return await client.createOrder(preparedParams);
+  } catch (error) {
+    if (error.data) {
+      console.error('API Error:', error.data);
+    } else {
+      console.error('Error:', error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Build the parameters of POST /api/v3/orderList/oco from a limit and a stop price
+ *
+ * A sell OCO pairs a LIMIT_MAKER take profit above the market with a stop
+ * loss below it; a buy OCO pairs a stop above the market with a LIMIT_MAKER
+ * below it. Without stopLimitPrice the stop leg is a STOP_LOSS market order.
+ * With trailingDelta (BIPS) the stop leg trails the price; stopPrice is then
+ * optional and only sets where the trailing starts.
+ * @param {Object} params - { symbol, side, quantity, price, stopPrice, stopLimitPrice, trailingDelta,
+ *   listClientOrderId, limitClientOrderId, stopClientOrderId }
+ * @returns {Object} - Order list parameters
+ */
+function buildOcoParams(params) {
+  const { symbol, side, quantity, price, stopPrice, stopLimitPrice, trailingDelta } = params;
+  
+  if (!symbol || !side) {
+    throw new Error('Symbol and side are required');
+  }
+  
+  if (!quantity || !price || !(stopPrice || trailingDelta)) {
+    throw new Error('Quantity, price and stopPrice (or trailingDelta) are required for an OCO order');
+  }
+  
+  const limitLeg = {
+    Type: 'LIMIT_MAKER',
+    Price: price,
+    ClientOrderId: params.limitClientOrderId
+  };
+  
+  const stopLeg = {
+    Type: stopLimitPrice ? 'STOP_LOSS_LIMIT' : 'STOP_LOSS',
+    StopPrice: stopPrice,
+    TrailingDelta: trailingDelta,
+    Price: stopLimitPrice,
+    TimeInForce: stopLimitPrice ? 'GTC' : undefined,
+    ClientOrderId: params.stopClientOrderId
+  };
+  
+  // The take profit of a sell is above the market, the stop of a buy too
+  const [above, below] = side === 'SELL' ? [limitLeg, stopLeg] : [stopLeg, limitLeg];
+  const ocoParams = { symbol, side, quantity, listClientOrderId: params.listClientOrderId };
+  
+  Object.keys(above).forEach(key => { ocoParams[`above${key}`] = above[key]; });
+  Object.keys(below).forEach(key => { ocoParams[`below${key}`] = below[key]; });
+  
+  // Leave out the parameters that were not given
+  Object.keys(ocoParams).forEach(key => {
+    if (ocoParams[key] === undefined || ocoParams[key] === null) {
+      delete ocoParams[key];
+    }
+  });
+  
+  return ocoParams;
+}
+
+/**
+ * Create a one-cancels-the-other order list (take profit plus stop loss)
+ * @param {Object} params - OCO parameters (see buildOcoParams)
+ * @returns {Promise<Object>} - Order list with the reports of both orders
+ */
+async function createOcoOrder(params) {
+  try {
+    // Round both legs to tickSize/stepSize and reject lists that break the symbol filters
+    const ocoParams = await symbolRules.prepareOcoOrder(buildOcoParams(params));
     
-    return response.data;
+    return await client.createOcoOrder(ocoParams);
   } catch (error) {
-    if (error.response && error.response.data) {
-      console.error('API Error:', error.response.data);
+    if (error.data) {
+      console.error('API Error:', error.data);
     } else {
       console.error('Error:', error.message);
     }
@@ -130,6 +224,128 @@ async function createOrder(params) {
   }
 }
 
+/**
+ * Create a simulated order list response without sending anything to the exchange
+ * @param {Object} params - OCO parameters (see buildOcoParams)
+ * @returns {Promise<Object>} - Simulated order list with both orders working
+ */
+async function simulateOcoOrder(params) {
+  const ocoParams = await symbolRules.prepareOcoOrder(buildOcoParams(params), { validate: false });
+  const orderListId = Math.floor(Math.random() * 1000000000);
+  const now = Date.now();
+  
+  const orderReports = ['above', 'below'].map((position, index) => ({
+    symbol: ocoParams.symbol,
+    orderId: orderListId + index + 1,
+    orderListId,
+    clientOrderId: ocoParams[`${position}ClientOrderId`] || `simulated_${now}_${index}`,
+    transactTime: now,
+    price: ocoParams[`${position}Price`] || '0',
+    origQty: ocoParams.quantity,
+    executedQty: '0',
+    cummulativeQuoteQty: '0',
+    status: 'NEW',
+    timeInForce: ocoParams[`${position}TimeInForce`] || 'GTC',
+    type: ocoParams[`${position}Type`],
+    side: ocoParams.side,
+    stopPrice: ocoParams[`${position}StopPrice`] || '0',
+    ...(ocoParams[`${position}TrailingDelta`] ? { trailingDelta: ocoParams[`${position}TrailingDelta`], trailingTime: -1 } : {})
+  }));
+  
+  return {
+    orderListId,
+    contingencyType: 'OCO',
+    listStatusType: 'EXEC_STARTED',
+    listOrderStatus: 'EXECUTING',
+    listClientOrderId: ocoParams.listClientOrderId || `simulated_${now}`,
+    transactionTime: now,
+    symbol: ocoParams.symbol,
+    orders: orderReports.map(order => ({ symbol: order.symbol, orderId: order.orderId, clientOrderId: order.clientOrderId })),
+    orderReports
+  };
+}
+
+/**
+ * Create a simulated order response without sending anything to the exchange
+ * @param {Object} orderParams - Order parameters (as passed to createOrder)
+ * @returns {Promise<Object>} - Simulated order information
+ */
+async function simulateOrder(params) {
+  // Round like a real order would be, but allow orders a real exchange would reject
+  const orderParams = await symbolRules.prepareOrder(params, { validate: false });
+  const type = getOrderType(orderParams);
+  const fillPrice = orderParams.price || await getCurrentPrice(orderParams.symbol);
+  const quantity = orderParams.quantity || (parseFloat(orderParams.quoteOrderQty) / parseFloat(fillPrice)).toString();
+  
+  // Stop orders wait for their trigger, so they are simulated as working orders
+  const working = type.startsWith('STOP_LOSS') || type.startsWith('TAKE_PROFIT');
+  const order = {
+    symbol: orderParams.symbol,
+    orderId: Math.floor(Math.random() * 1000000000),
+    clientOrderId: orderParams.newClientOrderId || `simulated_${Date.now()}`,
+    transactTime: Date.now(),
+    price: orderParams.price || 'MARKET',
+    origQty: quantity,
+    executedQty: working ? '0' : quantity,
+    cummulativeQuoteQty: working ? '0' : (parseFloat(quantity) * parseFloat(fillPrice)).toString(),
+    status: working ? 'NEW' : 'FILLED',
+    timeInForce: 'GTC',
+    type,
+    side: orderParams.side,
+    fills: working ? [] : [{
+      price: fillPrice.toString(),
+      qty: quantity,
+      commission: '0',
+      commissionAsset: 'BNB'
+    }]
+  };
+  
+  if (working) {
+    order.stopPrice = orderParams.stopPrice || '0';
+  }
+  
+  if (orderParams.trailingDelta) {
+    order.trailingDelta = orderParams.trailingDelta;
+    order.trailingTime = -1;
+  }
+  
+  return order;
+}
+
+/**
+ * Describe where a trailing stop order starts trailing and where it triggers
+ *
+ * Without a stop price the order trails from the price it was placed at,
+ * otherwise from its stop (activation) price. The trigger price is where the
+ * order triggers if the price turns right after activation; from then on it
+ * follows the highest price of a sell or the lowest price of a buy.
+ * @param {Object} order - Order, order list leg or order parameters (side, stopPrice, trailingDelta in BIPS)
+ * @param {number} currentPrice - Price when the order was placed
+ * @param {Object} rules - Symbol rules, to round the prices to the tickSize (optional)
+ * @returns {Object|null} - { trailingDelta, trailingPercent, activationPrice, triggerPrice }, null if the order does not trail
+ */
+function describeTrailingStop(order, currentPrice, rules = null) {
+  const trailingDelta = parseInt(order.trailingDelta);
+  
+  if (!(trailingDelta > 0)) {
+    return null;
+  }
+  
+  const stopPrice = parseFloat(order.stopPrice);
+  const activationPrice = stopPrice > 0 ? stopPrice : parseFloat(currentPrice);
+  const trailingPercent = symbolRules.bipsToPercent(trailingDelta);
+  const sell = order.side === 'SELL';
+  const triggerPrice = activationPrice * (sell ? 1 - trailingPercent / 100 : 1 + trailingPercent / 100);
+  
+  return {
+    trailingDelta,
+    trailingPercent,
+    activationPrice,
+    // Rounded away from the activation price, as the order cannot trigger earlier
+    triggerPrice: rules ? parseFloat(symbolRules.roundPrice(rules, triggerPrice, sell ? 'floor' : 'ceil')) : triggerPrice
+  };
+}
+
 /**
  * Format and display order information
  * @param {Object} order - Order information
@@ -161,14 +377,44 @@ function displayOrder(order) {
 }
 
 /**
- * Create a take profit order based on a percentage gain
+ * Display the activation and trigger prices of a trailing stop order
+ * @param {Object} trailingStop - Result of describeTrailingStop
+ */
+function displayTrailingStop(trailingStop) {
+  console.log(`Trailing:     ${trailingStop.trailingPercent}% (${trailingStop.trailingDelta} BIPS)`);
+  console.log(`Activation:   ${trailingStop.activationPrice}`);
+  console.log(`Trigger:      ${trailingStop.triggerPrice} (moves with the price after activation)`);
+}
+
+/**
+ * Format and display an order list and its orders
+ * @param {Object} orderList - Order list response with orderReports
+ */
+function displayOrderList(orderList) {
+  console.log('\nOrder List Information:');
+  console.log('-'.repeat(50));
+  console.log(`Symbol:       ${orderList.symbol}`);
+  console.log(`List ID:      ${orderList.orderListId}`);
+  console.log(`Client ID:    ${orderList.listClientOrderId}`);
+  console.log(`Contingency:  ${orderList.contingencyType}`);
+  console.log(`Status:       ${orderList.listOrderStatus}`);
+  
+  (orderList.orderReports || []).forEach(order => {
+    const stop = parseFloat(order.stopPrice) > 0 ? `, stop ${order.stopPrice}` : '';
+    const trailing = order.trailingDelta ? `, trailing ${order.trailingDelta} BIPS` : '';
+    console.log(`  ${order.type.padEnd(16)} ${order.side} ${order.origQty} at ${order.price}${stop}${trailing} (order ${order.orderId}, ${order.status})`);
+  });
+}
+
+/**
+ * Build a take profit order based on a percentage gain
  * @param {string} symbol - Trading pair symbol
  * @param {number} quantity - Amount to sell
  * @param {number} buyPrice - Original buy price
  * @param {number} profitPercentage - Target profit percentage
- * @returns {Promise<Object>} - Order information
+ * @returns {Promise<Object>} - Order parameters for createOrder
  */
-async function createTakeProfitOrder(symbol, quantity, buyPrice, profitPercentage) {
+async function buildTakeProfitParams(symbol, quantity, buyPrice, profitPercentage) {
   // Calculate the target price
   const targetPrice = buyPrice * (1 + profitPercentage / 100);
   
@@ -176,32 +422,32 @@ async function createTakeProfitOrder(symbol, quantity, buyPrice, profitPercentag
   console.log(`Buy price: ${buyPrice}`);
   console.log(`Target price (${profitPercentage}% profit): ${targetPrice}`);
   
-  // Create a LIMIT sell order at the target price
-  const orderParams = {
+  // Create a LIMIT sell order at the target price, rounded up to the tickSize so the profit is not cut
+  const rules = await symbolRules.getSymbolRules(symbol);
+  return {
     symbol: symbol,
     side: 'SELL',
     type: 'LIMIT',
     quantity: quantity,
-    price: targetPrice.toFixed(2), // Adjust precision as needed
+    price: symbolRules.roundPrice(rules, targetPrice, 'ceil'),
     timeInForce: 'GTC'
   };
-  
-  return await createOrder(orderParams);
 }
 
 /**
- * Create a take profit order with an explicit profit amount
+ * Build a take profit order with an explicit profit amount
  * @param {string} symbol - Trading pair symbol
  * @param {number} quantity - Amount to sell
  * @param {number} buyPrice - Original buy price (for reference)
  * @param {number} profitAmount - Explicit profit amount in quote currency
  * @param {string} profitSymbol - Symbol of the profit currency (default: USDT)
- * @returns {Promise<Object>} - Order information
+ * @returns {Promise<Object>} - Order parameters for createOrder
  */
-async function createTakeProfitExplicitOrder(symbol, quantity, buyPrice, profitAmount, profitSymbol = 'USDT') {
-  // Define trading fees (standard Binance fees, can be adjusted based on user's VIP level)
-  const buyFee = 0.001; // 0.1% for buy
-  const sellFee = 0.001; // 0.1% for sell
+async function buildTakeProfitExplicitParams(symbol, quantity, buyPrice, profitAmount, profitSymbol = 'USDT') {
+  // Commission rates of the account (VIP tier): the buy is taken as a market order, the sell rests on the book
+  const feeRates = await fees.getFeeRates();
+  const buyFee = fees.getOrderRate(feeRates, 'BUY', false);
+  const sellFee = fees.getOrderRate(feeRates, 'SELL', true);
   
   // Calculate buy fee amount
   const buyFeeAmount = buyPrice * quantity * buyFee;
@@ -215,21 +461,32 @@ async function createTakeProfitExplicitOrder(symbol, quantity, buyPrice, profitA
   console.log(`Creating take profit order for ${symbol}`);
   console.log(`Buy price: ${buyPrice}`);
   console.log(`Profit amount: ${profitAmount} ${profitSymbol} (net after fees)`);
-  console.log(`Buy fee: ${buyFeeAmount.toFixed(8)} ${profitSymbol}`);
-  console.log(`Sell fee (estimated): ${(targetPrice * quantity * sellFee).toFixed(8)} ${profitSymbol}`);
+  console.log(`Buy fee (${fees.formatRate(buyFee)}): ${buyFeeAmount.toFixed(8)} ${profitSymbol}`);
+  console.log(`Sell fee (estimated, ${fees.formatRate(sellFee)}): ${(targetPrice * quantity * sellFee).toFixed(8)} ${profitSymbol}`);
   console.log(`Target price: ${targetPrice} (${profitPercentage.toFixed(2)}% profit)`);
   
-  // Create a LIMIT sell order at the target price
-  const orderParams = {
+  // Create a LIMIT sell order at the target price, rounded up to the tickSize so the profit is not cut
+  const rules = await symbolRules.getSymbolRules(symbol);
+  return {
     symbol: symbol,
     side: 'SELL',
     type: 'LIMIT',
     quantity: quantity,
-    price: targetPrice.toFixed(2), // Adjust precision as needed
+    price: symbolRules.roundPrice(rules, targetPrice, 'ceil'),
     timeInForce: 'GTC'
   };
-  
-  return await createOrder(orderParams);
+}
+
+/**
+ * Describe the trailing stop of an order placed from the command line
+ * @param {string} symbol - Trading pair symbol
+ * @param {Object} order - Order or stop leg (side, stopPrice)
+ * @param {number} trailingDelta - Trailing delta in BIPS
+ * @returns {Promise<Object>} - Result of describeTrailingStop
+ */
+async function getTrailingStop(symbol, order, trailingDelta) {
+  const rules = await symbolRules.getSymbolRules(symbol);
+  return describeTrailingStop({ side: order.side, stopPrice: order.stopPrice, trailingDelta }, await getCurrentPrice(symbol), rules);
 }
 
 // Main function
@@ -246,7 +503,10 @@ async function main() {
       console.log('  node order-trade.js --symbol BTCUSDT --side SELL --quantity 0.001 --market');
       console.log('  node order-trade.js --symbol BTCUSDT --side BUY --quoteOrderQty 50 --market');
       console.log('  node order-trade.js --symbol BTCUSDT --side SELL --quantity 0.001 --takeProfitPercentage 5');
-      console.log('  node order-trade.js --symbol BTCUSDT --side SELL --quantity 0.001 --takeProfitExplicit 50 --takeProfitSymbol USDT\n');
+      console.log('  node order-trade.js --symbol BTCUSDT --side SELL --quantity 0.001 --takeProfitExplicit 50 --takeProfitSymbol USDT');
+      console.log('  node order-trade.js --symbol BTCUSDT --side SELL --quantity 0.001 --oco --price 52000 --stopPrice 48000 --stopLimitPrice 47900');
+      console.log('  node order-trade.js --symbol BTCUSDT --side SELL --quantity 0.001 --trailingDelta 1');
+      console.log('  node order-trade.js --symbol BTCUSDT --side SELL --quantity 0.001 --type TAKE_PROFIT --stopPrice 52000 --trailingDelta 0.5\n');
       console.log('Parameters:');
       console.log('  --symbol          Trading pair symbol (required)');
       console.log('  --side            Order side: BUY or SELL (required)');
@@ -254,18 +514,33 @@ async function main() {
       console.log('  --quoteOrderQty   Amount in quote currency (e.g., USDT) - only for MARKET orders');
       console.log('  --price           Price for LIMIT orders');
       console.log('  --market          Create a MARKET order (default is LIMIT if price is provided)');
-      console.log('  --stopPrice       Stop price for STOP_LOSS orders');
+      console.log('  --type            Order type, e.g. STOP_LOSS, STOP_LOSS_LIMIT, TAKE_PROFIT, TAKE_PROFIT_LIMIT');
+      console.log('  --stopPrice       Stop price for STOP_LOSS orders and the stop leg of an OCO');
+      console.log('  --oco             Create an OCO order list: a LIMIT_MAKER at --price and a stop loss at --stopPrice');
+      console.log('  --stopLimitPrice  With --oco: limit price of the stop leg (STOP_LOSS_LIMIT, default: STOP_LOSS market)');
+      console.log('  --trailingDelta   Trailing stop distance in percent (e.g. 1 for 1%), sent as BIPS; with --stopPrice');
+      console.log('                    the stop price is the activation price (default type: STOP_LOSS, or the stop leg of an OCO)');
       console.log('  --takeProfitPercentage      Percentage profit target (e.g., 5 for 5% profit)');
       console.log('  --takeProfitExplicit        Explicit profit amount in quote currency (e.g., 50 for 50 USDT profit)');
       console.log('  --takeProfitSymbol         Symbol of the profit currency (default: USDT)');
       console.log('  --dryRun                   Simulate order without actually placing it');
+      console.log('  --override                 Place an order refused by the pre-trade checks: the rules it may break,');
+      console.log('                             comma separated (maxPriceDeviation, maxNotional, maxBalanceShare, maxSellShare, costBasis) or all');
+      console.log('  --maxPriceDeviation        Pre-trade check: largest distance of a price from the last price in percent');
+      console.log(`                             (default: ${preTradeChecks.DEFAULT_RULES.maxPriceDeviation}, or pre-trade-checks.json; off to turn a check off)`);
+      console.log('  --maxNotional              Pre-trade check: largest order value in quote currency (default: off)');
+      console.log('  --maxBalanceShare          Pre-trade check: largest share of the free quote balance a buy spends in percent (default: 50)');
+      console.log('  --maxSellShare             Pre-trade check: largest share of the free base balance a sell sells in percent (default: off)');
+      console.log('  --costBasis                Pre-trade check: refuse sells below the average cost (default: on)');
+      console.log('  --checksConfig             Rules file of the pre-trade checks (default: ./pre-trade-checks.json)');
+      console.log('  --json                     Print the order as JSON on stdout');
       console.log('\nAlternatively, you can use the app.js interface:');
       console.log('  node app.js order-trade --symbol BTCUSDT --side BUY --quantity 0.001 --price 50000');
       return;
     }
     
-    if (config.apiKey === 'YOUR_API_KEY' || config.apiSecret === 'YOUR_API_SECRET') {
-      console.error('Please update the config.js file with your Binance API key and secret.');
+    if (!client.hasCredentials()) {
+      console.error(client.getCredentialsMessage());
       console.log('You can create API keys in your Binance account settings.');
       process.exit(1);
     }
@@ -289,6 +564,19 @@ async function main() {
       process.exit(1);
     }
     
+    // The trailing distance is given in percent and sent to Binance in BIPS
+    let trailingDelta = null;
+    if (args.trailingDelta) {
+      const trailingPercent = parseFloat(args.trailingDelta);
+      
+      if (isNaN(trailingPercent) || trailingPercent <= 0) {
+        console.error('Trailing delta must be a positive percentage (e.g. 1 for 1%).');
+        process.exit(1);
+      }
+      
+      trailingDelta = symbolRules.percentToBips(trailingPercent);
+    }
+    
     // Handle take profit orders
     if ((args.takeProfitPercentage || args.takeProfitExplicit) && args.side === 'SELL') {
       if (args.takeProfitPercentage && args.takeProfitExplicit) {
@@ -303,7 +591,7 @@ async function main() {
         args.buyPrice = currentPrice;
       }
       
-      let order;
+      let orderParams;
       
       if (args.takeProfitPercentage) {
         const profitPercentage = parseFloat(args.takeProfitPercentage);
@@ -313,8 +601,8 @@ async function main() {
           process.exit(1);
         }
         
-        // Create take profit order based on percentage
-        order = await createTakeProfitOrder(
+        // Take profit order based on percentage
+        orderParams = await buildTakeProfitParams(
           args.symbol,
           args.quantity,
           parseFloat(args.buyPrice),
@@ -331,8 +619,8 @@ async function main() {
         // Get profit symbol if provided, otherwise default to USDT
         const profitSymbol = args.takeProfitSymbol || 'USDT';
         
-        // Create take profit order with explicit profit amount
-        order = await createTakeProfitExplicitOrder(
+        // Take profit order with explicit profit amount
+        orderParams = await buildTakeProfitExplicitParams(
           args.symbol,
           args.quantity,
           parseFloat(args.buyPrice),
@@ -341,6 +629,16 @@ async function main() {
         );
       }
       
+      // The target price is checked like any other limit price, and the sell against the cost basis
+      await preTradeChecks.enforce(orderParams, args, await symbolRules.getSymbolRules(args.symbol));
+      
+      const order = await createOrder(orderParams);
+      
+      if (output.isEnabled()) {
+        output.result({ dryRun: false, order: output.formatOrder(order) });
+        return;
+      }
+      
       // Display order information
       displayOrder(order);
       
@@ -351,6 +649,58 @@ async function main() {
       return;
     }
     
+    // Handle OCO order lists (take profit plus stop loss)
+    if (args.oco) {
+      if (!args.quantity || !args.price || !(args.stopPrice || trailingDelta)) {
+        console.error('An OCO order needs --quantity, --price and --stopPrice or --trailingDelta.');
+        console.log('Example: node order-trade.js --symbol BTCUSDT --side SELL --quantity 0.001 --oco --price 52000 --stopPrice 48000 --stopLimitPrice 47900');
+        process.exit(1);
+      }
+      
+      const ocoParams = {
+        symbol: args.symbol,
+        side: args.side,
+        quantity: args.quantity,
+        price: args.price,
+        stopPrice: args.stopPrice,
+        stopLimitPrice: args.stopLimitPrice,
+        trailingDelta
+      };
+      
+      // The limit leg is what the cost basis is checked against, the stop leg sells at a loss on purpose
+      await preTradeChecks.enforce({ ...ocoParams, type: 'LIMIT_MAKER' }, args, await symbolRules.getSymbolRules(args.symbol));
+      
+      let orderList;
+      if (args.dryRun) {
+        console.log(`[DRY RUN] Would create OCO ${ocoParams.side} order list for ${ocoParams.symbol}...`);
+        orderList = await simulateOcoOrder(ocoParams);
+      } else {
+        console.log(`Creating OCO ${ocoParams.side} order list for ${ocoParams.symbol}...`);
+        orderList = await createOcoOrder(ocoParams);
+      }
+      
+      const stopLeg = trailingDelta ? orderList.orderReports.find(order => order.type !== 'LIMIT_MAKER') : null;
+      const trailingStop = stopLeg ? await getTrailingStop(args.symbol, stopLeg, trailingDelta) : null;
+      
+      if (output.isEnabled()) {
+        output.result({ dryRun: !!args.dryRun, orderList: output.formatOrderList(orderList), ...(trailingStop ? { trailingStop } : {}) });
+        return;
+      }
+      
+      displayOrderList(orderList);
+      if (trailingStop) {
+        console.log('\nStop Leg:');
+        displayTrailingStop(trailingStop);
+      }
+      
+      if (!args.dryRun) {
+        console.log('\nTo monitor both orders of this list, use:');
+        console.log(`node order-monitor.js --symbol ${args.symbol} --orderListId ${orderList.orderListId}`);
+      }
+      
+      return;
+    }
+    
     // Prepare order parameters
     const orderParams = {
       symbol: args.symbol,
@@ -359,37 +709,38 @@ async function main() {
       quoteOrderQty: args.quoteOrderQty,
       price: args.price,
       stopPrice: args.stopPrice,
+      trailingDelta,
       type: args.market ? 'MARKET' : (args.price ? 'LIMIT' : 'MARKET')
     };
     
+    // An explicit type, or a stop type for trailing stop orders
+    if (args.type) {
+      orderParams.type = String(args.type).toUpperCase();
+    } else if (trailingDelta) {
+      orderParams.type = getOrderType({ ...orderParams, type: null });
+    }
+    
+    // Refuse an order that is probably a typo, unless the broken rules are overridden
+    await preTradeChecks.enforce(orderParams, args, await symbolRules.getSymbolRules(args.symbol));
+    
     // Check if we're in dry run mode
     if (args.dryRun) {
       console.log(`[DRY RUN] Would create ${orderParams.type} ${orderParams.side} order for ${orderParams.symbol}...`);
       
-      // Create a simulated order response
-      const simulatedOrder = {
-        symbol: orderParams.symbol,
-        orderId: Math.floor(Math.random() * 1000000000),
-        clientOrderId: `simulated_${Date.now()}`,
-        transactTime: Date.now(),
-        price: orderParams.price || 'MARKET',
-        origQty: orderParams.quantity,
-        executedQty: orderParams.quantity,
-        status: 'FILLED',
-        timeInForce: 'GTC',
-        type: orderParams.type,
-        side: orderParams.side,
-        fills: [{
-          price: orderParams.price || await getCurrentPrice(orderParams.symbol),
-          qty: orderParams.quantity,
-          commission: '0',
-          commissionAsset: 'BNB'
-        }]
-      };
+      const simulatedOrder = await simulateOrder(orderParams);
+      const trailingStop = trailingDelta ? await getTrailingStop(args.symbol, simulatedOrder, trailingDelta) : null;
+      
+      if (output.isEnabled()) {
+        output.result({ dryRun: true, order: output.formatOrder(simulatedOrder), ...(trailingStop ? { trailingStop } : {}) });
+        return simulatedOrder;
+      }
       
       // Display simulated order information
       console.log('\n[DRY RUN] Simulated order:');
       displayOrder(simulatedOrder);
+      if (trailingStop) {
+        displayTrailingStop(trailingStop);
+      }
       
       // Return simulated order
       return simulatedOrder;
@@ -397,9 +748,18 @@ async function main() {
       // Create the actual order
       console.log(`Creating ${orderParams.type} ${orderParams.side} order for ${orderParams.symbol}...`);
       const order = await createOrder(orderParams);
+      const trailingStop = trailingDelta ? await getTrailingStop(args.symbol, order, trailingDelta) : null;
+      
+      if (output.isEnabled()) {
+        output.result({ dryRun: false, order: output.formatOrder(order), ...(trailingStop ? { trailingStop } : {}) });
+        return;
+      }
       
       // Display order information
       displayOrder(order);
+      if (trailingStop) {
+        displayTrailingStop(trailingStop);
+      }
       
       // Suggest monitoring the order
       console.log('\nTo monitor this order, use:');
@@ -408,11 +768,32 @@ async function main() {
     
   } catch (error) {
     console.error('An error occurred:', error.message);
+    output.fail(error);
     process.exit(1);
   }
 }
 
-// Run the main function
-main().catch(error => {
-  console.error('An unexpected error occurred:', error);
-});
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  getCurrentPrice,
+  getOrderType,
+  createOrder,
+  simulateOrder,
+  describeTrailingStop,
+  displayTrailingStop,
+  displayOrder,
+  buildOcoParams,
+  createOcoOrder,
+  simulateOcoOrder,
+  displayOrderList,
+  buildTakeProfitParams,
+  buildTakeProfitExplicitParams
+};
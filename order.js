@@ -11,10 +11,10 @@
  *   node order.js --symbol ETHUSDT --clientOrderId myOrder123
  */
 
-const crypto = require('crypto');
-const axios = require('axios');
 const fs = require('fs');
-const config = require('./config');
+const client = require('./binance-client');
+const output = require('./output');
+const logger = require('./logger');
 
 // Parse command line arguments
 function parseArgs() {
@@ -29,14 +29,6 @@ function parseArgs() {
   return args;
 }
 
-// Function to sign the request parameters
-function signRequest(queryString) {
-  return crypto
-    .createHmac('sha256', config.apiSecret)
-    .update(queryString)
-    .digest('hex');
-}
-
 /**
  * Get information about a specific order
  * @param {string} symbol - Trading pair symbol
@@ -46,42 +38,12 @@ function signRequest(queryString) {
  */
 async function getOrder(symbol, orderId, clientOrderId) {
   try {
-    if (!symbol) {
-      throw new Error('Symbol is required');
-    }
-    
-    if (!orderId && !clientOrderId) {
-      throw new Error('Either orderId or clientOrderId is required');
-    }
-    
-    const timestamp = Date.now();
-    let queryString = `symbol=${symbol}&timestamp=${timestamp}`;
-    
-    if (orderId) {
-      queryString += `&orderId=${orderId}`;
-    }
-    
-    if (clientOrderId) {
-      queryString += `&origClientOrderId=${clientOrderId}`;
-    }
-    
-    const signature = signRequest(queryString);
-    
-    const url = `${config.baseUrl}/api/v3/order?${queryString}&signature=${signature}`;
-    
     console.log(`Fetching order information for ${symbol}...`);
-    console.log(`URL: ${url.replace(/signature=.+$/, 'signature=***')}`);
     
-    const response = await axios.get(url, {
-      headers: {
-        'X-MBX-APIKEY': config.apiKey
-      }
-    });
-    
-    return response.data;
+    return await client.getOrder(symbol, orderId, clientOrderId);
   } catch (error) {
-    if (error.response && error.response.data) {
-      console.error('API Error:', error.response.data);
+    if (error.data) {
+      console.error('API Error:', error.data);
     } else {
       console.error('Error:', error.message);
     }
@@ -122,40 +84,75 @@ function displayOrder(order) {
 }
 
 /**
- * Search for an order across all symbols
+ * Search for an order across symbols
+ *
+ * Open orders are checked first with a single request. After that only
+ * symbols built from assets held in the account are tried, unless
+ * searchAll is set. Every lookup goes through the rate limiter, so a long
+ * search is throttled instead of exhausting the request weight.
  * @param {string} orderId - Order ID to search for
+ * @param {Object} options - Search options
+ * @param {boolean} options.searchAll - Also try symbols of assets that are not held
  * @returns {Promise<Object|null>} - Order information or null if not found
  */
-async function searchOrderAcrossSymbols(orderId) {
+async function searchOrderAcrossSymbols(orderId, options = {}) {
   try {
-    // Import the getExchangeInfo function
-    const { getExchangeInfo } = require('./binance_exchange_info');
-    
-    console.log(`Searching for order ID ${orderId} across all symbols...`);
-    
-    // Get all symbols
-    const symbols = await getExchangeInfo();
+    console.log(`Searching for order ID ${orderId}...`);
+
+    // Open orders of all symbols come back in one request
+    const openOrders = await client.getOpenOrders();
+    const openOrder = openOrders.find(order => String(order.orderId) === String(orderId));
+
+    if (openOrder) {
+      console.log(`Found open order for symbol ${openOrder.symbol}!`);
+      return openOrder;
+    }
+
+    const exchangeInfo = await client.getExchangeInfo();
+    const account = await client.getAccount();
+    const heldAssets = new Set(account.balances
+      .filter(balance => parseFloat(balance.free) + parseFloat(balance.locked) > 0)
+      .map(balance => balance.asset));
+
+    const heldSymbols = [];
+    const otherSymbols = [];
+
+    exchangeInfo.symbols.forEach(info => {
+      if (heldAssets.has(info.baseAsset) || heldAssets.has(info.quoteAsset)) {
+        heldSymbols.push(info.symbol);
+      } else {
+        otherSymbols.push(info.symbol);
+      }
+    });
+
+    const symbols = options.searchAll ? heldSymbols.concat(otherSymbols) : heldSymbols;
     console.log(`Found ${symbols.length} symbols to search through`);
-    
+
     // Try each symbol
     for (const symbol of symbols) {
       try {
-        const order = await getOrder(symbol, orderId);
+        const order = await client.getOrder(symbol, orderId);
         console.log(`Found order for symbol ${symbol}!`);
         return order;
       } catch (error) {
+        if (error.halted) {
+          throw error;
+        }
+
         // Ignore errors, just continue to next symbol
-        if (error.response && error.response.status === 404) {
+        if (error.status === 404) {
           // Order not found for this symbol, continue
-        } else if (error.response && error.response.data && error.response.data.code === -2013) {
+        } else if (error.code === -2013) {
           // Order does not exist, continue
         } else {
           console.error(`Error searching ${symbol}:`, error.message);
         }
       }
     }
-    
-    console.log('Order not found on any symbol');
+
+    console.log(options.searchAll
+      ? 'Order not found on any symbol'
+      : 'Order not found on symbols of held assets (use --searchAll to try every symbol)');
     return null;
   } catch (error) {
     console.error('Error searching across symbols:', error.message);
@@ -181,13 +178,15 @@ async function main() {
       console.log('  --orderId         Order ID to look up (required if clientOrderId not provided)');
       console.log('  --clientOrderId   Client order ID to look up (required if orderId not provided)');
       console.log('  --save            Save order details to file');
+      console.log('  --searchAll       Without --symbol, also search symbols of assets not held in the account');
+      console.log('  --json            Print the order as JSON on stdout');
       console.log('\nAlternatively, you can use the app.js interface:');
       console.log('  node app.js order --symbol BTCUSDT --orderId 123456789');
       return;
     }
     
-    if (config.apiKey === 'YOUR_API_KEY' || config.apiSecret === 'YOUR_API_SECRET') {
-      console.error('Please update the config.js file with your Binance API key and secret.');
+    if (!client.hasCredentials()) {
+      console.error(client.getCredentialsMessage());
       console.log('You can create API keys in your Binance account settings.');
       process.exit(1);
     }
@@ -197,7 +196,7 @@ async function main() {
     // If only orderId is provided without symbol, search across all symbols
     if (args.orderId && !args.symbol) {
       console.log('No symbol provided. Searching across all symbols...');
-      order = await searchOrderAcrossSymbols(args.orderId);
+      order = await searchOrderAcrossSymbols(args.orderId, { searchAll: !!args.searchAll });
       
       if (!order) {
         console.error(`Order with ID ${args.orderId} not found on any symbol.`);
@@ -222,7 +221,11 @@ async function main() {
     }
     
     // Display order information
-    displayOrder(order);
+    if (output.isEnabled()) {
+      output.result(output.formatOrder(order));
+    } else {
+      displayOrder(order);
+    }
     
     // Save to file if requested
     if (args.save) {
@@ -233,11 +236,22 @@ async function main() {
     
   } catch (error) {
     // Error already logged in the respective functions
+    output.fail(error);
     process.exit(1);
   }
 }
 
-// Run the main function
-main().catch(error => {
-  console.error('An unexpected error occurred:', error);
-});
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  getOrder,
+  displayOrder,
+  searchOrderAcrossSymbols
+};
@@ -1,21 +1,27 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
-const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const { createObjectCsvWriter } = require('csv-writer');
 const sqlite3 = require('sqlite3').verbose();
+const output = require('./output');
+const logger = require('./logger');
 
-// Import config if it exists
-let config;
+// Select text or JSON output before anything is printed
+output.init();
+
+// Import the Binance client (it requires config.js)
+let client;
 try {
-  config = require('./config');
+  client = require('./binance-client');
 } catch (error) {
-  console.error('Config file not found. Please create a config.js file with apiKey, apiSecret, and baseUrl.');
+  console.error('Could not load the configuration:', error.message);
   process.exit(1);
 }
 
+// Start logging once config.js has loaded the .env file
+logger.init();
+
 // Default parameters
 const DEFAULT_PARAMS = {
   symbol: null,     // Optional: specific trading pair
@@ -85,6 +91,7 @@ Options:
   -l, --limit NUMBER        Number of orders to fetch (default: 500, max: 1000)
   -o, --format FORMAT       Output format: 'csv', 'sqlite', or 'json' (default: csv)
   -p, --output PATH         Output path (default: ./orders)
+  --json                    Print the saved file and order count as JSON on stdout
 
 Examples:
   node orders-download.js --symbol BTCUSDT --format csv
@@ -93,48 +100,18 @@ Examples:
   `);
 }
 
-// Create Binance API signature
-function createSignature(queryString, apiSecret) {
-  return crypto
-    .createHmac('sha256', apiSecret)
-    .update(queryString)
-    .digest('hex');
-}
-
 // Fetch orders from Binance API
 async function fetchOrders(params) {
-  const { apiKey, apiSecret, baseUrl } = config;
-  const endpoint = '/api/v3/allOrders';
-  
-  // Build query parameters
-  const queryParams = new URLSearchParams();
-  if (params.symbol) queryParams.append('symbol', params.symbol);
-  if (params.startTime) queryParams.append('startTime', params.startTime);
-  if (params.endTime) queryParams.append('endTime', params.endTime);
-  if (params.limit) queryParams.append('limit', params.limit);
-  
-  // Add timestamp for signature
-  queryParams.append('timestamp', Date.now());
-  
-  // Create signature
-  const signature = createSignature(queryParams.toString(), apiSecret);
-  queryParams.append('signature', signature);
-  
-  // Make API request
   try {
-    const response = await axios.get(`${baseUrl}${endpoint}?${queryParams.toString()}`, {
-      headers: {
-        'X-MBX-APIKEY': apiKey
-      }
+    return await client.getAllOrders({
+      symbol: params.symbol,
+      startTime: params.startTime,
+      endTime: params.endTime,
+      limit: params.limit
     });
-    
-    return response.data;
   } catch (error) {
-    if (error.response) {
-      console.error(`Error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
-    } else {
-      console.error(`Error: ${error.message}`);
-    }
+    console.error(`Error: ${error.message}`);
+    output.fail(error);
     process.exit(1);
   }
 }
@@ -143,7 +120,7 @@ async function fetchOrders(params) {
 async function saveToCSV(orders, outputPath, symbol) {
   if (!orders || orders.length === 0) {
     console.log('No orders to save.');
-    return;
+    return null;
   }
   
   // Create output directory if it doesn't exist
@@ -198,13 +175,14 @@ async function saveToCSV(orders, outputPath, symbol) {
   await csvWriter.writeRecords(formattedOrders);
   console.log(`CSV file saved to: ${fileName}`);
   console.log(`Total orders saved: ${orders.length}`);
+  return fileName;
 }
 
 // Save orders to SQLite database
 async function saveToSQLite(orders, outputPath, symbol) {
   if (!orders || orders.length === 0) {
     console.log('No orders to save.');
-    return;
+    return null;
   }
   
   // Create output directory if it doesn't exist
@@ -317,8 +295,10 @@ async function saveToSQLite(orders, outputPath, symbol) {
     await insertOrdersPromise;
     console.log(`SQLite database saved to: ${dbFileName}`);
     console.log(`Total orders saved: ${orders.length}`);
+    return dbFileName;
   } catch (error) {
     console.error(`Error saving to SQLite: ${error.message}`);
+    return null;
   } finally {
     // Close database connection
     db.close();
@@ -329,7 +309,7 @@ async function saveToSQLite(orders, outputPath, symbol) {
 async function saveToJSON(orders, outputPath, symbol) {
   if (!orders || orders.length === 0) {
     console.log('No orders to save.');
-    return;
+    return null;
   }
   
   // Create output directory if it doesn't exist
@@ -359,6 +339,7 @@ async function saveToJSON(orders, outputPath, symbol) {
   fs.writeFileSync(fileName, JSON.stringify(formattedOrders, null, 2));
   console.log(`JSON file saved to: ${fileName}`);
   console.log(`Total orders saved: ${orders.length}`);
+  return fileName;
 }
 
 // Main function
@@ -374,17 +355,21 @@ async function main() {
   console.log(`Fetched ${orders.length} orders.`);
   
   // Save orders to specified format
+  let file = null;
   if (params.format === 'csv') {
-    await saveToCSV(orders, params.output, params.symbol);
+    file = await saveToCSV(orders, params.output, params.symbol);
   } else if (params.format === 'sqlite') {
-    await saveToSQLite(orders, params.output, params.symbol);
+    file = await saveToSQLite(orders, params.output, params.symbol);
   } else if (params.format === 'json') {
-    await saveToJSON(orders, params.output, params.symbol);
+    file = await saveToJSON(orders, params.output, params.symbol);
   }
+
+  output.result({ symbol: params.symbol, format: params.format, file, count: orders.length });
 }
 
 // Run main function
 main().catch(error => {
   console.error(`Error: ${error.message}`);
+  output.fail(error);
   process.exit(1);
 });
@@ -10,9 +10,9 @@
  *   node orders-open.js --symbol BTCUSDT
  */
 
-const crypto = require('crypto');
-const axios = require('axios');
-const config = require('./config');
+const client = require('./binance-client');
+const output = require('./output');
+const logger = require('./logger');
 
 // Parse command line arguments
 function parseArgs() {
@@ -27,14 +27,6 @@ function parseArgs() {
   return args;
 }
 
-// Function to sign the request parameters
-function signRequest(queryString) {
-  return crypto
-    .createHmac('sha256', config.apiSecret)
-    .update(queryString)
-    .digest('hex');
-}
-
 /**
  * Get all open orders
  * @param {string} symbol - Trading pair symbol (optional)
@@ -42,29 +34,12 @@ function signRequest(queryString) {
  */
 async function getOpenOrders(symbol) {
   try {
-    const timestamp = Date.now();
-    let queryString = `timestamp=${timestamp}`;
-    
-    if (symbol) {
-      queryString += `&symbol=${symbol}`;
-    }
-    
-    const signature = signRequest(queryString);
-    
-    const url = `${config.baseUrl}/api/v3/openOrders?${queryString}&signature=${signature}`;
-    
     console.log(`Fetching open orders${symbol ? ` for ${symbol}` : ''}...`);
     
-    const response = await axios.get(url, {
-      headers: {
-        'X-MBX-APIKEY': config.apiKey
-      }
-    });
-    
-    return response.data;
+    return await client.getOpenOrders(symbol);
   } catch (error) {
-    if (error.response && error.response.data) {
-      console.error('API Error:', error.response.data);
+    if (error.data) {
+      console.error('API Error:', error.data);
     } else {
       console.error('Error:', error.message);
     }
@@ -112,6 +87,7 @@ function displayHelp() {
   console.log('  node orders-open.js --symbol BTCUSDT\n');
   console.log('Parameters:');
   console.log('  --symbol    Trading pair symbol (optional)');
+  console.log('  --json      Print the orders as JSON on stdout');
   console.log('  --help      Display this help information\n');
 }
 
@@ -131,6 +107,11 @@ async function main() {
     // Get open orders
     const orders = await getOpenOrders(symbol);
     
+    if (output.isEnabled()) {
+      output.result({ symbol: symbol || null, count: orders.length, orders: orders.map(output.formatOrder) });
+      return;
+    }
+    
     if (orders.length === 0) {
       console.log('\nNo open orders found.');
       return;
@@ -148,10 +129,20 @@ async function main() {
     
   } catch (error) {
     console.error('An error occurred:', error.message);
+    output.fail(error);
   }
 }
 
-// Run the main function
-main().catch(error => {
-  console.error('An unexpected error occurred:', error);
-});
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  getOpenOrders,
+  displayOrder
+};
@@ -0,0 +1,232 @@
+/**
+ * Output
+ *
+ * Scripts print human readable text by default. With the global --json flag
+ * a script prints one JSON document with its result on stdout instead; with
+ * --ndjson streaming commands (order-monitor, trading-loop) print one JSON
+ * object per line as events happen. In both modes everything written through
+ * console.log/info/warn/error goes to stderr, so stdout carries only the
+ * documented objects (see "Strojovo čitateľný výstup" in README.md).
+ *
+ * Prices and amounts that come from Binance stay decimal strings, as in the
+ * API, so no precision is lost. Values calculated by the bot are numbers.
+ */
+
+const util = require('util');
+
+// Current output mode: 'text', 'json' or 'ndjson'
+let mode = 'text';
+
+// Set once a result or an error object has been written to stdout
+let emitted = false;
+
+// Last message written with console.error, reported if the script exits with an error
+let lastErrorMessage = null;
+
+/**
+ * Get the output mode requested on the command line
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {string} - 'text', 'json' or 'ndjson'
+ */
+function getRequestedMode(argv = process.argv) {
+  if (argv.includes('--ndjson')) {
+    return 'ndjson';
+  }
+  if (argv.includes('--json')) {
+    return 'json';
+  }
+  return 'text';
+}
+
+/**
+ * Write a line to stderr
+ * @param {...*} args - Values formatted like console.log
+ */
+function writeDiagnostic(...args) {
+  process.stderr.write(`${util.format(...args)}\n`);
+}
+
+/**
+ * Write an object to stdout in the current mode
+ * @param {Object} data - Object to write
+ */
+function write(data) {
+  const text = mode === 'json' ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+  process.stdout.write(`${text}\n`);
+}
+
+/**
+ * Select the output mode for the script being run
+ *
+ * Called once by the script run from the command line. In json and ndjson
+ * modes console output is moved to stderr, and a script that exits with an
+ * error before printing its result still prints an error object.
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {string} - Selected mode
+ */
+function init(argv = process.argv) {
+  mode = getRequestedMode(argv);
+
+  if (mode === 'text') {
+    return mode;
+  }
+
+  console.log = writeDiagnostic;
+  console.info = writeDiagnostic;
+  console.warn = writeDiagnostic;
+  console.debug = writeDiagnostic;
+  console.error = (...args) => {
+    lastErrorMessage = util.format(...args);
+    writeDiagnostic(...args);
+  };
+
+  process.on('exit', code => {
+    if (code && !emitted) {
+      write({ error: { message: lastErrorMessage || `Exited with code ${code}` } });
+    }
+  });
+
+  return mode;
+}
+
+/**
+ * Check whether machine readable output is enabled
+ * @returns {boolean} - True in json and ndjson modes
+ */
+function isEnabled() {
+  return mode !== 'text';
+}
+
+/**
+ * Get the current output mode
+ * @returns {string} - 'text', 'json' or 'ndjson'
+ */
+function getMode() {
+  return mode;
+}
+
+/**
+ * Print the result of a command (no-op in text mode)
+ * @param {Object} data - Result object
+ */
+function result(data) {
+  if (!isEnabled()) {
+    return;
+  }
+
+  emitted = true;
+  write(data);
+}
+
+/**
+ * Print an event of a streaming command (only in ndjson mode)
+ * @param {string} type - Event type
+ * @param {Object} data - Event fields
+ */
+function event(type, data = {}) {
+  if (mode !== 'ndjson') {
+    return;
+  }
+
+  emitted = true;
+  write({ type, time: Date.now(), ...data });
+}
+
+/**
+ * Print an error object and set a failing exit code (no-op in text mode)
+ * @param {Error} error - Error to report
+ */
+function fail(error) {
+  if (!isEnabled()) {
+    return;
+  }
+
+  emitted = true;
+  process.exitCode = 1;
+
+  const details = { message: error.message };
+  if (error.name && error.name !== 'Error') {
+    details.name = error.name;
+  }
+  if (error.code !== undefined) {
+    details.code = error.code;
+  }
+  if (error.status !== undefined) {
+    details.status = error.status;
+  }
+
+  write(mode === 'ndjson' ? { type: 'error', time: Date.now(), error: details } : { error: details });
+}
+
+/**
+ * Convert an order response into the documented order object
+ * @param {Object} order - Order from the Binance API
+ * @returns {Object} - Order with a fixed set of fields
+ */
+function formatOrder(order) {
+  const formatted = {
+    symbol: order.symbol,
+    orderId: order.orderId,
+    clientOrderId: order.clientOrderId || order.origClientOrderId || null,
+    side: order.side,
+    type: order.type,
+    timeInForce: order.timeInForce || null,
+    status: order.status,
+    price: order.price !== undefined ? order.price : null,
+    stopPrice: order.stopPrice !== undefined ? order.stopPrice : null,
+    origQty: order.origQty !== undefined ? order.origQty : null,
+    executedQty: order.executedQty !== undefined ? order.executedQty : null,
+    cummulativeQuoteQty: order.cummulativeQuoteQty !== undefined ? order.cummulativeQuoteQty : null,
+    time: order.time || order.transactTime || null,
+    updateTime: order.updateTime || order.transactTime || null
+  };
+
+  // Only trailing stop orders have a trailingDelta (in BIPS)
+  if (order.trailingDelta !== undefined) {
+    formatted.trailingDelta = order.trailingDelta;
+    formatted.trailingTime = order.trailingTime !== undefined ? order.trailingTime : null;
+  }
+
+  if (order.fills) {
+    formatted.fills = order.fills.map(fill => ({
+      price: fill.price,
+      qty: fill.qty,
+      commission: fill.commission,
+      commissionAsset: fill.commissionAsset,
+      tradeId: fill.tradeId
+    }));
+  }
+
+  return formatted;
+}
+
+/**
+ * Convert an order list response into the documented order list object
+ * @param {Object} orderList - Order list from the Binance API
+ * @param {Array} orders - Orders of the list (default: the orderReports of the response)
+ * @returns {Object} - Order list with its orders in the documented order format
+ */
+function formatOrderList(orderList, orders = orderList.orderReports || []) {
+  return {
+    orderListId: orderList.orderListId,
+    contingencyType: orderList.contingencyType,
+    listStatusType: orderList.listStatusType,
+    listOrderStatus: orderList.listOrderStatus,
+    listClientOrderId: orderList.listClientOrderId,
+    symbol: orderList.symbol,
+    transactionTime: orderList.transactionTime || null,
+    orders: orders.map(formatOrder)
+  };
+}
+
+module.exports = {
+  getRequestedMode,
+  init,
+  isEnabled,
+  getMode,
+  result,
+  event,
+  fail,
+  formatOrder,
+  formatOrderList
+};
@@ -0,0 +1,507 @@
+#!/usr/bin/env node
+
+/**
+ * Panic
+ *
+ * Emergency stop: cancels every open order, stops the trading loops and
+ * grids, and with --sell market-sells the base assets back to the quote
+ * currency. The scope can be narrowed to --symbols, to the orders of the
+ * bots (client order ID prefix bgbot_, --botOnly) or to the orders of one
+ * bot (--botId).
+ *
+ * Running loops are separate processes, so they are stopped with a flag:
+ * state/panic-<profile>.json. trading-loop.js and grid-trading.js check it
+ * before every cycle, every buy and every grid check, and refuse to start
+ * while it is set. A loop whose sell order was cancelled stops before its
+ * next cycle. The flag stays until it is cleared with the clear action.
+ *
+ * A report of what was cancelled and sold is printed and saved to history/.
+ *
+ * Usage:
+ *   node panic.js
+ *   node panic.js --symbols BTCUSDT,ETHUSDT --sell
+ *   node panic.js --botOnly --sell
+ *   node panic.js status
+ *   node panic.js clear
+ */
+
+const fs = require('fs');
+const path = require('path');
+const client = require('./binance-client');
+const output = require('./output');
+const logger = require('./logger');
+const symbolRules = require('./symbol-rules');
+const stateJournal = require('./state-journal');
+const { createOrder } = require('./order-trade');
+const { summarizeFills } = require('./market-buy');
+const { profile } = require('./config');
+
+const log = logger.getLogger('panic');
+
+// Quote currency the base assets are sold into when no --symbols are given
+const DEFAULT_QUOTE = 'USDT';
+
+/**
+ * Error thrown when a panic stops a loop, and for invalid panic options
+ */
+class PanicError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PanicError';
+  }
+}
+
+// Parse command line arguments
+function parseArgs() {
+  const args = {};
+  process.argv.slice(2).forEach((arg, i, argv) => {
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[i + 1] : true;
+      args[key] = value;
+    }
+  });
+  return args;
+}
+
+/**
+ * Get the path of the panic flag of a profile
+ * @param {string} profile - Profile name
+ * @returns {string} - File path
+ */
+function getPanicPath(profile) {
+  return path.join(__dirname, 'state', `panic-${profile}.json`);
+}
+
+/**
+ * Read the panic flag of a profile
+ * @param {string} profile - Profile name
+ * @returns {Object|null} - { profile, at, symbols, botId, botOnly }, null when no panic is set
+ */
+function loadPanic(profile) {
+  const filePath = getPanicPath(profile);
+
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    // A flag that cannot be read still means somebody pulled it
+    return { profile, at: null, symbols: null, botId: null, botOnly: false, error: error.message };
+  }
+}
+
+/**
+ * Set the panic flag of a profile (the file is replaced atomically)
+ * @param {Object} panic - { profile, at, symbols, botId, botOnly }
+ * @returns {Object} - The same panic
+ */
+function savePanic(panic) {
+  const filePath = getPanicPath(panic.profile);
+  const tempPath = `${filePath}.tmp`;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(panic, null, 2));
+  fs.renameSync(tempPath, filePath);
+
+  return panic;
+}
+
+/**
+ * Remove the panic flag of a profile
+ * @param {string} profile - Profile name
+ * @returns {boolean} - True if a panic was set
+ */
+function clearPanic(profile) {
+  const filePath = getPanicPath(profile);
+
+  if (!fs.existsSync(filePath)) {
+    return false;
+  }
+
+  fs.unlinkSync(filePath);
+  return true;
+}
+
+/**
+ * Check whether a panic covers a bot
+ * @param {Object} panic - Panic flag
+ * @param {string} symbol - Symbol the bot trades
+ * @param {string} botId - Bot ID
+ * @returns {boolean} - True if the bot has to stop
+ */
+function coversBot(panic, symbol, botId) {
+  if (panic.symbols && !panic.symbols.includes(symbol)) {
+    return false;
+  }
+
+  return !panic.botId || stateJournal.sanitizeBotId(panic.botId) === stateJournal.sanitizeBotId(botId);
+}
+
+/**
+ * Throw when a panic covers a bot, so it stops before its next order
+ * @param {string} symbol - Symbol the bot trades
+ * @param {string} botId - Bot ID
+ */
+function assertNoPanic(symbol, botId) {
+  const panic = loadPanic(profile);
+
+  if (panic && coversBot(panic, symbol, botId)) {
+    throw new PanicError(`Trading stopped by panic${panic.at ? ` at ${panic.at}` : ''}. Clear it with: node panic.js clear`);
+  }
+}
+
+/**
+ * Get the open orders a panic cancels
+ * @param {Object} scope - { symbols, botId, botOnly }
+ * @returns {Promise<Array>} - Open orders
+ */
+async function findOpenOrders(scope) {
+  const orders = scope.symbols
+    ? (await Promise.all(scope.symbols.map(symbol => client.getOpenOrders(symbol)))).flat()
+    : await client.getOpenOrders();
+
+  if (scope.botId) {
+    return orders.filter(order => stateJournal.isBotOrder(order, scope.botId));
+  }
+
+  if (scope.botOnly) {
+    return orders.filter(order => typeof order.clientOrderId === 'string' && order.clientOrderId.startsWith(stateJournal.CLIENT_ORDER_PREFIX));
+  }
+
+  return orders;
+}
+
+/**
+ * Cancel open orders; an OCO order list is cancelled as a whole
+ * @param {Array} orders - Open orders
+ * @returns {Promise<Object>} - { cancelled, failed }
+ */
+async function cancelOrders(orders) {
+  const cancelled = [];
+  const failed = [];
+  const cancelledLists = new Set();
+
+  for (const order of orders) {
+    const orderList = order.orderListId !== undefined && order.orderListId !== -1 ? order.orderListId : null;
+    const entry = {
+      symbol: order.symbol,
+      orderId: order.orderId,
+      orderListId: orderList,
+      clientOrderId: order.clientOrderId,
+      side: order.side,
+      type: order.type,
+      price: order.price,
+      origQty: order.origQty,
+      executedQty: order.executedQty
+    };
+
+    if (orderList !== null && cancelledLists.has(`${order.symbol}:${orderList}`)) {
+      cancelled.push(entry);
+      continue;
+    }
+
+    try {
+      if (orderList !== null) {
+        await client.cancelOrderList(order.symbol, orderList);
+        cancelledLists.add(`${order.symbol}:${orderList}`);
+      } else {
+        await client.cancelOrder(order.symbol, order.orderId);
+      }
+      cancelled.push(entry);
+      console.log(`Cancelled ${order.symbol} ${order.side} ${order.type} ${order.origQty} at ${order.price} (order ${order.orderId}${orderList !== null ? `, order list ${orderList}` : ''})`);
+    } catch (error) {
+      // -2011: the order was filled or cancelled in the meantime
+      failed.push({ ...entry, error: error.message });
+      console.warn(`Could not cancel ${order.symbol} order ${order.orderId}: ${error.message}`);
+    }
+  }
+
+  return { cancelled, failed };
+}
+
+/**
+ * Get the symbols whose base asset is sold
+ * @param {Object} scope - { symbols, botId, botOnly, quote }
+ * @param {Array} cancelled - Cancelled orders
+ * @returns {Promise<Array<string>>} - Symbols
+ */
+async function getSellSymbols(scope, cancelled) {
+  if (scope.symbols) {
+    return scope.symbols;
+  }
+
+  // The bots' symbols are the ones they had orders on
+  if (scope.botId || scope.botOnly) {
+    return [...new Set(cancelled.map(order => order.symbol))];
+  }
+
+  // Everything held, into the quote currency
+  const account = await client.getAccount();
+  return account.balances
+    .filter(balance => balance.asset !== scope.quote && parseFloat(balance.free) + parseFloat(balance.locked) > 0)
+    .map(balance => `${balance.asset}${scope.quote}`);
+}
+
+/**
+ * Market-sell the free base asset of symbols
+ *
+ * Balances too small for the symbol's filters are left as dust.
+ * @param {Array<string>} symbols - Symbols
+ * @returns {Promise<Object>} - { sold, skipped }
+ */
+async function sellPositions(symbols) {
+  const account = await client.getAccount();
+  const sold = [];
+  const skipped = [];
+
+  for (const symbol of symbols) {
+    let rules;
+
+    try {
+      rules = await symbolRules.getSymbolRules(symbol);
+    } catch (error) {
+      skipped.push({ symbol, asset: null, quantity: null, reason: error.message });
+      continue;
+    }
+
+    const balance = account.balances.find(item => item.asset === rules.baseAsset);
+    const free = balance ? parseFloat(balance.free) : 0;
+    const quantity = symbolRules.roundQuantity(rules, free, { market: true });
+
+    if (!(parseFloat(quantity) > 0)) {
+      if (free > 0) {
+        skipped.push({ symbol, asset: rules.baseAsset, quantity: free, reason: 'below the step size' });
+      }
+      continue;
+    }
+
+    const price = await client.getPrice(symbol);
+    const violations = symbolRules.checkOrder(rules, { side: 'SELL', type: 'MARKET', quantity }, price);
+
+    if (violations.length > 0) {
+      skipped.push({ symbol, asset: rules.baseAsset, quantity, reason: violations.map(violation => violation.message).join('; ') });
+      console.log(`Not selling ${quantity} ${rules.baseAsset}: ${violations[0].message}`);
+      continue;
+    }
+
+    try {
+      const order = await createOrder({ symbol, side: 'SELL', type: 'MARKET', quantity });
+      const fill = summarizeFills(order, rules.baseAsset);
+      sold.push({
+        symbol,
+        asset: rules.baseAsset,
+        orderId: order.orderId,
+        quantity: order.executedQty,
+        price: fill.price,
+        value: order.cummulativeQuoteQty,
+        commission: fill.commission,
+        quoteAsset: rules.quoteAsset
+      });
+      console.log(`Sold ${order.executedQty} ${rules.baseAsset} for ${order.cummulativeQuoteQty} ${rules.quoteAsset} (order ${order.orderId})`);
+    } catch (error) {
+      skipped.push({ symbol, asset: rules.baseAsset, quantity, reason: error.message });
+      console.warn(`Could not sell ${quantity} ${rules.baseAsset}: ${error.message}`);
+    }
+  }
+
+  return { sold, skipped };
+}
+
+/**
+ * Pull the panic: set the flag, cancel the open orders and optionally sell
+ * @param {Object} scope - { symbols, botId, botOnly, sell, quote }
+ * @returns {Promise<Object>} - Report: { profile, at, scope, stopFlag, cancelled, failed, sold, skipped, historyFile }
+ */
+async function runPanic(scope) {
+  const at = new Date().toISOString();
+
+  // The flag goes first, so no loop places a new order while the old ones are cancelled
+  const stopFlag = getPanicPath(profile);
+  savePanic({ profile, at, symbols: scope.symbols, botId: scope.botId, botOnly: scope.botOnly });
+  console.log(`Stop flag set: ${stopFlag}`);
+  log.warn('Panic', { scope });
+
+  const orders = await findOpenOrders(scope);
+  console.log(`${orders.length} open order(s) to cancel`);
+  const { cancelled, failed } = await cancelOrders(orders);
+
+  let sold = [];
+  let skipped = [];
+
+  if (scope.sell) {
+    ({ sold, skipped } = await sellPositions(await getSellSymbols(scope, cancelled)));
+  }
+
+  const report = { profile, at, scope, stopFlag, cancelled, failed, sold, skipped };
+
+  const historyDir = path.join(process.cwd(), 'history');
+  if (!fs.existsSync(historyDir)) {
+    fs.mkdirSync(historyDir);
+  }
+  report.historyFile = path.join(historyDir, `panic_${at.replace(/:/g, '-')}.json`);
+  fs.writeFileSync(report.historyFile, JSON.stringify(report, null, 2));
+
+  log.warn('Panic completed', { cancelled: cancelled.length, failed: failed.length, sold, skipped });
+
+  return report;
+}
+
+/**
+ * Display the report of a panic
+ * @param {Object} report - Result of runPanic
+ */
+function displayReport(report) {
+  console.log('\nPanic Report:');
+  console.log('-'.repeat(50));
+  console.log(`Profile:      ${report.profile}`);
+  console.log(`Time:         ${report.at}`);
+  console.log(`Scope:        ${report.scope.symbols ? report.scope.symbols.join(', ') : 'all symbols'}${report.scope.botId ? `, bot ${report.scope.botId}` : report.scope.botOnly ? ', bot orders only' : ''}`);
+  console.log(`Loops:        stopped by ${report.stopFlag}`);
+  console.log(`Cancelled:    ${report.cancelled.length} order(s)`);
+
+  report.cancelled.forEach(order => {
+    console.log(`  ${order.symbol} ${order.side} ${order.type} ${order.origQty} at ${order.price} (order ${order.orderId}, ${order.clientOrderId})`);
+  });
+
+  if (report.failed.length > 0) {
+    console.log(`Not cancelled: ${report.failed.length} order(s)`);
+    report.failed.forEach(order => {
+      console.log(`  ${order.symbol} order ${order.orderId}: ${order.error}`);
+    });
+  }
+
+  if (report.scope.sell) {
+    console.log(`Sold:         ${report.sold.length} position(s)`);
+    report.sold.forEach(sale => {
+      console.log(`  ${sale.quantity} ${sale.asset} for ${sale.value} ${sale.quoteAsset} at ${sale.price} (order ${sale.orderId})`);
+    });
+
+    report.skipped.forEach(item => {
+      console.log(`  Not sold ${item.symbol}${item.quantity ? ` (${item.quantity} ${item.asset})` : ''}: ${item.reason}`);
+    });
+  }
+
+  console.log(`Report:       ${report.historyFile}`);
+}
+
+// Main function
+async function main() {
+  try {
+    const args = parseArgs();
+    const action = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : null;
+
+    // Show help if --help flag is provided
+    if (args.help || args.h) {
+      console.log('\nPanic\n');
+      console.log('Description: Cancel all open orders, stop the trading loops and optionally sell the base assets\n');
+      console.log('Usage:');
+      console.log('  node panic.js');
+      console.log('  node panic.js --symbols BTCUSDT,ETHUSDT --sell');
+      console.log('  node panic.js --botOnly --sell');
+      console.log('  node panic.js status');
+      console.log('  node panic.js clear\n');
+      console.log('Actions:');
+      console.log('  (none)            Set the stop flag, cancel the open orders and with --sell sell the base assets');
+      console.log('  status            Show whether the stop flag is set');
+      console.log('  clear             Remove the stop flag so trading loops can start again\n');
+      console.log('Parameters:');
+      console.log('  --symbols         Only these symbols, comma separated (default: all)');
+      console.log('  --botOnly         Only orders placed by the bots (client order ID prefix bgbot_)');
+      console.log('  --botId           Only orders and the loop of this bot');
+      console.log('  --sell            Market-sell the free base asset of the symbols back to the quote currency');
+      console.log('                    (the given symbols, the symbols of the cancelled bot orders, or without');
+      console.log('                    --symbols and a bot every asset held into --quote)');
+      console.log(`  --quote           Quote currency everything is sold into without --symbols (default: ${DEFAULT_QUOTE})`);
+      console.log('  --json            Print the report as JSON on stdout');
+      console.log('\nAlternatively, you can use the app.js interface:');
+      console.log('  node app.js panic --sell');
+      return;
+    }
+
+    switch (action) {
+      case null: {
+        if (!client.hasCredentials()) {
+          console.error(client.getCredentialsMessage());
+          process.exit(1);
+        }
+
+        const symbolList = args.symbols || args.symbol;
+        const scope = {
+          symbols: symbolList && symbolList !== true ? String(symbolList).split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean) : null,
+          botId: args.botId && args.botId !== true ? String(args.botId) : null,
+          botOnly: !!args.botOnly,
+          sell: !!args.sell,
+          quote: args.quote && args.quote !== true ? String(args.quote).toUpperCase() : DEFAULT_QUOTE
+        };
+
+        const report = await runPanic(scope);
+
+        if (output.isEnabled()) {
+          output.result(report);
+        } else {
+          displayReport(report);
+        }
+        break;
+      }
+
+      case 'status': {
+        const panic = loadPanic(profile);
+
+        if (output.isEnabled()) {
+          output.result({ profile, panic });
+        } else if (panic) {
+          console.log(`Panic set${panic.at ? ` at ${panic.at}` : ''} (${getPanicPath(profile)}), trading loops ${panic.symbols ? `of ${panic.symbols.join(', ')} ` : ''}${panic.botId ? `of bot ${panic.botId} ` : ''}are stopped`);
+        } else {
+          console.log(`No panic set for profile ${profile}`);
+        }
+        break;
+      }
+
+      case 'clear': {
+        const panic = loadPanic(profile);
+        const cleared = clearPanic(profile);
+
+        log.info('Panic cleared', { panic });
+        if (output.isEnabled()) {
+          output.result({ profile, cleared, panic });
+        } else {
+          console.log(cleared ? `Panic cleared, trading loops can start again (profile ${profile})` : `No panic set for profile ${profile}`);
+        }
+        break;
+      }
+
+      default:
+        throw new PanicError(`Unknown action: ${action} (use status or clear, or no action to panic)`);
+    }
+  } catch (error) {
+    log.error('Panic failed', { error });
+    console.error('An error occurred:', error.message);
+    output.fail(error);
+    process.exit(1);
+  }
+}
+
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  PanicError,
+  getPanicPath,
+  loadPanic,
+  clearPanic,
+  coversBot,
+  assertNoPanic,
+  findOpenOrders,
+  cancelOrders,
+  sellPositions,
+  runPanic
+};
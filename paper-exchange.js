@@ -0,0 +1,541 @@
+#!/usr/bin/env node
+
+/**
+ * Paper Exchange
+ *
+ * A paper trading account kept on disk, so strategies can be run against
+ * live prices without real money. With the global --paper option (or
+ * BINANCE_PAPER=1) binance-client.js sends the account and order requests of
+ * every script here instead of to Binance; market data (prices, klines,
+ * exchangeInfo) still comes from the selected profile.
+ *
+ * The account has virtual balances and the orders of exchange-engine.js
+ * (the engine of mock-exchange.js): market orders fill at the last price,
+ * limit and stop orders rest until the price crosses them, and every fill
+ * pays the commission. Before each request the account catches up with the
+ * market: the klines since the last request (1s klines for the rest of its
+ * minute, then 1m klines) are replayed against the open orders, then the
+ * current price is applied. Orders are
+ * checked against the real symbol filters.
+ *
+ * The account is stored in state/paper-<profile>.json and locked while a
+ * request changes it, so several scripts can use it at the same time.
+ *
+ * Usage:
+ *   node paper-exchange.js status
+ *   node paper-exchange.js reset --balances USDT=1000,BTC=0.01 --commission 0.001
+ *   node paper-exchange.js sync
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const client = require('./binance-client');
+const config = require('./config');
+const output = require('./output');
+const logger = require('./logger');
+const symbolRules = require('./symbol-rules');
+const { ExchangeEngine, ExchangeEngineError } = require('./exchange-engine');
+const { parseKeyValueList } = require('./mock-exchange');
+
+const log = logger.getLogger('paper-exchange');
+
+// Balances of a new paper account
+const DEFAULT_BALANCES = 'USDT=10000';
+
+// Commission rate of a new paper account (0.1% per fill, as on Binance)
+const DEFAULT_COMMISSION_RATE = 0.001;
+
+// Klines replayed at most when catching up (one week of 1m klines)
+const MAX_REPLAY_KLINES = 10080;
+
+// How long a request waits for the account lock, and when a lock is considered abandoned
+const LOCK_TIMEOUT = 10000;
+const LOCK_STALE_AFTER = 30000;
+
+// Price points kept per symbol in the saved account
+const PRICE_HISTORY_LENGTH = 100;
+
+// Endpoints served by the paper account; all other requests go to the exchange
+const PAPER_ENDPOINTS = [
+  '/api/v3/account',
+  '/api/v3/order',
+  '/api/v3/orderList/oco',
+  '/api/v3/orderList',
+  '/api/v3/openOrders',
+  '/api/v3/allOrders',
+  '/api/v3/myTrades',
+  '/api/v3/userDataStream'
+];
+
+// Execution reports of the orders changed by this process
+const events = new EventEmitter();
+
+// Parse command line arguments
+function parseArgs() {
+  const args = { _: [] };
+  process.argv.slice(2).forEach((arg, i, argv) => {
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[i + 1] : true;
+      args[key] = value;
+    } else if (i === 0 || !argv[i - 1].startsWith('--')) {
+      args._.push(arg);
+    }
+  });
+  return args;
+}
+
+/**
+ * Check whether a request is served by the paper account
+ * @param {string} endpoint - API endpoint (e.g. /api/v3/order)
+ * @returns {boolean} - True for account and order endpoints
+ */
+function handles(endpoint) {
+  return PAPER_ENDPOINTS.includes(endpoint);
+}
+
+/**
+ * Get the path of the paper account of a profile
+ * @param {string} profile - Profile whose prices the account trades at
+ * @returns {string} - Absolute path
+ */
+function getAccountPath(profile = config.marketProfile) {
+  return path.join(__dirname, 'state', `paper-${profile}.json`);
+}
+
+/**
+ * Create a new paper account
+ * @param {Object} balances - Free balances keyed by asset
+ * @param {number} commissionRate - Commission rate for fills
+ * @returns {Object} - Account { profile, createdAt, commissionRate, lastSync, engine }
+ */
+function createAccount(balances = parseKeyValueList(DEFAULT_BALANCES), commissionRate = DEFAULT_COMMISSION_RATE) {
+  const engine = new ExchangeEngine({ balances, commissionRate });
+
+  return {
+    profile: config.marketProfile,
+    createdAt: new Date().toISOString(),
+    commissionRate,
+    lastSync: {},
+    engine: engine.toJSON()
+  };
+}
+
+/**
+ * Read the paper account, creating a new one on first use
+ * @returns {Object} - Account
+ */
+function loadAccount() {
+  const filePath = getAccountPath();
+
+  if (!fs.existsSync(filePath)) {
+    return createAccount();
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Write the paper account atomically
+ * @param {Object} account - Account
+ */
+function saveAccount(account) {
+  const filePath = getAccountPath();
+
+  // Only the latest prices are needed, the account trades at live prices
+  Object.keys(account.engine.priceHistory).forEach(symbol => {
+    account.engine.priceHistory[symbol] = account.engine.priceHistory[symbol].slice(-PRICE_HISTORY_LENGTH);
+  });
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(account, null, 2));
+  fs.renameSync(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * Take the lock of the paper account
+ * @returns {Promise<Function>} - Releases the lock
+ */
+async function lockAccount() {
+  const lockPath = `${getAccountPath()}.lock`;
+  const startedAt = Date.now();
+
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+  while (true) {
+    try {
+      fs.closeSync(fs.openSync(lockPath, 'wx'));
+      return () => fs.rmSync(lockPath, { force: true });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    // A process that died while holding the lock leaves it behind
+    try {
+      if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_AFTER) {
+        log.warn('Removing an abandoned paper account lock', { lockPath });
+        fs.rmSync(lockPath, { force: true });
+        continue;
+      }
+    } catch (error) {
+      // The lock was released in the meantime
+      continue;
+    }
+
+    if (Date.now() - startedAt > LOCK_TIMEOUT) {
+      throw new Error(`Paper account is locked by another process (${lockPath})`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+/**
+ * Run a function with the locked paper account and save the account afterwards
+ * @param {Function} fn - Called with (engine, account), may return a promise
+ * @returns {Promise<*>} - Result of the function
+ */
+async function withAccount(fn) {
+  const release = await lockAccount();
+
+  try {
+    const account = loadAccount();
+    const engine = new ExchangeEngine({ state: account.engine, commissionRate: account.commissionRate, clientOrderIdPrefix: 'paper' });
+    engine.on('executionReport', event => events.emit('executionReport', event));
+
+    try {
+      return await fn(engine, account);
+    } finally {
+      saveAccount(account);
+    }
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Get the klines of a symbol that started at or after a time
+ *
+ * The rest of the minute the time falls in is covered by 1s klines, so
+ * prices from before the time (e.g. before an order was placed) are left
+ * out; the following minutes by 1m klines.
+ * @param {string} symbol - Trading pair symbol
+ * @param {number} since - Time in milliseconds
+ * @param {number} now - Current time; klines still open are left out
+ * @returns {Promise<Array>} - Closed klines, oldest first
+ */
+async function getKlinesSince(symbol, since, now) {
+  const nextMinute = Math.ceil(since / 60000) * 60000;
+  const seconds = await client.getKlines(symbol, '1s', 60, { startTime: since, endTime: nextMinute - 1 });
+  const klines = seconds.filter(kline => kline[0] >= since && kline[0] < nextMinute && kline[6] < now);
+  let startTime = Math.max(nextMinute, now - MAX_REPLAY_KLINES * 60000);
+
+  while (startTime < now && klines.length < MAX_REPLAY_KLINES) {
+    const batch = await client.getKlines(symbol, '1m', 1000, { startTime });
+    const closed = batch.filter(kline => kline[0] >= startTime && kline[6] < now);
+
+    klines.push(...closed);
+    if (batch.length < 1000 || closed.length === 0) {
+      break;
+    }
+    startTime = closed[closed.length - 1][0] + 60000;
+  }
+
+  return klines;
+}
+
+/**
+ * Bring a symbol of the paper account up to the market
+ *
+ * Replays the klines since the last sync against the open orders of the
+ * symbol, then applies the current price.
+ * @param {ExchangeEngine} engine - Engine of the account
+ * @param {Object} account - Account
+ * @param {string} symbol - Trading pair symbol
+ */
+async function syncSymbol(engine, account, symbol) {
+  const now = Date.now();
+  const price = await client.getPrice(symbol);
+
+  if (!engine.getSymbols().includes(symbol)) {
+    engine.addSymbol(symbol, price);
+  } else {
+    const since = account.lastSync[symbol];
+
+    if (since && engine.getOpenOrders(symbol).length > 0) {
+      const klines = await getKlinesSince(symbol, since, now);
+      klines.forEach(kline => engine.matchOrders(symbol, parseFloat(kline[3]), parseFloat(kline[2]), kline[6]));
+      log.debug('Replayed klines', { symbol, since, klines: klines.length });
+    }
+
+    engine.setPrice(symbol, price, now);
+  }
+
+  account.lastSync[symbol] = now;
+}
+
+/**
+ * Bring the symbols a request touches up to the market
+ * @param {ExchangeEngine} engine - Engine of the account
+ * @param {Object} account - Account
+ * @param {string} symbol - Symbol of the request (all symbols with open orders if omitted)
+ */
+async function syncAccount(engine, account, symbol) {
+  const symbols = symbol ? [symbol] : [...new Set(engine.getOpenOrders().map(order => order.symbol))];
+
+  for (const item of symbols) {
+    await syncSymbol(engine, account, item);
+  }
+}
+
+/**
+ * Reject an order that breaks the symbol filters, like Binance does
+ * @param {Object} params - Order parameters
+ * @param {number} price - Current price, used for the PERCENT_PRICE filters
+ */
+async function checkFilters(params, price) {
+  const rules = await symbolRules.getSymbolRules(params.symbol);
+  const violations = symbolRules.checkOrder(rules, params, price);
+
+  if (violations.length > 0) {
+    throw new ExchangeEngineError(-1013, `Filter failure: ${violations[0].filter}`);
+  }
+}
+
+/**
+ * Serve a request from the paper account
+ * @param {ExchangeEngine} engine - Engine of the account
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Request parameters
+ * @returns {Promise<Object>} - Response body
+ */
+async function route(engine, method, endpoint, params) {
+  switch (`${method} ${endpoint}`) {
+    case 'GET /api/v3/account':
+      return engine.getAccount();
+
+    case 'GET /api/v3/order':
+      return engine.getOrder(params.symbol, params.orderId, params.origClientOrderId);
+
+    case 'POST /api/v3/order':
+      await checkFilters(params, engine.getPrice(params.symbol));
+      return engine.placeOrder(params);
+
+    case 'DELETE /api/v3/order':
+      return engine.cancelOrder(params.symbol, params.orderId, params.origClientOrderId);
+
+    case 'POST /api/v3/orderList/oco':
+      for (const position of ['above', 'below']) {
+        await checkFilters({
+          symbol: params.symbol,
+          side: params.side,
+          type: params[`${position}Type`],
+          quantity: params.quantity,
+          price: params[`${position}Price`],
+          stopPrice: params[`${position}StopPrice`],
+          trailingDelta: params[`${position}TrailingDelta`]
+        }, engine.getPrice(params.symbol));
+      }
+      return engine.placeOrderList(params);
+
+    case 'GET /api/v3/orderList':
+      return engine.getOrderList(params.orderListId, params.origClientOrderId);
+
+    case 'DELETE /api/v3/orderList':
+      return engine.cancelOrderList(params.symbol, params.orderListId, params.listClientOrderId);
+
+    case 'GET /api/v3/openOrders':
+      return params.symbol && !engine.getSymbols().includes(params.symbol) ? [] : engine.getOpenOrders(params.symbol);
+
+    case 'GET /api/v3/allOrders':
+      return engine.getSymbols().includes(params.symbol) ? engine.getAllOrders(params) : [];
+
+    case 'GET /api/v3/myTrades':
+      return engine.getSymbols().includes(params.symbol) ? engine.getMyTrades(params) : [];
+
+    default:
+      throw new client.BinanceApiError(`The paper account does not support ${method} ${endpoint}`, { endpoint });
+  }
+}
+
+/**
+ * Send a request to the paper account
+ *
+ * Errors are thrown as BinanceApiError with the code Binance would return.
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Request parameters
+ * @returns {Promise<Object>} - Response body
+ */
+async function request(method, endpoint, params = {}) {
+  const target = `${method.toUpperCase()} ${endpoint}`;
+
+  if (endpoint === '/api/v3/userDataStream') {
+    throw new client.BinanceApiError(`The paper account has no user data stream (${target})`, { endpoint });
+  }
+
+  log.debug('Paper request', { method, endpoint, params });
+
+  return withAccount(async (engine, account) => {
+    try {
+      await syncAccount(engine, account, params.symbol);
+      return await route(engine, method.toUpperCase(), endpoint, params);
+    } catch (error) {
+      if (error instanceof ExchangeEngineError) {
+        log.warn('Paper request rejected', { method, endpoint, params, code: error.code, msg: error.message });
+        throw new client.BinanceApiError(`Binance API error ${error.code}: ${error.message} (${target})`, {
+          status: error.status,
+          code: error.code,
+          endpoint,
+          data: { code: error.code, msg: error.message }
+        });
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * Describe the paper account
+ * @param {ExchangeEngine} engine - Engine of the account
+ * @param {Object} account - Account
+ * @returns {Object} - { profile, file, createdAt, commissionRate, balances, openOrders, lastSync }
+ */
+function summarizeAccount(engine, account) {
+  return {
+    profile: account.profile,
+    file: getAccountPath(),
+    createdAt: account.createdAt,
+    commissionRate: account.commissionRate,
+    balances: engine.getAccount().balances.filter(balance => parseFloat(balance.free) > 0 || parseFloat(balance.locked) > 0),
+    openOrders: engine.getOpenOrders().map(order => output.formatOrder(order)),
+    lastSync: account.lastSync
+  };
+}
+
+/**
+ * Display the paper account
+ * @param {Object} summary - Summary from summarizeAccount
+ */
+function displayAccount(summary) {
+  console.log(`\nPaper account (${summary.profile} prices, commission ${summary.commissionRate * 100}%)`);
+  console.log(`File: ${summary.file}`);
+  console.log(`Created: ${summary.createdAt}`);
+
+  console.log('\nBalances:');
+  if (summary.balances.length === 0) {
+    console.log('  (none)');
+  }
+  summary.balances.forEach(balance => {
+    console.log(`  ${balance.asset.padEnd(8)} free ${balance.free.padStart(20)}  locked ${balance.locked.padStart(20)}`);
+  });
+
+  console.log(`\nOpen orders: ${summary.openOrders.length}`);
+  summary.openOrders.forEach(order => {
+    const price = order.type === 'MARKET' ? 'market' : order.price;
+    const stop = parseFloat(order.stopPrice) > 0 ? ` stop ${order.stopPrice}` : '';
+    console.log(`  ${String(order.orderId).padEnd(8)} ${order.symbol.padEnd(10)} ${order.side.padEnd(4)} ${order.type.padEnd(16)} ${order.origQty} @ ${price}${stop}`);
+  });
+}
+
+// Main function
+async function main() {
+  try {
+    const args = parseArgs();
+    const action = args._[0] || 'status';
+
+    // Show help if --help flag is provided
+    if (args.help || args.h) {
+      console.log('\nPaper Exchange\n');
+      console.log('Description: Manage the local paper trading account used with --paper\n');
+      console.log('Usage:');
+      console.log('  node paper-exchange.js status');
+      console.log('  node paper-exchange.js reset --balances USDT=1000,BTC=0.01 --commission 0.001');
+      console.log('  node paper-exchange.js sync');
+      console.log('  node account-info.js --paper\n');
+      console.log('Actions:');
+      console.log('  status            Show balances and open orders (default)');
+      console.log('  reset             Replace the account with a new one; open orders are dropped');
+      console.log('  sync              Fill the open orders the market has crossed since the last request');
+      console.log('\nParameters:');
+      console.log(`  --balances        Balances of the new account for reset (default: ${DEFAULT_BALANCES})`);
+      console.log(`  --commission      Commission rate for reset (default: ${DEFAULT_COMMISSION_RATE})`);
+      console.log('  --profile         Profile whose prices the account trades at (default: mainnet)');
+      return;
+    }
+
+    let summary;
+
+    if (action === 'reset') {
+      const balances = parseKeyValueList(args.balances || DEFAULT_BALANCES);
+      const commissionRate = args.commission !== undefined ? parseFloat(args.commission) : DEFAULT_COMMISSION_RATE;
+
+      if (isNaN(commissionRate) || commissionRate < 0 || commissionRate >= 1) {
+        throw new Error(`Invalid --commission ${args.commission}, expected a rate such as 0.001`);
+      }
+
+      const release = await lockAccount();
+      try {
+        saveAccount(createAccount(balances, commissionRate));
+      } finally {
+        release();
+      }
+
+      console.log(`Paper account reset: ${getAccountPath()}`);
+      log.info('Paper account reset', { balances, commissionRate });
+    } else if (action === 'sync') {
+      const reports = [];
+      events.on('executionReport', event => reports.push(event));
+      await withAccount((engine, account) => syncAccount(engine, account));
+
+      reports.filter(event => event.x === 'TRADE').forEach(event => {
+        console.log(`Filled: ${event.s} ${event.S} ${event.o} order ${event.i}, ${event.l} at ${event.L}`);
+      });
+      console.log(`Synced, ${reports.filter(event => event.x === 'TRADE').length} fills`);
+    } else if (action !== 'status') {
+      throw new Error(`Unknown action "${action}". Use status, reset or sync`);
+    }
+
+    await withAccount((engine, account) => {
+      summary = summarizeAccount(engine, account);
+    });
+
+    if (output.isEnabled()) {
+      output.result(summary);
+    } else {
+      displayAccount(summary);
+    }
+  } catch (error) {
+    log.error('Paper exchange command failed', { error });
+    console.error('An error occurred:', error.message);
+    output.fail(error);
+    process.exit(1);
+  }
+}
+
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  PAPER_ENDPOINTS,
+  events,
+  handles,
+  getAccountPath,
+  createAccount,
+  loadAccount,
+  saveAccount,
+  withAccount,
+  syncAccount,
+  request,
+  summarizeAccount
+};
@@ -0,0 +1,281 @@
+/**
+ * Position Sizing
+ *
+ * Decides how much quote currency trading-loop.js spends on the buy of each
+ * cycle. The model is selected with --sizing (or "sizing" in the config file):
+ *
+ *   fixed       --buyAmount on every cycle (default)
+ *   equity      --sizePercent of the equity
+ *   risk        The amount whose loss at the stop price is --riskPercent of the equity;
+ *               needs --stopLoss, --stopLossPercent or --trailingStop
+ *   atr         The amount whose loss over --atrMultiplier average true ranges is
+ *               --riskPercent of the equity, with the ATR(--atrPeriod) of the closed
+ *               --atrInterval klines, so the buy shrinks when the market gets volatile
+ *
+ * The equity is the quote and base asset of the symbol (free and locked)
+ * valued at the current price, or the allocation of a loop run by
+ * trading-supervisor.js. Every model is capped at --maxBuyAmount and at the
+ * free quote balance, and raised to the symbol's minimum notional value.
+ * How the amount was derived is kept in the trade history of the cycle.
+ */
+
+const symbolRules = require('./symbol-rules');
+const indicators = require('./indicators');
+const entryConditions = require('./entry-conditions');
+const riskManager = require('./risk-manager');
+
+// Sizing models, by the value of --sizing
+const SIZING_MODELS = {
+  FIXED: 'fixed',
+  EQUITY: 'equity',
+  RISK: 'risk',
+  ATR: 'atr'
+};
+
+// ATR period used when --atrPeriod is not given
+const DEFAULT_ATR_PERIOD = 14;
+
+// Stop distance of the atr model in average true ranges, when --atrMultiplier is not given
+const DEFAULT_ATR_MULTIPLIER = 2;
+
+/**
+ * Error thrown for invalid sizing options or an amount that cannot be calculated
+ */
+class PositionSizingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PositionSizingError';
+  }
+}
+
+/**
+ * Read a positive number option
+ * @param {Object} options - Options
+ * @param {string} name - Option name
+ * @param {number} max - Largest valid value (optional)
+ * @returns {number|null} - Value, null when the option is not set
+ */
+function getPositiveOption(options, name, max = Infinity) {
+  if (options[name] === undefined || options[name] === true) {
+    return null;
+  }
+
+  const value = parseFloat(options[name]);
+  if (!(value > 0) || value > max) {
+    throw new PositionSizingError(`Invalid --${name} ${options[name]}, use a positive number${max < Infinity ? ` up to ${max}` : ''}`);
+  }
+
+  return value;
+}
+
+/**
+ * Build the sizing settings from the options of trading-loop.js
+ * @param {Object} options - Options (sizing, sizePercent, riskPercent, atrPeriod, atrMultiplier, atrInterval, maxBuyAmount)
+ * @param {Object} exitSettings - { stopLoss, trailingStop } from the loop, the stop distance of the risk model
+ * @returns {Object} - { model, sizePercent, riskPercent, stop, atrPeriod, atrMultiplier, atrInterval, maxBuyAmount }
+ */
+function getSizingSettings(options, exitSettings) {
+  const model = String(options.sizing || SIZING_MODELS.FIXED).toLowerCase();
+
+  if (!Object.values(SIZING_MODELS).includes(model)) {
+    throw new PositionSizingError(`Invalid --sizing ${options.sizing}, use ${Object.values(SIZING_MODELS).join(', ')}`);
+  }
+
+  const settings = { model, maxBuyAmount: getPositiveOption(options, 'maxBuyAmount') };
+
+  if (model === SIZING_MODELS.EQUITY) {
+    settings.sizePercent = getPositiveOption(options, 'sizePercent', 100);
+    if (!settings.sizePercent) {
+      throw new PositionSizingError('--sizing equity needs --sizePercent');
+    }
+  }
+
+  if (model === SIZING_MODELS.RISK || model === SIZING_MODELS.ATR) {
+    settings.riskPercent = getPositiveOption(options, 'riskPercent', 100);
+    if (!settings.riskPercent) {
+      throw new PositionSizingError(`--sizing ${model} needs --riskPercent`);
+    }
+  }
+
+  if (model === SIZING_MODELS.RISK) {
+    const { stopLoss, trailingStop } = exitSettings;
+
+    // The trailing stop replaces the fixed stop price, as in the exit of the default strategy
+    if (trailingStop.enabled) {
+      settings.stop = { type: 'percent', value: parseFloat(trailingStop.percent) };
+    } else if (stopLoss.enabled) {
+      settings.stop = { type: stopLoss.type, value: parseFloat(stopLoss.value) };
+    } else {
+      throw new PositionSizingError('--sizing risk needs a stop: --stopLoss, --stopLossPercent or --trailingStop');
+    }
+  }
+
+  if (model === SIZING_MODELS.ATR) {
+    settings.atrPeriod = options.atrPeriod !== undefined ? parseInt(options.atrPeriod) : DEFAULT_ATR_PERIOD;
+    settings.atrMultiplier = getPositiveOption(options, 'atrMultiplier') || DEFAULT_ATR_MULTIPLIER;
+    settings.atrInterval = options.atrInterval || entryConditions.DEFAULT_INTERVAL;
+
+    if (!(settings.atrPeriod >= 1) || settings.atrPeriod * (entryConditions.WARMUP_PERIODS + 1) + 1 >= entryConditions.MAX_KLINES) {
+      throw new PositionSizingError(`Invalid --atrPeriod ${options.atrPeriod}, use a whole number from 1 to ${Math.floor((entryConditions.MAX_KLINES - 2) / (entryConditions.WARMUP_PERIODS + 1))}`);
+    }
+
+    if (!entryConditions.KLINE_INTERVALS.includes(settings.atrInterval)) {
+      throw new PositionSizingError(`Invalid --atrInterval ${settings.atrInterval}, use one of ${entryConditions.KLINE_INTERVALS.join(', ')}`);
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Get the equity the sizing is calculated from
+ * @param {Object} rules - Symbol rules
+ * @param {Object} allocation - Allocation of a loop run by the supervisor (optional)
+ * @returns {Promise<number>} - Equity in the quote currency
+ */
+async function getSizingEquity(rules, allocation) {
+  const { equity } = await riskManager.getEquity(rules, allocation);
+  return equity;
+}
+
+/**
+ * Get the average true range of a symbol
+ * @param {string} symbol - Trading pair symbol
+ * @param {Object} settings - Sizing settings
+ * @returns {Promise<number>} - ATR in price units
+ */
+async function getAtr(symbol, settings) {
+  const { atrPeriod, atrInterval } = settings;
+  const klines = await entryConditions.getClosedKlines(symbol, atrInterval, atrPeriod * (entryConditions.WARMUP_PERIODS + 1) + 1);
+  const value = indicators.atr(
+    klines.map(kline => parseFloat(kline[2])),
+    klines.map(kline => parseFloat(kline[3])),
+    klines.map(kline => parseFloat(kline[4])),
+    atrPeriod
+  );
+
+  if (!(value > 0)) {
+    throw new PositionSizingError(`Cannot size the buy: ATR(${atrPeriod}) needs ${atrPeriod + 1} closed ${atrInterval} klines of ${symbol}, got ${klines.length}`);
+  }
+
+  return value;
+}
+
+/**
+ * Calculate the buy amount of a cycle
+ * @param {Object} settings - Sizing settings
+ * @param {Object} market - { symbol, rules, price, buyAmount: amount of the fixed model,
+ *   quoteBalance: free quote balance when it is known, allocation }
+ * @returns {Promise<Object>} - { amount, sizing: how it was derived, kept in the trade history:
+ *   { model, equity, sizePercent, riskPercent, stopDistance, atr, calculated, amount, adjustments } }
+ */
+async function calculateBuyAmount(settings, market) {
+  const { symbol, rules, price, quoteBalance, allocation } = market;
+  const sizing = { model: settings.model };
+  let amount;
+
+  if (settings.model === SIZING_MODELS.FIXED) {
+    amount = parseFloat(market.buyAmount);
+  } else {
+    sizing.equity = await getSizingEquity(rules, allocation);
+
+    if (settings.model === SIZING_MODELS.EQUITY) {
+      sizing.sizePercent = settings.sizePercent;
+      amount = sizing.equity * settings.sizePercent / 100;
+    } else {
+      sizing.riskPercent = settings.riskPercent;
+
+      // Stop distance as a fraction of the price
+      if (settings.model === SIZING_MODELS.RISK) {
+        sizing.stopDistance = settings.stop.type === 'percent'
+          ? settings.stop.value / 100
+          : settings.stop.value / parseFloat(price);
+      } else {
+        sizing.atr = await getAtr(symbol, settings);
+        sizing.atrPeriod = settings.atrPeriod;
+        sizing.atrMultiplier = settings.atrMultiplier;
+        sizing.atrInterval = settings.atrInterval;
+        sizing.stopDistance = sizing.atr * settings.atrMultiplier / parseFloat(price);
+      }
+
+      // A stop beyond the price cannot lose more than the whole buy
+      amount = sizing.equity * settings.riskPercent / 100 / Math.min(sizing.stopDistance, 1);
+    }
+  }
+
+  sizing.calculated = amount;
+  sizing.adjustments = [];
+
+  const adjust = (reason, to) => {
+    sizing.adjustments.push({ reason, from: amount, to });
+    amount = to;
+  };
+
+  if (settings.maxBuyAmount && amount > settings.maxBuyAmount) {
+    adjust('maxBuyAmount', settings.maxBuyAmount);
+  }
+
+  if (amount < rules.minNotional) {
+    adjust('minNotional', rules.minNotional);
+  }
+
+  if (quoteBalance !== undefined && quoteBalance !== null && amount > quoteBalance) {
+    if (quoteBalance < rules.minNotional) {
+      throw new Error(`Insufficient balance for trading. Available: ${symbolRules.roundQuoteAmount(rules, quoteBalance)} ${rules.quoteAsset}, Required: ${rules.minNotional} ${rules.quoteAsset}`);
+    }
+    adjust('balance', quoteBalance);
+  }
+
+  sizing.amount = symbolRules.roundQuoteAmount(rules, amount);
+
+  return { amount: sizing.amount, sizing };
+}
+
+/**
+ * Describe how a buy amount was derived, for the console
+ * @param {Object} sizing - Sizing from calculateBuyAmount
+ * @param {string} quoteAsset - Quote currency
+ * @returns {string} - e.g. "risk: 1% of equity 1000 USDT over a 2% stop = 500 USDT, capped at the balance 420 USDT"
+ */
+function describeSizing(sizing, quoteAsset) {
+  const format = value => parseFloat(value.toPrecision(8));
+  let text;
+
+  switch (sizing.model) {
+    case SIZING_MODELS.EQUITY:
+      text = `equity: ${sizing.sizePercent}% of equity ${format(sizing.equity)} ${quoteAsset}`;
+      break;
+    case SIZING_MODELS.RISK:
+      text = `risk: ${sizing.riskPercent}% of equity ${format(sizing.equity)} ${quoteAsset} over a ${format(sizing.stopDistance * 100)}% stop`;
+      break;
+    case SIZING_MODELS.ATR:
+      text = `atr: ${sizing.riskPercent}% of equity ${format(sizing.equity)} ${quoteAsset} over ${sizing.atrMultiplier} x ATR(${sizing.atrPeriod}, ${sizing.atrInterval}) ${format(sizing.atr)} (a ${format(sizing.stopDistance * 100)}% stop)`;
+      break;
+    default:
+      text = 'fixed';
+  }
+
+  text += ` = ${format(sizing.calculated)} ${quoteAsset}`;
+
+  const reasons = {
+    maxBuyAmount: 'capped at --maxBuyAmount',
+    minNotional: 'raised to the minimum notional value',
+    balance: 'capped at the free balance',
+    allocation: 'capped at the remaining allocation'
+  };
+  sizing.adjustments.forEach(adjustment => {
+    text += `, ${reasons[adjustment.reason] || adjustment.reason} ${format(adjustment.to)} ${quoteAsset}`;
+  });
+
+  return text;
+}
+
+module.exports = {
+  SIZING_MODELS,
+  DEFAULT_ATR_PERIOD,
+  DEFAULT_ATR_MULTIPLIER,
+  PositionSizingError,
+  getSizingSettings,
+  calculateBuyAmount,
+  describeSizing
+};
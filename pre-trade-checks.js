@@ -0,0 +1,317 @@
+/**
+ * Pre-Trade Checks
+ *
+ * Fat-finger protection for the orders placed by hand with order-trade.js
+ * and market-buy.js. Before an order is sent (or simulated) it is checked
+ * against these rules:
+ *
+ *   maxPriceDeviation  Largest distance of the limit, stop and stop limit price from the
+ *                      last price, in percent (default: 5)
+ *   maxNotional        Largest order value in the quote currency (default: off)
+ *   maxBalanceShare    Largest share of the free quote balance a buy spends, in percent (default: 50)
+ *   maxSellShare       Largest share of the free base balance a sell sells, in percent (default: off,
+ *                      selling the whole position is the usual exit)
+ *   costBasis          Block sells below the average cost of the base asset held, from the
+ *                      account's trades of the symbol (default: on; stop loss orders are exempt)
+ *
+ * The rules are read from ./pre-trade-checks.json (or --checksConfig) and
+ * can be set for one command with the option of the same name; false or off
+ * turns a rule off. An order that breaks a rule is refused unless the rule
+ * is named in --override (e.g. --override maxPriceDeviation,costBasis or
+ * --override all). Every override is printed and written to the log.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const client = require('./binance-client');
+const logger = require('./logger');
+
+const log = logger.getLogger('pre-trade-checks');
+
+// Checks, by the option that sets them
+const CHECKS = {
+  PRICE_DEVIATION: 'maxPriceDeviation',
+  NOTIONAL: 'maxNotional',
+  BALANCE_SHARE: 'maxBalanceShare',
+  SELL_SHARE: 'maxSellShare',
+  COST_BASIS: 'costBasis'
+};
+
+// Rules used when neither the rules file nor the command line sets them
+const DEFAULT_RULES = {
+  maxPriceDeviation: 5,
+  maxNotional: null,
+  // On by default so a market buy, which has no price to check, cannot spend the whole balance by mistake
+  maxBalanceShare: 50,
+  maxSellShare: null,
+  costBasis: true
+};
+
+// Rules file read from the working directory when --checksConfig is not given
+const DEFAULT_RULES_FILE = 'pre-trade-checks.json';
+
+// Order types that sell below the market on purpose
+const STOP_LOSS_TYPES = ['STOP_LOSS', 'STOP_LOSS_LIMIT'];
+
+// Binance returns at most 1000 trades per request
+const MAX_TRADES = 1000;
+
+/**
+ * Error thrown when an order breaks a rule that was not overridden
+ */
+class PreTradeCheckError extends Error {
+  constructor(message, violations = []) {
+    super(message);
+    this.name = 'PreTradeCheckError';
+    this.violations = violations;
+  }
+}
+
+/**
+ * Read a rule value
+ * @param {string} name - Rule name
+ * @param {*} value - Value from the rules file or the command line
+ * @returns {number|boolean|null} - Number for the limits, boolean for costBasis, null when off
+ */
+function parseRule(name, value) {
+  const off = value === false || value === null || ['false', 'off', 'no'].includes(String(value).toLowerCase());
+
+  if (name === CHECKS.COST_BASIS) {
+    return !off;
+  }
+
+  if (off) {
+    return null;
+  }
+
+  const number = parseFloat(value);
+  if (!(number > 0)) {
+    throw new PreTradeCheckError(`Invalid ${name} ${value}, use a positive number, or off`);
+  }
+
+  return number;
+}
+
+/**
+ * Get the rules: the defaults, then the rules file, then the command line
+ * @param {Object} args - Command line arguments (checksConfig and the rule names)
+ * @returns {Object} - { maxPriceDeviation, maxNotional, maxBalanceShare, maxSellShare, costBasis, source }
+ */
+function getRules(args = {}) {
+  const filePath = path.resolve(process.cwd(), args.checksConfig && args.checksConfig !== true ? args.checksConfig : DEFAULT_RULES_FILE);
+  let fileRules = {};
+
+  if (fs.existsSync(filePath)) {
+    try {
+      fileRules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new PreTradeCheckError(`Cannot read the pre-trade rules ${filePath}: ${error.message}`);
+    }
+  } else if (args.checksConfig && args.checksConfig !== true) {
+    throw new PreTradeCheckError(`Pre-trade rules file not found: ${filePath}`);
+  }
+
+  const rules = { source: fs.existsSync(filePath) ? filePath : null };
+
+  Object.values(CHECKS).forEach(name => {
+    const value = args[name] !== undefined ? args[name] : fileRules[name] !== undefined ? fileRules[name] : DEFAULT_RULES[name];
+    rules[name] = parseRule(name, value);
+  });
+
+  return rules;
+}
+
+/**
+ * Read the --override option
+ * @param {string|boolean} value - Comma separated rule names, or all
+ * @returns {Array<string>} - Overridden rules
+ */
+function parseOverrides(value) {
+  if (!value) {
+    return [];
+  }
+
+  if (value === true) {
+    throw new PreTradeCheckError(`--override needs the rules to override: ${Object.values(CHECKS).join(', ')} or all`);
+  }
+
+  const names = String(value).split(',').map(name => name.trim()).filter(Boolean);
+
+  if (names.includes('all')) {
+    return Object.values(CHECKS);
+  }
+
+  names.forEach(name => {
+    if (!Object.values(CHECKS).includes(name)) {
+      throw new PreTradeCheckError(`Unknown rule in --override: ${name} (use ${Object.values(CHECKS).join(', ')} or all)`);
+    }
+  });
+
+  return names;
+}
+
+/**
+ * Get the average cost of the base asset held, from the account's trades of a symbol
+ *
+ * Buys add their cost (with commission paid in the quote asset, less
+ * commission paid in the base asset), sells take out quantity at the
+ * average cost. Only the last 1000 trades are read.
+ * @param {string} symbol - Trading pair symbol
+ * @param {Object} symbolInfo - { baseAsset, quoteAsset } of the symbol
+ * @returns {Promise<Object|null>} - { quantity, averageCost, trades }, null without a position
+ */
+async function getCostBasis(symbol, symbolInfo) {
+  const trades = await client.getMyTrades(symbol, { limit: MAX_TRADES });
+  let quantity = 0;
+  let cost = 0;
+
+  trades
+    .slice()
+    .sort((a, b) => a.time - b.time)
+    .forEach(trade => {
+      const tradeQuantity = parseFloat(trade.qty);
+      const commission = parseFloat(trade.commission) || 0;
+
+      if (trade.isBuyer) {
+        quantity += tradeQuantity - (trade.commissionAsset === symbolInfo.baseAsset ? commission : 0);
+        cost += parseFloat(trade.quoteQty) + (trade.commissionAsset === symbolInfo.quoteAsset ? commission : 0);
+      } else if (quantity > 0) {
+        const sold = Math.min(tradeQuantity, quantity);
+        cost -= cost * (sold / quantity);
+        quantity -= sold;
+      }
+    });
+
+  if (!(quantity > 1e-12)) {
+    return null;
+  }
+
+  return { quantity, averageCost: cost / quantity, trades: trades.length };
+}
+
+/**
+ * Check an order against the rules
+ * @param {Object} order - { symbol, side, type, quantity, quoteOrderQty, price, stopPrice, stopLimitPrice }
+ * @param {Object} rules - Result of getRules
+ * @param {Object} symbolInfo - { baseAsset, quoteAsset } of the symbol
+ * @returns {Promise<Object>} - { violations: [{ check, message, value, limit }], lastPrice, notional, costBasis }
+ */
+async function checkOrder(order, rules, symbolInfo) {
+  const side = String(order.side).toUpperCase();
+  const type = String(order.type || 'LIMIT').toUpperCase();
+  const lastPrice = await client.getPrice(order.symbol);
+  const violations = [];
+
+  // Distance of every price of the order from the last price
+  if (rules.maxPriceDeviation) {
+    [['price', order.price], ['stopPrice', order.stopPrice], ['stopLimitPrice', order.stopLimitPrice]].forEach(([name, value]) => {
+      if (!value || type === 'MARKET') {
+        return;
+      }
+
+      const deviation = Math.abs(parseFloat(value) / lastPrice - 1) * 100;
+      if (deviation > rules.maxPriceDeviation) {
+        violations.push({
+          check: CHECKS.PRICE_DEVIATION,
+          value: deviation,
+          limit: rules.maxPriceDeviation,
+          message: `${name} ${value} is ${deviation.toFixed(2)}% away from the last price ${lastPrice}, the limit is ${rules.maxPriceDeviation}%`
+        });
+      }
+    });
+  }
+
+  const price = type !== 'MARKET' && order.price ? parseFloat(order.price) : lastPrice;
+  const notional = order.quoteOrderQty ? parseFloat(order.quoteOrderQty) : parseFloat(order.quantity) * price;
+
+  if (rules.maxNotional && notional > rules.maxNotional) {
+    violations.push({
+      check: CHECKS.NOTIONAL,
+      value: notional,
+      limit: rules.maxNotional,
+      message: `Order value ${notional.toFixed(8)} ${symbolInfo.quoteAsset} is above the limit of ${rules.maxNotional} ${symbolInfo.quoteAsset}`
+    });
+  }
+
+  // A buy is measured against the quote balance it spends, a sell against the base balance it sells
+  const shareCheck = side === 'BUY' ? CHECKS.BALANCE_SHARE : CHECKS.SELL_SHARE;
+  const shareLimit = rules[shareCheck];
+
+  if (shareLimit) {
+    const account = await client.getAccount();
+    const asset = side === 'BUY' ? symbolInfo.quoteAsset : symbolInfo.baseAsset;
+    const balance = account.balances.find(item => item.asset === asset);
+    const free = balance ? parseFloat(balance.free) : 0;
+    const amount = side === 'BUY' ? notional : (order.quantity ? parseFloat(order.quantity) : notional / price);
+    const share = free > 0 ? (amount / free) * 100 : Infinity;
+
+    if (share > shareLimit) {
+      violations.push({
+        check: shareCheck,
+        value: share,
+        limit: shareLimit,
+        message: `Order ${side === 'BUY' ? 'spends' : 'sells'} ${free > 0 ? `${share.toFixed(2)}% of the free ${asset} balance ${free}` : `${amount} ${asset} with no free ${asset} balance`}, the limit is ${shareLimit}%`
+      });
+    }
+  }
+
+  let costBasis = null;
+
+  if (rules.costBasis && side === 'SELL' && !STOP_LOSS_TYPES.includes(type)) {
+    costBasis = await getCostBasis(order.symbol, symbolInfo);
+
+    if (costBasis && price < costBasis.averageCost) {
+      violations.push({
+        check: CHECKS.COST_BASIS,
+        value: price,
+        limit: costBasis.averageCost,
+        message: `Sell price ${price} is below the average cost ${costBasis.averageCost.toFixed(8)} ${symbolInfo.quoteAsset} of the ${costBasis.quantity} ${symbolInfo.baseAsset} held`
+      });
+    }
+  }
+
+  return { violations, lastPrice, notional, costBasis };
+}
+
+/**
+ * Check an order and refuse it when it breaks a rule that is not overridden
+ * @param {Object} order - { symbol, side, type, quantity, quoteOrderQty, price, stopPrice, stopLimitPrice }
+ * @param {Object} args - Command line arguments (override, checksConfig and the rule names)
+ * @param {Object} symbolInfo - { baseAsset, quoteAsset } of the symbol
+ * @returns {Promise<Object>} - Result of checkOrder with the overridden violations
+ */
+async function enforce(order, args, symbolInfo) {
+  const rules = getRules(args);
+  const overrides = parseOverrides(args.override);
+  const result = await checkOrder(order, rules, symbolInfo);
+
+  const blocking = result.violations.filter(violation => !overrides.includes(violation.check));
+  const overridden = result.violations.filter(violation => overrides.includes(violation.check));
+
+  if (blocking.length > 0) {
+    log.warn('Order refused by pre-trade checks', { order, violations: blocking });
+    const rulesToOverride = [...new Set(blocking.map(violation => violation.check))].join(',');
+    throw new PreTradeCheckError(
+      `Order refused by pre-trade checks: ${blocking.map(violation => violation.message).join('; ')}. If it is intended, add --override ${rulesToOverride}`,
+      blocking
+    );
+  }
+
+  overridden.forEach(violation => {
+    console.warn(`Pre-trade check ${violation.check} overridden: ${violation.message}`);
+    log.warn('Pre-trade check overridden', { order, check: violation.check, value: violation.value, limit: violation.limit, message: violation.message });
+  });
+
+  return { ...result, overridden };
+}
+
+module.exports = {
+  CHECKS,
+  DEFAULT_RULES,
+  PreTradeCheckError,
+  getRules,
+  parseOverrides,
+  getCostBasis,
+  checkOrder,
+  enforce
+};
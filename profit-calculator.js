@@ -3,8 +3,16 @@
  * 
  * This module calculates the expected profit from a trade,
  * taking into account buy price, sell price, and trading fees.
+ * The fee rates default to 0.1%; pass the account's rates from fees.js
+ * for figures that match the exchange. From the command line, --symbol
+ * reads the rates of the account instead.
+ *
+ * Usage:
+ *   node profit-calculator.js [buyPrice] [sellPrice] [quantity] [buyFee] [sellFee] [--symbol BTCUSDT]
  */
 
+const { DEFAULT_FEE_RATE } = require('./fee-defaults');
+
 /**
  * Calculate profit from a trade
  * @param {Object} options - Trade options
@@ -20,8 +28,8 @@ function calculateProfit(options) {
     buyPrice,
     sellPrice,
     quantity,
-    buyFee = 0.001,
-    sellFee = 0.001
+    buyFee = DEFAULT_FEE_RATE,
+    sellFee = DEFAULT_FEE_RATE
   } = options;
   
   // Calculate costs
@@ -56,7 +64,7 @@ function calculateProfit(options) {
  * @param {number} sellFee - Sell fee rate (e.g., 0.001 for 0.1%)
  * @returns {Object} Profit information
  */
-function calculateOrderProfit(order, currentPrice, buyFee = 0.001, sellFee = 0.001) {
+function calculateOrderProfit(order, currentPrice, buyFee = DEFAULT_FEE_RATE, sellFee = DEFAULT_FEE_RATE) {
   // For a sell order, the buy price is the price at which the asset was acquired
   // If we don't know the buy price, we can use the current market price as an approximation
   const buyPrice = order.buyPrice || currentPrice;
@@ -95,19 +103,65 @@ Profit Information:
 `;
 }
 
+/**
+ * Get the fee rates for the command line
+ *
+ * With --symbol the rates of the account are read: the buy is taken as a
+ * market order and the sell rests on the book, as with order-trade.js.
+ * fees.js is only loaded then, so the plain calculation needs no credentials.
+ * @param {string|null} symbol - Trading pair symbol
+ * @returns {Promise<Object>} - { buy, sell }
+ */
+async function getCliFeeRates(symbol) {
+  if (!symbol) {
+    return { buy: DEFAULT_FEE_RATE, sell: DEFAULT_FEE_RATE };
+  }
+  
+  const fees = require('./fees');
+  const rates = await fees.getFeeRates();
+  
+  return {
+    buy: fees.getOrderRate(rates, 'BUY', false),
+    sell: fees.getOrderRate(rates, 'SELL', true)
+  };
+}
+
 // Allow direct execution
 if (require.main === module) {
-  const args = process.argv.slice(2);
-  const options = {
-    buyPrice: parseFloat(args[0] || 30000),
-    sellPrice: parseFloat(args[1] || 31000),
-    quantity: parseFloat(args[2] || 0.01),
-    buyFee: parseFloat(args[3] || 0.001),
-    sellFee: parseFloat(args[4] || 0.001)
-  };
-  
-  const profitInfo = calculateProfit(options);
-  console.log(formatProfitInfo(profitInfo));
+  (async () => {
+    // Positional values, and flags with their values (--symbol, the global --profile)
+    const argv = process.argv.slice(2);
+    const args = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+      if (!argv[i].startsWith('--')) {
+        args.push(argv[i]);
+      } else if (argv[i].includes('=')) {
+        const [key, value] = argv[i].slice(2).split('=');
+        flags[key] = value;
+      } else {
+        flags[argv[i].slice(2)] = argv[i + 1];
+        i++;
+      }
+    }
+    
+    const symbol = flags.symbol || null;
+    const feeRates = await getCliFeeRates(symbol);
+    
+    const options = {
+      buyPrice: parseFloat(args[0] || 30000),
+      sellPrice: parseFloat(args[1] || 31000),
+      quantity: parseFloat(args[2] || 0.01),
+      buyFee: args[3] !== undefined ? parseFloat(args[3]) : feeRates.buy,
+      sellFee: args[4] !== undefined ? parseFloat(args[4]) : feeRates.sell
+    };
+    
+    const profitInfo = calculateProfit(options);
+    console.log(formatProfitInfo(profitInfo, symbol || undefined));
+  })().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
 }
 
 module.exports = {
@@ -0,0 +1,385 @@
+/**
+ * Rate Limiter
+ *
+ * This module schedules every REST request sent by binance-client.js so the
+ * process stays under the Binance request weight and order count limits. It
+ * knows the weight of the endpoints the project uses, follows the
+ * X-MBX-USED-WEIGHT-1M and X-MBX-ORDER-COUNT-* headers returned by the API,
+ * waits out Retry-After on HTTP 429 and halts everything on HTTP 418 (IP ban).
+ *
+ * The ban is written to state/rate-limit-ban-<profile>-<host>.json so every
+ * bot process on the same machine (they share the IP) that talks to the same
+ * API stops until the ban expires, while the other profiles keep trading.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const timeSync = require('./time-sync');
+const log = require('./logger').getLogger('rate-limiter');
+
+// Default Binance spot limits
+const DEFAULT_LIMITS = {
+  weightPerMinute: 6000,
+  ordersPer10s: 100,
+  ordersPerDay: 200000,
+  // Start throttling when this share of a limit is used
+  safetyMargin: 0.9
+};
+
+// Retry-After defaults in seconds, used when the header is missing
+const DEFAULT_RETRY_AFTER_429 = 60;
+const DEFAULT_RETRY_AFTER_418 = 120;
+
+// File shared by all processes of this profile and API that records an IP ban
+const BAN_FILE = getBanPath(config.marketProfile, config.baseUrl);
+
+// Request weights of the endpoints used by the project ("METHOD endpoint")
+const ENDPOINT_WEIGHTS = {
+  'GET /api/v3/ping': 1,
+  'GET /api/v3/time': 1,
+  'GET /api/v3/exchangeInfo': 20,
+  'GET /api/v3/klines': 2,
+  'GET /api/v3/avgPrice': 2,
+  'GET /api/v3/account': 20,
+  'GET /api/v3/order': 4,
+  'POST /api/v3/order': 1,
+  'DELETE /api/v3/order': 1,
+  'POST /api/v3/orderList/oco': 1,
+  'GET /api/v3/orderList': 4,
+  'DELETE /api/v3/orderList': 1,
+  'GET /api/v3/allOrders': 20,
+  'POST /api/v3/userDataStream': 2,
+  'PUT /api/v3/userDataStream': 2,
+  'DELETE /api/v3/userDataStream': 2
+};
+
+// Endpoints that count towards the order rate limits
+const ORDER_ENDPOINTS = ['POST /api/v3/order', 'POST /api/v3/orderList/oco'];
+
+// Last read ban file, reread only when its modification time changes
+const banCache = {
+  mtimeMs: null,
+  until: 0
+};
+
+// Current usage as seen by this process
+const state = {
+  minute: 0,
+  usedWeight: 0,
+  tenSeconds: 0,
+  orders10s: 0,
+  day: 0,
+  ordersDay: 0,
+  backoffUntil: 0,
+  bannedUntil: 0
+};
+
+/**
+ * Error thrown when a request cannot be sent because of rate limits
+ *
+ * `halted` is true for an IP ban (HTTP 418): all trading has to stop until
+ * `retryAt`.
+ */
+class RateLimitError extends Error {
+  constructor(message, { status, retryAt, halted = false } = {}) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.status = status;
+    this.retryAt = retryAt;
+    this.halted = halted;
+  }
+}
+
+/**
+ * Get the path of the ban file of a profile and API
+ * @param {string} profile - Profile name
+ * @param {string} baseUrl - REST API base URL
+ * @returns {string} - File path
+ */
+function getBanPath(profile, baseUrl) {
+  let host = 'default';
+
+  try {
+    host = new URL(baseUrl).host.toLowerCase().replace(/[^a-z0-9.-]/g, '-');
+  } catch (error) {
+    // No valid base URL, the ban is keyed by the profile only
+  }
+
+  return path.join(__dirname, 'state', `rate-limit-ban-${profile}-${host}.json`);
+}
+
+/**
+ * Get the configured limits
+ * @returns {Object} - Limits merged with config.rateLimits
+ */
+function getLimits() {
+  return { ...DEFAULT_LIMITS, ...(config.rateLimits || {}) };
+}
+
+/**
+ * Get the request weight of an endpoint
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Request parameters
+ * @returns {number} - Request weight
+ */
+function getEndpointWeight(method, endpoint, params = {}) {
+  const key = `${method.toUpperCase()} ${endpoint}`;
+
+  switch (key) {
+    case 'GET /api/v3/openOrders':
+      return params.symbol ? 6 : 80;
+
+    case 'GET /api/v3/ticker/price':
+      return params.symbol ? 2 : 4;
+
+    case 'GET /api/v3/myTrades':
+      return params.orderId ? 5 : 20;
+
+    case 'GET /api/v3/depth': {
+      const limit = parseInt(params.limit) || 100;
+      if (limit <= 100) return 5;
+      if (limit <= 500) return 25;
+      if (limit <= 1000) return 50;
+      return 250;
+    }
+
+    default:
+      return ENDPOINT_WEIGHTS[key] || 1;
+  }
+}
+
+/**
+ * Check whether an endpoint places orders
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint
+ * @returns {boolean} - True if the request counts towards the order limits
+ */
+function isOrderEndpoint(method, endpoint) {
+  return ORDER_ENDPOINTS.includes(`${method.toUpperCase()} ${endpoint}`);
+}
+
+/**
+ * Reset the counters of windows that have ended
+ *
+ * Binance windows are aligned to the server clock, so the synced timestamp
+ * is used.
+ */
+function rollWindows() {
+  const now = timeSync.getTimestamp();
+  const minute = Math.floor(now / 60000);
+  const tenSeconds = Math.floor(now / 10000);
+  const day = Math.floor(now / 86400000);
+
+  if (minute !== state.minute) {
+    state.minute = minute;
+    state.usedWeight = 0;
+  }
+
+  if (tenSeconds !== state.tenSeconds) {
+    state.tenSeconds = tenSeconds;
+    state.orders10s = 0;
+  }
+
+  if (day !== state.day) {
+    state.day = day;
+    state.ordersDay = 0;
+  }
+}
+
+/**
+ * Read a ban recorded by this or another process
+ *
+ * The file is checked on every scheduled request, so it is only parsed again
+ * when its modification time changes.
+ * @returns {number} - Time until which the IP is banned (0 if not banned)
+ */
+function readBan() {
+  if (state.bannedUntil > Date.now()) {
+    return state.bannedUntil;
+  }
+
+  try {
+    const { mtimeMs } = fs.statSync(BAN_FILE);
+
+    if (mtimeMs !== banCache.mtimeMs) {
+      const ban = JSON.parse(fs.readFileSync(BAN_FILE, 'utf8'));
+      banCache.mtimeMs = mtimeMs;
+      banCache.until = ban.until || 0;
+    }
+  } catch (error) {
+    // No ban file, or it is being written
+    banCache.mtimeMs = null;
+    banCache.until = 0;
+  }
+
+  if (banCache.until > Date.now()) {
+    state.bannedUntil = banCache.until;
+    return banCache.until;
+  }
+
+  return 0;
+}
+
+/**
+ * Throw if the IP is banned
+ */
+function checkBan() {
+  const bannedUntil = readBan();
+
+  if (bannedUntil) {
+    throw new RateLimitError(
+      `IP banned by Binance until ${new Date(bannedUntil).toISOString()}, all trading is halted`,
+      { status: 418, retryAt: bannedUntil, halted: true }
+    );
+  }
+}
+
+/**
+ * Check whether trading is halted by an IP ban
+ * @returns {boolean} - True if banned
+ */
+function isHalted() {
+  return readBan() > 0;
+}
+
+/**
+ * Wait until a request can be sent without exceeding the limits
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Request parameters
+ * @returns {Promise<number>} - Weight reserved for the request
+ */
+async function schedule(method, endpoint, params = {}) {
+  const limits = getLimits();
+  const weight = getEndpointWeight(method, endpoint, params);
+  const isOrder = isOrderEndpoint(method, endpoint);
+
+  while (true) {
+    checkBan();
+    rollWindows();
+
+    const now = Date.now();
+    const serverNow = timeSync.getTimestamp();
+    let waitMs = 0;
+
+    if (state.backoffUntil > now) {
+      waitMs = state.backoffUntil - now;
+    } else if (state.usedWeight + weight > limits.weightPerMinute * limits.safetyMargin) {
+      waitMs = 60000 - (serverNow % 60000);
+    } else if (isOrder && state.orders10s + 1 > limits.ordersPer10s * limits.safetyMargin) {
+      waitMs = 10000 - (serverNow % 10000);
+    } else if (isOrder && state.ordersDay + 1 > limits.ordersPerDay * limits.safetyMargin) {
+      throw new RateLimitError('Daily order limit almost reached, no more orders are placed today', {
+        retryAt: (Math.floor(serverNow / 86400000) + 1) * 86400000
+      });
+    }
+
+    if (waitMs <= 0) {
+      break;
+    }
+
+    log.info('Waiting for request weight', { method, endpoint, waitMs, usedWeight: state.usedWeight, orders10s: state.orders10s });
+    await new Promise(resolve => setTimeout(resolve, waitMs + 50));
+  }
+
+  state.usedWeight += weight;
+  if (isOrder) {
+    state.orders10s++;
+    state.ordersDay++;
+  }
+
+  return weight;
+}
+
+/**
+ * Update the usage from the headers of an API response
+ * @param {Object} headers - Response headers (lower case names)
+ */
+function update(headers = {}) {
+  rollWindows();
+
+  const usedWeight = parseInt(headers['x-mbx-used-weight-1m']);
+  const orders10s = parseInt(headers['x-mbx-order-count-10s']);
+  const ordersDay = parseInt(headers['x-mbx-order-count-1d']);
+
+  if (!isNaN(usedWeight)) {
+    state.usedWeight = usedWeight;
+  }
+
+  if (!isNaN(orders10s)) {
+    state.orders10s = orders10s;
+  }
+
+  if (!isNaN(ordersDay)) {
+    state.ordersDay = ordersDay;
+  }
+}
+
+/**
+ * Record a 429 (too many requests) or 418 (IP ban) response
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers (lower case names)
+ * @returns {RateLimitError|null} - Error to throw for a ban, null for a 429
+ */
+function handleLimitResponse(status, headers = {}) {
+  const retryAfter = parseInt(headers['retry-after']);
+
+  if (status === 429) {
+    state.backoffUntil = Date.now() + (retryAfter || DEFAULT_RETRY_AFTER_429) * 1000;
+    log.warn('HTTP 429 received, backing off', { retryAfter: retryAfter || DEFAULT_RETRY_AFTER_429 });
+    return null;
+  }
+
+  if (status === 418) {
+    const until = Date.now() + (retryAfter || DEFAULT_RETRY_AFTER_418) * 1000;
+    state.bannedUntil = until;
+    log.error('HTTP 418 received, IP banned', { until: new Date(until).toISOString() });
+
+    try {
+      fs.mkdirSync(path.dirname(BAN_FILE), { recursive: true });
+      fs.writeFileSync(BAN_FILE, JSON.stringify({ until, bannedAt: Date.now() }, null, 2));
+    } catch (error) {
+      // The ban still applies to this process
+    }
+
+    return new RateLimitError(
+      `IP banned by Binance (HTTP 418) until ${new Date(until).toISOString()}, all trading is halted`,
+      { status, retryAt: until, halted: true }
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Get a copy of the current usage
+ * @returns {Object} - Usage and limits
+ */
+function getState() {
+  rollWindows();
+
+  return {
+    usedWeight: state.usedWeight,
+    orders10s: state.orders10s,
+    ordersDay: state.ordersDay,
+    backoffUntil: state.backoffUntil > Date.now() ? state.backoffUntil : 0,
+    bannedUntil: readBan(),
+    limits: getLimits()
+  };
+}
+
+module.exports = {
+  RateLimitError,
+  BAN_FILE,
+  getBanPath,
+  getEndpointWeight,
+  isOrderEndpoint,
+  schedule,
+  update,
+  handleLimitResponse,
+  checkBan,
+  isHalted,
+  getState
+};
@@ -0,0 +1,574 @@
+#!/usr/bin/env node
+
+/**
+ * Risk Manager
+ *
+ * trading-loop.js consults the risk manager before every cycle and before
+ * every buy order. It enforces up to four limits, each set with an option of
+ * the loop (or its config file):
+ *
+ *   --maxDailyLoss          Realized loss of one UTC day, in the quote currency
+ *   --maxDrawdown           Drop of the equity (quote plus base asset of the symbol,
+ *   --maxDrawdownPercent    valued at the current price) from its peak, as an amount or percent
+ *   --maxConsecutiveLosses  Losing cycles in a row
+ *   --maxExposure           Value of the base asset held, including the buy about to be sent
+ *
+ * When a limit is hit, trading halts: the loop stops and will not start
+ * again until the halt is reset with this script. A halt on the daily loss
+ * ends by itself at the next UTC day. With --riskCancelOrders the open
+ * orders of the bot are cancelled when it halts. Sells are never blocked, a
+ * position that is open keeps its exit.
+ *
+ * The realized profit, the equity peak and the halt are kept in
+ * state/risk-<profile>-<botId>.json, so they survive restarts.
+ *
+ * Usage:
+ *   node risk-manager.js status --symbol BTCUSDT
+ *   node risk-manager.js reset --symbol BTCUSDT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const client = require('./binance-client');
+const output = require('./output');
+const logger = require('./logger');
+const stateJournal = require('./state-journal');
+const fees = require('./fees');
+const { profile } = require('./config');
+
+const log = logger.getLogger('risk-manager');
+
+const RISK_VERSION = 1;
+
+// Limits, by the option that sets them
+const LIMITS = {
+  DAILY_LOSS: 'maxDailyLoss',
+  DRAWDOWN: 'maxDrawdown',
+  DRAWDOWN_PERCENT: 'maxDrawdownPercent',
+  CONSECUTIVE_LOSSES: 'maxConsecutiveLosses',
+  EXPOSURE: 'maxExposure'
+};
+
+/**
+ * Error thrown when trading is halted by a risk limit
+ */
+class RiskLimitError extends Error {
+  constructor(message, { limit, value, threshold } = {}) {
+    super(message);
+    this.name = 'RiskLimitError';
+    this.limit = limit;
+    this.value = value;
+    this.threshold = threshold;
+  }
+}
+
+// Parse command line arguments
+function parseArgs() {
+  const args = {};
+  process.argv.slice(2).forEach((arg, i, argv) => {
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[i + 1] : true;
+      args[key] = value;
+    }
+  });
+  return args;
+}
+
+/**
+ * Build the risk settings from the options of trading-loop.js
+ * @param {Object} options - Options
+ * @returns {Object|null} - Limits (unset ones are null) and cancelOrders, null when no limit is set
+ */
+function getRiskSettings(options) {
+  const settings = { cancelOrders: !!options.riskCancelOrders };
+  let enabled = false;
+
+  Object.values(LIMITS).forEach(option => {
+    if (options[option] === undefined || options[option] === true) {
+      settings[option] = null;
+      return;
+    }
+
+    const value = parseFloat(options[option]);
+    if (!(value > 0) || (option === LIMITS.CONSECUTIVE_LOSSES && !Number.isInteger(value))) {
+      throw new RiskLimitError(`Invalid --${option} ${options[option]}, use a positive ${option === LIMITS.CONSECUTIVE_LOSSES ? 'whole number' : 'number'}`);
+    }
+    if (option === LIMITS.DRAWDOWN_PERCENT && value >= 100) {
+      throw new RiskLimitError(`Invalid --${option} ${options[option]}, use a percentage below 100`);
+    }
+
+    settings[option] = value;
+    enabled = true;
+  });
+
+  return enabled ? settings : null;
+}
+
+/**
+ * Get the path of a bot's risk state
+ * @param {string} botId - Bot ID
+ * @param {string} profile - Profile name
+ * @returns {string} - File path
+ */
+function getRiskStatePath(botId, profile) {
+  return path.join(__dirname, 'state', `risk-${profile}-${stateJournal.sanitizeBotId(botId)}.json`);
+}
+
+/**
+ * Get the UTC day of a time
+ * @param {number} time - Time in milliseconds
+ * @returns {string} - Day as YYYY-MM-DD
+ */
+function getDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Read a bot's risk state
+ * @param {string} botId - Bot ID
+ * @param {string} profile - Profile name
+ * @returns {Object|null} - Risk state, null if none was saved
+ */
+function loadRisk(botId, profile) {
+  const filePath = getRiskStatePath(botId, profile);
+
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    // Starting over would forget a halt, so the operator has to decide
+    throw new RiskLimitError(`Cannot read risk state ${filePath}: ${error.message}. Check it or remove it with: node risk-manager.js reset --botId ${botId}`);
+  }
+}
+
+/**
+ * Write a risk state (the file is replaced atomically)
+ * @param {Object} risk - Risk state
+ * @returns {Object} - The same risk state
+ */
+function saveRisk(risk) {
+  const filePath = getRiskStatePath(risk.botId, risk.profile);
+  const tempPath = `${filePath}.tmp`;
+
+  risk.updatedAt = new Date().toISOString();
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(risk, null, 2));
+  fs.renameSync(tempPath, filePath);
+
+  return risk;
+}
+
+/**
+ * Remove a bot's risk state
+ * @param {string} botId - Bot ID
+ * @param {string} profile - Profile name
+ * @returns {boolean} - True if there was a state to remove
+ */
+function clearRisk(botId, profile) {
+  const filePath = getRiskStatePath(botId, profile);
+
+  if (!fs.existsSync(filePath)) {
+    return false;
+  }
+
+  fs.unlinkSync(filePath);
+  return true;
+}
+
+/**
+ * Load a bot's risk state, or start a new one
+ *
+ * The daily loss starts again on a new UTC day, which also ends a halt on the daily loss.
+ * @param {Object} bot - { botId, profile, symbol }
+ * @returns {Object} - Risk state
+ */
+function openRisk(bot) {
+  const now = Date.now();
+  const risk = loadRisk(bot.botId, bot.profile) || {
+    version: RISK_VERSION,
+    botId: bot.botId,
+    profile: bot.profile,
+    symbol: bot.symbol,
+    createdAt: new Date(now).toISOString(),
+    updatedAt: null,
+    day: getDay(now),
+    dailyRealized: 0,
+    realized: 0,
+    trades: 0,
+    consecutiveLosses: 0,
+    equityPeak: null,
+    equity: null,
+    halted: null
+  };
+
+  if (risk.day !== getDay(now)) {
+    risk.day = getDay(now);
+    risk.dailyRealized = 0;
+  }
+
+  if (risk.halted && risk.halted.until && new Date(risk.halted.until).getTime() <= now) {
+    console.log(`Risk halt on ${risk.halted.limit} ended at ${risk.halted.until}`);
+    log.info('Halt ended', { botId: risk.botId, halted: risk.halted });
+    risk.halted = null;
+  }
+
+  return saveRisk(risk);
+}
+
+/**
+ * Get the realized profit of a finished cycle, after the commission of the buy and the sell (see fees.calculateTradeProfit)
+ *
+ * Whatever the status of the final sell order: a sell that was partly filled
+ * before it was cancelled (and the rest held) realized the profit or loss of
+ * the quantity it sold, sellValue holds what its fills brought in.
+ * @param {Object} tradeData - Trade of trading-loop.js
+ * @returns {number|null} - Profit in the quote currency, null when nothing was sold or the buy cost is unknown
+ */
+function calculateProfit(tradeData) {
+  if (!tradeData.sellValue || !tradeData.buyCost) {
+    return null;
+  }
+
+  return fees.calculateTradeProfit(tradeData).profit;
+}
+
+/**
+ * Record a finished cycle
+ * @param {Object} risk - Risk state
+ * @param {Object} tradeData - Trade of trading-loop.js
+ * @returns {number|null} - Realized profit of the cycle (see calculateProfit)
+ */
+function recordTrade(risk, tradeData) {
+  const profit = calculateProfit(tradeData);
+
+  if (profit === null) {
+    return null;
+  }
+
+  if (risk.day !== getDay(Date.now())) {
+    risk.day = getDay(Date.now());
+    risk.dailyRealized = 0;
+  }
+
+  risk.trades++;
+  risk.realized += profit;
+  risk.dailyRealized += profit;
+  risk.consecutiveLosses = profit < 0 ? risk.consecutiveLosses + 1 : 0;
+  saveRisk(risk);
+
+  log.info('Trade recorded', { botId: risk.botId, cycle: tradeData.cycle, profit, dailyRealized: risk.dailyRealized, consecutiveLosses: risk.consecutiveLosses });
+  return profit;
+}
+
+/**
+ * Value the symbol's assets of the account
+ *
+ * A loop run by trading-supervisor.js shares the quote balance with the
+ * other symbols, so its equity is its allocation and another loop's buy
+ * does not look like a drawdown: the quote amount available plus the
+ * quantity its buys filled at the current price (a buy still resting on the
+ * book at the amount reserved for it).
+ * @param {Object} rules - Symbol rules ({ symbol, baseAsset, quoteAsset })
+ * @param {Object} allocation - Allocation of a loop run by the supervisor (optional)
+ * @returns {Promise<Object>} - { equity, exposure, asset, price }: quote plus base asset, and the base asset alone, in the quote currency
+ */
+async function getEquity(rules, allocation = null) {
+  if (allocation) {
+    const price = allocation.quantity > 0 ? await client.getPrice(rules.symbol) : null;
+    const exposure = price !== null ? allocation.quantity * price : allocation.inPosition;
+
+    return { equity: allocation.available + exposure, exposure, asset: rules.baseAsset, price };
+  }
+
+  const [account, currentPrice] = await Promise.all([client.getAccount(), client.getPrice(rules.symbol)]);
+  const total = asset => {
+    const balance = account.balances.find(item => item.asset === asset);
+    return balance ? parseFloat(balance.free) + parseFloat(balance.locked) : 0;
+  };
+  const exposure = total(rules.baseAsset) * currentPrice;
+
+  return { equity: total(rules.quoteAsset) + exposure, exposure, asset: rules.baseAsset, price: currentPrice };
+}
+
+/**
+ * Find the first limit that is hit
+ * @param {Object} risk - Risk state
+ * @param {Object} settings - Risk settings
+ * @param {Object} market - { equity, exposure, asset, amount }: the exposure is only checked for a buy,
+ *   with the quote amount about to be spent
+ * @returns {Object|null} - { limit, value, threshold, message }, null when all limits hold
+ */
+function findViolation(risk, settings, market) {
+  if (settings.maxDailyLoss && -risk.dailyRealized >= settings.maxDailyLoss) {
+    return { limit: LIMITS.DAILY_LOSS, value: -risk.dailyRealized, threshold: settings.maxDailyLoss, message: `Realized loss today ${(-risk.dailyRealized).toFixed(8)} reached the daily limit of ${settings.maxDailyLoss}` };
+  }
+
+  if (settings.maxConsecutiveLosses && risk.consecutiveLosses >= settings.maxConsecutiveLosses) {
+    return { limit: LIMITS.CONSECUTIVE_LOSSES, value: risk.consecutiveLosses, threshold: settings.maxConsecutiveLosses, message: `${risk.consecutiveLosses} losing cycle(s) in a row reached the limit of ${settings.maxConsecutiveLosses}` };
+  }
+
+  if (market.equity !== undefined && risk.equityPeak) {
+    const drawdown = risk.equityPeak - market.equity;
+
+    if (settings.maxDrawdown && drawdown >= settings.maxDrawdown) {
+      return { limit: LIMITS.DRAWDOWN, value: drawdown, threshold: settings.maxDrawdown, message: `Equity ${market.equity.toFixed(8)} is ${drawdown.toFixed(8)} below its peak of ${risk.equityPeak.toFixed(8)}, the limit is ${settings.maxDrawdown}` };
+    }
+
+    const percent = (drawdown / risk.equityPeak) * 100;
+    if (settings.maxDrawdownPercent && percent >= settings.maxDrawdownPercent) {
+      return { limit: LIMITS.DRAWDOWN_PERCENT, value: percent, threshold: settings.maxDrawdownPercent, message: `Equity ${market.equity.toFixed(8)} is ${percent.toFixed(2)}% below its peak of ${risk.equityPeak.toFixed(8)}, the limit is ${settings.maxDrawdownPercent}%` };
+    }
+  }
+
+  if (settings.maxExposure && market.exposure !== undefined && market.amount) {
+    const exposure = market.exposure + market.amount;
+
+    if (exposure > settings.maxExposure) {
+      return { limit: LIMITS.EXPOSURE, value: exposure, threshold: settings.maxExposure, message: `${market.asset} exposure of ${exposure.toFixed(8)} with the buy of ${market.amount} exceeds the limit of ${settings.maxExposure}` };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Throw if a bot is halted
+ * @param {Object} risk - Risk state
+ */
+function assertNotHalted(risk) {
+  if (!risk.halted) {
+    return;
+  }
+
+  const { halted } = risk;
+  const resume = halted.until
+    ? `it ends at ${halted.until}`
+    : `reset it with: node risk-manager.js reset --botId ${risk.botId}`;
+  throw new RiskLimitError(`Trading halted by the risk manager since ${halted.at}: ${halted.message} (${resume})`, halted);
+}
+
+/**
+ * Cancel the open orders of a bot
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} botId - Bot ID
+ * @returns {Promise<Array<number>>} - IDs of the cancelled orders
+ */
+async function cancelBotOrders(symbol, botId) {
+  const orders = await stateJournal.findBotOrders(symbol, botId);
+  const cancelled = [];
+
+  for (const order of orders) {
+    try {
+      await client.cancelOrder(symbol, order.orderId);
+      cancelled.push(order.orderId);
+      console.log(`Cancelled order ${order.orderId} (${order.side} ${order.origQty} at ${order.price})`);
+    } catch (error) {
+      console.warn(`Could not cancel order ${order.orderId}: ${error.message}`);
+    }
+  }
+
+  return cancelled;
+}
+
+/**
+ * Halt a bot on a limit, cancel its open orders with --riskCancelOrders and throw
+ * @param {Object} risk - Risk state
+ * @param {Object} settings - Risk settings
+ * @param {Object} violation - Result of findViolation
+ */
+async function halt(risk, settings, violation) {
+  const now = Date.now();
+
+  // A halt on the daily loss ends at the next UTC day
+  const until = violation.limit === LIMITS.DAILY_LOSS
+    ? new Date(new Date(getDay(now)).getTime() + 24 * 60 * 60 * 1000).toISOString()
+    : null;
+
+  risk.halted = { ...violation, at: new Date(now).toISOString(), until };
+  saveRisk(risk);
+
+  console.error(`\n*** RISK LIMIT HIT: ${violation.message} ***`);
+  log.error('Trading halted', { botId: risk.botId, halted: risk.halted });
+  output.event('risk', { botId: risk.botId, halted: risk.halted });
+
+  if (settings.cancelOrders) {
+    const cancelled = await cancelBotOrders(risk.symbol, risk.botId);
+    console.log(`${cancelled.length} open order(s) of bot ${risk.botId} cancelled`);
+    log.info('Open orders cancelled', { botId: risk.botId, cancelled });
+  }
+
+  assertNotHalted(risk);
+}
+
+/**
+ * Check the limits before a cycle starts and halt when one is hit
+ *
+ * The equity is only read from the account when a drawdown limit is set. The
+ * exposure is checked before each buy, a cycle that only sells may start.
+ * @param {Object} risk - Risk state
+ * @param {Object} settings - Risk settings
+ * @param {Object} rules - Symbol rules
+ * @param {Object} allocation - Allocation of a loop run by the supervisor (optional, see getEquity)
+ */
+async function checkCycle(risk, settings, rules, allocation = null) {
+  assertNotHalted(risk);
+
+  const market = {};
+
+  if (settings.maxDrawdown || settings.maxDrawdownPercent) {
+    Object.assign(market, await getEquity(rules, allocation));
+    risk.equity = market.equity;
+    risk.equityPeak = Math.max(risk.equityPeak || 0, market.equity);
+    saveRisk(risk);
+  }
+
+  const violation = findViolation(risk, settings, market);
+
+  if (violation) {
+    await halt(risk, settings, violation);
+  }
+}
+
+/**
+ * Check the limits before an order is sent and halt when one is hit
+ *
+ * Sells reduce the exposure and close positions, so they are always allowed.
+ * @param {Object} risk - Risk state
+ * @param {Object} settings - Risk settings
+ * @param {Object} rules - Symbol rules
+ * @param {Object} order - { side, amount: quote amount of a buy }
+ * @param {Object} allocation - Allocation of a loop run by the supervisor (optional, see getEquity)
+ */
+async function checkOrder(risk, settings, rules, order, allocation = null) {
+  if (order.side !== 'BUY') {
+    return;
+  }
+
+  assertNotHalted(risk);
+
+  const market = settings.maxExposure ? { ...(await getEquity(rules, allocation)), amount: parseFloat(order.amount) } : {};
+
+  // The equity peak is only updated before a cycle
+  delete market.equity;
+
+  const violation = findViolation(risk, settings, market);
+
+  if (violation) {
+    await halt(risk, settings, violation);
+  }
+}
+
+/**
+ * Display a risk state
+ * @param {Object} risk - Risk state
+ */
+function displayRisk(risk) {
+  console.log(`\nRisk state of bot ${risk.botId} (${risk.symbol}, profile ${risk.profile})`);
+  console.log(`Halted:             ${risk.halted ? `since ${risk.halted.at}: ${risk.halted.message}${risk.halted.until ? ` (until ${risk.halted.until})` : ''}` : 'no'}`);
+  console.log(`Realized today:     ${risk.dailyRealized.toFixed(8)} (${risk.day})`);
+  console.log(`Realized total:     ${risk.realized.toFixed(8)} in ${risk.trades} cycle(s)`);
+  console.log(`Losses in a row:    ${risk.consecutiveLosses}`);
+  console.log(`Equity:             ${risk.equity === null ? 'n/a' : risk.equity.toFixed(8)} (peak ${risk.equityPeak === null ? 'n/a' : risk.equityPeak.toFixed(8)})`);
+  console.log(`Updated:            ${risk.updatedAt}`);
+}
+
+async function main() {
+  try {
+    const args = parseArgs();
+    const action = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : null;
+
+    // Show help if --help flag is provided
+    if (args.help || args.h || !action) {
+      console.log('\nRisk Manager\n');
+      console.log('Description: Show or reset the risk state of a trading loop (daily loss, drawdown, losing streak, halt)\n');
+      console.log('Usage:');
+      console.log('  node risk-manager.js status --symbol BTCUSDT');
+      console.log('  node risk-manager.js reset --symbol BTCUSDT\n');
+      console.log('Actions:');
+      console.log('  status            Show the realized profit, the equity peak and whether trading is halted');
+      console.log('  reset             End a halt and start the risk state over (removes the state file)\n');
+      console.log('Parameters:');
+      console.log('  --symbol          Trading pair symbol, the default bot ID of the loop (default: BTCUSDT)');
+      console.log('  --botId           Bot ID of the loop (default: the symbol)');
+      console.log('  --json            Print the risk state as JSON on stdout');
+      console.log('\nThe limits are options of the trading loop:');
+      console.log('  node trading-loop.js --symbol BTCUSDT --buyAmount 20 --maxDailyLoss 10 --maxDrawdownPercent 5 --maxConsecutiveLosses 3 --maxExposure 100');
+      return;
+    }
+
+    const botId = args.botId || args.symbol || 'BTCUSDT';
+
+    switch (action) {
+      case 'status': {
+        const risk = loadRisk(botId, profile);
+        if (!risk) {
+          throw new RiskLimitError(`No risk state for bot ${botId} (${getRiskStatePath(botId, profile)})`);
+        }
+
+        if (output.isEnabled()) {
+          output.result(risk);
+        } else {
+          displayRisk(risk);
+        }
+        break;
+      }
+
+      case 'reset': {
+        const risk = loadRisk(botId, profile);
+        if (!clearRisk(botId, profile)) {
+          throw new RiskLimitError(`No risk state for bot ${botId} (${getRiskStatePath(botId, profile)})`);
+        }
+
+        log.info('Risk state reset', { botId, halted: risk ? risk.halted : null });
+        if (output.isEnabled()) {
+          output.result({ botId, reset: true, halted: risk ? risk.halted : null });
+        } else {
+          console.log(`Risk state of bot ${botId} removed${risk && risk.halted ? `, the halt on ${risk.halted.limit} has ended` : ''}`);
+        }
+        break;
+      }
+
+      default:
+        throw new RiskLimitError(`Unknown action: ${action} (use status or reset)`);
+    }
+  } catch (error) {
+    log.error('Risk manager failed', { error });
+    console.error('An error occurred:', error.message);
+    output.fail(error);
+    process.exit(1);
+  }
+}
+
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  LIMITS,
+  RiskLimitError,
+  getRiskSettings,
+  getRiskStatePath,
+  loadRisk,
+  saveRisk,
+  clearRisk,
+  openRisk,
+  calculateProfit,
+  recordTrade,
+  getEquity,
+  findViolation,
+  assertNotHalted,
+  cancelBotOrders,
+  checkCycle,
+  checkOrder,
+  displayRisk
+};
@@ -0,0 +1,445 @@
+/**
+ * State Journal
+ *
+ * trading-loop.js records the phase of the running cycle in a small file
+ * before and after every order it sends: the client order ID it is about to
+ * use, the buy fill and the ID of the open sell order. If the loop crashes or
+ * is killed, the next start reads the file, asks the exchange what happened
+ * to those orders and finishes the cycle instead of buying again.
+ *
+ * When the exit is an OCO order list (take profit plus stop loss or trailing
+ * stop), the list is journaled instead of a single sell order and both legs
+ * are checked.
+ *
+ * Every order of a bot gets a client order ID starting with bgbot_<botId>_,
+ * so an order can be found even when the process died before the response
+ * was recorded, and orders left behind by a bot can be recognized.
+ *
+ * The journal is state/trading-loop-<profile>-<botId>.json (git-ignored).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const client = require('./binance-client');
+
+const JOURNAL_VERSION = 1;
+
+// Prefix of the client order IDs of all bot orders
+const CLIENT_ORDER_PREFIX = 'bgbot_';
+
+// Binance accepts client order IDs of up to 36 characters
+const MAX_CLIENT_ORDER_ID_LENGTH = 36;
+
+// Phases of a cycle, in the order they are recorded
+const PHASES = {
+  STARTED: 'started',     // Nothing sent yet
+  BUYING: 'buying',       // Market buy sent, response not recorded yet
+  BOUGHT: 'bought',       // Buy filled, no sell order yet
+  SELLING: 'selling',     // Sell order sent, response not recorded yet
+  SELL_OPEN: 'sell_open'  // Sell order placed, waiting for it to fill
+};
+
+// What the loop has to do after reconciling a journal with the exchange
+const ACTIONS = {
+  RESTART: 'restart',       // No position was opened, start the cycle again
+  PLACE_SELL: 'place_sell', // The position is open without an exit order
+  MONITOR: 'monitor',       // The sell order is still open
+  COMPLETE: 'complete'      // The sell order was filled while the loop was down
+};
+
+const OPEN_STATUSES = ['NEW', 'PARTIALLY_FILLED'];
+
+/**
+ * Error thrown for a journal that cannot be read
+ */
+class StateJournalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StateJournalError';
+  }
+}
+
+/**
+ * Reduce a bot ID to the characters allowed in a client order ID
+ * @param {string} botId - Bot ID (e.g. the symbol)
+ * @returns {string} - Sanitized bot ID
+ */
+function sanitizeBotId(botId) {
+  return String(botId).toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 10) || 'bot';
+}
+
+/**
+ * Get the client order ID prefix of a bot
+ * @param {string} botId - Bot ID
+ * @returns {string} - Prefix (bgbot_<botId>_)
+ */
+function getClientOrderPrefix(botId) {
+  return `${CLIENT_ORDER_PREFIX}${sanitizeBotId(botId)}_`;
+}
+
+/**
+ * Create a client order ID for an order of a bot
+ * @param {string} botId - Bot ID
+ * @param {number} cycle - Cycle number
+ * @param {string} leg - 'b' for the buy, 's' for the sell (or the OCO list),
+ *   't' and 'l' for the take profit and stop loss legs of an OCO
+ * @returns {string} - Client order ID (bgbot_<botId>_<cycle><leg>_<time>)
+ */
+function createClientOrderId(botId, cycle, leg) {
+  const id = `${getClientOrderPrefix(botId)}${cycle}${leg}_${Date.now().toString(36)}`;
+  return id.slice(0, MAX_CLIENT_ORDER_ID_LENGTH);
+}
+
+/**
+ * Check whether an order was placed by a bot
+ * @param {Object} order - Order from the API
+ * @param {string} botId - Bot ID
+ * @returns {boolean} - True if the client order ID has the bot's prefix
+ */
+function isBotOrder(order, botId) {
+  return typeof order.clientOrderId === 'string' && order.clientOrderId.startsWith(getClientOrderPrefix(botId));
+}
+
+/**
+ * Get the path of a bot's journal
+ * @param {string} botId - Bot ID
+ * @param {string} profile - Profile name (journals of different environments are kept apart)
+ * @returns {string} - Journal path
+ */
+function getJournalPath(botId, profile) {
+  return path.join(__dirname, 'state', `trading-loop-${profile}-${sanitizeBotId(botId)}.json`);
+}
+
+/**
+ * Read a bot's journal
+ * @param {string} botId - Bot ID
+ * @param {string} profile - Profile name
+ * @returns {Object|null} - Journal, null if no cycle is in progress
+ */
+function load(botId, profile) {
+  const filePath = getJournalPath(botId, profile);
+
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    // Guessing here could sell or buy twice, so the operator has to decide
+    throw new StateJournalError(`Cannot read state journal ${filePath}: ${error.message}. Check the open orders and remove the file (or use --resetState)`);
+  }
+}
+
+/**
+ * Write a journal (the file is replaced atomically)
+ * @param {Object} journal - Journal
+ * @returns {Object} - The same journal
+ */
+function save(journal) {
+  const filePath = getJournalPath(journal.botId, journal.profile);
+  const tempPath = `${filePath}.tmp`;
+
+  journal.updatedAt = new Date().toISOString();
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(journal, null, 2));
+  fs.renameSync(tempPath, filePath);
+
+  return journal;
+}
+
+/**
+ * Start the journal of a new cycle
+ * @param {Object} bot - { botId, profile, symbol, baseAsset }
+ * @param {number} cycle - Cycle number
+ * @param {Object} settings - Settings needed to place the exit again ({ profit, stopLoss, trailingStop })
+ * @param {Object} tradeData - Trade data saved to history at the end of the cycle
+ * @returns {Object} - Journal
+ */
+function begin(bot, cycle, settings, tradeData) {
+  return save({
+    version: JOURNAL_VERSION,
+    botId: bot.botId,
+    profile: bot.profile,
+    symbol: bot.symbol,
+    baseAsset: bot.baseAsset,
+    cycle,
+    phase: PHASES.STARTED,
+    startedAt: new Date().toISOString(),
+    settings,
+    tradeData,
+    buy: null,
+    sell: null
+  });
+}
+
+/**
+ * Record a change of a journal
+ * @param {Object} journal - Journal
+ * @param {Object} changes - Fields to update (phase, buy, sell, tradeData)
+ * @returns {Object} - The same journal
+ */
+function update(journal, changes) {
+  Object.assign(journal, changes);
+  return save(journal);
+}
+
+/**
+ * Remove a bot's journal (the cycle is finished)
+ * @param {Object|string} journal - Journal, or bot ID together with profile
+ * @param {string} profile - Profile name (when a bot ID is given)
+ */
+function clear(journal, profile) {
+  const filePath = typeof journal === 'string' ? getJournalPath(journal, profile) : getJournalPath(journal.botId, journal.profile);
+
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+/**
+ * Get an order, or null if the exchange does not know it
+ * @param {string} symbol - Trading pair symbol
+ * @param {number} orderId - Order ID
+ * @param {string} clientOrderId - Client order ID
+ * @returns {Promise<Object|null>} - Order
+ */
+async function findOrder(symbol, orderId, clientOrderId) {
+  try {
+    return await client.getOrder(symbol, orderId, clientOrderId);
+  } catch (error) {
+    // -2013: Order does not exist
+    if (error.code === -2013) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get an order list with its orders, or null if the exchange does not know it
+ * @param {string} symbol - Trading pair symbol
+ * @param {number} orderListId - Order list ID
+ * @param {string} listClientOrderId - List client order ID
+ * @returns {Promise<Object|null>} - { orderList, orders }
+ */
+async function findOrderList(symbol, orderListId, listClientOrderId) {
+  let orderList;
+
+  try {
+    orderList = await client.getOrderList(orderListId, listClientOrderId);
+  } catch (error) {
+    // -2011: Order list does not exist, -2013: Order does not exist
+    if (error.code === -2011 || error.code === -2013) {
+      return null;
+    }
+    throw error;
+  }
+
+  const orders = [];
+  for (const { orderId } of orderList.orders) {
+    orders.push(await client.getOrder(symbol, orderId));
+  }
+
+  return { orderList, orders };
+}
+
+/**
+ * Cancel a buy order left open and get its final state
+ * @param {string} symbol - Trading pair symbol
+ * @param {Object} order - Open buy order
+ * @returns {Promise<Object>} - Order after the cancel
+ */
+async function cancelOpenBuy(symbol, order) {
+  try {
+    await client.cancelOrder(symbol, order.orderId);
+  } catch (error) {
+    // -2011: the order was filled or cancelled in the meantime
+    if (error.code !== -2011) {
+      throw error;
+    }
+  }
+
+  return client.getOrder(symbol, order.orderId);
+}
+
+/**
+ * Get the free balance of an asset
+ * @param {string} asset - Asset (e.g. BTC)
+ * @returns {Promise<number>} - Free balance
+ */
+async function getFreeBalance(asset) {
+  const account = await client.getAccount();
+  const balance = account.balances.find(item => item.asset === asset);
+  return balance ? parseFloat(balance.free) : 0;
+}
+
+/**
+ * Sum what ended sell orders had sold before they were cancelled or expired
+ * @param {Array<Object>} orders - Orders from the exchange
+ * @returns {Object|null} - { quantity, value, orderIds }, null when nothing was sold
+ */
+function getEarlierFill(orders) {
+  const executed = orders.filter(order => parseFloat(order.executedQty) > 0);
+
+  if (executed.length === 0) {
+    return null;
+  }
+
+  return {
+    quantity: executed.reduce((sum, order) => sum + parseFloat(order.executedQty), 0),
+    value: executed.reduce((sum, order) => sum + parseFloat(order.cummulativeQuoteQty), 0),
+    orderIds: executed.map(order => order.orderId)
+  };
+}
+
+/**
+ * Decide how to finish a cycle after its sell order was found (or not)
+ * @param {Object} journal - Journal
+ * @param {Object|null} order - Sell order from the exchange
+ * @returns {Promise<Object>} - Reconciliation result; earlierFill is what a
+ *   cancelled or expired sell had sold before the rest is placed again
+ */
+async function reconcileSell(journal, order) {
+  if (!order) {
+    const quantity = Math.min(journal.buy.quantity, await getFreeBalance(journal.baseAsset));
+    return { action: ACTIONS.PLACE_SELL, quantity, reason: 'The sell order was never placed' };
+  }
+
+  if (OPEN_STATUSES.includes(order.status)) {
+    return { action: ACTIONS.MONITOR, order, reason: `Sell order ${order.orderId} is still ${order.status}` };
+  }
+
+  const remaining = parseFloat(order.origQty) - parseFloat(order.executedQty);
+
+  if (order.status === 'FILLED' || remaining <= 0) {
+    return { action: ACTIONS.COMPLETE, order, reason: `Sell order ${order.orderId} was filled` };
+  }
+
+  const quantity = Math.min(remaining, await getFreeBalance(journal.baseAsset));
+  return { action: ACTIONS.PLACE_SELL, quantity, order, earlierFill: getEarlierFill([order]), reason: `Sell order ${order.orderId} is ${order.status}` };
+}
+
+/**
+ * Decide how to finish a cycle after its OCO order list was found (or not)
+ * @param {Object} journal - Journal
+ * @param {Object|null} found - { orderList, orders } from the exchange
+ * @returns {Promise<Object>} - Reconciliation result (order is the order list
+ *   while it is open, and the filled leg once it is done)
+ */
+async function reconcileOrderList(journal, found) {
+  if (!found) {
+    return reconcileSell(journal, null);
+  }
+
+  const { orderList, orders } = found;
+
+  if (orders.some(order => OPEN_STATUSES.includes(order.status))) {
+    return { action: ACTIONS.MONITOR, order: orderList, reason: `Order list ${orderList.orderListId} is still open` };
+  }
+
+  const filled = orders.find(order => order.status === 'FILLED');
+
+  if (filled) {
+    return { action: ACTIONS.COMPLETE, order: filled, reason: `${filled.type} order ${filled.orderId} of order list ${orderList.orderListId} was filled` };
+  }
+
+  // A leg may have been partially filled before the list was canceled
+  const executed = orders.reduce((sum, order) => sum + parseFloat(order.executedQty), 0);
+  const quantity = Math.min(parseFloat(journal.sell.quantity) - executed, await getFreeBalance(journal.baseAsset));
+  return { action: ACTIONS.PLACE_SELL, quantity, earlierFill: getEarlierFill(orders), reason: `Order list ${orderList.orderListId} is ${orderList.listOrderStatus} without a fill` };
+}
+
+/**
+ * Compare a journal with the orders on the exchange
+ *
+ * The journal's buy is completed from the exchange when the process died
+ * before the buy response was recorded. A sell is only placed again for the
+ * quantity still held (never more than the free balance).
+ * @param {Object} journal - Journal from load()
+ * @returns {Promise<Object>} - { action, reason, order, quantity, earlierFill } (see ACTIONS); for
+ *   MONITOR of an OCO exit order is the order list
+ */
+async function reconcile(journal) {
+  const { symbol } = journal;
+
+  switch (journal.phase) {
+    case PHASES.STARTED:
+      return { action: ACTIONS.RESTART, reason: 'No order was sent' };
+
+    case PHASES.BUYING: {
+      let order = await findOrder(symbol, null, journal.buy.clientOrderId);
+
+      // A limit entry may still rest on the book: it is cancelled, and a partial fill is kept as the position
+      if (order && OPEN_STATUSES.includes(order.status)) {
+        order = await cancelOpenBuy(symbol, order);
+      }
+
+      if (!order || parseFloat(order.executedQty) === 0) {
+        return { action: ACTIONS.RESTART, reason: order ? `Buy order ${order.orderId} was not filled` : 'The buy order was never placed' };
+      }
+
+      const quantity = parseFloat(order.executedQty);
+      const cost = parseFloat(order.cummulativeQuoteQty);
+
+      // The commission is not part of the order query, the free balance check below covers it
+      update(journal, {
+        phase: PHASES.BOUGHT,
+        buy: { ...journal.buy, orderId: order.orderId, price: cost / quantity, quantity, cost, commission: null }
+      });
+
+      const result = await reconcileSell(journal, null);
+      return { ...result, reason: `Buy order ${order.orderId} was filled, the sell order was never placed` };
+    }
+
+    case PHASES.BOUGHT:
+      return reconcileSell(journal, null);
+
+    case PHASES.SELLING:
+      if (journal.sell.oco) {
+        return reconcileOrderList(journal, await findOrderList(symbol, null, journal.sell.clientOrderId));
+      }
+      return reconcileSell(journal, await findOrder(symbol, null, journal.sell.clientOrderId));
+
+    case PHASES.SELL_OPEN:
+      if (journal.sell.oco) {
+        return reconcileOrderList(journal, await findOrderList(symbol, journal.sell.orderListId, journal.sell.clientOrderId));
+      }
+      return reconcileSell(journal, await findOrder(symbol, journal.sell.orderId, journal.sell.clientOrderId));
+
+    default:
+      throw new StateJournalError(`Unknown phase "${journal.phase}" in the state journal`);
+  }
+}
+
+/**
+ * Find open orders placed by a bot (e.g. left behind without a journal)
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} botId - Bot ID
+ * @returns {Promise<Array>} - Open orders with the bot's client order ID prefix
+ */
+async function findBotOrders(symbol, botId) {
+  const orders = await client.getOpenOrders(symbol);
+  return orders.filter(order => isBotOrder(order, botId));
+}
+
+module.exports = {
+  CLIENT_ORDER_PREFIX,
+  PHASES,
+  ACTIONS,
+  StateJournalError,
+  sanitizeBotId,
+  getClientOrderPrefix,
+  createClientOrderId,
+  isBotOrder,
+  getJournalPath,
+  load,
+  save,
+  begin,
+  update,
+  clear,
+  reconcile,
+  findOrder,
+  findBotOrders
+};
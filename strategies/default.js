@@ -0,0 +1,200 @@
+/**
+ * Default Strategy
+ *
+ * The strategy trading-loop.js has always used: buy --buyAmount at the
+ * market as soon as a cycle starts, then sell with a limit order at the
+ * profit target. With a stop loss the exit is an OCO order list (take profit
+ * plus stop loss limit), with --trailingStop the stop loss leg trails the
+ * price instead.
+ *
+ * Other strategies can reuse its price calculations (see strategies/index.js).
+ */
+
+const { roundPrice } = require('../symbol-rules');
+const { DEFAULT_FEE_RATE } = require('../fee-defaults');
+
+// Default distance of the stop loss limit price below the stop price, in percent
+const DEFAULT_STOP_LIMIT_OFFSET = '0.5';
+
+/**
+ * Round a calculated price to the symbol's tickSize (left unrounded when no rules are given)
+ * @param {number} price - Price
+ * @param {Object} rules - Symbol rules (optional)
+ * @param {string} mode - 'floor', 'ceil' or 'round'
+ * @returns {string} - Price
+ */
+function formatPrice(price, rules, mode) {
+  return rules ? roundPrice(rules, price, mode) : price.toString();
+}
+
+/**
+ * Calculate profit target price based on buy price and profit settings
+ *
+ * The price is rounded up to the tickSize so rounding never cuts into the profit.
+ * @param {number|string} buyPrice - Average buy price
+ * @param {Object} profitSettings - { type: 'fixed' or 'percent', value }
+ * @param {number|string} quantity - Bought quantity (optional, used for a fixed profit)
+ * @param {Object} rules - Symbol rules (optional)
+ * @param {Object} feeRates - { buy, sell } commission rates of the account (optional, default: 0.1% each)
+ * @returns {string} - Sell price
+ */
+function calculateProfitPrice(buyPrice, profitSettings, quantity = null, rules = null, feeRates = null) {
+  const price = parseFloat(buyPrice);
+  
+  // Both the buy and the sell pay commission, the target has to cover them so we don't lose money
+  const buyFeeRate = feeRates ? feeRates.buy : DEFAULT_FEE_RATE;
+  const sellFeeRate = feeRates ? feeRates.sell : DEFAULT_FEE_RATE;
+  const totalFeeRate = buyFeeRate + sellFeeRate;
+  
+  // Calculate the minimum profit needed to break even after fees
+  // For a profitable trade, we need: sell_amount > buy_amount + fees
+  if (profitSettings.type === 'fixed') {
+    // Fixed profit amount in quote currency
+    if (quantity) {
+      const quantityNum = parseFloat(quantity);
+      
+      // Calculate buy cost including fee
+      const buyCost = price * quantityNum;
+      const buyFee = buyCost * buyFeeRate;
+      
+      // Calculate the target profit (user-specified amount)
+      const targetProfit = parseFloat(profitSettings.value);
+      
+      // Calculate the sell price needed to achieve target profit after fees
+      // Formula: sell_price = (buy_cost + buy_fee + target_profit) / (quantity * (1 - sell_fee_rate))
+      const sellPrice = (buyCost + buyFee + targetProfit) / (quantityNum * (1 - sellFeeRate));
+      
+      // Ensure the sell price is at least 1.5% higher than buy price to guarantee profit
+      const minProfitablePrice = price * 1.015;
+      
+      // Cap the maximum sell price to prevent unrealistic values
+      // Limit to 5% profit for very small quantities to ensure orders can be filled
+      const maxProfitablePrice = price * 1.05;
+      
+      // Use the price that's between min and max profitable prices
+      return formatPrice(Math.min(Math.max(sellPrice, minProfitablePrice), maxProfitablePrice), rules, 'ceil');
+    } else {
+      // Fallback when quantity is not provided
+      // Add a minimum 1.5% to price plus the fixed profit amount
+      const minProfitPercentage = 0.015; // 1.5% minimum profit
+      return formatPrice(price * (1 + minProfitPercentage + totalFeeRate) + parseFloat(profitSettings.value), rules, 'ceil');
+    }
+  } else if (profitSettings.type === 'percent') {
+    // Percentage profit
+    const profitPercent = parseFloat(profitSettings.value) / 100;
+    
+    // Ensure minimum profit percentage is at least 1.5% plus fees
+    const minProfitPercentage = 0.015; // 1.5% minimum profit
+    const maxProfitPercentage = 0.05; // 5% maximum profit to ensure orders can be filled
+    const effectiveProfit = Math.min(Math.max(profitPercent, minProfitPercentage), maxProfitPercentage);
+    
+    // Calculate sell price with adjusted profit percentage
+    // Formula: sell_price = buy_price * (1 + effective_profit) / (1 - sell_fee_rate)
+    const sellPrice = price * (1 + effectiveProfit + buyFeeRate) / (1 - sellFeeRate);
+    
+    return formatPrice(sellPrice, rules, 'ceil');
+  }
+  
+  // Default fallback - ensure at least 1.5% profit plus fees
+  const minProfitPercentage = 0.015; // 1.5% minimum profit
+  return formatPrice(price * (1 + minProfitPercentage + totalFeeRate), rules, 'ceil');
+}
+
+/**
+ * Calculate stop loss price based on buy price and stop loss settings
+ * @param {number|string} buyPrice - Average buy price
+ * @param {Object} stopLossSettings - { enabled, type: 'fixed' or 'percent', value }
+ * @param {Object} rules - Symbol rules (optional)
+ * @returns {string|null} - Stop price, null without a stop loss
+ */
+function calculateStopLossPrice(buyPrice, stopLossSettings, rules = null) {
+  if (!stopLossSettings.enabled) {
+    return null;
+  }
+  
+  const price = parseFloat(buyPrice);
+  
+  if (stopLossSettings.type === 'fixed') {
+    // Fixed loss amount in quote currency
+    return formatPrice(price - parseFloat(stopLossSettings.value), rules, 'round');
+  } else if (stopLossSettings.type === 'percent') {
+    // Percentage loss
+    const lossPercent = parseFloat(stopLossSettings.value) / 100;
+    return formatPrice(price * (1 - lossPercent), rules, 'round');
+  }
+  
+  return null;
+}
+
+/**
+ * Calculate the limit price of the stop loss leg, a little below the stop price so it fills once triggered
+ * @param {number|string} stopPrice - Stop price
+ * @param {Object} stopLossSettings - { limitOffset: percent below the stop price }
+ * @param {Object} rules - Symbol rules (optional)
+ * @returns {string} - Limit price
+ */
+function calculateStopLimitPrice(stopPrice, stopLossSettings, rules = null) {
+  const offset = parseFloat(stopLossSettings.limitOffset || DEFAULT_STOP_LIMIT_OFFSET) / 100;
+  return formatPrice(parseFloat(stopPrice) * (1 - offset), rules, 'floor');
+}
+
+/**
+ * Enter on every cycle
+ * @returns {boolean} - Always true
+ */
+function shouldEnter() {
+  return true;
+}
+
+/**
+ * Buy for the --buyAmount at the market, or with a limit order below the best bid with --entryType
+ * @param {Object} market - Market at the start of the cycle
+ * @param {Object} context - Strategy context
+ * @returns {Object} - { type, quoteOrderQty }
+ */
+function computeEntry(market, context) {
+  const { buyAmount, entry } = context.settings;
+  return { type: entry ? entry.type : 'MARKET', quoteOrderQty: buyAmount };
+}
+
+/**
+ * Sell at the profit target, with a stop loss or trailing stop leg when they are enabled
+ * @param {Object} position - { symbol, cycle, buyPrice, quantity }
+ * @param {Object} context - Strategy context
+ * @returns {Object} - { price, stopPrice, stopLimitPrice, trailingDelta }
+ */
+function computeExit(position, context) {
+  const { profit, stopLoss = {}, trailingStop = {}, fees } = context.settings;
+  const price = calculateProfitPrice(position.buyPrice, profit, position.quantity, context.rules, fees);
+
+  // The trailing stop replaces the fixed stop price
+  if (trailingStop.enabled) {
+    return { price, trailingDelta: trailingStop.trailingDelta };
+  }
+
+  const stopPrice = calculateStopLossPrice(position.buyPrice, stopLoss, context.rules);
+
+  if (!stopPrice) {
+    return { price };
+  }
+
+  return { price, stopPrice, stopLimitPrice: calculateStopLimitPrice(stopPrice, stopLoss, context.rules) };
+}
+
+/**
+ * Nothing to record, the loop saves the trade history
+ */
+function onFill() {}
+
+module.exports = {
+  name: 'default',
+  description: 'Market buy of --buyAmount on every cycle, limit sell at the profit target (OCO with a stop loss or trailing stop)',
+  DEFAULT_STOP_LIMIT_OFFSET,
+  calculateProfitPrice,
+  calculateStopLossPrice,
+  calculateStopLimitPrice,
+  shouldEnter,
+  computeEntry,
+  computeExit,
+  onFill
+};
@@ -0,0 +1,225 @@
+/**
+ * Strategies
+ *
+ * A strategy decides when trading-loop.js buys and where it exits; the loop
+ * does the rest (balances, order filters, the state journal, order
+ * monitoring and the trade history). The strategy is selected by name with
+ * --strategy (or "strategy" in the config file): a module in this directory,
+ * or the path of any .js file, so a strategy can live outside the repository.
+ *
+ * A strategy module exports any of these hooks; the ones it leaves out are
+ * taken from the default strategy (strategies/default.js). Every hook gets
+ * the strategy context as its last argument and may return a promise.
+ *
+ *   init(context)                  Called once before the first cycle, throw to stop on invalid options
+ *   shouldEnter(market, context)   Return false to skip the buy; the loop asks again after --delay seconds
+ *   computeEntry(market, context)  The buy: { type, quoteOrderQty, price }; type is MARKET, or LIMIT or
+ *                                  LIMIT_MAKER for a limit buy at price (default: --entryOffset below the best bid)
+ *   computeExit(position, context) The sell: { price, stopPrice, stopLimitPrice, trailingDelta };
+ *                                  with stopPrice or trailingDelta the exit is an OCO order list
+ *   onFill(fill, context)          Called after the buy and after the sell have been filled
+ *
+ * market:   { symbol, cycle, price, time }
+ * position: { symbol, cycle, buyPrice, quantity }
+ * fill:     { side, symbol, cycle, orderId, price, quantity, trade }
+ * context:  { strategy, symbol, baseAsset, quoteAsset, rules, dryRun, settings, options, log }
+ *
+ * settings holds the loop's own parameters ({ buyAmount, entry, profit,
+ * stopLoss, trailingStop, fees }), options every command line and config file option, so a
+ * strategy can read its own parameters from it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { roundPrice } = require('../symbol-rules');
+const defaultStrategy = require('./default');
+
+// Strategy used when none is selected
+const DEFAULT_STRATEGY = 'default';
+
+// Hooks of a strategy, in the order the loop calls them
+const HOOKS = ['init', 'shouldEnter', 'computeEntry', 'computeExit', 'onFill'];
+
+// Order types of an entry
+const ENTRY_TYPES = ['MARKET', 'LIMIT', 'LIMIT_MAKER'];
+
+/**
+ * Error thrown for a strategy that cannot be loaded or returns an invalid decision
+ */
+class StrategyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StrategyError';
+  }
+}
+
+/**
+ * List the strategies in this directory
+ * @returns {Array<string>} - Strategy names
+ */
+function listStrategies() {
+  return fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .map(file => file.slice(0, -3))
+    .sort();
+}
+
+/**
+ * Check whether a strategy is selected by a file path rather than a name
+ * @param {string} name - Strategy name or path
+ * @returns {boolean} - True for a path
+ */
+function isStrategyPath(name) {
+  return name.endsWith('.js') || name.includes('/') || name.includes(path.sep);
+}
+
+/**
+ * Load a strategy by name or path
+ * @param {string} name - Name of a module in strategies/ or path of a .js file (default: 'default')
+ * @returns {Object} - Strategy with all hooks, its name and description
+ */
+function loadStrategy(name = DEFAULT_STRATEGY) {
+  name = String(name);
+  let filePath;
+
+  if (isStrategyPath(name)) {
+    filePath = path.resolve(process.cwd(), name);
+  } else if (/^[a-z0-9][a-z0-9-]*$/i.test(name) && listStrategies().includes(name)) {
+    filePath = path.join(__dirname, `${name}.js`);
+  } else {
+    throw new StrategyError(`Unknown strategy "${name}". Available strategies: ${listStrategies().join(', ')} (or the path of a .js file)`);
+  }
+
+  if (!fs.existsSync(filePath)) {
+    throw new StrategyError(`Strategy file not found: ${filePath}`);
+  }
+
+  const module = require(filePath);
+  const strategy = { ...defaultStrategy, init: null, description: null, ...module, name };
+
+  HOOKS.forEach(hook => {
+    if (strategy[hook] !== null && typeof strategy[hook] !== 'function') {
+      throw new StrategyError(`Strategy "${name}": ${hook} must be a function`);
+    }
+  });
+
+  return strategy;
+}
+
+/**
+ * Create the context passed to the hooks of a strategy
+ * @param {Object} strategy - Strategy from loadStrategy
+ * @param {Object} fields - { symbol, rules, dryRun, settings, options }
+ * @returns {Object} - Strategy context
+ */
+function createContext(strategy, fields) {
+  const { rules } = fields;
+
+  return {
+    strategy: strategy.name,
+    symbol: fields.symbol,
+    baseAsset: rules.baseAsset,
+    quoteAsset: rules.quoteAsset,
+    rules,
+    dryRun: !!fields.dryRun,
+    settings: fields.settings,
+    options: fields.options || {},
+    log: logger.getLogger(`strategy:${path.basename(strategy.name, '.js')}`)
+  };
+}
+
+/**
+ * Get the buy of a strategy and check it
+ *
+ * The price of a limit entry is rounded down to the tickSize.
+ * @param {Object} strategy - Strategy
+ * @param {Object} market - { symbol, cycle, price, time }
+ * @param {Object} context - Strategy context
+ * @returns {Promise<Object>} - { type: 'MARKET', 'LIMIT' or 'LIMIT_MAKER', quoteOrderQty, price } (price is null
+ *   for a market entry, and for a limit entry the loop prices below the best bid)
+ */
+async function getEntry(strategy, market, context) {
+  const entry = await strategy.computeEntry(market, context);
+  const type = entry ? (entry.type || 'MARKET') : null;
+
+  if (!ENTRY_TYPES.includes(type)) {
+    throw new StrategyError(`Strategy "${strategy.name}": computeEntry must return a ${ENTRY_TYPES.join(', ')} entry`);
+  }
+
+  if (!(parseFloat(entry.quoteOrderQty) > 0)) {
+    throw new StrategyError(`Strategy "${strategy.name}": invalid entry quoteOrderQty ${entry.quoteOrderQty}`);
+  }
+
+  if (type !== 'MARKET' && entry.price !== undefined && entry.price !== null && !(parseFloat(entry.price) > 0)) {
+    throw new StrategyError(`Strategy "${strategy.name}": invalid entry price ${entry.price}`);
+  }
+
+  return {
+    type,
+    quoteOrderQty: String(entry.quoteOrderQty),
+    price: type !== 'MARKET' && entry.price ? roundPrice(context.rules, entry.price, 'floor') : null
+  };
+}
+
+/**
+ * Get the exit of a strategy and check it
+ *
+ * Prices are rounded to the tickSize like the default strategy rounds them:
+ * the sell price up, the stop limit price down.
+ * @param {Object} strategy - Strategy
+ * @param {Object} position - { symbol, cycle, buyPrice, quantity }
+ * @param {Object} context - Strategy context
+ * @returns {Promise<Object>} - { price, stopPrice, stopLimitPrice, trailingDelta } (unused fields are null)
+ */
+async function getExit(strategy, position, context) {
+  const exit = await strategy.computeExit(position, context);
+
+  if (!exit || !(parseFloat(exit.price) > 0)) {
+    throw new StrategyError(`Strategy "${strategy.name}": computeExit must return a positive price`);
+  }
+
+  if (exit.stopPrice && !(parseFloat(exit.stopPrice) < parseFloat(exit.price))) {
+    throw new StrategyError(`Strategy "${strategy.name}": stop price ${exit.stopPrice} must be below the sell price ${exit.price}`);
+  }
+
+  const { rules } = context;
+
+  return {
+    price: roundPrice(rules, exit.price, 'ceil'),
+    stopPrice: exit.stopPrice ? roundPrice(rules, exit.stopPrice, 'round') : null,
+    stopLimitPrice: exit.stopLimitPrice ? roundPrice(rules, exit.stopLimitPrice, 'floor') : null,
+    trailingDelta: exit.trailingDelta ? parseInt(exit.trailingDelta) : null
+  };
+}
+
+/**
+ * Tell a strategy about a fill
+ *
+ * The order is already on the exchange, so an error in the hook is only
+ * logged and does not stop the loop.
+ * @param {Object} strategy - Strategy
+ * @param {Object} fill - { side, symbol, cycle, orderId, price, quantity, trade }
+ * @param {Object} context - Strategy context
+ */
+async function notifyFill(strategy, fill, context) {
+  try {
+    await strategy.onFill(fill, context);
+  } catch (error) {
+    console.warn(`Strategy "${strategy.name}" onFill failed: ${error.message}`);
+    context.log.warn('onFill failed', { fill: { side: fill.side, orderId: fill.orderId }, error });
+  }
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  HOOKS,
+  ENTRY_TYPES,
+  StrategyError,
+  listStrategies,
+  loadStrategy,
+  createContext,
+  getEntry,
+  getExit,
+  notifyFill
+};
@@ -0,0 +1,531 @@
+/**
+ * Symbol Rules
+ *
+ * This module turns the exchangeInfo filters of a symbol (PRICE_FILTER,
+ * LOT_SIZE, MARKET_LOT_SIZE, NOTIONAL, PERCENT_PRICE_BY_SIDE, TRAILING_DELTA, ...) into
+ * rounding and validation helpers. Every order is rounded to the symbol's
+ * tickSize and stepSize and checked against its limits before it is sent,
+ * so a bad order fails locally instead of with a "Filter failure" from
+ * Binance.
+ */
+
+const client = require('./binance-client');
+
+// Cached rules are refreshed after one hour
+const CACHE_TTL = 60 * 60 * 1000;
+
+// Rules keyed by symbol: { rules, fetchedAt }
+const cache = new Map();
+
+// Trailing deltas are given in BIPS: 100 BIPS = 1%
+const BIPS_PER_PERCENT = 100;
+
+/**
+ * Error thrown when an order violates a symbol filter
+ */
+class SymbolRuleError extends Error {
+  constructor(message, { symbol, filter } = {}) {
+    super(message);
+    this.name = 'SymbolRuleError';
+    this.symbol = symbol;
+    this.filter = filter;
+  }
+}
+
+/**
+ * Count the decimals of a step value such as "0.01000000"
+ * @param {string|number} step - Step value
+ * @returns {number} - Number of significant decimals
+ */
+function countDecimals(step) {
+  const text = typeof step === 'number' ? step.toFixed(8) : String(step);
+  const fraction = text.split('.')[1] || '';
+  return fraction.replace(/0+$/, '').length;
+}
+
+/**
+ * Round a value to a multiple of a step
+ * @param {string|number} value - Value to round
+ * @param {string} step - Step (tickSize or stepSize)
+ * @param {string} mode - 'floor', 'ceil' or 'round'
+ * @returns {string} - Rounded value with the step's decimals
+ */
+function roundToStep(value, step, mode = 'floor') {
+  const stepNum = parseFloat(step);
+  const number = parseFloat(value);
+
+  // A step of 0 means the filter does not restrict the precision
+  if (!(stepNum > 0)) {
+    return String(parseFloat(number.toFixed(8)));
+  }
+
+  // The epsilon keeps values like 0.30000000000000004 from rounding a step away
+  const ratio = number / stepNum;
+  let steps;
+
+  if (mode === 'ceil') {
+    steps = Math.ceil(ratio - 1e-9);
+  } else if (mode === 'round') {
+    steps = Math.round(ratio);
+  } else {
+    steps = Math.floor(ratio + 1e-9);
+  }
+
+  return (steps * stepNum).toFixed(countDecimals(step));
+}
+
+/**
+ * Check whether a value is a multiple of a step
+ * @param {string|number} value - Value to check
+ * @param {string} step - Step (tickSize or stepSize)
+ * @returns {boolean} - True if the value is on the step grid
+ */
+function isOnStep(value, step) {
+  const stepNum = parseFloat(step);
+
+  if (!(stepNum > 0)) {
+    return true;
+  }
+
+  const ratio = parseFloat(value) / stepNum;
+  return Math.abs(ratio - Math.round(ratio)) < 1e-6;
+}
+
+/**
+ * Build the rules of a symbol from its exchangeInfo entry
+ * @param {Object} symbolInfo - Symbol information from exchangeInfo
+ * @returns {Object} - Symbol rules
+ */
+function parseRules(symbolInfo) {
+  const filters = {};
+  (symbolInfo.filters || []).forEach(filter => {
+    filters[filter.filterType] = filter;
+  });
+
+  const priceFilter = filters.PRICE_FILTER || {};
+  const lotSize = filters.LOT_SIZE || {};
+  const marketLotSize = filters.MARKET_LOT_SIZE || {};
+  // Older symbols still report MIN_NOTIONAL instead of NOTIONAL
+  const notional = filters.NOTIONAL || filters.MIN_NOTIONAL || {};
+  const percentBySide = filters.PERCENT_PRICE_BY_SIDE;
+  const percentPrice = filters.PERCENT_PRICE;
+  const trailingDelta = filters.TRAILING_DELTA;
+
+  return {
+    symbol: symbolInfo.symbol,
+    status: symbolInfo.status,
+    baseAsset: symbolInfo.baseAsset,
+    quoteAsset: symbolInfo.quoteAsset,
+    quotePrecision: symbolInfo.quoteAssetPrecision !== undefined ? symbolInfo.quoteAssetPrecision : (symbolInfo.quotePrecision || 8),
+    allowTrailingStop: symbolInfo.allowTrailingStop !== false,
+    tickSize: priceFilter.tickSize || '0',
+    minPrice: parseFloat(priceFilter.minPrice) || 0,
+    maxPrice: parseFloat(priceFilter.maxPrice) || 0,
+    stepSize: lotSize.stepSize || '0',
+    minQty: parseFloat(lotSize.minQty) || 0,
+    maxQty: parseFloat(lotSize.maxQty) || 0,
+    marketStepSize: marketLotSize.stepSize || '0',
+    marketMinQty: parseFloat(marketLotSize.minQty) || 0,
+    marketMaxQty: parseFloat(marketLotSize.maxQty) || 0,
+    minNotional: parseFloat(notional.minNotional) || 0,
+    maxNotional: parseFloat(notional.maxNotional) || 0,
+    applyMinToMarket: notional.applyMinToMarket !== undefined ? notional.applyMinToMarket : notional.applyToMarket !== false,
+    applyMaxToMarket: !!notional.applyMaxToMarket,
+    percentPriceBySide: percentBySide ? {
+      bidMultiplierUp: parseFloat(percentBySide.bidMultiplierUp),
+      bidMultiplierDown: parseFloat(percentBySide.bidMultiplierDown),
+      askMultiplierUp: parseFloat(percentBySide.askMultiplierUp),
+      askMultiplierDown: parseFloat(percentBySide.askMultiplierDown)
+    } : null,
+    percentPrice: percentPrice ? {
+      multiplierUp: parseFloat(percentPrice.multiplierUp),
+      multiplierDown: parseFloat(percentPrice.multiplierDown)
+    } : null,
+    trailingDelta: trailingDelta ? {
+      minTrailingAboveDelta: parseInt(trailingDelta.minTrailingAboveDelta),
+      maxTrailingAboveDelta: parseInt(trailingDelta.maxTrailingAboveDelta),
+      minTrailingBelowDelta: parseInt(trailingDelta.minTrailingBelowDelta),
+      maxTrailingBelowDelta: parseInt(trailingDelta.maxTrailingBelowDelta)
+    } : null,
+    filters
+  };
+}
+
+/**
+ * Get the rules of a symbol, using the cache when possible
+ * @param {string} symbol - Trading pair symbol
+ * @param {Object} options - { refresh: true to bypass the cache }
+ * @returns {Promise<Object>} - Symbol rules
+ */
+async function getSymbolRules(symbol, options = {}) {
+  const cached = cache.get(symbol);
+
+  if (cached && !options.refresh && Date.now() - cached.fetchedAt < CACHE_TTL) {
+    return cached.rules;
+  }
+
+  // Required here because market-buy.js uses this module for its orders
+  const { getSymbolInfo } = require('./market-buy');
+  const rules = parseRules(await getSymbolInfo(symbol));
+
+  cache.set(symbol, { rules, fetchedAt: Date.now() });
+  return rules;
+}
+
+/**
+ * Forget cached rules
+ * @param {string} symbol - Symbol to forget (all symbols if omitted)
+ */
+function clearCache(symbol) {
+  if (symbol) {
+    cache.delete(symbol);
+  } else {
+    cache.clear();
+  }
+}
+
+/**
+ * Round a price to the symbol's tickSize
+ * @param {Object} rules - Symbol rules
+ * @param {string|number} price - Price to round
+ * @param {string} mode - 'floor', 'ceil' or 'round' (default: 'round')
+ * @returns {string} - Rounded price
+ */
+function roundPrice(rules, price, mode = 'round') {
+  return roundToStep(price, rules.tickSize, mode);
+}
+
+/**
+ * Round a quantity down to the symbol's stepSize
+ * @param {Object} rules - Symbol rules
+ * @param {string|number} quantity - Quantity to round
+ * @param {Object} options - { market: use MARKET_LOT_SIZE, mode: rounding mode (default: 'floor') }
+ * @returns {string} - Rounded quantity
+ */
+function roundQuantity(rules, quantity, options = {}) {
+  const step = options.market && parseFloat(rules.marketStepSize) > 0 ? rules.marketStepSize : rules.stepSize;
+  return roundToStep(quantity, step, options.mode || 'floor');
+}
+
+/**
+ * Round an amount of the quote asset down to its precision
+ * @param {Object} rules - Symbol rules
+ * @param {string|number} amount - Amount in the quote asset
+ * @returns {string} - Rounded amount
+ */
+function roundQuoteAmount(rules, amount) {
+  const factor = Math.pow(10, rules.quotePrecision);
+  const rounded = (Math.floor(parseFloat(amount) * factor + 1e-9) / factor).toFixed(rules.quotePrecision);
+  return rounded.includes('.') ? rounded.replace(/\.?0+$/, '') : rounded;
+}
+
+/**
+ * Get the smallest valid quantity for an order at a given price
+ * @param {Object} rules - Symbol rules
+ * @param {number} price - Order price
+ * @param {number} buffer - Multiplier applied to minNotional (e.g. 1.01 for 1% headroom)
+ * @returns {string} - Minimum quantity, rounded up to the stepSize
+ */
+function getMinQuantity(rules, price, buffer = 1) {
+  const forNotional = price > 0 ? (rules.minNotional * buffer) / price : 0;
+  return roundToStep(Math.max(rules.minQty, forNotional), rules.stepSize, 'ceil');
+}
+
+/**
+ * Convert a trailing distance in percent to BIPS
+ * @param {string|number} percent - Distance in percent (e.g. 0.5)
+ * @returns {number} - trailingDelta in BIPS (e.g. 50)
+ */
+function percentToBips(percent) {
+  return Math.round(parseFloat(percent) * BIPS_PER_PERCENT);
+}
+
+/**
+ * Convert a trailingDelta in BIPS to percent
+ * @param {string|number} bips - trailingDelta in BIPS
+ * @returns {number} - Distance in percent
+ */
+function bipsToPercent(bips) {
+  return parseInt(bips) / BIPS_PER_PERCENT;
+}
+
+/**
+ * Get the allowed trailingDelta range of an order
+ *
+ * Orders that trigger when the price rises (stop loss buy, take profit sell)
+ * use the "above" limits, orders that trigger when it falls use the "below"
+ * limits.
+ * @param {Object} rules - Symbol rules
+ * @param {string} side - BUY or SELL
+ * @param {string} type - STOP_LOSS, STOP_LOSS_LIMIT, TAKE_PROFIT or TAKE_PROFIT_LIMIT
+ * @returns {Object|null} - { min, max } in BIPS, null if the symbol has no TRAILING_DELTA filter
+ */
+function getTrailingDeltaRange(rules, side, type) {
+  if (!rules.trailingDelta) {
+    return null;
+  }
+
+  const isStopLoss = (type || '').toUpperCase().startsWith('STOP_LOSS');
+  const above = isStopLoss === ((side || '').toUpperCase() === 'BUY');
+  const limits = rules.trailingDelta;
+
+  return above
+    ? { min: limits.minTrailingAboveDelta, max: limits.maxTrailingAboveDelta }
+    : { min: limits.minTrailingBelowDelta, max: limits.maxTrailingBelowDelta };
+}
+
+/**
+ * Check the trailingDelta of an order
+ * @param {Object} rules - Symbol rules
+ * @param {Object} order - Order parameters (side, type, trailingDelta)
+ * @returns {Array} - List of { filter, message } violations
+ */
+function checkTrailingDelta(rules, order) {
+  const type = (order.type || '').toUpperCase();
+  const delta = Number(order.trailingDelta);
+
+  if (!rules.allowTrailingStop) {
+    return [{ filter: 'TRAILING_DELTA', message: `${rules.symbol} does not allow trailing stop orders` }];
+  }
+
+  if (!type.startsWith('STOP_LOSS') && !type.startsWith('TAKE_PROFIT')) {
+    return [{ filter: 'TRAILING_DELTA', message: `trailingDelta is only allowed for STOP_LOSS and TAKE_PROFIT orders, not ${type || 'orders without a type'}` }];
+  }
+
+  if (!Number.isInteger(delta) || delta <= 0) {
+    return [{ filter: 'TRAILING_DELTA', message: `trailingDelta ${order.trailingDelta} is not a positive number of BIPS` }];
+  }
+
+  const range = getTrailingDeltaRange(rules, order.side, type);
+  const violations = [];
+
+  if (range && delta < range.min) {
+    violations.push({ filter: 'TRAILING_DELTA', message: `trailingDelta ${delta} is below the minimum of ${range.min} BIPS (${bipsToPercent(range.min)}%)` });
+  }
+  if (range && delta > range.max) {
+    violations.push({ filter: 'TRAILING_DELTA', message: `trailingDelta ${delta} is above the maximum of ${range.max} BIPS (${bipsToPercent(range.max)}%)` });
+  }
+
+  return violations;
+}
+
+/**
+ * Check an order against the symbol filters
+ * @param {Object} rules - Symbol rules
+ * @param {Object} order - Order parameters (symbol, side, type, price, quantity, quoteOrderQty, stopPrice, trailingDelta)
+ * @param {number} averagePrice - Weighted average price, used for market orders and PERCENT_PRICE filters
+ * @returns {Array} - List of { filter, message } violations (empty if the order is valid)
+ */
+function checkOrder(rules, order, averagePrice) {
+  const violations = [];
+  const type = (order.type || '').toUpperCase();
+  const side = (order.side || '').toUpperCase();
+  const isMarket = type === 'MARKET' || type === 'STOP_LOSS' || type === 'TAKE_PROFIT';
+  const price = parseFloat(order.price);
+  const quantity = parseFloat(order.quantity);
+  const quoteOrderQty = parseFloat(order.quoteOrderQty);
+
+  if (rules.status && rules.status !== 'TRADING') {
+    violations.push({ filter: 'STATUS', message: `${rules.symbol} is not trading (status: ${rules.status})` });
+  }
+
+  // PRICE_FILTER applies to the limit price and the stop price
+  [['price', price], ['stopPrice', parseFloat(order.stopPrice)]].forEach(([name, value]) => {
+    if (isNaN(value)) {
+      return;
+    }
+    if (rules.minPrice > 0 && value < rules.minPrice) {
+      violations.push({ filter: 'PRICE_FILTER', message: `${name} ${value} is below minPrice ${rules.minPrice}` });
+    }
+    if (rules.maxPrice > 0 && value > rules.maxPrice) {
+      violations.push({ filter: 'PRICE_FILTER', message: `${name} ${value} is above maxPrice ${rules.maxPrice}` });
+    }
+    if (!isOnStep(value, rules.tickSize)) {
+      violations.push({ filter: 'PRICE_FILTER', message: `${name} ${value} is not a multiple of tickSize ${rules.tickSize}` });
+    }
+  });
+
+  // LOT_SIZE for all orders, MARKET_LOT_SIZE additionally for market orders
+  if (!isNaN(quantity)) {
+    if (quantity < rules.minQty) {
+      violations.push({ filter: 'LOT_SIZE', message: `quantity ${quantity} is below minQty ${rules.minQty}` });
+    }
+    if (rules.maxQty > 0 && quantity > rules.maxQty) {
+      violations.push({ filter: 'LOT_SIZE', message: `quantity ${quantity} is above maxQty ${rules.maxQty}` });
+    }
+    if (!isOnStep(quantity, rules.stepSize)) {
+      violations.push({ filter: 'LOT_SIZE', message: `quantity ${quantity} is not a multiple of stepSize ${rules.stepSize}` });
+    }
+    if (isMarket && rules.marketMaxQty > 0 && quantity > rules.marketMaxQty) {
+      violations.push({ filter: 'MARKET_LOT_SIZE', message: `quantity ${quantity} is above market maxQty ${rules.marketMaxQty}` });
+    }
+  }
+
+  // NOTIONAL: price * quantity, using the average price for market orders
+  let notional = NaN;
+  if (!isNaN(quoteOrderQty) && isMarket) {
+    notional = quoteOrderQty;
+  } else if (!isNaN(quantity)) {
+    const notionalPrice = isMarket ? averagePrice : price;
+    notional = notionalPrice ? notionalPrice * quantity : NaN;
+  }
+
+  if (!isNaN(notional)) {
+    if (rules.minNotional > 0 && notional < rules.minNotional && (!isMarket || rules.applyMinToMarket)) {
+      violations.push({ filter: 'NOTIONAL', message: `order value ${notional} is below minNotional ${rules.minNotional} ${rules.quoteAsset}` });
+    }
+    if (rules.maxNotional > 0 && notional > rules.maxNotional && (!isMarket || rules.applyMaxToMarket)) {
+      violations.push({ filter: 'NOTIONAL', message: `order value ${notional} is above maxNotional ${rules.maxNotional} ${rules.quoteAsset}` });
+    }
+  }
+
+  // PERCENT_PRICE_BY_SIDE / PERCENT_PRICE: limit price relative to the average price
+  if (!isNaN(price) && averagePrice > 0) {
+    let up;
+    let down;
+    let filter;
+
+    if (rules.percentPriceBySide) {
+      const multipliers = rules.percentPriceBySide;
+      up = side === 'BUY' ? multipliers.bidMultiplierUp : multipliers.askMultiplierUp;
+      down = side === 'BUY' ? multipliers.bidMultiplierDown : multipliers.askMultiplierDown;
+      filter = 'PERCENT_PRICE_BY_SIDE';
+    } else if (rules.percentPrice) {
+      up = rules.percentPrice.multiplierUp;
+      down = rules.percentPrice.multiplierDown;
+      filter = 'PERCENT_PRICE';
+    }
+
+    if (filter && price > averagePrice * up) {
+      violations.push({ filter, message: `price ${price} is more than ${up}x the average price ${averagePrice}` });
+    }
+    if (filter && price < averagePrice * down) {
+      violations.push({ filter, message: `price ${price} is less than ${down}x the average price ${averagePrice}` });
+    }
+  }
+
+  // TRAILING_DELTA: trailing stop distance in BIPS
+  if (order.trailingDelta !== undefined && order.trailingDelta !== null && order.trailingDelta !== '') {
+    violations.push(...checkTrailingDelta(rules, order));
+  }
+
+  return violations;
+}
+
+/**
+ * Throw if an order violates a symbol filter
+ * @param {Object} rules - Symbol rules
+ * @param {Object} order - Order parameters
+ * @param {number} averagePrice - Weighted average price
+ */
+function validateOrder(rules, order, averagePrice) {
+  const violations = checkOrder(rules, order, averagePrice);
+
+  if (violations.length > 0) {
+    const first = violations[0];
+    throw new SymbolRuleError(`Filter failure: ${first.filter} (${rules.symbol}: ${violations.map(v => v.message).join('; ')})`, {
+      symbol: rules.symbol,
+      filter: first.filter
+    });
+  }
+}
+
+/**
+ * Round an order to the symbol rules and validate it
+ *
+ * Prices and stop prices are rounded to the nearest tick (callers that care
+ * about the direction round beforehand), quantities are rounded down to the
+ * step and quoteOrderQty down to the quote asset precision.
+ * @param {Object} params - Order parameters as sent to POST /api/v3/order
+ * @param {Object} options - { rules, validate: false to only round }
+ * @returns {Promise<Object>} - Rounded order parameters
+ */
+async function prepareOrder(params, options = {}) {
+  const rules = options.rules || await getSymbolRules(params.symbol);
+  const order = { ...params };
+  const type = (order.type || '').toUpperCase();
+  const isMarket = type === 'MARKET' || type === 'STOP_LOSS' || type === 'TAKE_PROFIT';
+  const present = value => value !== undefined && value !== null && value !== '';
+
+  if (present(order.price)) {
+    order.price = roundPrice(rules, order.price);
+  }
+
+  if (present(order.stopPrice)) {
+    order.stopPrice = roundPrice(rules, order.stopPrice);
+  }
+
+  if (present(order.quantity)) {
+    order.quantity = roundQuantity(rules, order.quantity, { market: isMarket });
+  }
+
+  if (present(order.quoteOrderQty)) {
+    order.quoteOrderQty = roundQuoteAmount(rules, order.quoteOrderQty);
+  }
+
+  if (options.validate !== false) {
+    // The average price is only needed for market notional and percent price checks
+    const needsAverage = (isMarket && present(order.quantity)) ||
+      (present(order.price) && (rules.percentPriceBySide || rules.percentPrice));
+    const averagePrice = needsAverage ? await client.getAvgPrice(order.symbol) : undefined;
+
+    validateOrder(rules, order, averagePrice);
+  }
+
+  return order;
+}
+
+/**
+ * Round both legs of an OCO order list to the symbol rules and validate them
+ *
+ * Each leg is checked like a separate order with the list's side and
+ * quantity, so a list is rejected locally for the same filters as its legs.
+ * @param {Object} params - Parameters as sent to POST /api/v3/orderList/oco
+ * @param {Object} options - { rules, validate: false to only round }
+ * @returns {Promise<Object>} - Rounded order list parameters
+ */
+async function prepareOcoOrder(params, options = {}) {
+  const rules = options.rules || await getSymbolRules(params.symbol);
+  const list = { ...params };
+
+  for (const position of ['above', 'below']) {
+    const leg = await prepareOrder({
+      symbol: list.symbol,
+      side: list.side,
+      type: list[`${position}Type`],
+      quantity: list.quantity,
+      price: list[`${position}Price`],
+      stopPrice: list[`${position}StopPrice`],
+      trailingDelta: list[`${position}TrailingDelta`]
+    }, { ...options, rules });
+
+    list.quantity = leg.quantity;
+    ['price', 'stopPrice'].forEach(name => {
+      if (leg[name] !== undefined) {
+        list[`${position}${name.charAt(0).toUpperCase()}${name.slice(1)}`] = leg[name];
+      }
+    });
+  }
+
+  return list;
+}
+
+module.exports = {
+  SymbolRuleError,
+  getSymbolRules,
+  clearCache,
+  parseRules,
+  roundToStep,
+  roundPrice,
+  roundQuantity,
+  roundQuoteAmount,
+  getMinQuantity,
+  percentToBips,
+  bipsToPercent,
+  getTrailingDeltaRange,
+  checkTrailingDelta,
+  checkOrder,
+  validateOrder,
+  prepareOrder,
+  prepareOcoOrder
+};
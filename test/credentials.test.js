@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const credentials = require('../credentials');
+const keystore = require('../keystore');
+
+const VARIABLES = [
+  'BINANCE_API_KEY',
+  'BINANCE_API_SECRET',
+  'BINANCE_TESTNET_API_KEY',
+  'BINANCE_TESTNET_API_SECRET',
+  'BINANCE_MOCK_API_KEY',
+  'BINANCE_MOCK_API_SECRET',
+  'BINANCE_KEYSTORE',
+  'BINANCE_KEYSTORE_PASSPHRASE'
+];
+
+let saved = {};
+let keystoreDir = null;
+
+// Run each test with only the variables it sets, and an empty keystore of its own
+test.beforeEach(() => {
+  saved = Object.fromEntries(VARIABLES.map(name => [name, process.env[name]]));
+  VARIABLES.forEach(name => delete process.env[name]);
+  keystoreDir = fs.mkdtempSync(path.join(os.tmpdir(), 'credentials-test-'));
+  process.env.BINANCE_KEYSTORE = path.join(keystoreDir, 'keystore.json');
+});
+
+test.afterEach(() => {
+  VARIABLES.forEach(name => {
+    if (saved[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = saved[name];
+    }
+  });
+  fs.rmSync(keystoreDir, { recursive: true, force: true });
+});
+
+test('the generic variables are used for mainnet', () => {
+  process.env.BINANCE_API_KEY = 'real-key';
+  process.env.BINANCE_API_SECRET = 'real-secret';
+
+  const result = credentials.resolveCredentials(credentials.getProfile('mainnet'));
+
+  assert.strictEqual(result.apiKey, 'real-key');
+  assert.strictEqual(result.variable, 'BINANCE_API_KEY');
+});
+
+test('the generic variables never reach the testnet or the mock', () => {
+  process.env.BINANCE_API_KEY = 'real-key';
+  process.env.BINANCE_API_SECRET = 'real-secret';
+
+  const testnet = credentials.resolveCredentials(credentials.getProfile('testnet'));
+  const mock = credentials.resolveCredentials(credentials.getProfile('mock'));
+
+  assert.strictEqual(testnet.apiKey, undefined);
+  assert.strictEqual(testnet.source, null);
+  assert.match(credentials.describeCredentials(credentials.getProfile('testnet'), testnet), /BINANCE_API_KEY is only used for mainnet/);
+  assert.strictEqual(mock.apiKey, 'mock');
+  assert.strictEqual(mock.source, 'profile');
+});
+
+test('the profile variables win over the built-in keys and the keystore', () => {
+  process.env.BINANCE_MOCK_API_KEY = 'mock-env-key';
+  process.env.BINANCE_MOCK_API_SECRET = 'mock-env-secret';
+  process.env.BINANCE_TESTNET_API_KEY = 'testnet-key';
+  process.env.BINANCE_TESTNET_API_SECRET = 'testnet-secret';
+  keystore.addEntry('testnet', { apiKey: 'stored-key', apiSecret: 'stored-secret' }, 'passphrase');
+  process.env.BINANCE_KEYSTORE_PASSPHRASE = 'passphrase';
+
+  const mock = credentials.resolveCredentials(credentials.getProfile('mock'));
+  const testnet = credentials.resolveCredentials(credentials.getProfile('testnet'));
+
+  assert.strictEqual(mock.apiKey, 'mock-env-key');
+  assert.strictEqual(testnet.apiKey, 'testnet-key');
+  assert.strictEqual(credentials.describeCredentials(credentials.getProfile('testnet'), testnet), 'Profile testnet: API credentials from BINANCE_TESTNET_API_KEY (environment)');
+});
+
+test('the keystore is used for a profile without variables, and must be unlocked', () => {
+  process.env.BINANCE_API_KEY = 'real-key';
+  process.env.BINANCE_API_SECRET = 'real-secret';
+  keystore.addEntry('testnet', { apiKey: 'stored-key', apiSecret: 'stored-secret' }, 'passphrase');
+
+  const locked = credentials.resolveCredentials(credentials.getProfile('testnet'));
+  process.env.BINANCE_KEYSTORE_PASSPHRASE = 'passphrase';
+  const unlocked = credentials.resolveCredentials(credentials.getProfile('testnet'));
+
+  assert.strictEqual(locked.apiKey, undefined);
+  assert.match(locked.error, /locked/);
+  assert.strictEqual(unlocked.apiKey, 'stored-key');
+  assert.strictEqual(unlocked.source, 'keystore');
+});
+
+test('parseEnv reads comments, quotes and export', () => {
+  const variables = credentials.parseEnv([
+    '# comment',
+    'export BINANCE_API_KEY=abc # trailing comment',
+    'BINANCE_API_SECRET="a b # c"',
+    'not a variable'
+  ].join('\n'));
+
+  assert.deepStrictEqual(variables, { BINANCE_API_KEY: 'abc', BINANCE_API_SECRET: 'a b # c' });
+});
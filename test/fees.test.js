@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const client = require('../binance-client');
+const fees = require('../fees');
+
+const RULES = { baseAsset: 'BTC', quoteAsset: 'USDT' };
+
+function near(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('the commission of fills is valued in the quote asset', async t => {
+  t.mock.method(client, 'getPrice', async symbol => {
+    if (symbol === 'BNBUSDT') return 600;
+    throw new Error(`Invalid symbol ${symbol}`);
+  });
+
+  const result = await fees.getFillsFee([
+    { price: '50000', commission: '0.05', commissionAsset: 'USDT' },
+    { price: '50000', commission: '0.000001', commissionAsset: 'BTC' },
+    { price: '50000', commission: '0.0001', commissionAsset: 'BNB' },
+    { price: '50000', commission: '0', commissionAsset: 'USDT' }
+  ], RULES);
+
+  assert.deepStrictEqual(Object.keys(result.commission), ['USDT', 'BTC', 'BNB']);
+  near(result.commission.BNB, 0.0001);
+  near(result.fee, 0.05 + 0.05 + 0.06);
+});
+
+test('a commission asset without a price leaves the fee unknown', async t => {
+  t.mock.method(client, 'getPrice', async symbol => {
+    throw new Error(`Invalid symbol ${symbol}`);
+  });
+  t.mock.method(console, 'warn', () => {});
+
+  const result = await fees.getFillsFee([{ price: '50000', commission: '1', commissionAsset: 'XYZ' }], RULES);
+
+  assert.deepStrictEqual(result.commission, { XYZ: 1 });
+  assert.strictEqual(result.fee, null);
+});
+
+test('the account rates are read once, with the side rate added per order', async t => {
+  const getAccount = t.mock.method(client, 'getAccount', async () => ({
+    commissionRates: { maker: '0.00075', taker: '0.001', buyer: '0.0001', seller: '0' }
+  }));
+
+  const rates = await fees.getFeeRates();
+  await fees.getFeeRates();
+
+  assert.strictEqual(getAccount.mock.callCount(), 1);
+  assert.strictEqual(rates.source, 'account');
+  near(fees.getOrderRate(rates, 'BUY', false), 0.0011);
+  near(fees.getOrderRate(rates, 'SELL', true), 0.00075);
+  assert.strictEqual(fees.formatRate(0.00075), '0.075%');
+});
+
+test('the buy fee rate is the fee paid, or the estimated rate when it is not known', () => {
+  assert.strictEqual(fees.getBuyFeeRate({ buyCost: 50, buyFee: 0.0375 }), 0.00075);
+  assert.strictEqual(fees.getBuyFeeRate({ buyCost: 50, buyFee: null, feeRates: { buy: 0.0005, sell: 0.0005 } }), 0.0005);
+  assert.strictEqual(fees.getBuyFeeRate({ buyCost: 50 }), fees.DEFAULT_FEE_RATE);
+});
+
+test('the profit of a trade counts the fees paid', () => {
+  const result = fees.calculateTradeProfit({ buyPrice: 50000, buyCost: 50, buyFee: 0.05, quantity: '0.001', sellPrice: 51000, sellValue: 51, sellFee: 0.051 });
+
+  near(result.profit, 51 - 0.051 - 50 - 0.05);
+  near(result.buyFee, 0.05);
+  assert.strictEqual(result.estimated, false);
+});
+
+test('the profit of a partly sold trade counts the buy fee of the quantity sold', () => {
+  const result = fees.calculateTradeProfit({ buyPrice: 50000, buyCost: 50, buyFee: 0.05, quantity: '0.001', soldQuantity: 0.0004, sellPrice: 51000, sellValue: 20.4, sellFee: 0.0204 });
+
+  near(result.buyFee, 0.02);
+  near(result.profit, 20.4 - 0.0204 - 20 - 0.02);
+});
+
+test('unknown fees are estimated from the trade rates', () => {
+  const result = fees.calculateTradeProfit({ buyPrice: 50000, quantity: '0.001', sellPrice: 51000, feeRates: { buy: 0.001, sell: 0.002 } });
+
+  near(result.buyFee, 0.05);
+  near(result.sellFee, 0.102);
+  near(result.profit, 51 - 0.102 - 50 - 0.05);
+  assert.strictEqual(result.estimated, true);
+  assert.strictEqual(fees.calculateTradeProfit({ buyPrice: 50000, quantity: '0.001' }), null);
+});
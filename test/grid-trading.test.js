@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const client = require('../binance-client');
+const symbolRules = require('../symbol-rules');
+const grid = require('../grid-trading');
+const { profile } = require('../config');
+
+const RULES = symbolRules.parseRules({
+  symbol: 'BTCUSDT',
+  baseAsset: 'BTC',
+  quoteAsset: 'USDT',
+  filters: [
+    { filterType: 'PRICE_FILTER', minPrice: '0.01', maxPrice: '1000000', tickSize: '0.01' },
+    { filterType: 'LOT_SIZE', minQty: '0.00001', maxQty: '9000', stepSize: '0.00001' },
+    { filterType: 'NOTIONAL', minNotional: '5' }
+  ]
+});
+
+const SETTINGS = grid.getGridSettings({ symbol: 'BTCUSDT', lower: '45000', upper: '55000', levels: '5', quantity: '0.001', botId: 'test-grid' });
+
+// Exchange with the given open orders and filled orders, each trade paying 0.1% in USDT
+function mockExchange(t, openIds, filledOrders) {
+  t.mock.method(client, 'getOpenOrders', async () => openIds.map(orderId => ({ orderId, status: 'NEW' })));
+  t.mock.method(client, 'getOrder', async (symbol, orderId) => filledOrders.find(order => order.orderId === orderId));
+  t.mock.method(client, 'getMyTrades', async (symbol, { orderId }) => {
+    const order = filledOrders.find(item => item.orderId === orderId);
+    return [{ orderId, price: order.price, qty: order.executedQty, commission: String(parseFloat(order.cummulativeQuoteQty) * 0.001), commissionAsset: 'USDT' }];
+  });
+}
+
+// A grid started at 50000 with every level's order resting on the exchange
+function createOpenGrid() {
+  const state = grid.createGrid(SETTINGS, RULES, 50000);
+
+  state.levels.filter(level => level.side).forEach(level => {
+    level.status = grid.LEVEL_STATUS.OPEN;
+    level.orderId = 100 + level.index;
+  });
+  return state;
+}
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test.after(() => {
+  fs.rmSync(grid.getGridStatePath(SETTINGS.botId, profile), { force: true });
+});
+
+test('the level nearest to the price stays empty, with buys below it and sells above', () => {
+  const state = grid.createGrid(SETTINGS, RULES, 50100);
+
+  assert.deepStrictEqual(state.levels.map(level => level.price), ['45000.00', '47500.00', '50000.00', '52500.00', '55000.00']);
+  assert.deepStrictEqual(state.levels.map(level => level.side), ['BUY', 'BUY', null, 'SELL', 'SELL']);
+  assert.deepStrictEqual(state.levels.map(level => level.entryPrice), [null, null, null, '50000.00', '52500.00']);
+  assert.throws(() => grid.calculateLevelPrices({ lower: 1, upper: 1.02, levels: 5 }, RULES), grid.GridError);
+});
+
+test('a filled buy queues a sell one level up that remembers its entry price', async t => {
+  const state = createOpenGrid();
+  mockExchange(t, [100, 103, 104], [{ orderId: 101, status: 'FILLED', price: '47500.00', executedQty: '0.00100', cummulativeQuoteQty: '47.5' }]);
+
+  assert.strictEqual(await grid.syncGrid(state, RULES, { placeOrders: false }), 1);
+
+  const [, bought, target] = state.levels;
+  assert.strictEqual(bought.status, grid.LEVEL_STATUS.EMPTY);
+  assert.strictEqual(target.side, 'SELL');
+  assert.strictEqual(target.status, grid.LEVEL_STATUS.PENDING);
+  assert.strictEqual(target.entryPrice, '47500.00');
+  assert.strictEqual(target.quantity, '0.00100');
+  assert.strictEqual(state.stats.buys, 1);
+  assert.strictEqual(state.stats.rounds, 0);
+  assert.ok(Math.abs(state.stats.netProfit - -0.0475) < 1e-9);
+});
+
+test('a filled sell completes a round with its profit less the fees of both orders', async t => {
+  const state = createOpenGrid();
+  mockExchange(t, [100, 103, 104], [
+    { orderId: 101, status: 'FILLED', price: '47500.00', executedQty: '0.00100', cummulativeQuoteQty: '47.5' }
+  ]);
+  await grid.syncGrid(state, RULES, { placeOrders: false });
+
+  // The sell queued on level 2 is placed and filled
+  Object.assign(state.levels[2], { status: grid.LEVEL_STATUS.OPEN, orderId: 200 });
+  mockExchange(t, [100, 103, 104], [
+    { orderId: 200, status: 'FILLED', price: '50000.00', executedQty: '0.00100', cummulativeQuoteQty: '50' }
+  ]);
+  await grid.syncGrid(state, RULES, { placeOrders: false });
+
+  assert.strictEqual(state.stats.sells, 1);
+  assert.strictEqual(state.stats.rounds, 1);
+  assert.ok(Math.abs(state.stats.grossProfit - 2.5) < 1e-9);
+  assert.ok(Math.abs(state.stats.fees - 0.0975) < 1e-9);
+  assert.ok(Math.abs(state.stats.netProfit - 2.4025) < 1e-9);
+  assert.strictEqual(state.levels[1].side, 'BUY');
+  assert.strictEqual(state.levels[1].status, grid.LEVEL_STATUS.PENDING);
+  assert.strictEqual(state.levels[2].status, grid.LEVEL_STATUS.EMPTY);
+});
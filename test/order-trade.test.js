@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const client = require('../binance-client');
+const symbolRules = require('../symbol-rules');
+const orderTrade = require('../order-trade');
+const { buildSellParams } = require('../trading-loop');
+
+const RULES = symbolRules.parseRules({
+  symbol: 'BTCUSDT',
+  status: 'TRADING',
+  baseAsset: 'BTC',
+  quoteAsset: 'USDT',
+  filters: [
+    { filterType: 'PRICE_FILTER', minPrice: '0.01', maxPrice: '1000000', tickSize: '0.01' },
+    { filterType: 'LOT_SIZE', minQty: '0.00001', maxQty: '9000', stepSize: '0.00001' },
+    { filterType: 'NOTIONAL', minNotional: '5', applyMinToMarket: true },
+    { filterType: 'TRAILING_DELTA', minTrailingAboveDelta: '10', maxTrailingAboveDelta: '2000', minTrailingBelowDelta: '10', maxTrailingBelowDelta: '2000' }
+  ]
+});
+
+test('a sell OCO puts the take profit above and the stop loss below', () => {
+  const params = orderTrade.buildOcoParams({ symbol: 'BTCUSDT', side: 'SELL', quantity: '0.001', price: '52000', stopPrice: '48000', stopLimitPrice: '47900', listClientOrderId: 'list' });
+
+  assert.deepStrictEqual(params, {
+    symbol: 'BTCUSDT',
+    side: 'SELL',
+    quantity: '0.001',
+    listClientOrderId: 'list',
+    aboveType: 'LIMIT_MAKER',
+    abovePrice: '52000',
+    belowType: 'STOP_LOSS_LIMIT',
+    belowStopPrice: '48000',
+    belowPrice: '47900',
+    belowTimeInForce: 'GTC'
+  });
+});
+
+test('a buy OCO puts the stop above, and a stop without a limit price is a market stop', () => {
+  const params = orderTrade.buildOcoParams({ symbol: 'BTCUSDT', side: 'BUY', quantity: '0.001', price: '48000', stopPrice: '52000' });
+
+  assert.strictEqual(params.aboveType, 'STOP_LOSS');
+  assert.strictEqual(params.aboveStopPrice, '52000');
+  assert.strictEqual(params.aboveTimeInForce, undefined);
+  assert.strictEqual(params.belowType, 'LIMIT_MAKER');
+  assert.strictEqual(params.belowPrice, '48000');
+  assert.throws(() => orderTrade.buildOcoParams({ symbol: 'BTCUSDT', side: 'SELL', quantity: '0.001', price: '52000' }), /stopPrice/);
+});
+
+test('both legs of an OCO are rounded and checked against the filters', async t => {
+  t.mock.method(client, 'getAvgPrice', async () => 50000);
+  const params = orderTrade.buildOcoParams({ symbol: 'BTCUSDT', side: 'SELL', quantity: '0.0012345', price: '52000.001', stopPrice: '48000.009', stopLimitPrice: '47900.004' });
+
+  const list = await symbolRules.prepareOcoOrder(params, { rules: RULES });
+
+  assert.strictEqual(list.quantity, '0.00123');
+  assert.strictEqual(list.abovePrice, '52000.00');
+  assert.strictEqual(list.belowStopPrice, '48000.01');
+  assert.strictEqual(list.belowPrice, '47900.00');
+  await assert.rejects(
+    symbolRules.prepareOcoOrder({ ...params, quantity: '0.00005' }, { rules: RULES }),
+    error => error instanceof symbolRules.SymbolRuleError && error.filter === 'NOTIONAL'
+  );
+});
+
+test('the trading loop exit is a limit sell without a stop and an OCO with one', () => {
+  assert.deepStrictEqual(buildSellParams('BTCUSDT', '0.001', { price: '52000.00', stopPrice: null }), { symbol: 'BTCUSDT', side: 'SELL', type: 'LIMIT', quantity: '0.001', price: '52000.00' });
+  assert.deepStrictEqual(buildSellParams('BTCUSDT', '0.001', { price: '52000.00', stopPrice: '48000.00', stopLimitPrice: '47900.00' }), {
+    symbol: 'BTCUSDT',
+    side: 'SELL',
+    type: 'OCO',
+    quantity: '0.001',
+    price: '52000.00',
+    stopPrice: '48000.00',
+    stopLimitPrice: '47900.00'
+  });
+});
+
+test('a trailing distance in percent is sent in BIPS and checked against TRAILING_DELTA', () => {
+  assert.strictEqual(symbolRules.percentToBips('0.5'), 50);
+  assert.strictEqual(symbolRules.percentToBips(1.234), 123);
+  assert.strictEqual(symbolRules.bipsToPercent('250'), 2.5);
+
+  const check = (order, rules = RULES) => symbolRules.checkTrailingDelta(rules, { side: 'SELL', type: 'STOP_LOSS', ...order });
+
+  assert.deepStrictEqual(check({ trailingDelta: 50 }), []);
+  assert.match(check({ trailingDelta: 5 })[0].message, /below the minimum of 10 BIPS/);
+  assert.match(check({ trailingDelta: 2500 })[0].message, /above the maximum of 2000 BIPS \(20%\)/);
+  assert.match(check({ trailingDelta: 0.5 })[0].message, /not a positive number of BIPS/);
+  assert.match(check({ type: 'LIMIT', trailingDelta: 50 })[0].message, /only allowed for STOP_LOSS and TAKE_PROFIT/);
+  assert.match(check({ trailingDelta: 50 }, { ...RULES, allowTrailingStop: false })[0].message, /does not allow trailing stop/);
+});
+
+test('a trailing stop sell triggers below its activation price and a buy above it', () => {
+  const sell = orderTrade.describeTrailingStop({ side: 'SELL', trailingDelta: 150 }, 50000.5, RULES);
+  const buy = orderTrade.describeTrailingStop({ side: 'BUY', stopPrice: '40000', trailingDelta: '100' }, 50000);
+
+  assert.deepStrictEqual(sell, { trailingDelta: 150, trailingPercent: 1.5, activationPrice: 50000.5, triggerPrice: 49250.49 });
+  assert.strictEqual(buy.activationPrice, 40000);
+  assert.ok(Math.abs(buy.triggerPrice - 40400) < 1e-9);
+  assert.strictEqual(orderTrade.describeTrailingStop({ side: 'SELL', stopPrice: '48000' }, 50000), null);
+});
+
+test('a trailing delta without a stop price makes a stop order and a trailing OCO leg', () => {
+  assert.strictEqual(orderTrade.getOrderType({ trailingDelta: 50 }), 'STOP_LOSS');
+  assert.strictEqual(orderTrade.getOrderType({ trailingDelta: 50, price: '49000' }), 'STOP_LOSS_LIMIT');
+  assert.strictEqual(orderTrade.getOrderType({ price: '49000' }), 'LIMIT');
+
+  const params = orderTrade.buildOcoParams({ symbol: 'BTCUSDT', side: 'SELL', quantity: '0.001', price: '52000', trailingDelta: 100 });
+
+  assert.strictEqual(params.belowType, 'STOP_LOSS');
+  assert.strictEqual(params.belowTrailingDelta, 100);
+  assert.strictEqual(params.belowStopPrice, undefined);
+  assert.deepStrictEqual(buildSellParams('BTCUSDT', '0.001', { price: '52000.00', stopPrice: null, trailingDelta: 100 }), {
+    symbol: 'BTCUSDT',
+    side: 'SELL',
+    type: 'OCO',
+    quantity: '0.001',
+    price: '52000.00',
+    trailingDelta: 100
+  });
+});
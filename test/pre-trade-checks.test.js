@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const client = require('../binance-client');
+const preTradeChecks = require('../pre-trade-checks');
+
+const SYMBOL_INFO = { symbol: 'BTCUSDT', baseAsset: 'BTC', quoteAsset: 'USDT' };
+
+// Account with 1000 USDT and 0.01 BTC, bought at 40000, and BTC at 50000
+function mockExchange(t, { price = 50000, trades = null } = {}) {
+  t.mock.method(client, 'getPrice', async () => price);
+  t.mock.method(client, 'getAccount', async () => ({
+    balances: [
+      { asset: 'USDT', free: '1000', locked: '0' },
+      { asset: 'BTC', free: '0.01', locked: '0' }
+    ]
+  }));
+  t.mock.method(client, 'getMyTrades', async () => trades || [
+    { time: 1, isBuyer: true, qty: '0.01', quoteQty: '400', commission: '0', commissionAsset: 'USDT' }
+  ]);
+}
+
+function getChecks(result) {
+  return result.violations.map(violation => violation.check);
+}
+
+test('a sell of the whole base balance passes the default rules', async t => {
+  mockExchange(t);
+  const rules = preTradeChecks.getRules({});
+
+  const limit = await preTradeChecks.checkOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'LIMIT', quantity: '0.01', price: '51000' }, rules, SYMBOL_INFO);
+  const market = await preTradeChecks.checkOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'MARKET', quantity: '0.01' }, rules, SYMBOL_INFO);
+
+  assert.deepStrictEqual(getChecks(limit), []);
+  assert.deepStrictEqual(getChecks(market), []);
+});
+
+test('a buy of more than half the quote balance is refused by default', async t => {
+  mockExchange(t);
+  const rules = preTradeChecks.getRules({});
+
+  const result = await preTradeChecks.checkOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quoteOrderQty: '600' }, rules, SYMBOL_INFO);
+
+  assert.deepStrictEqual(getChecks(result), [preTradeChecks.CHECKS.BALANCE_SHARE]);
+  assert.strictEqual(result.violations[0].limit, 50);
+  assert.strictEqual(result.violations[0].value, 60);
+});
+
+test('maxSellShare limits the share of the base balance a sell sells', async t => {
+  mockExchange(t);
+  const rules = preTradeChecks.getRules({ maxSellShare: '50' });
+
+  const full = await preTradeChecks.checkOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'MARKET', quantity: '0.01' }, rules, SYMBOL_INFO);
+  const part = await preTradeChecks.checkOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'MARKET', quantity: '0.004' }, rules, SYMBOL_INFO);
+
+  assert.deepStrictEqual(getChecks(full), [preTradeChecks.CHECKS.SELL_SHARE]);
+  assert.deepStrictEqual(getChecks(part), []);
+});
+
+test('a limit price far from the last price is refused, a market order is not', async t => {
+  mockExchange(t);
+  const rules = preTradeChecks.getRules({});
+
+  const limit = await preTradeChecks.checkOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: '0.001', price: '5000' }, rules, SYMBOL_INFO);
+  const market = await preTradeChecks.checkOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: '0.001', price: '5000' }, rules, SYMBOL_INFO);
+
+  assert.deepStrictEqual(getChecks(limit), [preTradeChecks.CHECKS.PRICE_DEVIATION]);
+  assert.deepStrictEqual(getChecks(market), []);
+});
+
+test('a sell below the average cost is refused, unless it is a stop loss', async t => {
+  mockExchange(t, {
+    price: 30000,
+    trades: [
+      { time: 1, isBuyer: true, qty: '0.01', quoteQty: '400', commission: '0.4', commissionAsset: 'USDT' },
+      { time: 2, isBuyer: true, qty: '0.01', quoteQty: '600', commission: '0.00001', commissionAsset: 'BTC' },
+      { time: 3, isBuyer: false, qty: '0.01', quoteQty: '550', commission: '0', commissionAsset: 'USDT' }
+    ]
+  });
+  const rules = preTradeChecks.getRules({ maxPriceDeviation: 'off' });
+
+  const limit = await preTradeChecks.checkOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'LIMIT', quantity: '0.005', price: '30000' }, rules, SYMBOL_INFO);
+  const stop = await preTradeChecks.checkOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'STOP_LOSS_LIMIT', quantity: '0.005', price: '30000', stopPrice: '30000' }, rules, SYMBOL_INFO);
+
+  // 0.01999 BTC bought for 1000.4 USDT, 0.01 of it sold at the average cost
+  assert.ok(Math.abs(limit.costBasis.averageCost - 1000.4 / 0.01999) < 1e-6);
+  assert.ok(Math.abs(limit.costBasis.quantity - 0.00999) < 1e-12);
+  assert.deepStrictEqual(getChecks(limit), [preTradeChecks.CHECKS.COST_BASIS]);
+  assert.deepStrictEqual(getChecks(stop), []);
+});
+
+test('enforce refuses a broken rule unless it is overridden', async t => {
+  mockExchange(t);
+  t.mock.method(console, 'warn', () => {});
+  const order = { symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quoteOrderQty: '600' };
+
+  await assert.rejects(
+    preTradeChecks.enforce(order, {}, SYMBOL_INFO),
+    error => error instanceof preTradeChecks.PreTradeCheckError && /--override maxBalanceShare/.test(error.message)
+  );
+
+  const result = await preTradeChecks.enforce(order, { override: 'maxBalanceShare' }, SYMBOL_INFO);
+  assert.deepStrictEqual(result.overridden.map(violation => violation.check), [preTradeChecks.CHECKS.BALANCE_SHARE]);
+});
+
+test('off turns a rule off and an invalid value is refused', () => {
+  const rules = preTradeChecks.getRules({ maxBalanceShare: 'off', costBasis: 'off' });
+
+  assert.strictEqual(rules.maxBalanceShare, null);
+  assert.strictEqual(rules.costBasis, false);
+  assert.throws(() => preTradeChecks.getRules({ maxNotional: '-5' }), preTradeChecks.PreTradeCheckError);
+  assert.throws(() => preTradeChecks.parseOverrides('maxFoo'), preTradeChecks.PreTradeCheckError);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const rateLimiter = require('../rate-limiter');
+
+// Write the ban file with a modification time of its own
+function writeBan(until, mtime) {
+  fs.mkdirSync(path.dirname(rateLimiter.BAN_FILE), { recursive: true });
+  fs.writeFileSync(rateLimiter.BAN_FILE, JSON.stringify({ until, bannedAt: Date.now() }));
+  fs.utimesSync(rateLimiter.BAN_FILE, mtime, mtime);
+}
+
+test.afterEach(() => {
+  fs.rmSync(rateLimiter.BAN_FILE, { force: true });
+});
+
+test('each profile and API server has its own ban file', () => {
+  const mainnet = rateLimiter.getBanPath('mainnet', 'https://api.binance.com');
+  const testnet = rateLimiter.getBanPath('testnet', 'https://testnet.binance.vision');
+  const mock = rateLimiter.getBanPath('mock', 'http://localhost:8765');
+  const otherMock = rateLimiter.getBanPath('mock', 'http://127.0.0.1:9000');
+
+  assert.strictEqual(path.basename(mainnet), 'rate-limit-ban-mainnet-api.binance.com.json');
+  assert.strictEqual(path.basename(mock), 'rate-limit-ban-mock-localhost-8765.json');
+  assert.strictEqual(new Set([mainnet, testnet, mock, otherMock]).size, 4);
+});
+
+test('the ban file is parsed again only when it changes', t => {
+  const readFileSync = t.mock.method(fs, 'readFileSync');
+
+  writeBan(Date.now() - 1000, 1000);
+  assert.strictEqual(rateLimiter.isHalted(), false);
+  assert.strictEqual(rateLimiter.isHalted(), false);
+  assert.strictEqual(readFileSync.mock.callCount(), 1);
+
+  // Another process records a ban
+  const until = Date.now() + 60000;
+  writeBan(until, 2000);
+  assert.strictEqual(rateLimiter.isHalted(), true);
+  assert.strictEqual(readFileSync.mock.callCount(), 2);
+  assert.throws(() => rateLimiter.checkBan(), error => error instanceof rateLimiter.RateLimitError && error.halted && error.retryAt === until);
+});
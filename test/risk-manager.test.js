@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const client = require('../binance-client');
+const riskManager = require('../risk-manager');
+const { createAllocation } = require('../trading-supervisor');
+
+const PROFILE = 'test';
+
+function openTestRisk(botId, symbol) {
+  riskManager.clearRisk(botId, PROFILE);
+  return riskManager.openRisk({ botId, profile: PROFILE, symbol });
+}
+
+test('a buy of one supervised loop does not move the drawdown of another', async t => {
+  let price = 50000;
+  t.mock.method(client, 'getPrice', async () => price);
+  t.mock.method(console, 'error', () => {});
+  const settings = riskManager.getRiskSettings({ maxDrawdown: 10 });
+  const rulesA = { symbol: 'BTCUSDT', baseAsset: 'BTC', quoteAsset: 'USDT' };
+  const rulesB = { symbol: 'ETHUSDT', baseAsset: 'ETH', quoteAsset: 'USDT' };
+  const allocationA = createAllocation('BTCUSDT', 'USDT', 500);
+  const allocationB = createAllocation('ETHUSDT', 'USDT', 500);
+  const riskA = openTestRisk('test-risk-a', 'BTCUSDT');
+  const riskB = openTestRisk('test-risk-b', 'ETHUSDT');
+
+  t.after(() => {
+    riskManager.clearRisk(riskA.botId, PROFILE);
+    riskManager.clearRisk(riskB.botId, PROFILE);
+  });
+
+  await riskManager.checkCycle(riskA, settings, rulesA, allocationA);
+  await riskManager.checkCycle(riskB, settings, rulesB, allocationB);
+
+  // Loop A spends 200 of the shared quote balance on 0.004 BTC
+  allocationA.reserve(200);
+  allocationA.hold(0.004);
+
+  await riskManager.checkCycle(riskB, settings, rulesB, allocationB);
+  assert.strictEqual(riskB.equity, 500);
+  assert.strictEqual(riskB.equityPeak, 500);
+  assert.strictEqual(riskB.halted, null);
+
+  await riskManager.checkCycle(riskA, settings, rulesA, allocationA);
+  assert.strictEqual(riskA.equity, 500);
+  assert.strictEqual(riskA.halted, null);
+
+  // The position of loop A is valued at the current price: 0.004 BTC lose 20 at 45000
+  price = 45000;
+  await assert.rejects(riskManager.checkCycle(riskA, settings, rulesA, allocationA), riskManager.RiskLimitError);
+  assert.strictEqual(riskA.equity, 480);
+  assert.strictEqual(riskA.halted.limit, 'maxDrawdown');
+
+  await riskManager.checkCycle(riskB, settings, rulesB, allocationB);
+  assert.strictEqual(riskB.halted, null);
+});
+
+test('a loss in the allocation of a supervised loop is a drawdown', async t => {
+  const settings = riskManager.getRiskSettings({ maxDrawdown: 10 });
+  const rules = { symbol: 'BTCUSDT', baseAsset: 'BTC', quoteAsset: 'USDT' };
+  const allocation = createAllocation('BTCUSDT', 'USDT', 500);
+  const risk = openTestRisk('test-risk-loss', 'BTCUSDT');
+
+  t.after(() => riskManager.clearRisk(risk.botId, PROFILE));
+
+  t.mock.method(console, 'error', () => {});
+
+  await riskManager.checkCycle(risk, settings, rules, allocation);
+
+  // 0.002 BTC bought for 100, sold for 85 less 0.085 commission
+  allocation.reserve(100);
+  allocation.release(0);
+  allocation.hold(0.002);
+  allocation.recordTrade({
+    cycle: 1,
+    status: 'FILLED',
+    buyPrice: 50000,
+    buyCost: 100,
+    buyFee: 0.1,
+    quantity: '0.002',
+    sellValue: 85,
+    sellPrice: 42500,
+    sellCommission: { USDT: 0.085 },
+    sellFee: 0.085
+  });
+
+  assert.ok(Math.abs(allocation.available - 484.915) < 1e-9);
+  assert.strictEqual(allocation.inPosition, 0);
+  assert.strictEqual(allocation.stats.losses, 1);
+
+  await assert.rejects(riskManager.checkCycle(risk, settings, rules, allocation), riskManager.RiskLimitError);
+  assert.ok(Math.abs(risk.equity - 484.915) < 1e-9);
+  assert.strictEqual(risk.halted.limit, 'maxDrawdown');
+});
+
+test('a sell partly filled before the position was held counts as a realized loss', t => {
+  const risk = openTestRisk('test-risk-partial', 'BTCUSDT');
+
+  t.after(() => riskManager.clearRisk(risk.botId, PROFILE));
+
+  // 0.0004 BTC bought for 20 USDT, half of it sold at 45000 before the sell was cancelled
+  const profit = riskManager.recordTrade(risk, {
+    cycle: 1,
+    status: 'CANCELED',
+    cancelReason: 'PRICE_DROP',
+    buyPrice: 50000,
+    buyCost: 20,
+    buyFee: 0.02,
+    quantity: '0.0004',
+    soldQuantity: 0.0002,
+    sellValue: 9,
+    sellPrice: 45000,
+    sellFee: 0.009
+  });
+
+  assert.ok(Math.abs(profit - -1.019) < 1e-9);
+  assert.strictEqual(risk.dailyRealized, profit);
+  assert.strictEqual(risk.consecutiveLosses, 1);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const client = require('../binance-client');
+const symbolRules = require('../symbol-rules');
+
+const RULES = symbolRules.parseRules({
+  symbol: 'BTCUSDT',
+  status: 'TRADING',
+  baseAsset: 'BTC',
+  quoteAsset: 'USDT',
+  quoteAssetPrecision: 8,
+  filters: [
+    { filterType: 'PRICE_FILTER', minPrice: '0.01000000', maxPrice: '1000000.00000000', tickSize: '0.01000000' },
+    { filterType: 'LOT_SIZE', minQty: '0.00001000', maxQty: '9000.00000000', stepSize: '0.00001000' },
+    { filterType: 'MARKET_LOT_SIZE', minQty: '0.00000000', maxQty: '100.00000000', stepSize: '0.00000000' },
+    { filterType: 'NOTIONAL', minNotional: '5.00000000', applyMinToMarket: true, maxNotional: '9000000.00000000', applyMaxToMarket: false },
+    { filterType: 'PERCENT_PRICE_BY_SIDE', bidMultiplierUp: '5', bidMultiplierDown: '0.2', askMultiplierUp: '5', askMultiplierDown: '0.2' }
+  ]
+});
+
+function getFilters(violations) {
+  return violations.map(violation => violation.filter);
+}
+
+test('the filters of exchangeInfo are parsed into rules', () => {
+  assert.strictEqual(RULES.tickSize, '0.01000000');
+  assert.strictEqual(RULES.minQty, 0.00001);
+  assert.strictEqual(RULES.marketMaxQty, 100);
+  assert.strictEqual(RULES.minNotional, 5);
+  assert.strictEqual(RULES.applyMinToMarket, true);
+  assert.strictEqual(RULES.percentPriceBySide.askMultiplierDown, 0.2);
+  assert.strictEqual(RULES.percentPrice, null);
+});
+
+test('prices are rounded to the tick in the requested direction', () => {
+  assert.strictEqual(symbolRules.roundPrice(RULES, '50000.123'), '50000.12');
+  assert.strictEqual(symbolRules.roundPrice(RULES, '50000.125', 'floor'), '50000.12');
+  assert.strictEqual(symbolRules.roundPrice(RULES, '50000.121', 'ceil'), '50000.13');
+  assert.strictEqual(symbolRules.roundPrice(RULES, 0.3, 'ceil'), '0.30');
+  assert.strictEqual(symbolRules.roundPrice({ tickSize: '0' }, '1.123456789'), '1.12345679');
+});
+
+test('quantities are rounded down to the step, of the market lot size for market orders', () => {
+  assert.strictEqual(symbolRules.roundQuantity(RULES, '0.0012345'), '0.00123');
+  assert.strictEqual(symbolRules.roundQuantity(RULES, 0.1 + 0.2), '0.30000');
+  assert.strictEqual(symbolRules.roundQuantity(RULES, '0.0012345', { mode: 'ceil' }), '0.00124');
+  assert.strictEqual(symbolRules.roundQuantity({ ...RULES, marketStepSize: '0.001' }, '0.0012345', { market: true }), '0.001');
+  assert.strictEqual(symbolRules.roundQuantity(RULES, '0.0012345', { market: true }), '0.00123');
+});
+
+test('quote amounts are rounded down to the quote precision', () => {
+  assert.strictEqual(symbolRules.roundQuoteAmount(RULES, '10.123456789'), '10.12345678');
+  assert.strictEqual(symbolRules.roundQuoteAmount({ quotePrecision: 2 }, 25), '25');
+  assert.strictEqual(symbolRules.roundQuoteAmount({ quotePrecision: 2 }, '25.109'), '25.1');
+});
+
+test('the minimum quantity meets minQty and minNotional', () => {
+  assert.strictEqual(symbolRules.getMinQuantity(RULES, 50000), '0.00010');
+  assert.strictEqual(symbolRules.getMinQuantity(RULES, 30000, 1.01), '0.00017');
+  assert.strictEqual(symbolRules.getMinQuantity(RULES, 10000000), '0.00001');
+});
+
+test('an order breaking a filter gets a violation for each filter', () => {
+  assert.deepStrictEqual(symbolRules.checkOrder(RULES, { side: 'BUY', type: 'LIMIT', price: '50000.00', quantity: '0.00100' }, 50000), []);
+  assert.deepStrictEqual(getFilters(symbolRules.checkOrder(RULES, { side: 'BUY', type: 'LIMIT', price: '50000.005', quantity: '0.000015' }, 50000)), ['PRICE_FILTER', 'LOT_SIZE', 'NOTIONAL']);
+  assert.deepStrictEqual(getFilters(symbolRules.checkOrder(RULES, { side: 'SELL', type: 'LIMIT', price: '5000.00', quantity: '0.01000' }, 50000)), ['PERCENT_PRICE_BY_SIDE']);
+  assert.deepStrictEqual(getFilters(symbolRules.checkOrder(RULES, { side: 'SELL', type: 'MARKET', quantity: '0.00005' }, 50000)), ['NOTIONAL']);
+  assert.deepStrictEqual(getFilters(symbolRules.checkOrder({ ...RULES, status: 'BREAK' }, { side: 'BUY', type: 'MARKET', quoteOrderQty: '10' })), ['STATUS']);
+});
+
+test('prepareOrder rounds an order and refuses one that breaks a filter', async t => {
+  t.mock.method(client, 'getAvgPrice', async () => 50000);
+
+  const order = await symbolRules.prepareOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', price: '49999.999', quantity: '0.0012345' }, { rules: RULES });
+
+  assert.strictEqual(order.price, '50000.00');
+  assert.strictEqual(order.quantity, '0.00123');
+  await assert.rejects(
+    symbolRules.prepareOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'MARKET', quantity: '0.00005' }, { rules: RULES }),
+    error => error instanceof symbolRules.SymbolRuleError && error.filter === 'NOTIONAL'
+  );
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const client = require('../binance-client');
+const riskManager = require('../risk-manager');
+const stateJournal = require('../state-journal');
+const { parseRules } = require('../symbol-rules');
+const { createAllocation } = require('../trading-supervisor');
+const { getExitSettings, resumeCycle } = require('../trading-loop');
+
+const RULES = parseRules({
+  symbol: 'BTCUSDT',
+  baseAsset: 'BTC',
+  quoteAsset: 'USDT',
+  filters: [
+    { filterType: 'PRICE_FILTER', minPrice: '0.01', maxPrice: '1000000', tickSize: '0.01' },
+    { filterType: 'LOT_SIZE', minQty: '0.00001', maxQty: '9000', stepSize: '0.00001' },
+    { filterType: 'NOTIONAL', minNotional: '5' }
+  ]
+});
+
+const SELL_ORDER = {
+  symbol: 'BTCUSDT',
+  orderId: 11,
+  orderListId: -1,
+  side: 'SELL',
+  type: 'LIMIT',
+  price: '50500.00',
+  origQty: '0.00100'
+};
+
+function near(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+// Journal of a cycle that bought 0.001 BTC for 50 USDT and had its sell open when the loop stopped
+function createJournal() {
+  const { profit, stopLoss, trailingStop } = getExitSettings({ profitPercent: '1' }, RULES);
+
+  return {
+    botId: 'test-resume',
+    profile: 'test',
+    symbol: 'BTCUSDT',
+    baseAsset: 'BTC',
+    cycle: 3,
+    phase: stateJournal.PHASES.SELL_OPEN,
+    settings: { strategy: 'default', profit, stopLoss, trailingStop },
+    tradeData: { symbol: 'BTCUSDT', cycle: 3, buyAmount: 50 },
+    buy: { orderId: 10, price: 50000, quantity: 0.001, cost: 50, commission: { USDT: 0.05 }, fee: 0.05 },
+    sell: { clientOrderId: 'bgbot_testresume_3s', orderId: 11, oco: false, price: '50500.00', quantity: '0.00100' }
+  };
+}
+
+// The exchange knows the sell order of the journal and its trades
+function mockExchange(t, order, baseBalance) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(client, 'getOrder', async () => order);
+  t.mock.method(client, 'getAccount', async () => ({
+    balances: [{ asset: 'BTC', free: String(baseBalance), locked: '0' }]
+  }));
+  t.mock.method(client, 'getMyTrades', async (symbol, { orderId }) => orderId === order.orderId ? [
+    { orderId, price: '50500.00', qty: order.executedQty, quoteQty: order.cummulativeQuoteQty, commission: String(parseFloat(order.cummulativeQuoteQty) * 0.001), commissionAsset: 'USDT' }
+  ] : []);
+}
+
+test('a resumed cycle keeps what a cancelled sell sold when the rest is held', async t => {
+  // All but 0.00001 BTC was sold before the sell was cancelled, the rest is below the minimum order value
+  mockExchange(t, { ...SELL_ORDER, status: 'CANCELED', executedQty: '0.00099', cummulativeQuoteQty: '49.995' }, 0.00001);
+  const allocation = createAllocation('BTCUSDT', 'USDT', 100);
+  const risk = riskManager.openRisk({ botId: 'test-resume', profile: 'test', symbol: 'BTCUSDT' });
+
+  t.after(() => riskManager.clearRisk(risk.botId, 'test'));
+  allocation.reserve(50);
+  allocation.release(0);
+  allocation.hold(0.001);
+
+  const trade = await resumeCycle(createJournal(), RULES, { enabled: false });
+
+  assert.strictEqual(trade.status, 'CANCELED');
+  assert.strictEqual(trade.resumed, true);
+  near(trade.soldQuantity, 0.00099);
+  near(trade.sellValue, 49.995);
+  near(trade.sellPrice, 50500);
+  near(trade.sellFee, 0.049995);
+
+  // 0.00099 BTC bought for 49.5 + 0.0495 fee, sold for 49.995 - 0.049995 fee
+  const profit = riskManager.recordTrade(risk, trade);
+  allocation.recordTrade(trade);
+
+  near(profit, 0.395505);
+  assert.strictEqual(risk.dailyRealized, profit);
+  near(allocation.available, 50 + 49.995 - 0.049995);
+  near(allocation.inPosition, 0.5);
+  near(allocation.quantity, 0.00001);
+  near(allocation.stats.netProfit, profit);
+});
+
+test('a resumed cycle whose sell was filled while the loop was stopped is completed', async t => {
+  mockExchange(t, { ...SELL_ORDER, status: 'FILLED', executedQty: '0.00100', cummulativeQuoteQty: '50.5' }, 0);
+
+  const trade = await resumeCycle(createJournal(), RULES, { enabled: false });
+
+  assert.strictEqual(trade.status, 'FILLED');
+  assert.strictEqual(trade.orderId, 11);
+  assert.strictEqual(trade.soldQuantity, undefined);
+  near(trade.sellValue, 50.5);
+  near(trade.sellFee, 0.0505);
+});
+
+test('a cycle whose remainder is too small to sell and sold nothing is not recorded', async t => {
+  // The sell order was never placed and only dust is left in the balance
+  const journal = { ...createJournal(), phase: stateJournal.PHASES.BOUGHT, sell: null };
+  mockExchange(t, { ...SELL_ORDER, status: 'NEW', executedQty: '0', cummulativeQuoteQty: '0' }, 0.00001);
+
+  assert.strictEqual(await resumeCycle(journal, RULES, { enabled: false }), null);
+});
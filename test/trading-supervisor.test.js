@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAllocation } = require('../trading-supervisor');
+
+// 0.0004 BTC bought for 20 USDT with 0.02 USDT commission
+function buyPosition() {
+  const allocation = createAllocation('BTCUSDT', 'USDT', 100);
+
+  allocation.reserve(20);
+  allocation.release(0);
+  allocation.hold(0.0004);
+  return allocation;
+}
+
+const BUY = { buyPrice: 50000, buyCost: 20, buyFee: 0.02, quantity: '0.0004' };
+
+function near(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('a filled sell returns its proceeds less the commission and closes the position', () => {
+  const allocation = buyPosition();
+
+  allocation.recordTrade({ ...BUY, cycle: 1, status: 'FILLED', sellValue: 20.4, sellPrice: 51000, sellCommission: { USDT: 0.0204 }, sellFee: 0.0204 });
+
+  near(allocation.available, 80 + 20.4 - 0.0204);
+  assert.strictEqual(allocation.inPosition, 0);
+  assert.strictEqual(allocation.quantity, 0);
+  assert.strictEqual(allocation.stats.filled, 1);
+  near(allocation.stats.netProfit, 20.4 - 0.0204 - 20 - 0.02);
+});
+
+test('a sell partly filled before the position was held returns what it sold', () => {
+  const allocation = buyPosition();
+
+  // Half sold at 45000, the sell cancelled on a price drop and the rest held
+  allocation.recordTrade({ ...BUY, cycle: 1, status: 'CANCELED', cancelReason: 'PRICE_DROP', soldQuantity: 0.0002, sellValue: 9, sellPrice: 45000, sellCommission: { USDT: 0.009 }, sellFee: 0.009 });
+
+  near(allocation.available, 80 + 9 - 0.009);
+  near(allocation.inPosition, 10);
+  near(allocation.quantity, 0.0002);
+  assert.strictEqual(allocation.stats.filled, 0);
+  assert.strictEqual(allocation.stats.losses, 1);
+  near(allocation.stats.netProfit, 9 - 0.009 - 10 - 0.01);
+});
+
+test('a held position without a fill stays in position', () => {
+  const allocation = buyPosition();
+
+  allocation.recordTrade({ ...BUY, cycle: 1, status: 'CANCELED', cancelReason: 'PRICE_DROP', sellPrice: '52500.00' });
+
+  assert.strictEqual(allocation.available, 80);
+  assert.strictEqual(allocation.inPosition, 20);
+  assert.strictEqual(allocation.quantity, 0.0004);
+  assert.strictEqual(allocation.stats.cycles, 1);
+  assert.strictEqual(allocation.stats.netProfit, 0);
+});
+
+test('a buy beyond the allocation is refused', () => {
+  const allocation = createAllocation('BTCUSDT', 'USDT', 100);
+
+  allocation.reserve(60);
+  assert.throws(() => allocation.reserve(50), /allocation has 40\.00000000 USDT left/);
+});
@@ -0,0 +1,118 @@
+/**
+ * Time Sync
+ *
+ * This module keeps track of the difference between the local clock and the
+ * Binance server clock. Signed requests use getTimestamp() instead of
+ * Date.now(), so a drifting local clock does not cause -1021 "outside of the
+ * recvWindow" errors.
+ */
+
+const log = require('./logger').getLogger('time-sync');
+
+// Resync the offset at least this often (30 minutes)
+const DEFAULT_SYNC_INTERVAL = 30 * 60 * 1000;
+
+// Current synchronization state
+const state = {
+  offset: 0,
+  roundTrip: null,
+  serverTime: null,
+  lastSync: 0,
+  syncCount: 0,
+  lastError: null
+};
+
+// Sync in progress, shared by concurrent callers
+let pendingSync = null;
+
+/**
+ * Measure the clock offset against the server
+ * @param {Function} fetchServerTime - Async function returning the server time in milliseconds
+ * @returns {Promise<Object>} - Synchronization state after the sync
+ */
+async function sync(fetchServerTime) {
+  if (pendingSync) {
+    return pendingSync;
+  }
+
+  pendingSync = (async () => {
+    try {
+      const sentAt = Date.now();
+      const serverTime = await fetchServerTime();
+      const receivedAt = Date.now();
+
+      // Assume the server read its clock halfway through the round trip
+      state.roundTrip = receivedAt - sentAt;
+      state.offset = Math.round(serverTime - (sentAt + state.roundTrip / 2));
+      state.serverTime = serverTime;
+      state.lastSync = receivedAt;
+      state.syncCount++;
+      state.lastError = null;
+
+      log.debug('Clock synced', { offset: state.offset, roundTrip: state.roundTrip });
+      return getState();
+    } catch (error) {
+      state.lastError = error.message;
+      throw error;
+    } finally {
+      pendingSync = null;
+    }
+  })();
+
+  return pendingSync;
+}
+
+/**
+ * Check whether the offset should be measured again
+ * @param {number} interval - Maximum age of the offset in milliseconds
+ * @returns {boolean} - True if the offset was never measured or is too old
+ */
+function needsSync(interval = DEFAULT_SYNC_INTERVAL) {
+  return state.lastSync === 0 || Date.now() - state.lastSync > interval;
+}
+
+/**
+ * Get the current time on the server clock
+ * @returns {number} - Timestamp in milliseconds
+ */
+function getTimestamp() {
+  return Date.now() + state.offset;
+}
+
+/**
+ * Get the current clock offset
+ * @returns {number} - Server time minus local time in milliseconds
+ */
+function getOffset() {
+  return state.offset;
+}
+
+/**
+ * Get a copy of the synchronization state
+ * @returns {Object} - { offset, roundTrip, serverTime, lastSync, syncCount, lastError }
+ */
+function getState() {
+  return { ...state };
+}
+
+/**
+ * Forget the measured offset (used when switching servers)
+ */
+function reset() {
+  state.offset = 0;
+  state.roundTrip = null;
+  state.serverTime = null;
+  state.lastSync = 0;
+  state.syncCount = 0;
+  state.lastError = null;
+}
+
+module.exports = {
+  DEFAULT_SYNC_INTERVAL,
+  sync,
+  needsSync,
+  getTimestamp,
+  getOffset,
+  getState,
+  reset
+};
@@ -14,11 +14,53 @@
  *   node trading-loop.js --buyAmount 10 --profit 0.001 --cycles 3
  *   node trading-loop.js --symbol ETHUSDT --buyAmount 20 --profitPercent 1.5 --stopLoss 0.5
  *   node trading-loop.js --config trading-config.json
+ *   node trading-loop.js --grid --symbol BTCUSDT --lower 45000 --upper 55000 --levels 11 --quantity 0.0002
+ *
+ * With --grid the loop runs the grid strategy of grid-trading.js instead of
+ * buy and sell cycles.
  */
 
-const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const client = require('./binance-client');
+const { getAccountInfo } = require('./account-info');
+const { createMarketBuyOrder, summarizeFills, displayOrder: displayBuyOrder } = require('./market-buy');
+const { getCurrentPrice } = require('./market-price');
+const { getOrder } = require('./order');
+const { cancelOrder } = require('./order-cancel');
+const { createOrder, simulateOrder, displayOrder, createOcoOrder, simulateOcoOrder, displayOrderList, describeTrailingStop } = require('./order-trade');
+const { monitorOrderStatus, monitorOrderList } = require('./order-monitor');
+const { runSimulation, displaySimulation } = require('./order-simulation');
+const output = require('./output');
+const logger = require('./logger');
+const { getSymbolRules, roundPrice, roundQuantity, roundQuoteAmount, getMinQuantity, percentToBips, bipsToPercent, checkTrailingDelta } = require('./symbol-rules');
+const stateJournal = require('./state-journal');
+const strategies = require('./strategies');
+const entryConditions = require('./entry-conditions');
+const riskManager = require('./risk-manager');
+const positionSizing = require('./position-sizing');
+const panic = require('./panic');
+const fees = require('./fees');
+// The price calculations moved to the default strategy; they stay exported from here for existing callers
+const { DEFAULT_STOP_LIMIT_OFFSET, calculateProfitPrice, calculateStopLossPrice, calculateStopLimitPrice } = require('./strategies/default');
+const { getRunSettings, runGrid } = require('./grid-trading');
+const { profile } = require('./config');
+
+const log = logger.getLogger('trading-loop');
+
+// Entry order types: a market buy, or a limit buy resting below the best bid
+const ENTRY_TYPES = { market: 'MARKET', limit: 'LIMIT', maker: 'LIMIT_MAKER', limit_maker: 'LIMIT_MAKER' };
+
+// Milliseconds between two checks of a limit entry order
+const ENTRY_CHECK_INTERVAL = 2000;
+
+// What happens to the position after its sell order was cancelled on a price drop
+const PRICE_DROP_ACTIONS = {
+  REPRICE: 'reprice',     // New take profit computed from the current price
+  BREAKEVEN: 'breakeven', // Sell at the buy price plus both trading fees
+  MARKET: 'market',       // Sell at the market
+  HOLD: 'hold'            // Keep the coins without a sell order and alert
+};
 
 // Parse command line arguments
 function parseArgs() {
@@ -56,166 +98,221 @@ function saveConfig(config, configPath) {
   }
 }
 
-// Execute a command and return its output as a promise
-function executeCommand(command, args = [], cwd = process.cwd()) {
-  return new Promise((resolve, reject) => {
-    console.log(`\n> Executing: ${command} ${args.join(' ')}`);
-    console.log('-'.repeat(50));
-    
-    const childProcess = spawn(command, args, {
-      cwd,
-      stdio: ['inherit', 'pipe', 'pipe']
-    });
-    
-    let stdout = '';
-    let stderr = '';
-    
-    childProcess.stdout.on('data', (data) => {
-      const output = data.toString();
-      stdout += output;
-      process.stdout.write(output);
-    });
-    
-    childProcess.stderr.on('data', (data) => {
-      const output = data.toString();
-      stderr += output;
-      process.stderr.write(output);
-    });
-    
-    childProcess.on('close', (code) => {
-      if (code === 0) {
-        resolve({ stdout, stderr, code });
-      } else {
-        reject(new Error(`Command failed with code ${code}: ${stderr}`));
-      }
-    });
+// Get free balances for all assets in the account
+// A loop run by the supervisor only sees the part of the quote balance left in its allocation
+async function getFreeBalances(allocation = null) {
+  const account = await getAccountInfo();
+  const balances = {};
+  
+  account.balances.forEach(balance => {
+    balances[balance.asset] = parseFloat(balance.free);
   });
-}
-
-// Extract order ID from order output
-function extractOrderId(output) {
-  const match = output.match(/Order ID:\s+(\d+)/);
-  return match ? match[1] : null;
-}
-
-// Helper function to extract fill information from market-buy.js output
-function extractFillInfo(output) {
-  const quantityMatch = output.match(/Total Quantity:\s+([0-9.]+)/);
-  const priceMatch = output.match(/Average Price:\s+([0-9.]+)/);
-  const costMatch = output.match(/Total Cost:\s+([0-9.]+)/);
   
-  return {
-    quantity: quantityMatch ? quantityMatch[1] : null,
-    price: priceMatch ? priceMatch[1] : null,
-    cost: costMatch ? costMatch[1] : null
-  };
+  if (allocation && balances[allocation.quoteAsset] !== undefined) {
+    balances[allocation.quoteAsset] = Math.min(balances[allocation.quoteAsset], allocation.available);
+  }
+  
+  return balances;
 }
 
-// Extract quantity from market buy output
-function extractBuyQuantity(output) {
-  // Look for the Total Quantity line in the Summary section
-  const match = output.match(/Total Quantity:\s+([\d.]+)/);
-  if (match) {
-    // Round to 5 decimal places to avoid precision errors
-    return parseFloat(match[1]).toFixed(5);
+// Execute a market buy (or simulate it in dry run mode) and summarize its fills
+// With an allocation the amount is reserved before the order is sent and what was not spent is given back
+async function executeMarketBuy(symbol, amount, baseCurrency, dryRun, clientOrderId = null, allocation = null) {
+  const reserved = allocation && !dryRun ? allocation.reserve(amount) : 0;
+  let order;
+  
+  try {
+    if (dryRun) {
+      console.log('[DRY RUN] Would execute market buy');
+      order = await simulateOrder({ symbol, side: 'BUY', type: 'MARKET', quoteOrderQty: amount.toString() });
+    } else {
+      order = await createMarketBuyOrder({ symbol, quoteOrderQty: amount.toString(), newClientOrderId: clientOrderId });
+    }
+  } catch (error) {
+    if (reserved) {
+      allocation.release(reserved);
+    }
+    throw error;
+  }
+  
+  displayBuyOrder(order);
+  
+  const fill = summarizeFills(order, baseCurrency);
+  if (reserved) {
+    allocation.release(Math.max(reserved - fill.cost, 0));
+    allocation.hold(fill.netQuantity);
+  }
+  
+  if (fill.quantity <= 0) {
+    throw new Error(`Market buy order ${order.orderId} was not filled (status: ${order.status})`);
   }
   
-  // Fallback: look for the Executed line
-  const fallbackMatch = output.match(/Executed:\s+([\d.]+)/);
-  return fallbackMatch ? parseFloat(fallbackMatch[1]).toFixed(5) : null;
+  return { order, fill };
 }
 
-// Extract average price from market buy output
-function extractBuyPrice(output) {
-  const match = output.match(/Average Price:\s+([\d.]+)/);
-  if (match) {
-    return match[1];
+// Cancel an unfilled limit entry order and get its final state (it may have been filled in the meantime)
+async function cancelEntryOrder(symbol, orderId) {
+  try {
+    await client.cancelOrder(symbol, orderId);
+  } catch (error) {
+    // -2011: the order was filled or cancelled in the meantime
+    if (error.code !== -2011) {
+      throw error;
+    }
   }
-  return null;
+  
+  return client.getOrder(symbol, orderId);
 }
 
-// Calculate profit target price based on buy price and profit settings
-function calculateProfitPrice(buyPrice, profitSettings, quantity = null) {
-  const price = parseFloat(buyPrice);
-  
-  // Trading fee on Binance is 0.1% per trade (0.1% for buy, 0.1% for sell)
-  // We need to account for both fees to ensure we don't lose money
-  const buyFeeRate = 0.001; // 0.1% for buy
-  const sellFeeRate = 0.001; // 0.1% for sell
-  const totalFeeRate = buyFeeRate + sellFeeRate; // 0.2% total
-  
-  // Calculate the minimum profit needed to break even after fees
-  // For a profitable trade, we need: sell_amount > buy_amount + fees
-  if (profitSettings.type === 'fixed') {
-    // Fixed profit amount in quote currency
-    if (quantity) {
-      const quantityNum = parseFloat(quantity);
-      
-      // Calculate buy cost including fee
-      const buyCost = price * quantityNum;
-      const buyFee = buyCost * buyFeeRate;
-      
-      // Calculate the target profit (user-specified amount)
-      const targetProfit = parseFloat(profitSettings.value);
-      
-      // Calculate the sell price needed to achieve target profit after fees
-      // Formula: sell_price = (buy_cost + buy_fee + target_profit) / (quantity * (1 - sell_fee_rate))
-      const sellPrice = (buyCost + buyFee + targetProfit) / (quantityNum * (1 - sellFeeRate));
-      
-      // Ensure the sell price is at least 1.5% higher than buy price to guarantee profit
-      const minProfitablePrice = price * 1.015;
-      
-      // Cap the maximum sell price to prevent unrealistic values
-      // Limit to 5% profit for very small quantities to ensure orders can be filled
-      const maxProfitablePrice = price * 1.05;
-      
-      // Use the price that's between min and max profitable prices
-      return Math.min(Math.max(sellPrice, minProfitablePrice), maxProfitablePrice).toFixed(2);
-    } else {
-      // Fallback when quantity is not provided
-      // Add a minimum 1.5% to price plus the fixed profit amount
-      const minProfitPercentage = 0.015; // 1.5% minimum profit
-      return (price * (1 + minProfitPercentage + totalFeeRate) + parseFloat(profitSettings.value)).toFixed(2);
+// Execute a LIMIT or LIMIT_MAKER buy at --entryOffset percent below the best bid (or at the strategy's price)
+// An order not filled within --entryTimeout seconds is cancelled and placed again at the new bid, up to
+// --entryReprices times; a partial fill is kept as the position. Returns null when the entry is abandoned.
+async function executeLimitBuy(symbol, entry, entrySettings, rules, dryRun, journalInfo, allocation = null) {
+  const { journal, bot, cycle } = journalInfo;
+  const attempts = entrySettings.reprices + 1;
+  
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    // A panic cancels the resting buy; it must not be placed again
+    panic.assertNoPanic(symbol, bot.botId);
+    
+    const bid = parseFloat((await client.getDepth(symbol, 5)).bids[0][0]);
+    const price = attempt === 1 && entry.price ? entry.price : roundPrice(rules, bid * (1 - parseFloat(entrySettings.offset) / 100), 'floor');
+    const quantity = roundQuantity(rules, parseFloat(entry.quoteOrderQty) / parseFloat(price));
+    const orderValue = parseFloat(quantity) * parseFloat(price);
+    
+    if (orderValue < rules.minNotional) {
+      throw new Error(`Limit buy of ${quantity} at ${price} (${orderValue.toFixed(8)}) is below the minimum order value of ${rules.minNotional}`);
     }
-  } else if (profitSettings.type === 'percent') {
-    // Percentage profit
-    const profitPercent = parseFloat(profitSettings.value) / 100;
     
-    // Ensure minimum profit percentage is at least 1.5% plus fees
-    const minProfitPercentage = 0.015; // 1.5% minimum profit
-    const maxProfitPercentage = 0.05; // 5% maximum profit to ensure orders can be filled
-    const effectiveProfit = Math.min(Math.max(profitPercent, minProfitPercentage), maxProfitPercentage);
+    console.log(`Placing ${entry.type} buy of ${quantity} at ${price} (best bid ${bid}, attempt ${attempt} of ${attempts})`);
+    
+    if (dryRun) {
+      console.log('[DRY RUN] Would wait for the limit buy to fill, assuming it fills at its price');
+      const order = await simulateOrder({ symbol, side: 'BUY', type: entry.type, price, quantity });
+      return { order, fill: summarizeFills(order, rules.baseAsset) };
+    }
+    
+    const clientOrderId = journal ? stateJournal.createClientOrderId(bot.botId, cycle, 'b') : null;
+    if (journal) {
+      stateJournal.update(journal, { phase: stateJournal.PHASES.BUYING, buy: { clientOrderId } });
+    }
     
-    // Calculate sell price with adjusted profit percentage
-    // Formula: sell_price = buy_price * (1 + effective_profit) / (1 - sell_fee_rate)
-    const sellPrice = price * (1 + effectiveProfit + buyFeeRate) / (1 - sellFeeRate);
+    const reserved = allocation ? allocation.reserve(orderValue) : 0;
+    let order;
     
-    return sellPrice.toFixed(2);
+    try {
+      order = await createOrder({ symbol, side: 'BUY', type: entry.type, price, quantity, newClientOrderId: clientOrderId });
+    } catch (error) {
+      if (reserved) {
+        allocation.release(reserved);
+      }
+      
+      // -2010: a LIMIT_MAKER buy at or above the best ask would trade immediately, the bid moved
+      if (error.code === -2010 && entry.type === 'LIMIT_MAKER' && attempt < attempts) {
+        console.log(`LIMIT_MAKER buy at ${price} would trade immediately, pricing it again`);
+        continue;
+      }
+      throw error;
+    }
+    
+    log.info('Limit buy placed', { cycle, orderId: order.orderId, type: entry.type, price, quantity, bid, attempt });
+    
+    const deadline = Date.now() + entrySettings.timeout * 1000;
+    while (order.status !== 'FILLED' && Date.now() < deadline && ['NEW', 'PARTIALLY_FILLED'].includes(order.status)) {
+      await new Promise(resolve => setTimeout(resolve, ENTRY_CHECK_INTERVAL));
+      order = await client.getOrder(symbol, order.orderId);
+    }
+    
+    if (['NEW', 'PARTIALLY_FILLED'].includes(order.status)) {
+      console.log(`Limit buy ${order.orderId} not filled within ${entrySettings.timeout} seconds, cancelling it`);
+      order = await cancelEntryOrder(symbol, order.orderId);
+    }
+    
+    if (parseFloat(order.executedQty) > 0) {
+      // The order query has no commission, the trades of the order have it
+      order = { ...order, fills: await client.getMyTrades(symbol, { orderId: order.orderId }) };
+      const fill = summarizeFills(order, rules.baseAsset);
+      
+      if (reserved) {
+        allocation.release(Math.max(reserved - fill.cost, 0));
+        allocation.hold(fill.netQuantity);
+      }
+      
+      if (order.status !== 'FILLED') {
+        console.log(`Limit buy ${order.orderId} was partially filled (${order.executedQty} of ${order.origQty}), keeping the partial fill`);
+      }
+      
+      return { order, fill };
+    }
+    
+    if (reserved) {
+      allocation.release(reserved);
+    }
+    log.info('Limit buy not filled', { cycle, orderId: order.orderId, status: order.status, attempt });
   }
   
-  // Default fallback - ensure at least 1.5% profit plus fees
-  const minProfitPercentage = 0.015; // 1.5% minimum profit
-  return (price * (1 + minProfitPercentage + totalFeeRate)).toFixed(2);
+  return null;
 }
 
-// Calculate stop loss price based on buy price and stop loss settings
-function calculateStopLossPrice(buyPrice, stopLossSettings) {
-  if (!stopLossSettings.enabled) {
-    return null;
+// Build the sell order of a strategy's exit: a limit sell, or an OCO order list
+// (LIMIT_MAKER take profit plus STOP_LOSS_LIMIT) when the exit has a stop price
+// With a trailingDelta the stop leg is a STOP_LOSS that trails the price from the moment it is placed
+function buildSellParams(symbol, quantity, exit) {
+  const { price, stopPrice, stopLimitPrice, trailingDelta } = exit;
+  
+  if (!stopPrice && !trailingDelta) {
+    return { symbol, side: 'SELL', type: 'LIMIT', quantity, price };
   }
   
-  const price = parseFloat(buyPrice);
+  const params = { symbol, side: 'SELL', type: 'OCO', quantity, price };
+  if (stopPrice) {
+    params.stopPrice = stopPrice;
+  }
+  if (stopLimitPrice) {
+    params.stopLimitPrice = stopLimitPrice;
+  }
+  if (trailingDelta) {
+    params.trailingDelta = trailingDelta;
+  }
+  
+  return params;
+}
+
+// Check whether an exit is an order list (OCO) rather than a single order
+function isOrderList(order) {
+  return Array.isArray(order.orders);
+}
+
+// Display a sell order or OCO order list
+function displaySellOrder(order) {
+  if (isOrderList(order)) {
+    displayOrderList(order);
+  } else {
+    displayOrder(order);
+  }
+}
+
+// Name the leg of an OCO exit an order belongs to
+function getExitLeg(order) {
+  if (order.type === 'LIMIT_MAKER') {
+    return 'TAKE_PROFIT';
+  }
+  return order.trailingDelta ? 'TRAILING_STOP' : 'STOP_LOSS';
+}
+
+// Report where the trailing stop leg of an exit starts trailing and where it triggers
+// Returns the description from order-trade's describeTrailingStop, or null without a trailing leg
+async function reportTrailingStop(symbol, sellOrder, rules) {
+  const stopLeg = isOrderList(sellOrder) ? (sellOrder.orderReports || []).find(order => order.trailingDelta) : null;
   
-  if (stopLossSettings.type === 'fixed') {
-    // Fixed loss amount in quote currency
-    return (price - parseFloat(stopLossSettings.value)).toFixed(2);
-  } else if (stopLossSettings.type === 'percent') {
-    // Percentage loss
-    const lossPercent = parseFloat(stopLossSettings.value) / 100;
-    return (price * (1 - lossPercent)).toFixed(2);
+  if (!stopLeg) {
+    return null;
   }
   
-  return null;
+  const trailingStop = describeTrailingStop(stopLeg, await getCurrentPrice(symbol), rules);
+  console.log(`Trailing stop: ${trailingStop.trailingPercent}% (${trailingStop.trailingDelta} BIPS), activation at ${trailingStop.activationPrice}, trigger at ${trailingStop.triggerPrice} (rises with the price)`);
+  
+  return trailingStop;
 }
 
 // Monitor order with price tracking to detect significant price drops
@@ -224,112 +321,414 @@ async function monitorOrderWithPriceTracking(symbol, orderId, buyPrice, priceDro
   
   let highestPrice = buyPrice;
   let currentPrice = buyPrice;
-  let orderStatus = 'NEW';
-  let monitorResult = { stdout: '' };
   
   // Monitor the order until it's filled or cancelled
-  while (orderStatus !== 'FILLED' && orderStatus !== 'CANCELED') {
+  while (true) {
     // Check order status
-    const orderArgs = [
-      'order.js',
-      '--orderId', orderId,
-      '--symbol', symbol
-    ];
-    
-    const orderResult = await executeCommand('node', orderArgs);
-    const statusMatch = orderResult.stdout.match(/Status:\s+(\w+)/i);
-    if (statusMatch) {
-      orderStatus = statusMatch[1].toUpperCase();
-      console.log(`Current order status: ${orderStatus}`);
-    }
+    const order = await getOrder(symbol, orderId);
+    console.log(`Current order status: ${order.status}`);
     
-    if (orderStatus === 'FILLED') {
+    if (order.status === 'FILLED') {
       console.log('Order has been filled!');
-      monitorResult = orderResult;
-      break;
+      return { order, cancelledOnPriceDrop: false };
     }
     
-    if (orderStatus === 'CANCELED') {
-      console.log('Order has been cancelled!');
-      monitorResult = orderResult;
-      break;
+    if (order.status === 'CANCELED' || order.status === 'EXPIRED' || order.status === 'REJECTED') {
+      console.log(`Order has been ${order.status.toLowerCase()}!`);
+      return { order, cancelledOnPriceDrop: false };
     }
     
     // Check current market price
     try {
-      const priceArgs = [
-        'market-price.js',
-        '--symbol', symbol
-      ];
+      currentPrice = await getCurrentPrice(symbol);
+      console.log(`Current market price: ${currentPrice}`);
+      
+      // Update highest price if current price is higher
+      if (currentPrice > highestPrice) {
+        highestPrice = currentPrice;
+        console.log(`New highest price: ${highestPrice}`);
+      }
       
-      const priceResult = await executeCommand('node', priceArgs);
-      const priceMatch = priceResult.stdout.match(/Current price:\s+([\d.]+)/i);
+      // Check for price drop
+      const absoluteDrop = highestPrice - currentPrice;
+      const percentageDrop = (absoluteDrop / highestPrice) * 100;
       
-      if (priceMatch) {
-        currentPrice = parseFloat(priceMatch[1]);
-        console.log(`Current market price: ${currentPrice}`);
-        
-        // Update highest price if current price is higher
-        if (currentPrice > highestPrice) {
-          highestPrice = currentPrice;
-          console.log(`New highest price: ${highestPrice}`);
+      console.log(`Price drop from highest: ${absoluteDrop.toFixed(2)} (${percentageDrop.toFixed(2)}%)`);
+      
+      // Check if price drop exceeds thresholds
+      const absoluteThresholdExceeded = priceDropSettings.absolute && 
+                                       parseFloat(priceDropSettings.absolute) > 0 && 
+                                       absoluteDrop >= parseFloat(priceDropSettings.absolute);
+      
+      const percentageThresholdExceeded = priceDropSettings.percentage && 
+                                         parseFloat(priceDropSettings.percentage) > 0 && 
+                                         percentageDrop >= parseFloat(priceDropSettings.percentage);
+      
+      if (absoluteThresholdExceeded || percentageThresholdExceeded) {
+        console.log(`\n*** PRICE DROP THRESHOLD EXCEEDED ***`);
+        if (absoluteThresholdExceeded) {
+          console.log(`Absolute drop: ${absoluteDrop.toFixed(2)} exceeds threshold of ${priceDropSettings.absolute}`);
+        }
+        if (percentageThresholdExceeded) {
+          console.log(`Percentage drop: ${percentageDrop.toFixed(2)}% exceeds threshold of ${priceDropSettings.percentage}%`);
         }
         
-        // Check for price drop
-        const absoluteDrop = highestPrice - currentPrice;
-        const percentageDrop = (absoluteDrop / highestPrice) * 100;
-        
-        console.log(`Price drop from highest: ${absoluteDrop.toFixed(2)} (${percentageDrop.toFixed(2)}%)`);
-        
-        // Check if price drop exceeds thresholds
-        const absoluteThresholdExceeded = priceDropSettings.absolute && 
-                                         parseFloat(priceDropSettings.absolute) > 0 && 
-                                         absoluteDrop >= parseFloat(priceDropSettings.absolute);
-        
-        const percentageThresholdExceeded = priceDropSettings.percentage && 
-                                           parseFloat(priceDropSettings.percentage) > 0 && 
-                                           percentageDrop >= parseFloat(priceDropSettings.percentage);
+        // Cancel the current order
+        console.log(`Cancelling order ${orderId} due to price drop...`);
+        const cancelledOrder = await cancelOrder(symbol, orderId);
+        console.log(`Order cancellation result: ${cancelledOrder.status}`);
         
-        if (absoluteThresholdExceeded || percentageThresholdExceeded) {
-          console.log(`\n*** PRICE DROP THRESHOLD EXCEEDED ***`);
-          if (absoluteThresholdExceeded) {
-            console.log(`Absolute drop: ${absoluteDrop.toFixed(2)} exceeds threshold of ${priceDropSettings.absolute}`);
-          }
-          if (percentageThresholdExceeded) {
-            console.log(`Percentage drop: ${percentageDrop.toFixed(2)}% exceeds threshold of ${priceDropSettings.percentage}%`);
-          }
-          
-          // Cancel the current order
-          console.log(`Cancelling order ${orderId} due to price drop...`);
-          const cancelArgs = [
-            'order-cancel.js',
-            '--orderId', orderId,
-            '--symbol', symbol,
-            '--confirm'
-          ];
-          
-          const cancelResult = await executeCommand('node', cancelArgs);
-          console.log(`Order cancellation result: ${cancelResult.stdout}`);
-          
-          // Create a new order with updated price
-          console.log(`Creating new order with updated market price...`);
-          monitorResult = { stdout: `Order cancelled due to price drop. Original status: ${orderStatus}` };
-          break;
-        }
+        return { order: cancelledOrder, cancelledOnPriceDrop: true, currentPrice, highestPrice };
       }
     } catch (error) {
+      if (error.halted) {
+        throw error; // IP ban, stop all trading
+      }
       console.warn(`Error checking market price: ${error.message}`);
     }
     
     // Wait before checking again (10 seconds)
     await new Promise(resolve => setTimeout(resolve, 10000));
   }
+}
+
+// Decide what happens to the position after its sell order was cancelled on a price drop (--priceDropAction)
+// The decision is recorded in tradeData.priceDropActions; returns the new sell order (null when the coins are
+// held) and whether it is monitored for price drops again
+async function handlePriceDrop(symbol, dropped, buyPrice, priceDropSettings, position, reprices) {
+  const { rules, journal, botId, strategy, context, tradeData } = position;
+  const cancelledOrder = dropped.order;
+  const quantity = roundQuantity(rules, parseFloat(cancelledOrder.origQty) - parseFloat(cancelledOrder.executedQty));
+  let action = priceDropSettings.action;
+  let price = null;
+  let note = null;
+  
+  if (action === PRICE_DROP_ACTIONS.REPRICE) {
+    const exit = await strategies.getExit(strategy, { symbol, cycle: tradeData.cycle, buyPrice: dropped.currentPrice, quantity }, context);
+    price = exit.price;
+  } else if (action === PRICE_DROP_ACTIONS.BREAKEVEN) {
+    // The buy fee actually paid and the estimated fee of the sell
+    price = roundPrice(rules, parseFloat(buyPrice) * (1 + fees.getBuyFeeRate(tradeData)) / (1 - tradeData.feeRates.sell), 'ceil');
+  }
+  
+  if (action !== PRICE_DROP_ACTIONS.HOLD && parseFloat(quantity) * parseFloat(price || dropped.currentPrice) < rules.minNotional) {
+    note = `${quantity} ${rules.baseAsset} is below the minimum order value of ${rules.minNotional}`;
+    action = PRICE_DROP_ACTIONS.HOLD;
+  }
+  
+  let order = null;
   
-  return monitorResult;
+  // A panic cancels the sell orders of the bot; the position must not get a new one
+  if (action !== PRICE_DROP_ACTIONS.HOLD) {
+    panic.assertNoPanic(symbol, botId);
+  }
+  
+  if (action === PRICE_DROP_ACTIONS.MARKET) {
+    console.log(`Selling ${quantity} ${rules.baseAsset} at the market after the price drop...`);
+    order = await placeSellOrder({ symbol, side: 'SELL', type: 'MARKET', quantity }, journal);
+  } else if (action !== PRICE_DROP_ACTIONS.HOLD) {
+    console.log(`Placing a new sell order after the price drop: ${quantity} ${rules.baseAsset} at ${price} (${action === PRICE_DROP_ACTIONS.REPRICE ? `profit target from the current price ${dropped.currentPrice}` : 'break-even'})`);
+    order = await placeSellOrder(buildSellParams(symbol, quantity, { price }), journal);
+    tradeData.sellPrice = price;
+  } else {
+    console.warn(`\n*** ALERT: ${quantity} ${rules.baseAsset} of cycle #${tradeData.cycle} are held without a sell order after the price drop${note ? ` (${note})` : ''} ***`);
+  }
+  
+  if (order) {
+    displayOrder(order);
+  }
+  
+  const decision = {
+    time: new Date().toISOString(),
+    action,
+    cancelledOrderId: cancelledOrder.orderId,
+    highestPrice: dropped.highestPrice,
+    marketPrice: dropped.currentPrice,
+    quantity,
+    orderId: order ? order.orderId : null,
+    price,
+    note
+  };
+  
+  tradeData.priceDropActions = [...(tradeData.priceDropActions || []), decision];
+  log[action === PRICE_DROP_ACTIONS.HOLD ? 'warn' : 'info']('Price drop action', { cycle: tradeData.cycle, ...decision });
+  output.event('priceDrop', { cycle: tradeData.cycle, ...decision });
+  
+  // A break-even sell is not cancelled again, and a re-priced one only up to --priceDropReprices times
+  const tracking = action === PRICE_DROP_ACTIONS.REPRICE && reprices + 1 < priceDropSettings.maxReprices;
+  return { order, tracking };
+}
+
+// Monitor a sell order until it is filled or cancelled (on a price drop if enabled)
+// Both legs of an OCO exit are monitored as one unit; the result is the filled leg
+// After a price drop the position gets a new sell order as set by --priceDropAction (see handlePriceDrop);
+// position is { rules, journal, botId, strategy, context, tradeData } of the cycle. The result's earlierFill is
+// what cancelled orders had already sold
+async function monitorSellOrder(symbol, sellOrder, buyPrice, priceDropSettings, position) {
+  if (isOrderList(sellOrder)) {
+    const { orders, filledOrder } = await monitorOrderList(symbol, sellOrder.orderListId);
+    return { order: filledOrder || orders[0], cancelReason: null };
+  }
+  
+  const earlierFill = { quantity: 0, value: 0, orderIds: [] };
+  let order = sellOrder;
+  let tracking = priceDropSettings.enabled;
+  let reprices = 0;
+  
+  // The drop of a re-placed order is measured from the price it was placed at
+  let referencePrice = parseFloat(buyPrice);
+  
+  while (tracking) {
+    const monitorResult = await monitorOrderWithPriceTracking(symbol, order.orderId, referencePrice, priceDropSettings);
+    
+    if (!monitorResult.cancelledOnPriceDrop) {
+      return { order: monitorResult.order, cancelReason: null, earlierFill };
+    }
+    
+    const next = await handlePriceDrop(symbol, monitorResult, buyPrice, priceDropSettings, position, reprices);
+    
+    // Held without a sell order: the cancelled order is the final one, what it sold is counted from it
+    if (!next.order) {
+      return { order: monitorResult.order, cancelReason: 'PRICE_DROP', earlierFill };
+    }
+    
+    earlierFill.quantity += parseFloat(monitorResult.order.executedQty);
+    earlierFill.value += parseFloat(monitorResult.order.cummulativeQuoteQty);
+    if (parseFloat(monitorResult.order.executedQty) > 0) {
+      earlierFill.orderIds.push(monitorResult.order.orderId);
+    }
+    
+    order = next.order;
+    tracking = next.tracking;
+    referencePrice = monitorResult.currentPrice;
+    reprices++;
+  }
+  
+  // Regular order monitoring without price tracking
+  return { order: await monitorOrderStatus(symbol, order.orderId), cancelReason: null, earlierFill };
+}
+
+// Add up what two runs of cancelled sell orders had sold (see monitorSellOrder and state-journal.js)
+function mergeFills(first, second) {
+  if (!first || !second) {
+    return first || second || null;
+  }
+  
+  return {
+    quantity: first.quantity + second.quantity,
+    value: first.value + second.value,
+    orderIds: [...first.orderIds, ...second.orderIds]
+  };
+}
+
+// Record the final state of the sell order in the trade data, with the commission its trades paid
+// earlierFill is what sell orders cancelled on a price drop had sold before the final one; a final
+// order that is not filled still records what was sold, the rest of the position is held
+async function applySellResult(tradeData, finalOrder, rules, earlierFill = null) {
+  tradeData.status = finalOrder.status;
+  tradeData.orderId = finalOrder.orderId;
+  
+  // Orders that are not part of a list have orderListId -1
+  const inList = finalOrder.orderListId !== undefined && finalOrder.orderListId !== -1;
+  if (inList) {
+    tradeData.orderListId = finalOrder.orderListId;
+  }
+  
+  if (finalOrder.status === 'FILLED') {
+    if (inList) {
+      tradeData.exitLeg = getExitLeg(finalOrder);
+      console.log(`\nSell order has been filled by the ${tradeData.exitLeg.toLowerCase().replace('_', ' ')} leg!`);
+    } else {
+      console.log('\nSell order has been filled!');
+    }
+  } else {
+    console.log(`\nOrder monitoring completed but order is ${finalOrder.status}`);
+  }
+  
+  const finalQuantity = parseFloat(finalOrder.executedQty) || 0;
+  const soldQuantity = finalQuantity + (earlierFill ? earlierFill.quantity : 0);
+  
+  if (soldQuantity <= 0) {
+    return;
+  }
+  
+  tradeData.sellValue = (parseFloat(finalOrder.cummulativeQuoteQty) || 0) + (earlierFill ? earlierFill.value : 0);
+  tradeData.sellPrice = tradeData.sellValue / soldQuantity;
+  if (finalOrder.status !== 'FILLED') {
+    tradeData.soldQuantity = soldQuantity;
+    console.log(`Sold before the order ended: ${soldQuantity} ${rules.baseAsset} for ${tradeData.sellValue.toFixed(8)} ${rules.quoteAsset}`);
+  }
+  
+  const orderIds = [...(earlierFill ? earlierFill.orderIds : []), ...(finalQuantity > 0 ? [finalOrder.orderId] : [])];
+  try {
+    const sellFee = await fees.getOrdersFee(tradeData.symbol, orderIds, rules);
+    tradeData.sellCommission = sellFee.commission;
+    tradeData.sellFee = sellFee.fee;
+  } catch (error) {
+    if (error.halted) {
+      throw error; // IP ban, stop all trading
+    }
+    console.warn(`Could not read the commission of the sell, it is estimated: ${error.message}`);
+  }
+}
+
+// Place the sell order (or OCO order list) of a cycle, recording it in the state journal before and after it is sent
+async function placeSellOrder(sellParams, journal) {
+  const oco = sellParams.type === 'OCO';
+  
+  if (!journal) {
+    return oco ? createOcoOrder(sellParams) : createOrder(sellParams);
+  }
+  
+  const clientOrderId = stateJournal.createClientOrderId(journal.botId, journal.cycle, 's');
+  stateJournal.update(journal, {
+    phase: stateJournal.PHASES.SELLING,
+    sell: {
+      clientOrderId,
+      orderId: null,
+      oco,
+      orderListId: null,
+      price: sellParams.price,
+      quantity: sellParams.quantity,
+      stopPrice: sellParams.stopPrice || null,
+      trailingDelta: sellParams.trailingDelta || null
+    }
+  });
+  
+  if (oco) {
+    const orderList = await createOcoOrder({
+      ...sellParams,
+      listClientOrderId: clientOrderId,
+      limitClientOrderId: stateJournal.createClientOrderId(journal.botId, journal.cycle, 't'),
+      stopClientOrderId: stateJournal.createClientOrderId(journal.botId, journal.cycle, 'l')
+    });
+    stateJournal.update(journal, { phase: stateJournal.PHASES.SELL_OPEN, sell: { ...journal.sell, orderListId: orderList.orderListId } });
+    return orderList;
+  }
+  
+  const order = await createOrder({ ...sellParams, newClientOrderId: clientOrderId });
+  stateJournal.update(journal, { phase: stateJournal.PHASES.SELL_OPEN, sell: { ...journal.sell, orderId: order.orderId } });
+  
+  return order;
+}
+
+// Tell the strategy about a filled sell order
+async function notifySellFill(strategy, context, tradeData) {
+  if (tradeData.status !== 'FILLED') {
+    return;
+  }
+  
+  await strategies.notifyFill(strategy, {
+    side: 'SELL',
+    symbol: tradeData.symbol,
+    cycle: tradeData.cycle,
+    orderId: tradeData.orderId,
+    price: tradeData.sellPrice,
+    quantity: parseFloat(tradeData.quantity),
+    trade: tradeData
+  }, context);
+}
+
+// Finish the cycle that was in progress when the loop was stopped (see state-journal.js)
+// The exit is computed by the strategy the cycle was started with
+// Returns the trade data of the finished cycle, or null if no position was left open and nothing was sold
+async function resumeCycle(journal, rules, priceDropSettings, options = {}) {
+  const { symbol, baseAsset } = journal;
+  
+  console.log(`\nFound unfinished cycle #${journal.cycle} (phase: ${journal.phase}, last update: ${journal.updatedAt})`);
+  const result = await stateJournal.reconcile(journal);
+  console.log(`Reconciled with the exchange: ${result.reason}`);
+  log.info('Resuming cycle', { cycle: journal.cycle, phase: journal.phase, action: result.action, reason: result.reason });
+  
+  if (result.action === stateJournal.ACTIONS.RESTART) {
+    console.log('No position was opened, starting with a new cycle');
+    return null;
+  }
+  
+  const { buy, settings } = journal;
+  const feeRates = journal.tradeData.feeRates || { buy: fees.DEFAULT_FEE_RATE, sell: fees.DEFAULT_FEE_RATE };
+  const strategy = strategies.loadStrategy(settings.strategy || strategies.DEFAULT_STRATEGY);
+  const context = strategies.createContext(strategy, {
+    symbol,
+    rules,
+    settings: { buyAmount: journal.tradeData.buyAmount, profit: settings.profit, stopLoss: settings.stopLoss, trailingStop: settings.trailingStop, fees: feeRates },
+    options
+  });
+  const tradeData = {
+    ...journal.tradeData,
+    feeRates,
+    buyOrderId: buy.orderId,
+    buyPrice: buy.price,
+    buyCost: buy.cost,
+    buyCommission: buy.commission,
+    buyFee: buy.fee,
+    quantity: buy.quantity,
+    resumed: true
+  };
+  let finalOrder = result.order;
+  
+  // What the cancelled sell had sold before the rest is placed again
+  let earlierFill = result.earlierFill || null;
+  
+  if (result.action === stateJournal.ACTIONS.PLACE_SELL) {
+    const exit = await strategies.getExit(strategy, { symbol, cycle: journal.cycle, buyPrice: buy.price, quantity: result.quantity }, context);
+    const sellPrice = exit.price;
+    const quantity = roundQuantity(rules, result.quantity);
+    
+    if (parseFloat(quantity) * parseFloat(sellPrice) < rules.minNotional) {
+      console.warn(`Remaining ${result.quantity} ${baseAsset} is below the minimum order value of ${rules.minNotional}, it stays in the balance`);
+      log.warn('Position too small to sell', { cycle: journal.cycle, quantity: result.quantity, sellPrice, earlierFill });
+      
+      if (!earlierFill) {
+        return null;
+      }
+      
+      // The cycle ends with the cancelled sell, what it sold is counted from earlierFill
+      const lastOrder = { status: 'CANCELED', orderId: null, ...result.order, executedQty: '0', cummulativeQuoteQty: '0' };
+      await applySellResult(tradeData, lastOrder, rules, earlierFill);
+      return tradeData;
+    }
+    
+    const sellParams = buildSellParams(symbol, quantity, exit);
+    
+    console.log(`Placing the sell order again: ${quantity} ${baseAsset} at ${sellPrice}${sellParams.stopPrice ? ` (stop: ${sellParams.stopPrice})` : ''}`);
+    finalOrder = await placeSellOrder(sellParams, journal);
+    displaySellOrder(finalOrder);
+    tradeData.sellPrice = sellPrice;
+    
+    const trailingStop = await reportTrailingStop(symbol, finalOrder, rules);
+    if (trailingStop) {
+      tradeData.trailingStop = trailingStop;
+    }
+    log.info('Sell order created', { cycle: journal.cycle, orderId: finalOrder.orderId, orderListId: finalOrder.orderListId, price: sellPrice, quantity, stopPrice: sellParams.stopPrice || null, trailingStop });
+  }
+  
+  if (result.action !== stateJournal.ACTIONS.COMPLETE) {
+    console.log(`\nMonitoring sell ${isOrderList(finalOrder) ? `order list ${finalOrder.orderListId}` : `order ${finalOrder.orderId}`}`);
+    const monitored = await monitorSellOrder(symbol, finalOrder, buy.price, priceDropSettings, { rules, journal, botId: journal.botId, strategy, context, tradeData });
+    finalOrder = monitored.order;
+    earlierFill = mergeFills(earlierFill, monitored.earlierFill);
+    
+    if (monitored.cancelReason) {
+      tradeData.cancelReason = monitored.cancelReason;
+    }
+  }
+  
+  await applySellResult(tradeData, finalOrder, rules, earlierFill);
+  await notifySellFill(strategy, context, tradeData);
+  return tradeData;
 }
 
 // Save trading history to a log file
+// A filled (or simulated) sell gets its net profit after the commission paid, estimated where a fill is not known;
+// a sell that ended partly filled gets the profit of the quantity it sold
 function saveToHistory(data) {
+  const result = ['FILLED', 'SIMULATED'].includes(data.status) || data.soldQuantity ? fees.calculateTradeProfit(data) : null;
+  if (result) {
+    data.fees = { buy: result.buyFee, sell: result.sellFee, estimated: result.estimated };
+    data.netProfit = result.profit;
+  }
+  
   const historyDir = path.join(process.cwd(), 'history');
   
   // Create history directory if it doesn't exist
@@ -359,6 +758,7 @@ function updateTradingStats(tradeData) {
     failedTrades: 0,
     totalProfit: 0,
     totalLoss: 0,
+    totalFees: 0,
     netProfit: 0,
     winRate: 0,
     startDate: null,
@@ -413,9 +813,13 @@ function updateTradingStats(tradeData) {
     stats.startDate = stats.lastTradeDate;
   }
   
-  // Calculate profit/loss
-  if (tradeData.sellPrice && tradeData.buyPrice && tradeData.quantity) {
-    const profit = (parseFloat(tradeData.sellPrice) - parseFloat(tradeData.buyPrice)) * parseFloat(tradeData.quantity);
+  // Profit/loss after the commission (see saveToHistory)
+  if (tradeData.netProfit !== undefined) {
+    const profit = tradeData.netProfit;
+    const tradeFees = tradeData.fees.buy + tradeData.fees.sell;
+    
+    // Statistics saved before the fees were recorded have no total
+    stats.totalFees = (stats.totalFees || 0) + tradeFees;
     
     if (profit > 0) {
       stats.successfulTrades++;
@@ -435,6 +839,7 @@ function updateTradingStats(tradeData) {
       buyPrice: tradeData.buyPrice,
       sellPrice: tradeData.sellPrice,
       quantity: tradeData.quantity,
+      fees: tradeFees.toFixed(8),
       profit: profit.toFixed(8)
     });
     
@@ -449,10 +854,89 @@ function updateTradingStats(tradeData) {
   console.log(`Trading statistics updated: ${stats.totalTrades} trades, ${stats.netProfit.toFixed(8)} net profit`);
 }
 
+// Build the profit, stop loss, trailing stop and price drop settings from the options
+// Throws when the trailing stop distance breaks the symbol's TRAILING_DELTA filter, so nothing is bought with it
+function getExitSettings(options, rules) {
+  const profit = {
+    type: options.profitPercent ? 'percent' : 'fixed',
+    value: options.profitPercent || options.profit || '0.001'
+  };
+  
+  const stopLoss = {
+    enabled: !!(options.stopLoss || options.stopLossPercent),
+    type: options.stopLossPercent ? 'percent' : 'fixed',
+    value: options.stopLossPercent || options.stopLoss || '0',
+    limitOffset: options.stopLimitOffset || DEFAULT_STOP_LIMIT_OFFSET
+  };
+  
+  // An exchange-native trailing stop, trailingDelta in BIPS
+  const trailingStop = {
+    enabled: options.trailingStop || false,
+    percent: options.trailingPercent || '0.5'
+  };
+  
+  if (trailingStop.enabled) {
+    trailingStop.trailingDelta = percentToBips(trailingStop.percent);
+    
+    const violations = checkTrailingDelta(rules, { side: 'SELL', type: 'STOP_LOSS', trailingDelta: trailingStop.trailingDelta });
+    if (violations.length > 0) {
+      throw new Error(`Invalid --trailingPercent ${trailingStop.percent}: ${violations.map(violation => violation.message).join('; ')}`);
+    }
+  }
+  
+  const priceDrop = {
+    enabled: !!(options.priceDropThreshold || options.priceDropThresholdPercentage),
+    absolute: options.priceDropThreshold || '0',
+    percentage: options.priceDropThresholdPercentage || '1.0',
+    action: String(options.priceDropAction || PRICE_DROP_ACTIONS.REPRICE).toLowerCase(),
+    maxReprices: options.priceDropReprices !== undefined ? parseInt(options.priceDropReprices) : 3
+  };
+  
+  if (!Object.values(PRICE_DROP_ACTIONS).includes(priceDrop.action)) {
+    throw new Error(`Invalid --priceDropAction ${options.priceDropAction}, use ${Object.values(PRICE_DROP_ACTIONS).join(', ')}`);
+  }
+  
+  if (!(priceDrop.maxReprices >= 1)) {
+    throw new Error(`Invalid --priceDropReprices ${options.priceDropReprices}, use 1 or more`);
+  }
+  
+  return { profit, stopLoss, trailingStop, priceDrop };
+}
+
+// Build the entry settings from the options: a market buy (default) or a limit buy below the best bid
+function getEntrySettings(options) {
+  const type = ENTRY_TYPES[String(options.entryType || 'market').toLowerCase()];
+  
+  if (!type) {
+    throw new Error(`Invalid --entryType ${options.entryType}, use market, limit or maker`);
+  }
+  
+  const entry = {
+    type,
+    offset: options.entryOffset !== undefined ? String(options.entryOffset) : '0',
+    timeout: options.entryTimeout ? parseInt(options.entryTimeout) : 60,
+    reprices: options.entryReprices !== undefined ? parseInt(options.entryReprices) : 3
+  };
+  
+  if (!(parseFloat(entry.offset) >= 0) || parseFloat(entry.offset) >= 100) {
+    throw new Error(`Invalid --entryOffset ${options.entryOffset}, use a percentage from 0 to below 100`);
+  }
+  
+  if (!(entry.timeout > 0) || !(entry.reprices >= 0)) {
+    throw new Error('--entryTimeout must be a positive number of seconds and --entryReprices zero or more');
+  }
+  
+  return entry;
+}
+
 // Main trading loop
-async function tradingLoop() {
+// The supervisor (trading-supervisor.js) runs one loop per symbol with run = { options, allocation }:
+// the options replace the command line, and the loop spends only the quote currency of its allocation
+async function tradingLoop(run = {}) {
+  const allocation = run.allocation || null;
+  
   try {
-    const args = parseArgs();
+    const args = run.options || parseArgs();
     
     // Show help if --help flag is provided
     if (args.help || args.h) {
@@ -461,27 +945,73 @@ async function tradingLoop() {
       console.log('Usage:');
       console.log('  node trading-loop.js --buyAmount 10 --profit 0.001 --cycles 3');
       console.log('  node trading-loop.js --symbol ETHUSDT --buyAmount 20 --profitPercent 1.5 --stopLoss 0.5');
-      console.log('  node trading-loop.js --config trading-config.json\n');
+      console.log('  node trading-loop.js --config trading-config.json');
+      console.log('  node trading-loop.js --grid --symbol BTCUSDT --lower 45000 --upper 55000 --levels 11 --quantity 0.0002\n');
       console.log('Parameters:');
       console.log('  --symbol          Trading pair symbol (default: BTCUSDT)');
       console.log('  --buyAmount       Amount to spend in quote currency for buying (default: 10)');
       console.log('  --profit          Target profit amount in quote currency (default: 0.001)');
       console.log('  --profitPercent   Target profit as percentage (alternative to --profit)');
-      console.log('  --stopLoss        Stop loss amount in quote currency (optional)');
-      console.log('  --stopLossPercent Stop loss as percentage (optional)');
-      console.log('  --trailingStop    Enable trailing stop loss (default: false)');
-      console.log('  --trailingPercent Trailing stop distance as percentage (default: 0.5)');
+      console.log('  --stopLoss        Stop loss amount in quote currency (optional, the exit becomes an OCO order list)');
+      console.log('  --stopLossPercent Stop loss as percentage (optional, the exit becomes an OCO order list)');
+      console.log(`  --stopLimitOffset Limit price of the stop loss leg, in percent below the stop price (default: ${DEFAULT_STOP_LIMIT_OFFSET})`);
+      console.log('  --trailingStop    Exit with an OCO order list whose stop loss leg trails the price (default: false)');
+      console.log('                    Replaces the fixed stop price of --stopLoss/--stopLossPercent');
+      console.log('  --trailingPercent Trailing stop distance as percentage, sent to Binance as trailingDelta in BIPS (default: 0.5)');
+      console.log('  --entryType       Buy with a market order, a limit order or a LIMIT_MAKER order: market, limit, maker (default: market)');
+      console.log('  --entryOffset     With a limit entry: buy price in percent below the best bid (default: 0)');
+      console.log('  --entryTimeout    With a limit entry: seconds to wait for the fill before pricing the buy again (default: 60)');
+      console.log('  --entryReprices   With a limit entry: how often an unfilled buy is priced again before the entry is abandoned (default: 3)');
+      console.log('  --entryConditions Rule the market has to meet before buying, checked again every --delay seconds until it does');
+      console.log('                    (e.g. "rsi(14) < 30 and price < ema(50)", see entry-conditions.js for the indicators)');
+      console.log(`  --conditionsInterval Kline interval the entry conditions are calculated on (default: ${entryConditions.DEFAULT_INTERVAL})`);
       console.log('  --priceDropThreshold      Absolute price drop to trigger order cancellation (default: 0)');
       console.log('  --priceDropThresholdPercentage  Percentage drop from highest price to trigger order cancellation (default: 1.0)');
+      console.log('                    Price drop tracking is not used for OCO exits, the stop loss leg covers falling prices');
+      console.log('  --priceDropAction What to do after a sell order was cancelled on a price drop (default: reprice):');
+      console.log('                    reprice (new profit target from the current price), breakeven (sell at the buy price plus fees),');
+      console.log('                    market (sell at the market) or hold (keep the coins without a sell order and alert)');
+      console.log('  --priceDropReprices With reprice: how often the sell is cancelled and priced again, the last one is left to fill (default: 3)');
+      console.log('  --maxDailyLoss    Halt trading when the realized loss of the day (UTC) reaches this amount in quote currency');
+      console.log('  --maxDrawdown     Halt trading when the equity (quote and base asset) falls this amount below its peak');
+      console.log('  --maxDrawdownPercent  Halt trading when the equity falls this percentage below its peak');
+      console.log('  --maxConsecutiveLosses Halt trading after this many losing cycles in a row');
+      console.log('  --maxExposure     Halt trading instead of buying when the base asset held would exceed this value in quote currency');
+      console.log('  --riskCancelOrders Cancel the open orders of this bot when trading halts (default: false)');
+      console.log('                    The risk state survives restarts, see node risk-manager.js --help');
+      console.log('  --sizing          How the buy amount of each cycle is calculated (default: fixed):');
+      console.log('                    fixed (--buyAmount), equity (--sizePercent of the equity), risk (lose --riskPercent of the');
+      console.log('                    equity at the stop loss) or atr (lose --riskPercent over --atrMultiplier average true ranges)');
+      console.log('  --sizePercent     With --sizing equity: percentage of the equity (quote and base asset) spent on each buy');
+      console.log('  --riskPercent     With --sizing risk or atr: percentage of the equity lost when the stop is reached');
+      console.log(`  --atrPeriod       With --sizing atr: ATR period (default: ${positionSizing.DEFAULT_ATR_PERIOD})`);
+      console.log(`  --atrMultiplier   With --sizing atr: stop distance in average true ranges (default: ${positionSizing.DEFAULT_ATR_MULTIPLIER})`);
+      console.log(`  --atrInterval     With --sizing atr: kline interval of the ATR (default: ${entryConditions.DEFAULT_INTERVAL})`);
+      console.log('  --maxBuyAmount    Largest buy amount in quote currency, whatever the sizing calculates');
       console.log('  --cycles          Number of trading cycles to run (default: infinite)');
       console.log('  --delay           Delay between cycles in seconds (default: 5)');
       console.log('  --skipBalanceCheck Skip checking account balance before trading (default: false)');
       console.log('  --config          Path to JSON configuration file');
       console.log('  --saveConfig      Save current parameters to config file (default: false)');
       console.log('  --configPath      Path to save configuration (default: ./trading-config.json)');
-      console.log('  --logLevel        Logging level: minimal, normal, verbose (default: normal)');
+      console.log('  --logLevel        Logging level: minimal, normal, verbose (default: normal), also used for logs/trading-loop.log');
       console.log('  --dryRun          Simulate trading without placing real orders (default: false)');
       console.log('  --forceDryRun     Automatically switch to dry run mode if minimum requirements not met (default: false)');
+      console.log(`  --strategy        Strategy that decides when to buy and where to sell: ${strategies.listStrategies().join(', ')}`);
+      console.log(`                    or the path of a .js file (default: ${strategies.DEFAULT_STRATEGY}, see strategies/index.js)`);
+      console.log('  --botId           Name of this bot for the state journal and client order IDs (default: the symbol)');
+      console.log('  --resetState      Discard an unfinished cycle recorded in the state journal instead of resuming it');
+      console.log('  --grid            Run a grid of resting buy and sell orders instead of buy and sell cycles');
+      console.log('  --lower           With --grid: lowest price level');
+      console.log('  --upper           With --grid: highest price level');
+      console.log('  --levels          With --grid: number of price levels, including --lower and --upper');
+      console.log('  --quantity        With --grid: amount in base currency bought or sold on each level');
+      console.log('  --interval        With --grid: seconds between checks of the grid orders (default: 10)');
+      console.log('                    Stop the grid with: node grid-trading.js stop --symbol <symbol>');
+      console.log('  --symbols         Run loops for several symbols in one process, each with a share of the quote balance');
+      console.log('                    (e.g. BTCUSDT,ETHUSDT, see node trading-supervisor.js --help for --allocation and --capital)');
+      console.log('  --json            Print the completed trades as JSON on stdout when the loop ends');
+      console.log('  --ndjson          Print every trade and order update as one JSON object per line');
       return;
     }
     
@@ -500,6 +1030,32 @@ async function tradingLoop() {
     // Merge command line arguments with loaded config (command line takes precedence)
     const options = { ...config, ...args };
     
+    // Grid mode keeps its own state (see grid-trading.js) and runs until it is stopped
+    if (options.grid) {
+      if (options.dryRun) {
+        throw new Error('--dryRun is not supported with --grid, run the grid against the mock profile (--profile mock) instead');
+      }
+      
+      const gridSettings = getRunSettings(options);
+      
+      if (options.saveConfig) {
+        const { botId, ...savedSettings } = gridSettings;
+        saveConfig({ grid: true, ...savedSettings, botId: options.botId }, options.configPath || './trading-config.json');
+      }
+      
+      log.info('Trading loop started in grid mode', { settings: gridSettings });
+      await runGrid(gridSettings);
+      return;
+    }
+    
+    // Several symbols run as separate loops under the supervisor, each with its own allocation
+    if (options.symbols && !run.options) {
+      const { getSupervisorSettings, runSupervisor } = require('./trading-supervisor');
+      const summary = await runSupervisor(getSupervisorSettings(options));
+      output.result(summary);
+      return;
+    }
+    
     // Set default parameters
     const symbol = options.symbol || 'BTCUSDT';
     let buyAmount = options.buyAmount || '10'; // Changed to let so it can be modified
@@ -510,57 +1066,66 @@ async function tradingLoop() {
     const forceDryRun = options.forceDryRun || false;
     const logLevel = options.logLevel || 'normal';
     
-    // Extract quote currency (e.g., USDT) and base currency (e.g., BTC) from symbol
-    const quoteCurrency = symbol.replace(/BTC|ETH|BNB|XRP|ADA|DOT|SOL|DOGE|AVAX|MATIC/, '');
-    const baseCurrency = symbol.replace(quoteCurrency, '');
+    // Get quote currency (e.g., USDT), base currency (e.g., BTC) and the order filters from the exchange
+    const rules = await getSymbolRules(symbol);
+    const quoteCurrency = rules.quoteAsset;
+    const baseCurrency = rules.baseAsset;
+    
+    // Set up profit, stop loss, trailing stop and price drop settings
+    const {
+      profit: profitSettings,
+      stopLoss: stopLossSettings,
+      trailingStop: trailingStopSettings,
+      priceDrop: priceDropSettings
+    } = getExitSettings(options, rules);
+    const entrySettings = getEntrySettings(options);
     
-    // Set up profit settings
-    const profitSettings = {
-      type: options.profitPercent ? 'percent' : 'fixed',
-      value: options.profitPercent || options.profit || '0.001'
+    // Commission rates of the account: a market buy pays the taker rate, a limit entry and the limit sell the maker rate
+    const accountFeeRates = await fees.getFeeRates();
+    const feeRates = {
+      buy: fees.getOrderRate(accountFeeRates, 'BUY', entrySettings.type !== 'MARKET'),
+      sell: fees.getOrderRate(accountFeeRates, 'SELL', true)
     };
+    const conditionSettings = entryConditions.getConditionSettings(options);
+    const riskSettings = riskManager.getRiskSettings(options);
+    const sizingSettings = positionSizing.getSizingSettings(options, { stopLoss: stopLossSettings, trailingStop: trailingStopSettings });
     
-    // Ensure minimum buy amount is at least 10 USDT to meet Binance's requirements
-    // Check if the buy amount is below the minimum notional value (10 USDT)
-    const minimumOrderValue = 10; // Binance typically requires minimum 10 USDT equivalent
+    // Ensure the buy amount meets the symbol's minimum notional value (NOTIONAL filter)
+    const minimumOrderValue = rules.minNotional;
     
-    if (parseFloat(buyAmount) < minimumOrderValue && quoteCurrency === 'USDT') {
-      console.log(`Buy amount ${buyAmount} USDT is below minimum requirement of ${minimumOrderValue} USDT`);
+    if (parseFloat(buyAmount) < minimumOrderValue) {
+      console.log(`Buy amount ${buyAmount} ${quoteCurrency} is below minimum requirement of ${minimumOrderValue} ${quoteCurrency}`);
       
       // Check if we have enough balance to meet the minimum requirement
       if (!skipBalanceCheck) {
         try {
-          const balanceResult = await executeCommand('node', [
-            'account-info.js',
-            '--balance'
-          ]);
+          const balances = await getFreeBalances(allocation);
           
-          const quoteMatch = new RegExp(`${quoteCurrency}\\s+\\|\\s+([0-9.]+)`).exec(balanceResult.stdout);
-          if (quoteMatch) {
-            const quoteBalance = parseFloat(quoteMatch[1]);
+          if (balances[quoteCurrency] !== undefined) {
+            const quoteBalance = balances[quoteCurrency];
             console.log(`Available ${quoteCurrency} balance: ${quoteBalance}`);
             
             if (quoteBalance >= minimumOrderValue) {
-              console.log(`Using available balance of ${quoteBalance.toFixed(2)} ${quoteCurrency} (up to ${minimumOrderValue} ${quoteCurrency}) to meet minimum requirements`);
-              buyAmount = Math.min(quoteBalance, minimumOrderValue).toFixed(2);
+              console.log(`Using available balance of ${roundQuoteAmount(rules, quoteBalance)} ${quoteCurrency} (up to ${minimumOrderValue} ${quoteCurrency}) to meet minimum requirements`);
+              buyAmount = roundQuoteAmount(rules, Math.min(quoteBalance, minimumOrderValue));
             } else if (quoteBalance < minimumOrderValue && quoteBalance >= parseFloat(buyAmount)) {
-              console.log(`Warning: Available balance (${quoteBalance.toFixed(2)} ${quoteCurrency}) is below minimum requirement but above requested amount.`);
+              console.log(`Warning: Available balance (${roundQuoteAmount(rules, quoteBalance)} ${quoteCurrency}) is below minimum requirement but above requested amount.`);
               console.log(`Switching to dry run mode to prevent order failure due to minimum notional value requirements.`);
               dryRun = true;
             } else {
-              console.log(`Warning: Available balance (${quoteBalance.toFixed(2)} ${quoteCurrency}) is below both minimum requirement and requested amount.`);
+              console.log(`Warning: Available balance (${roundQuoteAmount(rules, quoteBalance)} ${quoteCurrency}) is below both minimum requirement and requested amount.`);
               if (forceDryRun) {
                 console.log(`Switching to dry run mode due to insufficient funds.`);
                 dryRun = true;
                 buyAmount = minimumOrderValue.toString();
               } else {
                 console.log(`Please deposit more funds or reduce the buy amount.`);
-                throw new Error(`Insufficient balance for trading. Available: ${quoteBalance.toFixed(2)} ${quoteCurrency}, Required: ${minimumOrderValue} ${quoteCurrency}`);
+                throw new Error(`Insufficient balance for trading. Available: ${roundQuoteAmount(rules, quoteBalance)} ${quoteCurrency}, Required: ${minimumOrderValue} ${quoteCurrency}`);
               }
             }
           }
         } catch (error) {
-          if (error.message.includes('Insufficient balance')) {
+          if (error.halted || error.message.includes('Insufficient balance')) {
             throw error; // Re-throw the specific error
           }
           console.warn(`Error checking balance: ${error.message}`);
@@ -573,25 +1138,8 @@ async function tradingLoop() {
       }
     }
     
-    // Set up stop loss settings
-    const stopLossSettings = {
-      enabled: !!(options.stopLoss || options.stopLossPercent),
-      type: options.stopLossPercent ? 'percent' : 'fixed',
-      value: options.stopLossPercent || options.stopLoss || '0'
-    };
-    
-    // Set up trailing stop settings
-    const trailingStopSettings = {
-      enabled: options.trailingStop || false,
-      percent: options.trailingPercent || '0.5'
-    };
-    
-    // Set up price drop threshold settings
-    const priceDropSettings = {
-      enabled: !!(options.priceDropThreshold || options.priceDropThresholdPercentage),
-      absolute: options.priceDropThreshold || '0',
-      percentage: options.priceDropThresholdPercentage || '1.0'
-    };
+    // Load the strategy before anything is bought, so an unknown name stops the loop right away
+    const strategy = strategies.loadStrategy(options.strategy || strategies.DEFAULT_STRATEGY);
     
     // Save configuration if requested
     if (options.saveConfig) {
@@ -603,15 +1151,39 @@ async function tradingLoop() {
         profitPercent: options.profitPercent,
         stopLoss: options.stopLoss,
         stopLossPercent: options.stopLossPercent,
+        stopLimitOffset: options.stopLimitOffset,
         trailingStop: trailingStopSettings.enabled,
         trailingPercent: trailingStopSettings.percent,
+        entryType: options.entryType,
+        entryOffset: options.entryOffset,
+        entryTimeout: options.entryTimeout,
+        entryReprices: options.entryReprices,
+        entryConditions: options.entryConditions,
+        conditionsInterval: options.conditionsInterval,
+        strategy: options.strategy,
         priceDropThreshold: options.priceDropThreshold,
         priceDropThresholdPercentage: options.priceDropThresholdPercentage,
+        priceDropAction: options.priceDropAction,
+        priceDropReprices: options.priceDropReprices,
+        maxDailyLoss: options.maxDailyLoss,
+        maxDrawdown: options.maxDrawdown,
+        maxDrawdownPercent: options.maxDrawdownPercent,
+        maxConsecutiveLosses: options.maxConsecutiveLosses,
+        maxExposure: options.maxExposure,
+        riskCancelOrders: options.riskCancelOrders,
+        sizing: options.sizing,
+        sizePercent: options.sizePercent,
+        riskPercent: options.riskPercent,
+        atrPeriod: options.atrPeriod,
+        atrMultiplier: options.atrMultiplier,
+        atrInterval: options.atrInterval,
+        maxBuyAmount: options.maxBuyAmount,
         cycles: options.cycles,
         delay: options.delay,
         skipBalanceCheck,
         logLevel,
-        dryRun
+        dryRun,
+        botId: options.botId
       };
       
       saveConfig(configToSave, configPath);
@@ -621,7 +1193,25 @@ async function tradingLoop() {
     if (logLevel !== 'minimal') {
       console.log('\n=== Trading Loop Started ===');
       console.log(`Symbol: ${symbol}`);
-      console.log(`Buy Amount: ${buyAmount} ${quoteCurrency}`);
+      console.log(`Strategy: ${strategy.name}${strategy.description ? ` - ${strategy.description}` : ''}`);
+      if (sizingSettings.model === positionSizing.SIZING_MODELS.FIXED) {
+        console.log(`Buy Amount: ${buyAmount} ${quoteCurrency}`);
+      } else {
+        const sizeParameters = sizingSettings.model === positionSizing.SIZING_MODELS.EQUITY
+          ? `${sizingSettings.sizePercent}% of the equity`
+          : `risking ${sizingSettings.riskPercent}% of the equity${sizingSettings.model === positionSizing.SIZING_MODELS.ATR ? ` over ${sizingSettings.atrMultiplier} x ATR(${sizingSettings.atrPeriod}, ${sizingSettings.atrInterval})` : ' to the stop'}`;
+        console.log(`Position Sizing: ${sizingSettings.model}, ${sizeParameters}${sizingSettings.maxBuyAmount ? `, at most ${sizingSettings.maxBuyAmount} ${quoteCurrency}` : ''} (replaces the buy amount)`);
+      }
+      
+      console.log(`Commission: ${fees.formatRate(feeRates.buy)} buy, ${fees.formatRate(feeRates.sell)} sell (${accountFeeRates.source === 'account' ? 'account rates' : 'default rates'})`);
+      
+      if (entrySettings.type !== 'MARKET') {
+        console.log(`Entry: ${entrySettings.type} buy ${entrySettings.offset}% below the best bid, priced again after ${entrySettings.timeout} seconds up to ${entrySettings.reprices} times`);
+      }
+      
+      if (conditionSettings) {
+        console.log(`Entry Conditions: ${conditionSettings.expression} (${conditionSettings.interval} klines)`);
+      }
       
       if (profitSettings.type === 'percent') {
         console.log(`Profit Target: ${profitSettings.value}%`);
@@ -635,10 +1225,17 @@ async function tradingLoop() {
         } else {
           console.log(`Stop Loss: ${stopLossSettings.value} ${quoteCurrency}`);
         }
+        if (!trailingStopSettings.enabled) {
+          console.log(`Exit: OCO (take profit limit plus stop loss limit ${stopLossSettings.limitOffset}% below the stop price)`);
+        }
       }
       
       if (trailingStopSettings.enabled) {
-        console.log(`Trailing Stop: Enabled (${trailingStopSettings.percent}%)`);
+        console.log(`Trailing Stop: Enabled (${trailingStopSettings.percent}%, trailingDelta ${trailingStopSettings.trailingDelta} BIPS)`);
+        console.log(`Exit: OCO (take profit limit plus stop loss trailing ${trailingStopSettings.percent}% below the highest price)`);
+        if (stopLossSettings.enabled) {
+          console.log('The trailing stop replaces the fixed stop loss price');
+        }
       }
       
       if (priceDropSettings.enabled) {
@@ -648,6 +1245,15 @@ async function tradingLoop() {
         if (options.priceDropThresholdPercentage) {
           console.log(`Price Drop Threshold Percentage: ${priceDropSettings.percentage}%`);
         }
+        console.log(`After a Price Drop: ${priceDropSettings.action}${priceDropSettings.action === PRICE_DROP_ACTIONS.REPRICE ? ` (up to ${priceDropSettings.maxReprices} times)` : ''}`);
+        if (stopLossSettings.enabled || trailingStopSettings.enabled) {
+          console.log('Price drop tracking is not used for OCO exits, the stop loss leg covers falling prices');
+        }
+      }
+      
+      if (riskSettings) {
+        const limits = Object.values(riskManager.LIMITS).filter(limit => riskSettings[limit] !== null);
+        console.log(`Risk Limits: ${limits.map(limit => `${limit} ${riskSettings[limit]}`).join(', ')}${riskSettings.cancelOrders ? ' (open orders cancelled on a halt)' : ''}`);
       }
       
       console.log(`Max Cycles: ${maxCycles === Infinity ? 'Infinite' : maxCycles}`);
@@ -658,29 +1264,66 @@ async function tradingLoop() {
       console.log('============================\n');
     }
     
+    // Finish a cycle left unfinished by a crash before looking at balances,
+    // which are reduced by the open position (the journal is not used in dry run mode)
+    const bot = { botId: options.botId || symbol, profile, symbol, baseAsset: baseCurrency };
+    let resumedTrade = null;
+    
+    // A panic stops the bot before it touches the exchange, an unfinished cycle included (see panic.js)
+    panic.assertNoPanic(symbol, bot.botId);
+    
+    // The risk state is kept per bot like the journal; a halted bot still finishes its open cycle
+    const risk = riskSettings ? riskManager.openRisk(bot) : null;
+    
+    if (options.resetState) {
+      stateJournal.clear(bot.botId, profile);
+      console.log(`State journal removed: ${stateJournal.getJournalPath(bot.botId, profile)}`);
+    }
+    
+    if (!dryRun) {
+      const unfinished = stateJournal.load(bot.botId, profile);
+      
+      if (unfinished) {
+        resumedTrade = await resumeCycle(unfinished, rules, priceDropSettings, options);
+        
+        if (resumedTrade) {
+          saveToHistory(resumedTrade);
+          if (allocation) {
+            allocation.recordTrade(resumedTrade);
+          }
+          if (risk) {
+            riskManager.recordTrade(risk, resumedTrade);
+          }
+        }
+        stateJournal.clear(unfinished);
+      } else {
+        const leftOrders = await stateJournal.findBotOrders(symbol, bot.botId);
+        
+        if (leftOrders.length > 0) {
+          console.warn(`Warning: ${leftOrders.length} open ${symbol} order(s) of this bot are not in the state journal: ${leftOrders.map(order => order.orderId).join(', ')}`);
+          log.warn('Open bot orders without a state journal', { orderIds: leftOrders.map(order => order.orderId) });
+        }
+      }
+    }
+    
     // Check account balance if not skipped
     if (!skipBalanceCheck) {
       console.log('Checking account balance...');
-      const balanceResult = await executeCommand('node', [
-        'account-info.js',
-        '--balance'
-      ]);
+      const balances = await getFreeBalances(allocation);
       
-      // Extract base currency (BTC) balance from output first
-      const baseMatch = new RegExp(`${baseCurrency}\\s+\\|\\s+([0-9.]+)`).exec(balanceResult.stdout);
+      // Check base currency (BTC) balance first
       let availableBalance = null;
       
-      if (baseMatch) {
-        availableBalance = parseFloat(baseMatch[1]);
+      if (balances[baseCurrency] !== undefined) {
+        availableBalance = balances[baseCurrency];
         console.log(`Available ${baseCurrency} balance: ${availableBalance}`);
         
         // Store base currency balance for later use
         options.baseBalance = availableBalance;
         
         // Check if we have enough base currency for a minimum viable trade
-        // For BTC, we need at least 0.0005 BTC (approximately $40 at current prices)
-        // This ensures we meet Binance's minimum notional value requirement
-        const minBaseQuantity = 0.0005; // Minimum quantity to trade
+        // (LOT_SIZE minQty, and enough to meet the minimum notional value at the current price)
+        const minBaseQuantity = parseFloat(getMinQuantity(rules, await getCurrentPrice(symbol)));
         
         // Always check if we can buy BTC with USDT if we don't have enough BTC
         // This is a critical change - we ALWAYS prefer to buy new BTC with USDT
@@ -701,24 +1344,23 @@ async function tradingLoop() {
       
       // If we don't have enough base currency, check quote currency (USDT)
       if (!options.skipBuyStep) {
-        const quoteMatch = new RegExp(`${quoteCurrency}\\s+\\|\\s+([0-9.]+)`).exec(balanceResult.stdout);
-        if (quoteMatch) {
-          const quoteBalance = parseFloat(quoteMatch[1]);
+        if (balances[quoteCurrency] !== undefined) {
+          const quoteBalance = balances[quoteCurrency];
           console.log(`Available ${quoteCurrency} balance: ${quoteBalance}`);
           
-          // Check if we have enough quote currency to buy
-          if (quoteBalance >= parseFloat(buyAmount)) {
+          // Check if we have enough quote currency to buy (a sized buy is only known in the cycle, it needs the minimum)
+          if (quoteBalance >= (sizingSettings.model === positionSizing.SIZING_MODELS.FIXED ? parseFloat(buyAmount) : minimumOrderValue)) {
             console.log(`Will buy ${baseCurrency} using ${buyAmount} ${quoteCurrency}.`);
             // We'll proceed with buying
           } else {
             console.log(`Insufficient ${quoteCurrency} balance. Required: ${buyAmount}, Available: ${quoteBalance}`);
             
             // Instead of throwing an error, try to use what we have available
-            if (quoteBalance >= 10) { // Ensure we have at least the minimum notional value
-              console.log(`\nWill use available balance of ${quoteBalance.toFixed(2)} ${quoteCurrency} instead of requested ${buyAmount} ${quoteCurrency}.`);
-              buyAmount = quoteBalance.toFixed(2);
+            if (quoteBalance >= minimumOrderValue) { // Ensure we have at least the minimum notional value
+              console.log(`\nWill use available balance of ${roundQuoteAmount(rules, quoteBalance)} ${quoteCurrency} instead of requested ${buyAmount} ${quoteCurrency}.`);
+              buyAmount = roundQuoteAmount(rules, quoteBalance);
             } else {
-              console.log(`\nAvailable balance (${quoteBalance.toFixed(2)} ${quoteCurrency}) is below minimum required amount (10 ${quoteCurrency}).`);
+              console.log(`\nAvailable balance (${roundQuoteAmount(rules, quoteBalance)} ${quoteCurrency}) is below minimum required amount (${minimumOrderValue} ${quoteCurrency}).`);
               console.log(`Please deposit more funds or reduce the buy amount.`);
               throw new Error(`Insufficient balance for trading. Not enough ${baseCurrency} or ${quoteCurrency}.`);
             }
@@ -730,8 +1372,68 @@ async function tradingLoop() {
     }
     
     let cycle = 1;
+    const completedTrades = [];
+    
+    // The resumed cycle counts as the first cycle of this run
+    if (resumedTrade) {
+      completedTrades.push(resumedTrade);
+      output.event('trade', { trade: resumedTrade });
+      log.info('Trade completed', { trade: resumedTrade });
+      cycle++;
+    }
+
+    const context = strategies.createContext(strategy, {
+      symbol,
+      rules,
+      dryRun,
+      settings: { buyAmount, entry: entrySettings, profit: profitSettings, stopLoss: stopLossSettings, trailingStop: trailingStopSettings, fees: feeRates },
+      options
+    });
+    
+    if (strategy.init) {
+      await strategy.init(context);
+    }
+
+    log.info('Trading loop started', { symbol, strategy: strategy.name, buyAmount, profit: profitSettings, maxCycles: options.cycles || null, dryRun });
     
     while (cycle <= maxCycles) {
+      // Stop before the cycle after a panic, or when a risk limit has been hit
+      panic.assertNoPanic(symbol, bot.botId);
+      
+      if (risk) {
+        await riskManager.checkCycle(risk, riskSettings, rules, allocation);
+      }
+      
+      // Check the entry conditions and ask the strategy whether to buy now
+      // (a cycle that sells the existing balance does not buy)
+      let market = null;
+      let conditionValues = null;
+      
+      if (!options.skipBuyStep) {
+        market = { symbol, cycle, price: await getCurrentPrice(symbol), time: Date.now() };
+        
+        if (conditionSettings) {
+          const check = await entryConditions.checkConditions(conditionSettings, symbol, market.price);
+          
+          if (!check.met) {
+            console.log(`Entry conditions not met (${entryConditions.describeValues(check.values)}), checking again in ${delay / 1000} seconds`);
+            log.debug('Entry conditions not met', { cycle, values: check.values });
+            await new Promise(resolve => setTimeout(resolve, delay));
+            continue;
+          }
+          
+          console.log(`Entry conditions met: ${entryConditions.describeValues(check.values)}`);
+          conditionValues = check.values;
+        }
+        
+        if (!(await strategy.shouldEnter(market, context))) {
+          console.log(`Strategy ${strategy.name}: no entry at ${market.price} ${quoteCurrency}, checking again in ${delay / 1000} seconds`);
+          log.debug('No entry', { cycle, price: market.price });
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+      }
+      
       // Create a timestamp in readable format
       const timestamp = new Date().toISOString();
       
@@ -747,27 +1449,21 @@ async function tradingLoop() {
       if (!skipBalanceCheck) {
         console.log('Refreshing account balance for this cycle...');
         try {
-          const balanceResult = await executeCommand('node', [
-            'account-info.js',
-            '--balance'
-          ]);
+          const balances = await getFreeBalances(allocation);
           
-          // Extract base currency (BTC) balance from output
-          const baseMatch = new RegExp(`${baseCurrency}\\s+\\|\\s+([0-9.]+)`).exec(balanceResult.stdout);
-          if (baseMatch) {
-            const availableBalance = parseFloat(baseMatch[1]);
-            console.log(`Current ${baseCurrency} balance: ${availableBalance}`);
-            options.baseBalance = availableBalance;
+          if (balances[baseCurrency] !== undefined) {
+            console.log(`Current ${baseCurrency} balance: ${balances[baseCurrency]}`);
+            options.baseBalance = balances[baseCurrency];
           }
           
-          // Extract quote currency (USDT) balance from output
-          const quoteMatch = new RegExp(`${quoteCurrency}\\s+\\|\\s+([0-9.]+)`).exec(balanceResult.stdout);
-          if (quoteMatch) {
-            const quoteBalance = parseFloat(quoteMatch[1]);
-            console.log(`Current ${quoteCurrency} balance: ${quoteBalance}`);
-            options.quoteBalance = quoteBalance;
+          if (balances[quoteCurrency] !== undefined) {
+            console.log(`Current ${quoteCurrency} balance: ${balances[quoteCurrency]}`);
+            options.quoteBalance = balances[quoteCurrency];
           }
         } catch (error) {
+          if (error.halted) {
+            throw error; // IP ban, stop all trading
+          }
           console.warn(`Error refreshing balance: ${error.message}`);
         }
       }
@@ -777,77 +1473,138 @@ async function tradingLoop() {
         cycle,
         symbol,
         timestamp,
+        strategy: strategy.name,
         buyAmount,
-        profit: profitSettings.type === 'percent' ? `${profitSettings.value}%` : profitSettings.value
+        profit: profitSettings.type === 'percent' ? `${profitSettings.value}%` : profitSettings.value,
+        feeRates
       };
       
+      if (conditionValues) {
+        tradeData.entryConditions = conditionValues;
+      }
+      
+      // Size the buy of this cycle; the default strategy spends the amount, other strategies read it from context.settings
+      if (!options.skipBuyStep) {
+        const size = await positionSizing.calculateBuyAmount(sizingSettings, {
+          symbol,
+          rules,
+          price: market.price,
+          buyAmount,
+          quoteBalance: dryRun || skipBalanceCheck ? null : options.quoteBalance,
+          allocation
+        });
+        
+        context.settings.buyAmount = size.amount;
+        tradeData.buyAmount = size.amount;
+        tradeData.sizing = size.sizing;
+        
+        if (sizingSettings.model !== positionSizing.SIZING_MODELS.FIXED || size.sizing.adjustments.length > 0) {
+          console.log(`Buy amount: ${size.amount} ${quoteCurrency} (${positionSizing.describeSizing(size.sizing, quoteCurrency)})`);
+        }
+        log.info('Buy sized', { cycle, sizing: size.sizing });
+      }
+
+      log.info('Cycle started', { cycle, symbol });
+      
+      // Record the cycle so it can be finished after a crash
+      const journal = dryRun ? null : stateJournal.begin(bot, cycle, { strategy: strategy.name, profit: profitSettings, stopLoss: stopLossSettings, trailingStop: trailingStopSettings }, tradeData);
+      
       // Step 1: Buy using market order (unless we're skipping this step)
       let buyQuantity = null;
       let buyPrice = null;
       
       if (!options.skipBuyStep) {
+        // The strategy sets the amount to spend (--buyAmount with the default strategy) and the order type (--entryType)
+        const entry = await strategies.getEntry(strategy, market, context);
+        
         if (logLevel !== 'minimal') {
-          console.log('Step 1: Buying using market order');
+          console.log(entry.type === 'MARKET' ? 'Step 1: Buying using market order' : `Step 1: Buying using ${entry.type} order`);
         }
         
-        const buyArgs = [
-          'market-buy.js',
-          '--symbol', symbol,
-          '--amount', buyAmount
-        ];
-        
-        if (!dryRun) {
-          buyArgs.push('--confirm');
-        } else {
-          console.log('[DRY RUN] Would execute market buy');
+        // A loop run by the supervisor buys with what is left of its allocation
+        if (allocation && !dryRun && parseFloat(entry.quoteOrderQty) > allocation.available) {
+          if (allocation.available < minimumOrderValue) {
+            throw new Error(`The ${quoteCurrency} allocation of ${symbol} is used up: ${roundQuoteAmount(rules, allocation.available)} ${quoteCurrency} left, ${minimumOrderValue} ${quoteCurrency} needed`);
+          }
+          console.log(`Buying with the remaining allocation of ${roundQuoteAmount(rules, allocation.available)} ${quoteCurrency} instead of ${entry.quoteOrderQty} ${quoteCurrency}`);
+          tradeData.sizing.adjustments.push({ reason: 'allocation', from: parseFloat(entry.quoteOrderQty), to: allocation.available });
+          entry.quoteOrderQty = roundQuoteAmount(rules, allocation.available);
         }
+        tradeData.buyAmount = entry.quoteOrderQty;
+        tradeData.entryType = entry.type;
         
-        const buyResult = await executeCommand('node', buyArgs);
+        panic.assertNoPanic(symbol, bot.botId);
+        if (risk) {
+          await riskManager.checkOrder(risk, riskSettings, rules, { side: 'BUY', amount: entry.quoteOrderQty }, allocation);
+        }
         
-        // Extract buy quantity and price
-        buyQuantity = extractBuyQuantity(buyResult.stdout);
-        buyPrice = extractBuyPrice(buyResult.stdout);
+        let buyClientOrderId = null;
+        let buyResult;
         
-        if (buyQuantity && buyPrice) {
-          console.log(`\nBought ${buyQuantity} ${baseCurrency} at average price of ${buyPrice} ${quoteCurrency}`);
-          
-          // Update trade data
-          tradeData.buyPrice = buyPrice;
-          tradeData.quantity = buyQuantity;
-          
-          // Update the base balance with the newly purchased amount
-          // This is crucial for the minimum notional value check later
-          if (options.baseBalance) {
-            options.baseBalance = (parseFloat(options.baseBalance) + parseFloat(buyQuantity)).toString();
-            console.log(`Updated ${baseCurrency} balance: ${options.baseBalance} ${baseCurrency}`);
-          } else {
-            options.baseBalance = buyQuantity;
+        if (entry.type === 'MARKET') {
+          buyClientOrderId = journal ? stateJournal.createClientOrderId(bot.botId, cycle, 'b') : null;
+          if (journal) {
+            stateJournal.update(journal, { phase: stateJournal.PHASES.BUYING, buy: { clientOrderId: buyClientOrderId } });
           }
-        } else {
-          console.warn('Could not extract buy quantity or price from output. Using fallback values.');
           
-          // Use fallback values
-          buyQuantity = options.baseBalance || '0.001';
+          buyResult = await executeMarketBuy(symbol, entry.quoteOrderQty, baseCurrency, dryRun, buyClientOrderId, allocation);
+        } else {
+          buyResult = await executeLimitBuy(symbol, entry, entrySettings, rules, dryRun, { journal, bot, cycle }, allocation);
           
-          // Try to get current price from exchange info
-          try {
-            const priceResult = await executeCommand('node', [
-              'exchange-info.js',
-              '--symbol', symbol,
-              '--price'
-            ]);
-            
-            const priceMatch = priceResult.stdout.match(/Current price:\s+([\d.]+)/);
-            buyPrice = priceMatch ? priceMatch[1] : '20000'; // Fallback price
-            
-            console.log(`Using current price: ${buyPrice} ${quoteCurrency}`);
-          } catch (error) {
-            console.warn(`Error getting current price: ${error.message}`);
-            buyPrice = '20000'; // Default fallback price for BTC
+          // Nothing was bought: the cycle starts again after the delay
+          if (!buyResult) {
+            if (journal) {
+              stateJournal.clear(journal);
+            }
+            console.log(`Limit buy not filled after ${entrySettings.reprices + 1} attempt(s), entry abandoned; checking again in ${delay / 1000} seconds`);
+            log.info('Entry abandoned', { cycle, type: entry.type, attempts: entrySettings.reprices + 1 });
+            await new Promise(resolve => setTimeout(resolve, delay));
+            continue;
           }
           
-          tradeData.buyPrice = buyPrice;
-          tradeData.quantity = buyQuantity;
+          buyClientOrderId = journal ? buyResult.order.clientOrderId : null;
+          displayBuyOrder(buyResult.order);
+        }
+        
+        const { order: buyOrder, fill } = buyResult;
+        
+        // Quantity actually received (after commission) and average fill price
+        buyQuantity = fill.netQuantity;
+        buyPrice = fill.price;
+        
+        console.log(`\nBought ${buyQuantity} ${baseCurrency} at average price of ${buyPrice.toFixed(8)} ${quoteCurrency}`);
+        
+        // Update trade data
+        tradeData.buyOrderId = buyOrder.orderId;
+        tradeData.buyPrice = buyPrice;
+        tradeData.buyCost = fill.cost;
+        tradeData.quantity = buyQuantity;
+        
+        // Commission actually paid, valued in the quote currency; a dry run pays none, its fees are estimated
+        if (!dryRun) {
+          const buyFee = await fees.getFillsFee(buyOrder.fills || [], rules);
+          tradeData.buyCommission = buyFee.commission;
+          tradeData.buyFee = buyFee.fee;
+        }
+        log.info('Bought', { cycle, orderId: buyOrder.orderId, price: buyPrice, quantity: buyQuantity, cost: fill.cost, commission: tradeData.buyCommission, fee: tradeData.buyFee });
+        
+        if (journal) {
+          stateJournal.update(journal, {
+            phase: stateJournal.PHASES.BOUGHT,
+            buy: { clientOrderId: buyClientOrderId, orderId: buyOrder.orderId, price: buyPrice, quantity: buyQuantity, cost: fill.cost, commission: tradeData.buyCommission, fee: tradeData.buyFee },
+            tradeData
+          });
+        }
+        
+        await strategies.notifyFill(strategy, { side: 'BUY', symbol, cycle, orderId: buyOrder.orderId, price: buyPrice, quantity: buyQuantity, trade: tradeData }, context);
+        
+        // Update the base balance with the newly purchased amount
+        // This is crucial for the minimum notional value check later
+        if (options.baseBalance) {
+          options.baseBalance = (parseFloat(options.baseBalance) + buyQuantity).toString();
+          console.log(`Updated ${baseCurrency} balance: ${options.baseBalance} ${baseCurrency}`);
+        } else {
+          options.baseBalance = buyQuantity;
         }
       } else {
         // Skip buy step, use existing balance
@@ -855,53 +1612,46 @@ async function tradingLoop() {
         
         buyQuantity = options.baseBalance;
         
-        // Get current price
-        try {
-          const priceResult = await executeCommand('node', [
-            'exchange-info.js',
-            '--symbol', symbol,
-            '--price'
-          ]);
-          
-          const priceMatch = priceResult.stdout.match(/Current price:\s+([\d.]+)/);
-          buyPrice = priceMatch ? priceMatch[1] : '20000'; // Fallback price
-          
-          console.log(`Current price: ${buyPrice} ${quoteCurrency}`);
-        } catch (error) {
-          console.warn(`Error getting current price: ${error.message}`);
-          buyPrice = '20000'; // Default fallback price for BTC
-        }
+        // Use the current price as the reference buy price
+        buyPrice = await getCurrentPrice(symbol);
+        console.log(`Current price: ${buyPrice} ${quoteCurrency}`);
         
         tradeData.buyPrice = buyPrice;
         tradeData.quantity = buyQuantity;
+        
+        if (journal) {
+          stateJournal.update(journal, {
+            phase: stateJournal.PHASES.BOUGHT,
+            buy: { clientOrderId: null, orderId: null, price: buyPrice, quantity: parseFloat(buyQuantity), cost: null, commission: null },
+            tradeData
+          });
+        }
       }
       
-      // Step 2: Calculate sell price based on profit settings and quantity
-      const sellPrice = calculateProfitPrice(buyPrice, profitSettings, buyQuantity);
+      // Step 2: Let the strategy calculate the sell price (and stop loss) for the position
+      const exit = await strategies.getExit(strategy, { symbol, cycle, buyPrice, quantity: buyQuantity }, context);
+      const sellPrice = exit.price;
+      const stopLossPrice = exit.stopPrice;
       
-      // Calculate stop loss price if enabled
-      const stopLossPrice = calculateStopLossPrice(buyPrice, stopLossSettings);
+      // Calculate the minimum quantity needed to meet the minimum notional value (with 1% headroom)
+      const minRequiredQuantity = parseFloat(getMinQuantity(rules, parseFloat(sellPrice), 1.01));
       
-      // Calculate the minimum quantity needed to meet Binance's minimum notional value requirement (10 USDT)
-      const minimumOrderValue = 10; // Binance typically requires minimum 10 USDT equivalent
-      const minRequiredQuantity = Math.ceil((minimumOrderValue * 1.01 / parseFloat(sellPrice)) * 100000) / 100000;
-      
-      // Round quantity down to 5 decimal places to comply with Binance LOT_SIZE filter
+      // Round quantity down to the LOT_SIZE stepSize
       // but ensure it's at least the minimum required quantity
-      let roundedQuantity = Math.floor(parseFloat(buyQuantity) * 100000) / 100000;
+      let roundedQuantity = parseFloat(roundQuantity(rules, buyQuantity));
       
       // Initialize finalQuantity with the rounded quantity
       let finalQuantity = roundedQuantity;
       
-      // Always use at least the minimum required quantity to ensure orders are at least 10 USDT
+      // Always use at least the minimum required quantity to ensure orders are at least the minimum notional value
       if (roundedQuantity < minRequiredQuantity) {
-        console.log(`Increasing quantity from ${roundedQuantity.toFixed(5)} to ${minRequiredQuantity.toFixed(5)} ${baseCurrency} to meet minimum notional value`);
+        console.log(`Increasing quantity from ${roundQuantity(rules, roundedQuantity)} to ${roundQuantity(rules, minRequiredQuantity)} ${baseCurrency} to meet minimum notional value`);
         roundedQuantity = minRequiredQuantity;
         
         // Check if we have enough balance for the minimum required quantity
         if (options.baseBalance && parseFloat(options.baseBalance) < minRequiredQuantity) {
           console.log(`\nInsufficient ${baseCurrency} balance for minimum order: ${options.baseBalance} ${baseCurrency}`);
-          console.log(`Required: ${minRequiredQuantity.toFixed(5)} ${baseCurrency}`);
+          console.log(`Required: ${roundQuantity(rules, minRequiredQuantity)} ${baseCurrency}`);
           console.log(`Attempting to buy more ${baseCurrency} with ${quoteCurrency}...`);
           
           // Set allowBuyWithQuote to true to ensure we buy BTC with USDT
@@ -911,7 +1661,7 @@ async function tradingLoop() {
           if (dryRun) {
             console.log(`In dry run mode - simulating with minimum required quantity`);
             finalQuantity = minRequiredQuantity; // Use minRequiredQuantity instead of adjustedQuantity
-            console.log(`Using simulated quantity: ${finalQuantity.toFixed(5)} ${baseCurrency}`);
+            console.log(`Using simulated quantity: ${roundQuantity(rules, finalQuantity)} ${baseCurrency}`);
           } else {
             // Set flag to buy BTC with USDT and continue
             console.log(`Setting flag to buy ${baseCurrency} with ${quoteCurrency} first...`);
@@ -931,12 +1681,12 @@ async function tradingLoop() {
         
         // Calculate the adjusted quantity needed to meet minimum notional value
         // Add a small buffer (1%) to ensure we meet the requirement
-        const adjustedQuantity = Math.ceil((minimumOrderValue * 1.01 / parseFloat(sellPrice)) * 100000) / 100000;
+        const adjustedQuantity = minRequiredQuantity;
         
         // Check if we have enough balance for the adjusted quantity
         if (options.baseBalance && parseFloat(options.baseBalance) < adjustedQuantity) {
           console.warn(`\nWarning: Insufficient ${baseCurrency} balance to meet minimum order requirements`);
-          console.warn(`Required: ${adjustedQuantity.toFixed(5)} ${baseCurrency}, Available: ${options.baseBalance} ${baseCurrency}`);
+          console.warn(`Required: ${roundQuantity(rules, adjustedQuantity)} ${baseCurrency}, Available: ${options.baseBalance} ${baseCurrency}`);
           
           // Try to buy more BTC with USDT to meet the minimum requirement
           if (!dryRun) {
@@ -944,30 +1694,24 @@ async function tradingLoop() {
             
             try {
               // Check USDT balance first
-              const balanceResult = await executeCommand('node', [
-                'account-info.js',
-                '--balance'
-              ]);
+              const balances = await getFreeBalances(allocation);
               
-              const quoteMatch = new RegExp(`${quoteCurrency}\\s+\\|\\s+([0-9.]+)`).exec(balanceResult.stdout);
-              if (quoteMatch) {
-                const quoteBalance = parseFloat(quoteMatch[1]);
+              if (balances[quoteCurrency] !== undefined) {
+                const quoteBalance = balances[quoteCurrency];
                 console.log(`Available ${quoteCurrency} balance: ${quoteBalance}`);
                 
-                if (quoteBalance >= 10) { // Ensure we have at least 10 USDT
+                if (quoteBalance >= minimumOrderValue) { // Ensure we have at least the minimum notional value
                   // Buy more BTC with USDT
-                  console.log(`Buying additional ${baseCurrency} with ${quoteBalance.toFixed(2)} ${quoteCurrency}...`);
+                  console.log(`Buying additional ${baseCurrency} with ${roundQuoteAmount(rules, quoteBalance)} ${quoteCurrency}...`);
                   
-                  const buyResult = await executeCommand('node', [
-                    'market-buy.js',
-                    '--symbol', symbol,
-                    '--amount', quoteBalance.toFixed(2),
-                    '--confirm'
-                  ]);
+                  panic.assertNoPanic(symbol, bot.botId);
+                  if (risk) {
+                    await riskManager.checkOrder(risk, riskSettings, rules, { side: 'BUY', amount: roundQuoteAmount(rules, quoteBalance) }, allocation);
+                  }
                   
-                  // Extract buy quantity
-                  const newBtc = extractBuyQuantity(buyResult.stdout);
-                  if (newBtc) {
+                  const { fill: additionalFill } = await executeMarketBuy(symbol, roundQuoteAmount(rules, quoteBalance), baseCurrency, false, null, allocation);
+                  const newBtc = additionalFill.netQuantity;
+                  if (newBtc > 0) {
                     console.log(`Successfully bought additional ${newBtc} ${baseCurrency}`);
                     
                     // Update base balance
@@ -985,6 +1729,9 @@ async function tradingLoop() {
                 }
               }
             } catch (error) {
+              if (error.halted || error instanceof riskManager.RiskLimitError || error instanceof panic.PanicError) {
+                throw error; // IP ban, risk limit or panic, stop all trading
+              }
               console.warn(`Error buying additional ${baseCurrency}: ${error.message}`);
             }
             
@@ -1007,14 +1754,14 @@ async function tradingLoop() {
             console.log(`\n[DRY RUN] Proceeding with simulation using available balance: ${options.baseBalance} ${baseCurrency}`);
             // In dry run mode, we'll just use what we have for demonstration
             finalQuantity = Math.min(roundedQuantity, parseFloat(options.baseBalance));
-            console.log(`Using maximum available quantity: ${finalQuantity.toFixed(5)} ${baseCurrency}`);
+            console.log(`Using maximum available quantity: ${roundQuantity(rules, finalQuantity)} ${baseCurrency}`);
             console.log(`Note: This is below Binance's minimum notional value and would fail in a real trade`);
           }
         } else {
           // We have enough balance or balance check was skipped
           console.log(`Consider increasing your buy amount to at least ${minimumOrderValue} ${quoteCurrency}`);
           console.log(`Adjusting quantity to meet minimum requirements...`);
-          console.log(`Adjusted quantity: ${roundedQuantity.toFixed(5)} → ${adjustedQuantity.toFixed(5)} ${baseCurrency}`);
+          console.log(`Adjusted quantity: ${roundQuantity(rules, roundedQuantity)} → ${roundQuantity(rules, adjustedQuantity)} ${baseCurrency}`);
           
           // Double-check that we don't exceed available balance
           if (options.baseBalance) {
@@ -1032,30 +1779,24 @@ async function tradingLoop() {
                 
                 try {
                   // Check USDT balance
-                  const balanceResult = await executeCommand('node', [
-                    'account-info.js',
-                    '--balance'
-                  ]);
+                  const balances = await getFreeBalances(allocation);
                   
-                  const quoteMatch = new RegExp(`${quoteCurrency}\\s+\\|\\s+([0-9.]+)`).exec(balanceResult.stdout);
-                  if (quoteMatch) {
-                    const quoteBalance = parseFloat(quoteMatch[1]);
+                  if (balances[quoteCurrency] !== undefined) {
+                    const quoteBalance = balances[quoteCurrency];
                     console.log(`Available ${quoteCurrency} balance: ${quoteBalance}`);
                     
-                    if (quoteBalance >= 10) { // Ensure we have at least 10 USDT
+                    if (quoteBalance >= minimumOrderValue) { // Ensure we have at least the minimum notional value
                       // Buy more BTC with USDT
-                      console.log(`Buying additional ${baseCurrency} with ${quoteBalance.toFixed(2)} ${quoteCurrency}...`);
+                      console.log(`Buying additional ${baseCurrency} with ${roundQuoteAmount(rules, quoteBalance)} ${quoteCurrency}...`);
                       
-                      const buyResult = await executeCommand('node', [
-                        'market-buy.js',
-                        '--symbol', symbol,
-                        '--amount', quoteBalance.toFixed(2),
-                        '--confirm'
-                      ]);
+                      panic.assertNoPanic(symbol, bot.botId);
+                      if (risk) {
+                        await riskManager.checkOrder(risk, riskSettings, rules, { side: 'BUY', amount: roundQuoteAmount(rules, quoteBalance) }, allocation);
+                      }
                       
-                      // Extract buy quantity
-                      const newBtc = extractBuyQuantity(buyResult.stdout);
-                      if (newBtc) {
+                      const { fill: additionalFill } = await executeMarketBuy(symbol, roundQuoteAmount(rules, quoteBalance), baseCurrency, false, null, allocation);
+                      const newBtc = additionalFill.netQuantity;
+                      if (newBtc > 0) {
                         console.log(`Successfully bought additional ${newBtc} ${baseCurrency}`);
                         
                         // Update base balance
@@ -1073,6 +1814,9 @@ async function tradingLoop() {
                     }
                   }
                 } catch (error) {
+                  if (error.halted || error instanceof riskManager.RiskLimitError || error instanceof panic.PanicError) {
+                    throw error; // IP ban, risk limit or panic, stop all trading
+                  }
                   console.warn(`Error buying additional ${baseCurrency}: ${error.message}`);
                 }
                 
@@ -1110,160 +1854,143 @@ async function tradingLoop() {
         console.log(`Sell Price: ${sellPrice} ${quoteCurrency}`);
         
         // Calculate and display the expected profit
+        // The buy fee actually paid when it is known, the sell fee at the account's rate
         const buyValue = parseFloat(buyPrice) * finalQuantity;
         const sellValue = parseFloat(sellPrice) * finalQuantity;
-        const buyFee = buyValue * 0.001; // 0.1% buy fee
-        const sellFee = sellValue * 0.001; // 0.1% sell fee
+        const buyFeeRate = fees.getBuyFeeRate(tradeData);
+        const buyFee = buyValue * buyFeeRate;
+        const sellFee = sellValue * feeRates.sell;
         const netProfit = sellValue - sellFee - (buyValue + buyFee);
         const profitPercentage = (netProfit / buyValue) * 100;
         
         console.log('\nProfit Calculation:');
         console.log(`Buy Value: ${buyValue.toFixed(8)} ${quoteCurrency}`);
-        console.log(`Buy Fee (0.1%): ${buyFee.toFixed(8)} ${quoteCurrency}`);
+        console.log(`Buy Fee (${typeof tradeData.buyFee === 'number' ? 'paid' : fees.formatRate(buyFeeRate)}): ${buyFee.toFixed(8)} ${quoteCurrency}`);
         console.log(`Sell Value: ${sellValue.toFixed(8)} ${quoteCurrency}`);
-        console.log(`Sell Fee (0.1%): ${sellFee.toFixed(8)} ${quoteCurrency}`);
+        console.log(`Sell Fee (${fees.formatRate(feeRates.sell)}): ${sellFee.toFixed(8)} ${quoteCurrency}`);
         console.log(`Net Profit: ${netProfit.toFixed(8)} ${quoteCurrency} (${profitPercentage.toFixed(2)}%)`);
         console.log(`Total Balance Change: +${netProfit.toFixed(8)} ${quoteCurrency}\n`);
         
-        if (stopLossSettings.enabled) {
+        if (exit.trailingDelta) {
+          console.log(`Trailing Stop: ${bipsToPercent(exit.trailingDelta)}% below the highest price after the sell order is placed`);
+        } else if (stopLossPrice) {
           console.log(`Stop Loss Price: ${stopLossPrice} ${quoteCurrency}`);
         }
         
         // Show order simulation
         console.log('\nOrder Simulation:');
-        const simulationArgs = [
-          'order-simulation.js',
-          '--symbol', symbol,
-          '--side', 'SELL',
-          '--price', sellPrice,
-          '--quantity', finalQuantity.toFixed(5)
-        ];
-        
-        await executeCommand('node', simulationArgs);
+        try {
+          const { simulation, volatility } = await runSimulation(symbol, 'SELL', parseFloat(sellPrice), finalQuantity);
+          displaySimulation(simulation, volatility);
+        } catch (error) {
+          if (error.halted) {
+            throw error; // IP ban, stop all trading
+          }
+          console.warn(`Could not simulate order: ${error.message}`);
+        }
       } else {
-        console.log(`Buy: ${buyPrice} → Sell: ${sellPrice} ${stopLossSettings.enabled ? `(Stop: ${stopLossPrice})` : ''}`);
+        const stopText = exit.trailingDelta ? `(Trailing: ${bipsToPercent(exit.trailingDelta)}%)` : (stopLossPrice ? `(Stop: ${stopLossPrice})` : '');
+        console.log(`Buy: ${buyPrice} → Sell: ${sellPrice} ${stopText}`);
       }
       
-      // Step 3: Create limit sell order
-      
-      const sellArgs = [
-        'order-trade.js',
-        '--symbol', symbol,
-        '--side', 'SELL',
-        '--quantity', finalQuantity.toFixed(5),
-        '--price', sellPrice
-      ];
-      
-      // Add stop loss if enabled
-      if (stopLossSettings.enabled) {
-        sellArgs.push('--stopPrice', stopLossPrice);
-      }
-      
-      // Add trailing stop if enabled
-      if (trailingStopSettings.enabled) {
-        sellArgs.push('--trailingDelta', trailingStopSettings.percent);
-      }
+      // Step 3: Create limit sell order (an OCO order list with the stop loss or trailing stop if enabled)
+      const sellParams = buildSellParams(symbol, roundQuantity(rules, finalQuantity), exit);
       
+      let sellOrder;
       if (dryRun) {
-        // Add dryRun flag to simulate order without actually placing it
-        sellArgs.push('--dryRun');
+        // Simulate order without actually placing it
         console.log('[DRY RUN] Would execute sell order');
+        sellOrder = sellParams.type === 'OCO' ? await simulateOcoOrder(sellParams) : await simulateOrder(sellParams);
       } else {
-        sellArgs.push('--confirm');
+        console.log(`Creating ${sellParams.type} ${sellParams.side} order for ${symbol}...`);
+        sellOrder = await placeSellOrder(sellParams, journal);
       }
       
-      const sellResult = await executeCommand('node', sellArgs);
-      
-      // Extract order ID
-      const orderId = extractOrderId(sellResult.stdout);
+      displaySellOrder(sellOrder);
       
+      const orderId = isOrderList(sellOrder) ? null : sellOrder.orderId;
       if (orderId) {
         console.log(`\nSell order created with ID: ${orderId}`);
-        
-        // Update trade data
-        tradeData.orderId = orderId;
-        tradeData.sellPrice = sellPrice;
-        
-        // Step 4: Monitor the order until it's filled
-        if (logLevel !== 'minimal') {
-          console.log('\nStep 4: Monitoring sell order');
-        }
-        
-        if (!dryRun) {
-          // Check if price drop monitoring is enabled
-          let monitorResult;
-          if (priceDropSettings.enabled) {
-            console.log(`\nMonitoring order with price drop tracking enabled:`);
-            if (options.priceDropThreshold) {
-              console.log(`- Absolute price drop threshold: ${priceDropSettings.absolute} ${quoteCurrency}`);
-            }
-            if (options.priceDropThresholdPercentage) {
-              console.log(`- Percentage price drop threshold: ${priceDropSettings.percentage}%`);
-            }
-            
-            monitorResult = await monitorOrderWithPriceTracking(
-              symbol, 
-              orderId, 
-              parseFloat(buyPrice), 
-              priceDropSettings
-            );
-          } else {
-            // Regular order monitoring without price tracking
-            const monitorArgs = [
-              'order-monitor.js',
-              '--orderId', orderId,
-              '--symbol', symbol
-            ];
-            
-            monitorResult = await executeCommand('node', monitorArgs);
+      } else {
+        console.log(`\nOCO sell order list created with ID: ${sellOrder.orderListId}`);
+      }
+      const trailingStop = await reportTrailingStop(symbol, sellOrder, rules);
+      log.info('Sell order created', { cycle, orderId, orderListId: sellOrder.orderListId, price: sellPrice, quantity: sellParams.quantity, stopPrice: sellParams.stopPrice || null, trailingStop });
+      
+      // Update trade data
+      tradeData.orderId = orderId;
+      if (isOrderList(sellOrder)) {
+        tradeData.orderListId = sellOrder.orderListId;
+      }
+      tradeData.sellPrice = sellPrice;
+      if (trailingStop) {
+        tradeData.trailingStop = trailingStop;
+      }
+      
+      // Step 4: Monitor the order until it's filled
+      if (logLevel !== 'minimal') {
+        console.log('\nStep 4: Monitoring sell order');
+      }
+      
+      if (!dryRun) {
+        // Check if price drop monitoring is enabled
+        if (priceDropSettings.enabled && !isOrderList(sellOrder)) {
+          console.log(`\nMonitoring order with price drop tracking enabled:`);
+          if (options.priceDropThreshold) {
+            console.log(`- Absolute price drop threshold: ${priceDropSettings.absolute} ${quoteCurrency}`);
           }
-          
-          // Check if order was filled
-          const filledMatch = monitorResult.stdout.match(/Status: FILLED/i);
-          if (filledMatch) {
-            console.log('\nSell order has been filled!');
-            tradeData.status = 'FILLED';
-          } else {
-            console.log('\nOrder monitoring completed but order may not be filled');
-            tradeData.status = 'UNKNOWN';
+          if (options.priceDropThresholdPercentage) {
+            console.log(`- Percentage price drop threshold: ${priceDropSettings.percentage}%`);
           }
-        } else {
-          console.log('[DRY RUN] Would monitor order until filled');
-          tradeData.status = 'SIMULATED';
         }
+        
+        const { order: finalOrder, cancelReason, earlierFill } = await monitorSellOrder(symbol, sellOrder, buyPrice, priceDropSettings, { rules, journal, botId: bot.botId, strategy, context, tradeData });
+        if (cancelReason) {
+          tradeData.cancelReason = cancelReason;
+        }
+        
+        // Check if order was filled
+        await applySellResult(tradeData, finalOrder, rules, earlierFill);
+        await notifySellFill(strategy, context, tradeData);
       } else {
-        console.warn('Could not extract order ID from output');
-        tradeData.status = 'FAILED';
+        console.log('[DRY RUN] Would monitor order until filled');
+        tradeData.status = 'SIMULATED';
       }
       
       // Save trade history
       saveToHistory(tradeData);
+      if (journal) {
+        stateJournal.clear(journal);
+      }
+      completedTrades.push(tradeData);
+      log.info('Trade completed', { trade: tradeData });
+      output.event('trade', { trade: tradeData });
+      if (allocation) {
+        allocation.recordTrade(tradeData);
+      }
+      if (risk) {
+        riskManager.recordTrade(risk, tradeData);
+      }
       
       // Refresh account balance after trade
       if (!options.skipBalanceCheck) {
         console.log(`\nRefreshing account balance after trade...`);
         try {
-          const balanceResult = await executeCommand('node', [
-            'account-info.js',
-            '--balance'
-          ]);
+          const balances = await getFreeBalances(allocation);
           
-          // Extract BTC balance
-          const btcMatch = balanceResult.stdout.match(/BTC\s+\|\s+([0-9.]+)/);
-          if (btcMatch) {
-            const availableBtc = btcMatch[1];
-            console.log(`Updated BTC balance: ${availableBtc}`);
-            options.baseBalance = availableBtc;
+          if (balances[baseCurrency] !== undefined) {
+            console.log(`Updated ${baseCurrency} balance: ${balances[baseCurrency]}`);
+            options.baseBalance = balances[baseCurrency];
           }
           
-          // Extract USDT balance
-          const usdtMatch = balanceResult.stdout.match(/USDT\s+\|\s+([0-9.]+)/);
-          if (usdtMatch) {
-            const availableUsdt = usdtMatch[1];
-            console.log(`Updated USDT balance: ${availableUsdt}`);
-            options.quoteBalance = availableUsdt;
+          if (balances[quoteCurrency] !== undefined) {
+            console.log(`Updated ${quoteCurrency} balance: ${balances[quoteCurrency]}`);
+            options.quoteBalance = balances[quoteCurrency];
           }
         } catch (error) {
+          if (error.halted) {
+            throw error; // IP ban, stop all trading
+          }
           console.warn(`Error refreshing balance: ${error.message}`);
         }
       }
@@ -1288,9 +2015,25 @@ async function tradingLoop() {
     console.log(`Completed ${cycle - 1} trading cycles`);
     console.log('=============================');
     
+    // The supervisor reports all loops together
+    if (allocation) {
+      return { cycles: cycle - 1, trades: completedTrades };
+    }
+    
+    if (output.getMode() === 'ndjson') {
+      output.event('completed', { cycles: cycle - 1 });
+    } else {
+      output.result({ cycles: cycle - 1, trades: completedTrades });
+    }
+    
   } catch (error) {
+    log.error('Trading loop failed', { error });
     console.error('\nAn error occurred during trading loop:');
     console.error(error.message);
+
+    if (error.halted) {
+      console.error('Trading halted: Binance banned this IP for exceeding rate limits. Open orders were left untouched.');
+    }
     
     // Try to save error to history
     const errorData = {
@@ -1307,10 +2050,32 @@ async function tradingLoop() {
     const errorFile = path.join(historyDir, `error_${new Date().toISOString().replace(/:/g, '-')}.json`);
     fs.writeFileSync(errorFile, JSON.stringify(errorData, null, 2));
     console.error(`Error details saved to: ${errorFile}`);
+    
+    if (allocation) {
+      throw error;
+    }
+    
+    output.fail(error);
   }
 }
 
-// Run the trading loop
-tradingLoop().catch(error => {
-  console.error('An unexpected error occurred:', error);
-});
+// Run the trading loop if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  tradingLoop().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  getExitSettings,
+  buildSellParams,
+  getExitLeg,
+  calculateProfitPrice,
+  calculateStopLossPrice,
+  calculateStopLimitPrice,
+  monitorOrderWithPriceTracking,
+  resumeCycle,
+  tradingLoop
+};
@@ -0,0 +1,679 @@
+#!/usr/bin/env node
+
+/**
+ * Trading Supervisor
+ *
+ * This script runs the trading loop (trading-loop.js) for several symbols in
+ * one process. Every symbol loop gets an allocation: a share of the free
+ * quote balance (or of --capital) taken when the supervisor starts. A loop
+ * buys only with what is left of its allocation, and the proceeds of its
+ * sells go back to it, so the loops together never commit more than was
+ * allocated and one loop cannot spend the quote currency of another.
+ *
+ * All symbols must share one quote asset and every base asset may be traded
+ * by one loop only, since a loop sells the free balance of its base asset.
+ * The options of trading-loop.js apply to every loop; a config file can
+ * override them per symbol. A loop that fails stops alone, the others keep
+ * running.
+ *
+ * The combined status is kept in state/supervisor-<profile>.json, so the
+ * status action can show it from another terminal. When all loops have
+ * ended, the combined statistics are saved to history/.
+ *
+ * Usage:
+ *   node trading-supervisor.js run --symbols BTCUSDT,ETHUSDT --buyAmount 20 --profitPercent 1
+ *   node trading-supervisor.js run --symbols BTCUSDT,ETHUSDT --allocation BTCUSDT=60,ETHUSDT=40 --capital 500
+ *   node trading-supervisor.js run --config supervisor-config.json
+ *   node trading-supervisor.js status
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const client = require('./binance-client');
+const output = require('./output');
+const logger = require('./logger');
+const symbolRules = require('./symbol-rules');
+const stateJournal = require('./state-journal');
+const fees = require('./fees');
+const { getAccountInfo } = require('./account-info');
+const { parseKeyValueList } = require('./mock-exchange');
+const { profile } = require('./config');
+
+const log = logger.getLogger('trading-supervisor');
+
+// Default seconds between two combined status views
+const DEFAULT_STATUS_INTERVAL = 60;
+
+// Options of the supervisor itself, not passed on to the symbol loops
+const SUPERVISOR_OPTIONS = ['symbols', 'allocation', 'capital', 'statusInterval', 'config', 'saveConfig', 'configPath', 'symbol', 'botId', 'help', 'h'];
+
+// Loop states
+const LOOP_STATUS = {
+  STARTING: 'starting',
+  RUNNING: 'running',
+  FINISHED: 'finished',
+  FAILED: 'failed'
+};
+
+// Symbol of the loop the current code runs for, used to prefix its console output
+const loopContext = new AsyncLocalStorage();
+
+/**
+ * Error thrown for invalid supervisor settings or allocations that cannot be made
+ */
+class SupervisorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SupervisorError';
+  }
+}
+
+// Parse command line arguments
+function parseArgs() {
+  const args = {};
+  process.argv.slice(2).forEach((arg, i, argv) => {
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[i + 1] : true;
+      args[key] = value;
+    }
+  });
+  return args;
+}
+
+/**
+ * Read the symbols and their own options
+ * @param {string|Array|Object} symbols - "BTCUSDT,ETHUSDT", an array of symbols, or
+ *   an object of per-symbol options keyed by symbol (config file)
+ * @returns {Object} - Per-symbol options keyed by symbol
+ */
+function parseSymbols(symbols) {
+  if (symbols && typeof symbols === 'object' && !Array.isArray(symbols)) {
+    return Object.fromEntries(Object.entries(symbols).map(([symbol, overrides]) => [symbol.toUpperCase(), { ...overrides }]));
+  }
+
+  const list = Array.isArray(symbols) ? symbols : String(symbols === true ? '' : symbols || '').split(',');
+  return Object.fromEntries(list.map(symbol => String(symbol).trim().toUpperCase()).filter(Boolean).map(symbol => [symbol, {}]));
+}
+
+/**
+ * Build the supervisor settings from command line or config file options
+ *
+ * Allocations are percentages of the capital. Symbols without one share what
+ * the others leave equally.
+ * @param {Object} options - { symbols, allocation, capital, statusInterval, ...trading-loop options }
+ * @returns {Object} - { capital, statusInterval, loops: [{ symbol, percent, options }] }
+ */
+function getSupervisorSettings(options) {
+  const perSymbol = parseSymbols(options.symbols);
+  const symbols = Object.keys(perSymbol);
+
+  if (symbols.length === 0) {
+    throw new SupervisorError('--symbols must list at least one symbol (e.g. BTCUSDT,ETHUSDT)');
+  }
+
+  if (options.grid) {
+    throw new SupervisorError('--grid is not supported with --symbols, run one grid per symbol with grid-trading.js');
+  }
+
+  let percents;
+  try {
+    percents = options.allocation ? parseKeyValueList(String(options.allocation).replace(/%/g, '')) : {};
+  } catch (error) {
+    throw new SupervisorError(`Invalid --allocation: ${error.message}`);
+  }
+
+  symbols.forEach(symbol => {
+    if (perSymbol[symbol].allocation !== undefined) {
+      percents[symbol] = parseFloat(String(perSymbol[symbol].allocation).replace(/%/g, ''));
+    }
+  });
+
+  Object.keys(percents).forEach(symbol => {
+    if (!symbols.includes(symbol)) {
+      throw new SupervisorError(`--allocation names ${symbol}, which is not in --symbols`);
+    }
+    if (!(percents[symbol] > 0)) {
+      throw new SupervisorError(`The allocation of ${symbol} must be a positive percentage`);
+    }
+  });
+
+  const assigned = Object.values(percents).reduce((sum, percent) => sum + percent, 0);
+  const unassigned = symbols.filter(symbol => percents[symbol] === undefined);
+
+  if (assigned > 100 + 1e-9) {
+    throw new SupervisorError(`The allocations add up to ${assigned}%, more than 100%`);
+  }
+
+  if (unassigned.length > 0 && !(100 - assigned > 1e-9)) {
+    throw new SupervisorError(`No capital is left for ${unassigned.join(', ')}: the other allocations take 100%`);
+  }
+
+  unassigned.forEach(symbol => {
+    percents[symbol] = (100 - assigned) / unassigned.length;
+  });
+
+  const capital = options.capital !== undefined ? parseFloat(options.capital) : null;
+  if (capital !== null && !(capital > 0)) {
+    throw new SupervisorError('--capital must be a positive amount of the quote asset');
+  }
+
+  const statusInterval = options.statusInterval ? parseInt(options.statusInterval) : DEFAULT_STATUS_INTERVAL;
+  if (!(statusInterval > 0)) {
+    throw new SupervisorError('--statusInterval must be a positive number of seconds');
+  }
+
+  const sharedOptions = { ...options };
+  SUPERVISOR_OPTIONS.forEach(key => delete sharedOptions[key]);
+
+  const loops = symbols.map(symbol => {
+    const { allocation, ...overrides } = perSymbol[symbol];
+    return { symbol, percent: percents[symbol], options: { ...sharedOptions, ...overrides, symbol } };
+  });
+
+  // Loops with the same bot ID would share a state journal and client order IDs
+  const botIds = loops.map(loop => stateJournal.sanitizeBotId(loop.options.botId || loop.symbol));
+  const duplicate = botIds.find((botId, i) => botIds.indexOf(botId) !== i);
+  if (duplicate) {
+    throw new SupervisorError(`Two loops would use the bot ID ${duplicate}, give them different botId options`);
+  }
+
+  return { capital, statusInterval, loops };
+}
+
+/**
+ * Create the allocation of a symbol loop
+ *
+ * The loop reserves the quote amount of every buy, releases what the buy did
+ * not spend, holds the quantity it bought and records every completed trade;
+ * the proceeds of a sell (less the fee) become available again. A sell that
+ * was cancelled after a partial fill (the rest of the position held) gives
+ * back what it sold and keeps the cost of the rest in position.
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} quoteAsset - Quote asset
+ * @param {number} amount - Allocated quote amount
+ * @param {Function} onChange - Called after a trade is recorded
+ * @returns {Object} - Allocation
+ */
+function createAllocation(symbol, quoteAsset, amount, onChange = () => {}) {
+  const allocation = {
+    symbol,
+    quoteAsset,
+    allocated: amount,
+    available: amount,
+    inPosition: 0,
+    quantity: 0,
+    stats: { cycles: 0, filled: 0, wins: 0, losses: 0, netProfit: 0 },
+    lastTrade: null,
+
+    reserve(quantity) {
+      const value = parseFloat(quantity);
+
+      if (value > allocation.available + 1e-8) {
+        throw new SupervisorError(`${symbol} cannot spend ${value} ${quoteAsset}, its allocation has ${allocation.available.toFixed(8)} ${quoteAsset} left`);
+      }
+
+      allocation.available = Math.max(allocation.available - value, 0);
+      allocation.inPosition += value;
+      return value;
+    },
+
+    release(quantity) {
+      const value = Math.min(parseFloat(quantity), allocation.inPosition);
+
+      allocation.available += value;
+      allocation.inPosition -= value;
+    },
+
+    // The base quantity a filled buy added to the position, valued at the current price by risk-manager.js
+    hold(quantity) {
+      allocation.quantity += parseFloat(quantity);
+    },
+
+    recordTrade(tradeData) {
+      allocation.stats.cycles++;
+
+      if (tradeData.sellValue) {
+        // The commission paid by the sell and the buy (see fees.calculateTradeProfit); commission paid
+        // in another asset (BNB) does not come out of the proceeds, it only counts in the profit
+        const result = fees.calculateTradeProfit(tradeData);
+        const proceeds = tradeData.sellCommission
+          ? tradeData.sellValue - (tradeData.sellCommission[allocation.quoteAsset] || 0)
+          : tradeData.sellValue - result.sellFee;
+
+        allocation.available += proceeds;
+
+        if (tradeData.status === 'FILLED') {
+          allocation.inPosition = 0;
+          allocation.quantity = 0;
+          allocation.stats.filled++;
+        } else {
+          // Partly sold: the position shrinks by the share of the cycle's quantity that was sold
+          const soldQuantity = tradeData.soldQuantity || tradeData.sellValue / tradeData.sellPrice;
+          const share = Math.min(soldQuantity / parseFloat(tradeData.quantity), 1);
+
+          allocation.inPosition *= 1 - share;
+          allocation.quantity = Math.max(allocation.quantity - soldQuantity, 0);
+        }
+
+        // Profit of the quantity sold (the sell is rounded down to the stepSize), with its share of the buy fee;
+        // a cycle that sold an existing balance has no buy cost, so its profit is unknown
+        if (tradeData.buyCost) {
+          const profit = result.profit;
+
+          allocation.stats.netProfit += profit;
+          allocation.stats[profit > 0 ? 'wins' : 'losses']++;
+        }
+      }
+
+      allocation.lastTrade = {
+        cycle: tradeData.cycle,
+        status: tradeData.status,
+        buyPrice: tradeData.buyPrice,
+        sellPrice: tradeData.sellPrice,
+        quantity: tradeData.quantity,
+        timestamp: tradeData.timestamp
+      };
+
+      onChange(allocation);
+    }
+  };
+
+  return allocation;
+}
+
+/**
+ * Get the path of the supervisor's status file
+ * @param {string} profile - Profile name
+ * @returns {string} - Status file path
+ */
+function getStatusPath(profile) {
+  return path.join(__dirname, 'state', `supervisor-${profile}.json`);
+}
+
+/**
+ * Read the supervisor's status
+ * @param {string} profile - Profile name
+ * @returns {Object|null} - Status, null if no supervisor has run
+ */
+function loadStatus(profile) {
+  const filePath = getStatusPath(profile);
+
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new SupervisorError(`Cannot read supervisor status ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Write the supervisor's status (the file is replaced atomically)
+ * @param {Object} status - Status
+ * @returns {Object} - The same status
+ */
+function saveStatus(status) {
+  const filePath = getStatusPath(status.profile);
+  const tempPath = `${filePath}.tmp`;
+
+  status.updatedAt = new Date().toISOString();
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(status, null, 2));
+  fs.renameSync(tempPath, filePath);
+
+  return status;
+}
+
+/**
+ * Check whether the process that wrote a status is still running
+ * @param {Object} status - Status
+ * @returns {boolean} - True while the supervisor runs
+ */
+function isRunning(status) {
+  if (!status || status.finishedAt) {
+    return false;
+  }
+
+  try {
+    process.kill(status.pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Update a loop's entry in the status from its allocation
+ * @param {Object} entry - Loop entry of the status
+ * @param {Object} allocation - Allocation of the loop
+ */
+function updateLoopStatus(entry, allocation) {
+  entry.allocated = allocation.allocated;
+  entry.available = parseFloat(allocation.available.toFixed(8));
+  entry.inPosition = parseFloat(allocation.inPosition.toFixed(8));
+  entry.stats = { ...allocation.stats, netProfit: parseFloat(allocation.stats.netProfit.toFixed(8)) };
+  entry.lastTrade = allocation.lastTrade;
+}
+
+/**
+ * Add up the statistics of all loops
+ * @param {Object} status - Status
+ * @returns {Object} - { allocated, available, inPosition, cycles, filled, wins, losses, netProfit, winRate }
+ */
+function summarizeStatus(status) {
+  const totals = { allocated: 0, available: 0, inPosition: 0, cycles: 0, filled: 0, wins: 0, losses: 0, netProfit: 0 };
+
+  status.loops.forEach(loop => {
+    totals.allocated += loop.allocated;
+    totals.available += loop.available;
+    totals.inPosition += loop.inPosition;
+    ['cycles', 'filled', 'wins', 'losses', 'netProfit'].forEach(key => {
+      totals[key] += loop.stats[key];
+    });
+  });
+
+  Object.keys(totals).forEach(key => {
+    totals[key] = parseFloat(totals[key].toFixed(8));
+  });
+  totals.winRate = totals.wins + totals.losses > 0 ? (totals.wins / (totals.wins + totals.losses)) * 100 : null;
+
+  return totals;
+}
+
+/**
+ * Display the combined status of all loops
+ * @param {Object} status - Status
+ * @param {boolean} running - Whether the supervisor is still running
+ */
+function displayStatus(status, running = true) {
+  const totals = summarizeStatus(status);
+  const state = status.finishedAt ? `finished ${status.finishedAt}` : (running ? `running since ${status.startedAt}` : `not running, last update ${status.updatedAt}`);
+
+  console.log(`\nSupervisor (${status.profile}, ${status.loops.length} loops, ${state})`);
+  console.log('-'.repeat(96));
+  console.log(`${'Symbol'.padEnd(12)}${'State'.padEnd(10)}${'Allocated'.padStart(14)}${'Available'.padStart(14)}${'In position'.padStart(14)}${'Cycles'.padStart(8)}${'Filled'.padStart(8)}${'Net profit'.padStart(16)}`);
+
+  status.loops.forEach(loop => {
+    console.log(`${loop.symbol.padEnd(12)}${loop.state.padEnd(10)}${loop.allocated.toFixed(2).padStart(14)}${loop.available.toFixed(2).padStart(14)}${loop.inPosition.toFixed(2).padStart(14)}${String(loop.stats.cycles).padStart(8)}${String(loop.stats.filled).padStart(8)}${loop.stats.netProfit.toFixed(8).padStart(16)}`);
+    if (loop.error) {
+      console.log(`${''.padEnd(12)}Error: ${loop.error}`);
+    }
+  });
+
+  console.log('-'.repeat(96));
+  console.log(`${'Total'.padEnd(22)}${totals.allocated.toFixed(2).padStart(14)}${totals.available.toFixed(2).padStart(14)}${totals.inPosition.toFixed(2).padStart(14)}${String(totals.cycles).padStart(8)}${String(totals.filled).padStart(8)}${totals.netProfit.toFixed(8).padStart(16)}`);
+  console.log(`Win rate: ${totals.winRate === null ? '-' : `${totals.winRate.toFixed(2)}%`} (${totals.wins} wins, ${totals.losses} losses), profits in ${status.quoteAsset} after the estimated sell fee`);
+}
+
+/**
+ * Prefix every console line written by a symbol loop with its symbol
+ * @returns {Function} - Restores the console
+ */
+function prefixConsole() {
+  const originals = {};
+
+  ['log', 'info', 'warn', 'error'].forEach(method => {
+    originals[method] = console[method];
+    console[method] = (...args) => {
+      const symbol = loopContext.getStore();
+      if (!symbol) {
+        return originals[method](...args);
+      }
+
+      const text = util.format(...args);
+      return originals[method](text.split('\n').map(line => (line ? `[${symbol}] ${line}` : line)).join('\n'));
+    };
+  });
+
+  return () => Object.assign(console, originals);
+}
+
+/**
+ * Split the capital between the symbol loops
+ * @param {Object} settings - Supervisor settings
+ * @param {Object} rulesBySymbol - Symbol rules keyed by symbol
+ * @returns {Promise<Object>} - { quoteAsset, capital, amounts keyed by symbol }
+ */
+async function allocateCapital(settings, rulesBySymbol) {
+  const rules = Object.values(rulesBySymbol);
+  const quoteAssets = [...new Set(rules.map(rule => rule.quoteAsset))];
+
+  if (quoteAssets.length > 1) {
+    throw new SupervisorError(`All symbols must share one quote asset, got ${quoteAssets.join(', ')}`);
+  }
+
+  const baseAssets = rules.map(rule => rule.baseAsset);
+  const sharedBase = baseAssets.find((asset, i) => baseAssets.indexOf(asset) !== i);
+  if (sharedBase) {
+    throw new SupervisorError(`Two symbols trade ${sharedBase}; every base asset can be traded by one loop only`);
+  }
+
+  const quoteAsset = quoteAssets[0];
+  const account = await getAccountInfo();
+  const balance = account.balances.find(entry => entry.asset === quoteAsset);
+  const free = balance ? parseFloat(balance.free) : 0;
+
+  if (settings.capital !== null && settings.capital > free) {
+    throw new SupervisorError(`--capital ${settings.capital} ${quoteAsset} is more than the free balance of ${free} ${quoteAsset}`);
+  }
+
+  const capital = settings.capital !== null ? settings.capital : free;
+  const amounts = {};
+
+  settings.loops.forEach(loop => {
+    const loopRules = rulesBySymbol[loop.symbol];
+    amounts[loop.symbol] = parseFloat(symbolRules.roundQuoteAmount(loopRules, capital * loop.percent / 100));
+
+    if (amounts[loop.symbol] < loopRules.minNotional) {
+      throw new SupervisorError(`The allocation of ${loop.symbol} (${amounts[loop.symbol]} ${quoteAsset}, ${loop.percent.toFixed(2)}% of ${capital}) is below its minimum order value of ${loopRules.minNotional} ${quoteAsset}`);
+    }
+  });
+
+  return { quoteAsset, capital, amounts };
+}
+
+/**
+ * Run the symbol loops until all of them have ended
+ * @param {Object} settings - Supervisor settings (see getSupervisorSettings)
+ * @returns {Promise<Object>} - Combined statistics: { quoteAsset, capital, loops, totals, historyFile }
+ */
+async function runSupervisor(settings) {
+  const previous = loadStatus(profile);
+  if (isRunning(previous)) {
+    throw new SupervisorError(`A supervisor is already running for profile ${profile} (process ${previous.pid}), its allocations would overlap`);
+  }
+
+  const rulesBySymbol = {};
+  for (const loop of settings.loops) {
+    rulesBySymbol[loop.symbol] = await symbolRules.getSymbolRules(loop.symbol);
+  }
+
+  const { quoteAsset, capital, amounts } = await allocateCapital(settings, rulesBySymbol);
+
+  const status = {
+    profile,
+    pid: process.pid,
+    quoteAsset,
+    capital,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    loops: settings.loops.map(loop => ({
+      symbol: loop.symbol,
+      botId: loop.options.botId || loop.symbol,
+      percent: parseFloat(loop.percent.toFixed(4)),
+      state: LOOP_STATUS.STARTING,
+      error: null
+    }))
+  };
+
+  const allocations = settings.loops.map((loop, i) => {
+    const entry = status.loops[i];
+    const allocation = createAllocation(loop.symbol, quoteAsset, amounts[loop.symbol], changed => {
+      updateLoopStatus(entry, changed);
+      saveStatus(status);
+      output.event('supervisor', { loops: status.loops, totals: summarizeStatus(status) });
+    });
+    updateLoopStatus(entry, allocation);
+    return allocation;
+  });
+
+  saveStatus(status);
+  console.log(`\nSupervisor started with ${capital} ${quoteAsset} for ${settings.loops.length} loops:`);
+  settings.loops.forEach(loop => {
+    console.log(`  ${loop.symbol.padEnd(12)} ${String(amounts[loop.symbol]).padStart(14)} ${quoteAsset} (${loop.percent.toFixed(2)}%)`);
+  });
+  log.info('Supervisor started', { quoteAsset, capital, allocations: amounts });
+
+  // Required here because trading-loop.js uses this module for --symbols
+  const { tradingLoop } = require('./trading-loop');
+  const restoreConsole = prefixConsole();
+  const timer = setInterval(() => displayStatus(status), settings.statusInterval * 1000);
+
+  try {
+    await Promise.all(settings.loops.map((loop, i) => {
+      const entry = status.loops[i];
+      entry.state = LOOP_STATUS.RUNNING;
+
+      return loopContext.run(loop.symbol, () => tradingLoop({ options: loop.options, allocation: allocations[i] }))
+        .then(() => {
+          entry.state = LOOP_STATUS.FINISHED;
+        })
+        .catch(error => {
+          entry.state = LOOP_STATUS.FAILED;
+          entry.error = error.message;
+          log.error('Symbol loop failed', { symbol: loop.symbol, error });
+        })
+        .finally(() => {
+          updateLoopStatus(entry, allocations[i]);
+          saveStatus(status);
+        });
+    }));
+  } finally {
+    clearInterval(timer);
+    restoreConsole();
+  }
+
+  status.finishedAt = new Date().toISOString();
+  saveStatus(status);
+
+  const summary = { quoteAsset, capital, startedAt: status.startedAt, finishedAt: status.finishedAt, loops: status.loops, totals: summarizeStatus(status) };
+
+  const historyDir = path.join(process.cwd(), 'history');
+  if (!fs.existsSync(historyDir)) {
+    fs.mkdirSync(historyDir);
+  }
+  summary.historyFile = path.join(historyDir, `supervisor_${status.finishedAt.replace(/:/g, '-')}.json`);
+  fs.writeFileSync(summary.historyFile, JSON.stringify(summary, null, 2));
+
+  displayStatus(status, false);
+  console.log(`\nCombined statistics saved to: ${summary.historyFile}`);
+  log.info('Supervisor finished', { totals: summary.totals, historyFile: summary.historyFile });
+
+  return summary;
+}
+
+// Main function
+async function main() {
+  try {
+    const args = parseArgs();
+    const action = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : null;
+
+    // Show help if --help flag is provided
+    if (args.help || args.h || !action) {
+      console.log('\nTrading Supervisor\n');
+      console.log('Description: Run the trading loop for several symbols in one process, each with a share of the quote balance\n');
+      console.log('Usage:');
+      console.log('  node trading-supervisor.js run --symbols BTCUSDT,ETHUSDT --buyAmount 20 --profitPercent 1');
+      console.log('  node trading-supervisor.js run --symbols BTCUSDT,ETHUSDT --allocation BTCUSDT=60,ETHUSDT=40 --capital 500');
+      console.log('  node trading-supervisor.js run --config supervisor-config.json');
+      console.log('  node trading-supervisor.js status\n');
+      console.log('Actions:');
+      console.log('  run               Start one trading loop per symbol and wait until all of them have ended');
+      console.log('  status            Show the allocations, positions and statistics of all loops\n');
+      console.log('Parameters:');
+      console.log('  --symbols         Comma separated symbols sharing one quote asset (required for run)');
+      console.log('  --allocation      Percent of the capital per symbol, e.g. BTCUSDT=60,ETHUSDT=40');
+      console.log('                    (default: an equal share; symbols left out share what the others leave)');
+      console.log('  --capital         Quote amount split between the loops (default: the whole free quote balance)');
+      console.log(`  --statusInterval  Seconds between two combined status views (default: ${DEFAULT_STATUS_INTERVAL})`);
+      console.log('  --config          JSON config file; "symbols" may be an object of per-symbol options,');
+      console.log('                    e.g. { "symbols": { "BTCUSDT": { "allocation": 60, "buyAmount": "20" } } }');
+      console.log('  --json            Print the combined statistics (run) or the status as JSON on stdout');
+      console.log('  --ndjson          With run: print every trade and status change as one JSON object per line');
+      console.log('\nEvery other parameter is passed to the loops, see node trading-loop.js --help');
+      return;
+    }
+
+    if (!client.hasCredentials()) {
+      console.error(client.getCredentialsMessage());
+      process.exit(1);
+    }
+
+    switch (action) {
+      case 'run': {
+        let config = {};
+        if (args.config) {
+          try {
+            config = JSON.parse(fs.readFileSync(args.config, 'utf8'));
+            console.log(`Loaded configuration from: ${args.config}`);
+          } catch (error) {
+            throw new SupervisorError(`Cannot read config file ${args.config}: ${error.message}`);
+          }
+        }
+
+        output.result(await runSupervisor(getSupervisorSettings({ ...config, ...args })));
+        break;
+      }
+
+      case 'status': {
+        const status = loadStatus(profile);
+        if (!status) {
+          throw new SupervisorError(`No supervisor has run for profile ${profile} (${getStatusPath(profile)})`);
+        }
+
+        const running = isRunning(status);
+        if (output.isEnabled()) {
+          output.result({ ...status, running, totals: summarizeStatus(status) });
+        } else {
+          displayStatus(status, running);
+        }
+        break;
+      }
+
+      default:
+        throw new SupervisorError(`Unknown action: ${action} (use run or status)`);
+    }
+  } catch (error) {
+    log.error('Trading supervisor failed', { error });
+    console.error('An error occurred:', error.message);
+    output.fail(error);
+    process.exit(1);
+  }
+}
+
+// Run the main function if this file is run directly (not imported as a module)
+if (require.main === module) {
+  output.init();
+  logger.init();
+  main().catch(error => {
+    console.error('An unexpected error occurred:', error);
+  });
+}
+
+module.exports = {
+  SupervisorError,
+  LOOP_STATUS,
+  getSupervisorSettings,
+  createAllocation,
+  getStatusPath,
+  loadStatus,
+  summarizeStatus,
+  displayStatus,
+  runSupervisor
+};